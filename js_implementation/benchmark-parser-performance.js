@@ -3,7 +3,7 @@
  * Measures actual execution times for different parsing strategies
  */
 
-const OperationParser = require('./src/lib/operation-parser-complete.js');
+const { OperationParser } = require('./src/lib/operation-parser');
 
 // Simple regex parser for comparison
 class RegexParser {
@@ -45,6 +45,87 @@ class RegexParser {
   }
 }
 
+// The previous tokenizer, kept as a baseline: isInString() rescans the
+// input from index 0 for every character, which makes tokenizing O(n²)
+class LegacyParser extends OperationParser {
+  static tokenize(operation) {
+    const tokens = [];
+    let current = '';
+    let i = 0;
+
+    while (i < operation.length) {
+      const char = operation[i];
+
+      if (char === '.' && !this.isInString(operation, i)) {
+        if (current.trim()) {
+          tokens.push(current.trim());
+          current = '';
+        }
+        tokens.push('.');
+      } else if (char === '(' && !this.isInString(operation, i)) {
+        if (current.trim()) {
+          tokens.push(current.trim());
+          current = '';
+        }
+        tokens.push('(');
+
+        const argsEnd = this.findMatchingParen(operation, i);
+        tokens.push(operation.slice(i + 1, argsEnd));
+        tokens.push(')');
+        i = argsEnd;
+      } else {
+        current += char;
+      }
+
+      i++;
+    }
+
+    if (current.trim()) {
+      tokens.push(current.trim());
+    }
+
+    return tokens;
+  }
+
+  static isInString(text, position) {
+    let inString = false;
+    let stringChar = '';
+
+    for (let i = 0; i < position; i++) {
+      const char = text[i];
+      const prevChar = i > 0 ? text[i - 1] : '';
+
+      if (!inString && (char === '"' || char === "'")) {
+        inString = true;
+        stringChar = char;
+      } else if (inString && char === stringChar && prevChar !== '\\') {
+        inString = false;
+        stringChar = '';
+      }
+    }
+
+    return inString;
+  }
+
+  static findMatchingParen(text, startPos) {
+    let count = 1;
+    let i = startPos + 1;
+
+    while (i < text.length && count > 0) {
+      if (!this.isInString(text, i)) {
+        if (text[i] === '(') {
+          count++;
+        } else if (text[i] === ')') {
+          count--;
+        }
+      }
+      i++;
+    }
+
+    return i - 1;
+  }
+}
+
 // Hybrid parser that tries regex first, falls back to full parser
 class HybridParser {
   static parse(operation) {
@@ -176,6 +257,79 @@ function benchmark(parser, testCase, iterations = 1000) {
   };
 }
 
+// Build an insertMany operation of roughly `targetBytes` characters
+function generateLargeOperation(targetBytes) {
+  const docs = [];
+  let size = 0;
+
+  for (let i = 0; size < targetBytes; i++) {
+    const doc = `{"name": "user (${i})", "email": "user.${i}@example.com", "tags": ["a.b", "c,d"], "score": ${i % 100}}`;
+    docs.push(doc);
+    size += doc.length + 2;
+  }
+
+  return `users.insertMany([${docs.join(', ')}])`;
+}
+
+// The legacy tokenizer needs ~15s per parse at 50KB, so larger sizes are skipped
+const LEGACY_MAX_BYTES = 10 * 1024;
+
+// Compare parse times as the payload grows, which is where the quadratic
+// tokenizer falls over (e.g. a 200KB insertMany piped in from a file)
+function runScalingBenchmark() {
+  console.log('\n' + '='.repeat(80));
+  console.log('📦 LARGE DOCUMENT SCALING');
+  console.log('='.repeat(80));
+
+  const parsers = [
+    { name: 'Legacy Parser', parser: LegacyParser, maxBytes: LEGACY_MAX_BYTES },
+    { name: 'Regex Parser', parser: RegexParser },
+    { name: 'Full Parser', parser: OperationParser },
+    { name: 'Hybrid Parser', parser: HybridParser }
+  ];
+
+  const sizes = [1, 10, 50, 200].map(kb => kb * 1024);
+  const results = {};
+
+  sizes.forEach(bytes => {
+    const testCase = {
+      name: `insertMany ~${bytes / 1024}KB`,
+      operation: generateLargeOperation(bytes),
+      complexity: 'large'
+    };
+    const iterations = bytes <= 10 * 1024 ? 20 : 3;
+
+    console.log(`\n📝 ${testCase.name} (${testCase.operation.length} chars, ${iterations} iterations)`);
+    console.log('-'.repeat(80));
+
+    results[testCase.name] = {};
+
+    parsers.forEach(({ name, parser, maxBytes }) => {
+      if (maxBytes && bytes > maxBytes) {
+        console.log(`${name.padEnd(15)} | skipped (quadratic, > ${maxBytes / 1024}KB)`);
+        return;
+      }
+
+      const result = benchmark(parser, testCase, iterations);
+      results[testCase.name][name] = result;
+
+      console.log(`${name.padEnd(15)} | ` +
+                 `Avg: ${result.avgTime}ms | ` +
+                 `Success: ${result.successRate}% | ` +
+                 `Errors: ${result.errorCount}`);
+    });
+
+    const legacy = results[testCase.name]['Legacy Parser'];
+    const full = results[testCase.name]['Full Parser'];
+    if (legacy && full) {
+      const speedup = parseFloat(legacy.avgTime) / parseFloat(full.avgTime);
+      console.log(`   → Single-pass lexer speedup over legacy tokenizer: ${speedup.toFixed(1)}x`);
+    }
+  });
+
+  return results;
+}
+
 // Run comprehensive benchmarks
 function runBenchmarks() {
   console.log('🚀 Parser Performance Benchmark\n');
@@ -294,12 +448,16 @@ function runBenchmarks() {
 module.exports = {
   RegexParser,
   HybridParser,
+  LegacyParser,
   benchmark,
+  generateLargeOperation,
   runBenchmarks,
+  runScalingBenchmark,
   testCases
 };
 
 // Run benchmarks if this file is executed directly
 if (require.main === module) {
   runBenchmarks();
+  runScalingBenchmark();
 } 
\ No newline at end of file
@@ -8,9 +8,19 @@
 
 const fs = require('fs');
 const path = require('path');
+const chalk = require('chalk');
 const { CommandFactory, COMMAND_REGISTRY, COLLECTION_OPERATIONS } = require('../src/lib/command-factory');
 
 const COMMANDS_DIR = path.join(__dirname, '../src/commands');
+const CONFIG = require('../config/commands.json');
+
+/**
+ * Categories are enabled unless config/commands.json switches them off
+ */
+function isCategoryEnabled(category) {
+  const settings = CONFIG.commandGeneration.categories[category];
+  return !settings || settings.enabled !== false;
+}
 
 /**
  * Generate a standard command file
@@ -259,11 +269,8 @@ ${config.examples.map(ex => `    '${ex}'`).join(',\n')}
       console.log(JSON.stringify(documents, null, 2));
     } else {
       console.log(JSON.stringify(documents.slice(0, BATCH_SIZE), null, 2));
-      console.log(chalk.yellow(\`\\nShowing \${BATCH_SIZE} of \${documents.length} documents\`));
-      console.log(chalk.blue('Type "it" for more'));
-      
-      // TODO: Implement cursor continuation
-      // This would require maintaining cursor state between commands
+      // Generated commands run once, so there is no cursor to continue
+      console.log(chalk.yellow(\`\\nShowing \${BATCH_SIZE} of \${documents.length} documents; narrow the filter to see the rest\`));
     }
   }` : ''}
 
@@ -281,6 +288,97 @@ module.exports = ${className};
 `;
 }
 
+/**
+ * Generate the aggregate command. Unlike the templated collection
+ * operations this runs against MongoDB through the connection manager,
+ * streaming results from the cursor and reporting $out/$merge targets.
+ */
+function generateAggregateCommand(config) {
+  return `/**
+ * Auto-generated collection operation: aggregate
+ * Generated from CommandFactory configuration
+ * Category: ${config.category}
+ * MVP: ${config.mvp}
+ * Supports: db.<collection>.aggregate(pipeline, options)
+ */
+
+const chalk = require('chalk');
+const { BaseCommand } = require('../lib/base-command');
+const { connectionManager } = require('../lib/connection-manager');
+const { CliError } = require('../lib/errors');
+const { OperationParser } = require('../lib/operation-parser');
+
+class DbAggregate extends BaseCommand {
+  static description = '${config.description} - Collection operation';
+  
+  static examples = [
+${config.examples.map(ex => `    '${ex}'`).join(',\n')}
+  ];
+  
+  static strict = false; // Allow flexible arguments for collection operations
+
+  async run() {
+    const { argv } = await this.parse(DbAggregate);
+    
+    if (argv.length === 0) {
+      throw new CliError('Please provide a collection operation', 'usage', {
+        hint: 'Example: aio app db orders.aggregate([{$match: {...}}], {allowDiskUse: true})',
+      });
+    }
+
+    this.operation = argv.join(' ');
+
+    let parsed;
+    try {
+      parsed = OperationParser.parse(this.operation);
+      OperationParser.validate(parsed);
+    } catch (error) {
+      throw new CliError(error.message, 'parse', { hint: 'Operations look like collection.aggregate(pipeline)' });
+    }
+
+    if (parsed.method !== 'aggregate') {
+      throw new CliError(\`Expected aggregate operation, got: \${parsed.method}\`, 'usage');
+    }
+
+    await connectionManager.ensureConnected();
+    await this.executeAggregate(parsed);
+  }
+
+  async executeAggregate(parsed) {
+    const [pipeline, options = {}] = parsed.arguments;
+    const collection = connectionManager.getCollection(parsed.collection);
+    
+    // Print documents as they arrive instead of buffering them with toArray()
+    let count = 0;
+    for await (const doc of collection.aggregate(pipeline, options)) {
+      console.log(JSON.stringify(doc, null, 2));
+      count++;
+    }
+    
+    const last = pipeline[pipeline.length - 1];
+    const target = last?.$out ?? (typeof last?.$merge === 'object' ? last.$merge.into : last?.$merge);
+    if (!target) {
+      console.log(chalk.green(\`Aggregation returned \${count} document(s)\`));
+      return;
+    }
+    
+    const dbName = (typeof target === 'object' && target.db) || collection.dbName;
+    const collName = typeof target === 'object' ? target.coll : target;
+    // The server does not report how many documents the stage wrote
+    const total = await connectionManager.client.db(dbName).collection(collName).estimatedDocumentCount();
+    console.log(chalk.green(\`Aggregation results written to \${dbName}.\${collName}, which now holds \${total} document(s)\`));
+  }
+}
+
+module.exports = DbAggregate;
+`;
+}
+
+// Operations whose generated command has a real implementation
+const CUSTOM_GENERATORS = {
+  aggregate: generateAggregateCommand,
+};
+
 /**
  * Helper functions for code generation
  */
@@ -350,8 +448,8 @@ function generateMockResponseData(operationName) {
     updateMany: 'modifiedCount: 5',
     deleteOne: 'deletedCount: 1',
     deleteMany: 'deletedCount: 3',
-    find: 'documents: [{...}]',
-    findOne: 'document: {...}',
+    find: 'documents: []',
+    findOne: 'document: {}',
     countDocuments: 'count: 42'
   };
   
@@ -381,12 +479,12 @@ function generateErrorHints(operationName) {
 }
 
 /**
- * Main generation logic
+ * Main generation logic. Writes to src/commands unless given another directory.
  */
-function generateAllCommands() {
+function generateAllCommands(commandsDir = COMMANDS_DIR) {
   // Ensure commands directory exists
-  if (!fs.existsSync(COMMANDS_DIR)) {
-    fs.mkdirSync(COMMANDS_DIR, { recursive: true });
+  if (!fs.existsSync(commandsDir)) {
+    fs.mkdirSync(commandsDir, { recursive: true });
   }
 
   console.log(chalk.blue('🏭 Generating commands from factory configuration...\n'));
@@ -396,8 +494,13 @@ function generateAllCommands() {
   // Generate standard commands
   console.log(chalk.yellow('📝 Standard Commands:'));
   Object.entries(COMMAND_REGISTRY).forEach(([name, config]) => {
+    if (!isCategoryEnabled(config.category)) {
+      console.log(chalk.gray(`  ⏭️  ${name} (category ${config.category} disabled)`));
+      return;
+    }
+
     const filename = `${name}.js`;
-    const filepath = path.join(COMMANDS_DIR, filename);
+    const filepath = path.join(commandsDir, filename);
     const content = generateStandardCommand(name, config);
     
     fs.writeFileSync(filepath, content);
@@ -408,9 +511,14 @@ function generateAllCommands() {
   // Generate collection operation commands
   console.log(chalk.yellow('\n🗃️  Collection Operations:'));
   Object.entries(COLLECTION_OPERATIONS).forEach(([name, config]) => {
+    if (!isCategoryEnabled(config.category)) {
+      console.log(chalk.gray(`  ⏭️  db-${name}.js (category ${config.category} disabled)`));
+      return;
+    }
+
     const filename = `db-${name}.js`;
-    const filepath = path.join(COMMANDS_DIR, filename);
-    const content = generateCollectionCommand(name, config);
+    const filepath = path.join(commandsDir, filename);
+    const content = CUSTOM_GENERATORS[name] ? CUSTOM_GENERATORS[name](config) : generateCollectionCommand(name, config);
     
     fs.writeFileSync(filepath, content);
     console.log(chalk.green(`  ✅ ${filename} ${config.mvp ? '(MVP)' : ''}`));
@@ -418,7 +526,7 @@ function generateAllCommands() {
   });
 
   console.log(chalk.blue(`\n🎉 Generated ${generatedCount} commands successfully!`));
-  console.log(chalk.gray(`Commands saved to: ${COMMANDS_DIR}`));
+  console.log(chalk.gray(`Commands saved to: ${commandsDir}`));
   
   // Generate summary
   const mvpCount = Object.values(COMMAND_REGISTRY).filter(c => c.mvp).length + 
@@ -459,5 +567,6 @@ Examples:
 module.exports = {
   generateStandardCommand,
   generateCollectionCommand,
+  generateAggregateCommand,
   generateAllCommands
 }; 
\ No newline at end of file
@@ -1,7 +1,8 @@
-const { Args, Command } = require('@oclif/core');
+const { Args } = require('@oclif/core');
+const { BaseCommand } = require('../lib/base-command');
 const { connectionManager } = require('../lib/connection-manager');
 
-class Connect extends Command {
+class Connect extends BaseCommand {
   static description = 'Connect to MongoDB database';
 
   static examples = [
@@ -19,15 +20,7 @@ class Connect extends Command {
   async run() {
     const { args } = await this.parse(Connect);
     
-    try {
-      const success = await connectionManager.connect(args.connectionString);
-      if (!success) {
-        process.exit(1);
-      }
-    } catch (error) {
-      console.error(`Connection error: ${error.message}`);
-      process.exit(1);
-    }
+    await connectionManager.connect(args.connectionString);
   }
 }
 
@@ -1,9 +1,12 @@
-const { Command } = require('@oclif/core');
+const { MongoBulkWriteError } = require('mongodb');
+const { BaseCommand } = require('../lib/base-command');
 const { connectionManager } = require('../lib/connection-manager');
+const { CliError } = require('../lib/errors');
+const { logger } = require('../lib/logger');
 const { OperationParser } = require('../lib/operation-parser');
 const chalk = require('chalk');
 
-class Db extends Command {
+class Db extends BaseCommand {
   static description = 'Execute database operations';
 
   static examples = [
@@ -11,6 +14,10 @@ class Db extends Command {
     '<%= config.bin %> <%= command.id %> movies.find({"year":1999})',
     '<%= config.bin %> <%= command.id %> users.updateOne({"name":"John"},{"$set":{"age":30}})',
     '<%= config.bin %> <%= command.id %> posts.deleteMany({"published":false})',
+    '<%= config.bin %> <%= command.id %> "users.find({age: {$gte: 18}, name: \'John\'})"',
+    '<%= config.bin %> <%= command.id %> "counters.findOneAndUpdate({_id: \'orders\'}, {$inc: {seq: 1}}, {upsert: true, returnDocument: \'after\'})"',
+    '<%= config.bin %> <%= command.id %> "users.bulkWrite([{insertOne: {document: {name: \'Ann\'}}}, {deleteMany: {filter: {active: false}}}], {ordered: false})"',
+    '<%= config.bin %> <%= command.id %> "orders.aggregate([{$group: {_id: \'$cust_id\', total: {$sum: \'$amount\'}}}], {allowDiskUse: true})"',
   ];
 
   static strict = false;
@@ -19,33 +26,31 @@ class Db extends Command {
     const { argv } = await this.parse(Db);
     
     if (argv.length === 0) {
-      console.error(chalk.red('Error: Please provide a database operation'));
-      console.log('Example: mongosh-clone-js db movies.find({"year": 1999})');
-      process.exit(1);
+      throw new CliError('Please provide a database operation', 'usage', {
+        hint: 'Example: mongosh-clone-js db movies.find({"year": 1999})',
+      });
     }
 
-    const operation = argv.join(' ');
-    
-    try {
-      // Ensure we're connected to MongoDB
-      await connectionManager.ensureConnected();
-      
-      // Parse and execute the operation
-      await this.executeOperation(operation);
-    } catch (error) {
-      console.error(chalk.red(`Error: ${error.message}`));
-      process.exit(1);
-    }
+    this.operation = argv.join(' ');
+    await this.executeOperation(this.operation);
   }
 
   async executeOperation(operation) {
-    console.log(`Debug - Original operation: "${operation}"`);
+    logger.debug(`Operation: ${operation}`);
     
     // Use the robust parser instead of regex
-    const parsed = OperationParser.parse(operation);
-    OperationParser.validate(parsed);
+    let parsed;
+    try {
+      parsed = OperationParser.parse(operation);
+      OperationParser.validate(parsed);
+    } catch (error) {
+      throw new CliError(error.message, 'parse', { hint: 'Operations look like collection.method(args)' });
+    }
     
-    console.log(`Debug - Parsed operation:`, parsed);
+    logger.debug(`Parsed operation ${parsed.method}`, { collection: parsed.collection, arguments: parsed.arguments });
+
+    // Connect only once the operation is known to be valid
+    await connectionManager.ensureConnected();
     
     const { collection: collectionName, method, arguments: args } = parsed;
     
@@ -81,6 +86,26 @@ class Db extends Command {
         console.log(JSON.stringify(result, null, 2));
         break;
 
+      case 'aggregate': {
+        const [pipeline, options = {}] = args;
+        // Print documents as they arrive instead of buffering them with toArray()
+        let count = 0;
+        for await (const doc of collection.aggregate(pipeline, options)) {
+          console.log(JSON.stringify(doc, null, 2));
+          count++;
+        }
+
+        const target = this.outputNamespace(pipeline, collection.dbName);
+        if (target) {
+          // The server does not report how many documents the stage wrote
+          const total = await connectionManager.client.db(target.db).collection(target.coll).estimatedDocumentCount();
+          console.log(chalk.green(`Aggregation results written to ${target.db}.${target.coll}, which now holds ${total} document(s)`));
+        } else {
+          console.log(chalk.green(`Aggregation returned ${count} document(s)`));
+        }
+        break;
+      }
+
       case 'findOne':
         const findOneQuery = args[0] || {};
         const findOneProjection = args[1] || undefined;
@@ -140,10 +165,148 @@ class Db extends Command {
         console.log(chalk.green(`Collection '${collectionName}' dropped`));
         break;
 
+      case 'findOneAndUpdate':
+      case 'findOneAndReplace': {
+        if (args.length < 2) {
+          throw new Error(`${method} requires filter and ${method === 'findOneAndUpdate' ? 'update' : 'replacement'} arguments`);
+        }
+
+        const { returnNewDocument, ...modifyOptions } = args[2] || {};
+        // mongosh's legacy returnNewDocument flag maps onto the driver's returnDocument
+        if (returnNewDocument !== undefined && modifyOptions.returnDocument === undefined) {
+          modifyOptions.returnDocument = returnNewDocument ? 'after' : 'before';
+        }
+
+        result = await collection[method](args[0], args[1], { ...modifyOptions, includeResultMetadata: false });
+        if (result) {
+          const action = method === 'findOneAndUpdate' ? 'update' : 'replacement';
+          console.log(chalk.green(`Document ${modifyOptions.returnDocument === 'after' ? 'after' : 'before'} ${action}:`));
+          console.log(JSON.stringify(result, null, 2));
+        } else if (modifyOptions.upsert) {
+          console.log(chalk.green('No document matched; a new one was upserted'));
+        } else {
+          console.log(chalk.yellow('No document matched'));
+        }
+        break;
+      }
+
+      case 'findOneAndDelete':
+        if (args.length < 1) {
+          throw new Error('findOneAndDelete requires a filter argument');
+        }
+        result = await collection.findOneAndDelete(args[0], { ...args[1], includeResultMetadata: false });
+        if (result) {
+          console.log(chalk.green('Deleted document:'));
+          console.log(JSON.stringify(result, null, 2));
+        } else {
+          console.log(chalk.yellow('No document matched'));
+        }
+        break;
+
+      case 'replaceOne':
+        if (args.length < 2) {
+          throw new Error('replaceOne requires filter and replacement arguments');
+        }
+        result = await collection.replaceOne(args[0], args[1], args[2] || {});
+        console.log(chalk.green(`Replaced ${result.modifiedCount} document(s)`));
+        console.log(JSON.stringify(result, null, 2));
+        break;
+
+      case 'distinct':
+        if (typeof args[0] !== 'string' || !args[0]) {
+          throw new Error('distinct requires a field name');
+        }
+        result = await collection.distinct(args[0], args[1] || {}, args[2] || {});
+        console.log(chalk.green(`${result.length} distinct value(s) for '${args[0]}':`));
+        console.log(JSON.stringify(result, null, 2));
+        break;
+
+      case 'count':
+        result = await collection.count(args[0] || {}, args[1] || {});
+        console.log(chalk.green(`Count: ${result}`));
+        break;
+
+      case 'estimatedDocumentCount':
+        result = await collection.estimatedDocumentCount(args[0] || {});
+        console.log(chalk.green(`Estimated count: ${result}`));
+        break;
+
+      case 'bulkWrite':
+        await this.bulkWrite(collection, args[0], args[1] || {});
+        break;
+
       default:
         throw new Error(`Unsupported operation: ${method}`);
     }
   }
+
+  /**
+   * Runs a bulkWrite and prints the outcome of every operation: inserted
+   * or upserted ids, the error for failed ones and, for ordered writes,
+   * which operations never ran after the first failure.
+   */
+  async bulkWrite(collection, operations, options) {
+    let bulk;
+    let errors = [];
+    let failure;
+    try {
+      bulk = await collection.bulkWrite(operations, options);
+    } catch (error) {
+      if (!(error instanceof MongoBulkWriteError)) {
+        throw error;
+      }
+
+      failure = error;
+      bulk = error.result;
+      errors = Array.isArray(error.writeErrors) ? error.writeErrors : [error.writeErrors];
+    }
+
+    const ordered = options.ordered !== false;
+    const firstError = errors.length > 0 ? Math.min(...errors.map(error => error.index)) : Number.POSITIVE_INFINITY;
+    operations.forEach((operation, index) => {
+      const type = Object.keys(operation)[0];
+      const error = errors.find(writeError => writeError.index === index);
+      let outcome = chalk.green('ok');
+      if (error) {
+        outcome = chalk.red(`failed: ${error.errmsg} (code ${error.code})`);
+      } else if (ordered && index > firstError) {
+        outcome = chalk.gray('not executed');
+      } else if (type === 'insertOne' && bulk.insertedIds[index] !== undefined) {
+        outcome = chalk.green(`inserted ${bulk.insertedIds[index]}`);
+      } else if (bulk.upsertedIds[index] !== undefined) {
+        outcome = chalk.green(`upserted ${bulk.upsertedIds[index]}`);
+      }
+
+      console.log(`  #${index} ${type.padEnd(10)} ${outcome}`);
+    });
+
+    console.log(chalk.green(
+      `Inserted ${bulk.insertedCount}, matched ${bulk.matchedCount}, modified ${bulk.modifiedCount}, ` +
+      `deleted ${bulk.deletedCount}, upserted ${bulk.upsertedCount}`,
+    ));
+
+    if (failure) {
+      throw new Error(`bulkWrite failed: ${errors.length > 0 ? `${errors.length} operation(s) failed` : failure.message}`, { cause: failure });
+    }
+  }
+
+  /**
+   * Target of a trailing `$out` or `$merge` stage, which may name the
+   * collection directly or as `{db, coll}`
+   */
+  outputNamespace(pipeline, defaultDb) {
+    const last = pipeline[pipeline.length - 1];
+    const target = last?.$out ?? (typeof last?.$merge === 'object' ? last.$merge.into : last?.$merge);
+    if (!target) {
+      return undefined;
+    }
+
+    if (typeof target === 'string') {
+      return { db: defaultDb, coll: target };
+    }
+
+    return { db: target.db ?? defaultDb, coll: target.coll };
+  }
 }
 
 module.exports = Db; 
\ No newline at end of file
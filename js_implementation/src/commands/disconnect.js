@@ -1,7 +1,7 @@
-const { Command } = require('@oclif/core');
+const { BaseCommand } = require('../lib/base-command');
 const { connectionManager } = require('../lib/connection-manager');
 
-class Disconnect extends Command {
+class Disconnect extends BaseCommand {
   static description = 'Disconnect from MongoDB and exit';
 
   static aliases = ['exit', 'quit'];
@@ -13,14 +13,9 @@ class Disconnect extends Command {
   ];
 
   async run() {
-    try {
-      await connectionManager.disconnect();
-      console.log('Goodbye! 👋');
-      process.exit(0);
-    } catch (error) {
-      console.error(`Disconnect error: ${error.message}`);
-      process.exit(1);
-    }
+    await connectionManager.disconnect();
+    console.log('Goodbye! 👋');
+    process.exit(0);
   }
 }
 
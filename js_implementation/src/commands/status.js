@@ -1,8 +1,8 @@
-const { Command } = require('@oclif/core');
+const { BaseCommand } = require('../lib/base-command');
 const { connectionManager } = require('../lib/connection-manager');
 const chalk = require('chalk');
 
-class Status extends Command {
+class Status extends BaseCommand {
   static description = 'Show connection status';
 
   static examples = [
@@ -1,8 +1,8 @@
-const { Args, Command } = require('@oclif/core');
+const { Args } = require('@oclif/core');
+const { BaseCommand } = require('../lib/base-command');
 const { connectionManager } = require('../lib/connection-manager');
-const chalk = require('chalk');
 
-class Use extends Command {
+class Use extends BaseCommand {
   static description = 'Switch to a database';
 
   static examples = [
@@ -19,13 +19,8 @@ class Use extends Command {
 
   async run() {
     const { args } = await this.parse(Use);
-    
-    try {
-      connectionManager.useDatabase(args.database);
-    } catch (error) {
-      console.error(chalk.red(`Error: ${error.message}`));
-      process.exit(1);
-    }
+    this.operation = `use ${args.database}`;
+    connectionManager.useDatabase(args.database);
   }
 }
 
@@ -0,0 +1,64 @@
+const { Command, Errors, Flags } = require('@oclif/core');
+const chalk = require('chalk');
+const { describeError } = require('./errors');
+const { logger } = require('./logger');
+
+/**
+ * Base class of every command: adds `--verbose` and `--quiet` on top of
+ * the configured logging level, and `--json` for failures. Commands throw
+ * on failure; `catch` reports the error and exits with its EXIT_CODES code.
+ */
+class BaseCommand extends Command {
+  // Lets jsonEnabled() see --json even when parsing the other flags fails
+  static enableJsonFlag = true;
+
+  static baseFlags = {
+    json: Flags.boolean({
+      description: 'on failure, print a JSON object with code, codeName, message, operation and hint',
+    }),
+    verbose: Flags.boolean({
+      char: 'v',
+      description: 'log debug details, including driver commands when logging.commandMonitoring is on',
+      exclusive: ['quiet'],
+    }),
+    quiet: Flags.boolean({
+      char: 'q',
+      description: 'log errors only',
+      exclusive: ['verbose'],
+    }),
+  };
+
+  async init() {
+    await super.init();
+    const { flags } = await this.parse(this.ctor);
+
+    if (flags.verbose) {
+      logger.configure({ level: 'debug' });
+    } else if (flags.quiet) {
+      logger.configure({ level: 'error' });
+    }
+
+    logger.debug(`Running ${this.id}`, { argv: this.argv });
+  }
+
+  async catch(error) {
+    if (error instanceof Errors.ExitError) {
+      throw error;
+    }
+
+    // `operation` is set by commands that know what they were running
+    const envelope = describeError(error, this.operation ?? this.id ?? '');
+    if (this.jsonEnabled()) {
+      console.log(JSON.stringify(envelope, null, 2));
+    } else {
+      console.error(chalk.red(`Error: ${envelope.message}`));
+      if (envelope.hint && !error.oclif) {
+        console.error(chalk.yellow(envelope.hint));
+      }
+    }
+
+    process.exit(envelope.code);
+  }
+}
+
+module.exports = { BaseCommand };
@@ -0,0 +1,213 @@
+/**
+ * Command Factory
+ * Registry of the commands scripts/generate-commands.js generates, by
+ * category, so that a new command is a configuration entry rather than a
+ * hand-written file. Categories match config/commands.json, which can
+ * switch them off. Commands written by hand in src/commands, such as
+ * connect, status and db, are not listed, so generating never replaces them.
+ */
+
+const COMMAND_CATEGORIES = {
+  PROVISIONING: 'provisioning',
+  CONNECTION: 'connection',
+  COLLECTION_MANAGEMENT: 'collection_management',
+  SINGLE_DOC: 'single_document',
+  MULTI_DOC: 'multi_document',
+  CURSOR: 'cursor',
+  INDEX_MANAGEMENT: 'index_management',
+  AGGREGATE: 'aggregate',
+};
+
+/**
+ * Standard commands: `aio app db <command> [args]`
+ */
+const COMMAND_REGISTRY = {
+  provision: {
+    category: COMMAND_CATEGORIES.PROVISIONING,
+    description: 'Request database provisioning',
+    requiresConnection: false,
+    args: [{ name: 'region', description: 'Region to provision in', required: false }],
+    libMethod: 'abdb.provision',
+    mvp: true,
+    examples: ['aio app db provision', 'aio app db provision us-east-1'],
+  },
+  ping: {
+    category: COMMAND_CATEGORIES.PROVISIONING,
+    description: 'Test ABDB service connectivity',
+    requiresConnection: false,
+    args: [],
+    libMethod: 'abdb.ping',
+    mvp: true,
+    examples: ['aio app db ping'],
+  },
+  dbStats: {
+    category: COMMAND_CATEGORIES.CONNECTION,
+    description: 'Show database statistics',
+    requiresConnection: true,
+    args: [],
+    libMethod: 'db.stats',
+    mvp: true,
+    examples: ['aio app db dbStats'],
+  },
+  getCollectionNames: {
+    category: COMMAND_CATEGORIES.CONNECTION,
+    description: 'List collections',
+    requiresConnection: true,
+    args: [],
+    libMethod: 'db.listCollections',
+    mvp: true,
+    examples: ['aio app db getCollectionNames'],
+  },
+  createCollection: {
+    category: COMMAND_CATEGORIES.COLLECTION_MANAGEMENT,
+    description: 'Create a collection',
+    requiresConnection: true,
+    args: [{ name: 'name', description: 'Collection name', required: true }],
+    libMethod: 'db.createCollection',
+    mvp: false,
+    examples: ['aio app db createCollection users'],
+  },
+};
+
+/**
+ * Collection operations: `aio app db db.<collection>.<operation>(args)`
+ */
+const COLLECTION_OPERATIONS = {
+  insertOne: {
+    category: COMMAND_CATEGORIES.SINGLE_DOC,
+    description: 'Insert a single document',
+    args: [{ name: 'document', description: 'Document to insert (JSON)', required: true, parser: 'json' }],
+    libMethod: 'collection.insertOne',
+    mvp: true,
+    examples: ['db.users.insertOne({"name": "John"})'],
+  },
+  findOne: {
+    category: COMMAND_CATEGORIES.SINGLE_DOC,
+    description: 'Find a single document',
+    args: [{ name: 'filter', description: 'Filter criteria (JSON)', required: false, parser: 'json' }],
+    libMethod: 'collection.findOne',
+    mvp: true,
+    examples: ['db.users.findOne({"name": "John"})'],
+  },
+  updateOne: {
+    category: COMMAND_CATEGORIES.SINGLE_DOC,
+    description: 'Update a single document',
+    args: [
+      { name: 'filter', description: 'Filter criteria (JSON)', required: true, parser: 'json' },
+      { name: 'update', description: 'Update operations (JSON)', required: true, parser: 'json' },
+    ],
+    libMethod: 'collection.updateOne',
+    mvp: true,
+    examples: ['db.users.updateOne({"name": "John"}, {"$set": {"age": 30}})'],
+  },
+  deleteOne: {
+    category: COMMAND_CATEGORIES.SINGLE_DOC,
+    description: 'Delete a single document',
+    args: [{ name: 'filter', description: 'Filter criteria (JSON)', required: true, parser: 'json' }],
+    libMethod: 'collection.deleteOne',
+    mvp: true,
+    examples: ['db.users.deleteOne({"name": "John"})'],
+  },
+  insertMany: {
+    category: COMMAND_CATEGORIES.MULTI_DOC,
+    description: 'Insert multiple documents',
+    args: [{ name: 'documents', description: 'Documents to insert (JSON array)', required: true, parser: 'json' }],
+    libMethod: 'collection.insertMany',
+    mvp: true,
+    examples: ['db.users.insertMany([{"name": "John"}, {"name": "Jane"}])'],
+  },
+  updateMany: {
+    category: COMMAND_CATEGORIES.MULTI_DOC,
+    description: 'Update multiple documents',
+    args: [
+      { name: 'filter', description: 'Filter criteria (JSON)', required: true, parser: 'json' },
+      { name: 'update', description: 'Update operations (JSON)', required: true, parser: 'json' },
+    ],
+    libMethod: 'collection.updateMany',
+    mvp: true,
+    examples: ['db.users.updateMany({"active": false}, {"$set": {"archived": true}})'],
+  },
+  deleteMany: {
+    category: COMMAND_CATEGORIES.MULTI_DOC,
+    description: 'Delete multiple documents',
+    args: [{ name: 'filter', description: 'Filter criteria (JSON)', required: true, parser: 'json' }],
+    libMethod: 'collection.deleteMany',
+    mvp: true,
+    examples: ['db.users.deleteMany({"active": false})'],
+  },
+  find: {
+    category: COMMAND_CATEGORIES.CURSOR,
+    description: 'Find documents',
+    args: [
+      { name: 'filter', description: 'Filter criteria (JSON)', required: false, parser: 'json' },
+      { name: 'projection', description: 'Fields to return (JSON)', required: false, parser: 'json' },
+    ],
+    libMethod: 'collection.find',
+    mvp: true,
+    supportsCursor: true,
+    examples: ['db.users.find({"age": {"$gte": 18}})'],
+  },
+  createIndex: {
+    category: COMMAND_CATEGORIES.INDEX_MANAGEMENT,
+    description: 'Create an index',
+    args: [
+      { name: 'keys', description: 'Index key pattern (JSON)', required: true, parser: 'json' },
+      { name: 'options', description: 'Index options (JSON)', required: false, parser: 'json' },
+    ],
+    libMethod: 'collection.createIndex',
+    mvp: true,
+    examples: ['db.users.createIndex({"email": 1}, {"unique": true})'],
+  },
+  getIndexes: {
+    category: COMMAND_CATEGORIES.INDEX_MANAGEMENT,
+    description: 'List indexes',
+    args: [],
+    libMethod: 'collection.indexes',
+    mvp: true,
+    examples: ['db.users.getIndexes()'],
+  },
+  aggregate: {
+    category: COMMAND_CATEGORIES.AGGREGATE,
+    description: 'Run an aggregation pipeline',
+    args: [
+      { name: 'pipeline', description: 'Pipeline stages (JSON array)', required: true, parser: 'json' },
+      { name: 'options', description: 'Aggregation options (JSON)', required: false, parser: 'json' },
+    ],
+    libMethod: 'collection.aggregate',
+    mvp: false,
+    examples: ['db.orders.aggregate([{"$group": {"_id": "$status", "total": {"$sum": "$amount"}}}])'],
+  },
+  countDocuments: {
+    category: COMMAND_CATEGORIES.AGGREGATE,
+    description: 'Count matching documents',
+    args: [{ name: 'filter', description: 'Filter criteria (JSON)', required: false, parser: 'json' }],
+    libMethod: 'collection.countDocuments',
+    mvp: false,
+    examples: ['db.users.countDocuments({"active": true})'],
+  },
+};
+
+class CommandFactory {
+  /**
+   * Standard commands and collection operations marked as MVP, by name
+   */
+  static getMVPCommands() {
+    return CommandFactory.filter(config => config.mvp);
+  }
+
+  /**
+   * Standard commands and collection operations in `category`, by name
+   */
+  static getCommandsByCategory(category) {
+    return CommandFactory.filter(config => config.category === category);
+  }
+
+  static filter(predicate) {
+    return {
+      commands: Object.fromEntries(Object.entries(COMMAND_REGISTRY).filter(([, config]) => predicate(config))),
+      operations: Object.fromEntries(Object.entries(COLLECTION_OPERATIONS).filter(([, config]) => predicate(config))),
+    };
+  }
+}
+
+module.exports = { CommandFactory, COMMAND_CATEGORIES, COMMAND_REGISTRY, COLLECTION_OPERATIONS };
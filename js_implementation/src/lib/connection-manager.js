@@ -0,0 +1,215 @@
+const { MongoClient } = require('mongodb');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const chalk = require('chalk');
+const { CliError } = require('./errors');
+const { logger, redactCredentials } = require('./logger');
+const { secrets, splitPassword, withPassword } = require('./secrets');
+
+const CONFIG_FILE = path.join(os.homedir(), '.mongosh-clone-js-config.json');
+
+// Name of the saved connection's password in the secret store
+const CONNECTION_SECRET = 'connection';
+
+/**
+ * Singleton that owns the MongoDB client and persists the connection
+ * string and current database between CLI invocations.
+ */
+class ConnectionManager {
+  constructor() {
+    this.client = null;
+    this.currentDb = null;
+    this.connectionString = null;
+    this.lastConnection = null;
+    this.loadConfig();
+  }
+
+  loadConfig() {
+    try {
+      if (fs.existsSync(CONFIG_FILE)) {
+        const config = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+        this.currentDb = config.currentDb || null;
+        this.connectionString = config.connectionString || null;
+        this.lastConnection = config.lastConnection || null;
+      }
+    } catch (error) {
+      logger.warn(`Could not read ${CONFIG_FILE}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Saves the connection string without its password, which goes to the
+   * secret store
+   */
+  saveConfig() {
+    const config = {
+      currentDb: this.currentDb,
+      connectionString: this.connectionString,
+      lastConnection: this.lastConnection,
+    };
+    fs.writeFileSync(CONFIG_FILE, JSON.stringify(config, null, 2), { mode: 0o600 });
+    // The mode only applies to new files; older versions created it readable by all
+    fs.chmodSync(CONFIG_FILE, 0o600);
+  }
+
+  /**
+   * Moves a password that older versions saved with the connection string
+   * into the secret store. When the store cannot be opened, e.g. without
+   * its passphrase, the password stays where it is for now.
+   */
+  migratePassword() {
+    const { uri, password } = splitPassword(this.connectionString ?? '');
+    if (password === undefined || !this.storePassword(password)) {
+      return;
+    }
+
+    this.connectionString = uri;
+    this.saveConfig();
+  }
+
+  /**
+   * Saves the connection's password, or removes it when `password` is
+   * undefined. Failures are logged rather than thrown, since the
+   * connection itself works without the secret store.
+   */
+  storePassword(password) {
+    try {
+      secrets.set(CONNECTION_SECRET, password);
+      return true;
+    } catch (error) {
+      logger.warn(`Cannot update the saved password: ${error.message}`, { hint: error.hint });
+      return false;
+    }
+  }
+
+  async connect(connectionString) {
+    try {
+      if (this.client) {
+        await this.client.close();
+      }
+
+      console.log(chalk.blue(`Connecting to ${redactCredentials(connectionString)}...`));
+      this.client = this.createClient(connectionString);
+      await this.client.connect();
+      await this.client.db('admin').command({ ping: 1 });
+
+      const { uri, password } = splitPassword(connectionString);
+      this.connectionString = uri;
+      this.lastConnection = new Date().toISOString();
+
+      const uriDb = this.client.db().databaseName;
+      if (uriDb && uriDb !== 'test') {
+        this.currentDb = uriDb;
+      }
+
+      this.saveConfig();
+      this.storePassword(password);
+      console.log(chalk.green('✅ Connected to MongoDB'));
+    } catch (error) {
+      logger.debug('Connection failed', { error: error.message });
+      await this.client?.close().catch(() => undefined);
+      this.client = null;
+      throw new CliError(`Failed to connect: ${error.message}`, 'notConnected', { cause: error });
+    }
+  }
+
+  async ensureConnected() {
+    if (this.client) {
+      return;
+    }
+
+    if (!this.connectionString) {
+      throw new CliError('Not connected to MongoDB', 'notConnected', { hint: 'Run "mongosh-clone-js connect <uri>" first' });
+    }
+
+    this.migratePassword();
+    logger.debug('Reconnecting with the saved connection string');
+    // A password that could not be migrated is still in the string
+    const password = splitPassword(this.connectionString).password === undefined ? secrets.get(CONNECTION_SECRET) : undefined;
+    this.client = this.createClient(password === undefined ? this.connectionString : withPassword(this.connectionString, password));
+    await this.client.connect();
+  }
+
+  /**
+   * New client for `connectionString`, logging driver commands when
+   * logging.commandMonitoring is on
+   */
+  createClient(connectionString) {
+    const monitorCommands = logger.settings.commandMonitoring;
+    const client = new MongoClient(connectionString, { monitorCommands });
+    logger.debug(`Connecting to ${connectionString}`);
+    if (monitorCommands) {
+      client.on('commandStarted', event => {
+        logger.debug(`Command ${event.commandName} started on ${event.databaseName}`, {
+          requestId: event.requestId,
+          command: event.command,
+        });
+      });
+      client.on('commandSucceeded', event => {
+        logger.debug(`Command ${event.commandName} succeeded in ${event.duration} ms`, { requestId: event.requestId });
+      });
+      client.on('commandFailed', event => {
+        logger.warn(`Command ${event.commandName} failed in ${event.duration} ms: ${event.failure.message}`, {
+          requestId: event.requestId,
+        });
+      });
+    }
+
+    return client;
+  }
+
+  async disconnect() {
+    if (this.client) {
+      await this.client.close();
+      this.client = null;
+      logger.debug('Connection closed');
+    }
+
+    this.connectionString = null;
+    this.currentDb = null;
+    if (fs.existsSync(CONFIG_FILE)) {
+      fs.unlinkSync(CONFIG_FILE);
+    }
+
+    this.storePassword();
+  }
+
+  useDatabase(dbName) {
+    if (!dbName || /[/\\. "$*<>:|?]/.test(dbName)) {
+      throw new CliError(`Invalid database name: "${dbName}"`, 'usage', { hint: 'Database names cannot contain /\\. "$*<>:|?' });
+    }
+
+    this.currentDb = dbName;
+    this.saveConfig();
+    console.log(chalk.green(`switched to db ${dbName}`));
+  }
+
+  getDatabase() {
+    if (!this.client) {
+      throw new CliError('Not connected to MongoDB', 'notConnected', { hint: 'Run "mongosh-clone-js connect <uri>" first' });
+    }
+
+    if (!this.currentDb) {
+      throw new CliError('No database selected', 'notConnected', { hint: 'Run "mongosh-clone-js use <database>" first' });
+    }
+
+    return this.client.db(this.currentDb);
+  }
+
+  getCollection(collectionName) {
+    return this.getDatabase().collection(collectionName);
+  }
+
+  getStatus() {
+    return {
+      connected: this.client !== null || this.connectionString !== null,
+      database: this.currentDb,
+      lastConnection: this.lastConnection || 'Never',
+    };
+  }
+}
+
+const connectionManager = new ConnectionManager();
+
+module.exports = { connectionManager, ConnectionManager };
@@ -0,0 +1,146 @@
+const {
+  MongoError,
+  MongoInvalidArgumentError,
+  MongoMissingCredentialsError,
+  MongoNetworkError,
+  MongoNetworkTimeoutError,
+  MongoServerError,
+  MongoServerSelectionError,
+} = require('mongodb');
+const { redactCredentials } = require('./logger');
+
+/**
+ * Process exit codes by kind of failure; anything unclassified exits with 1
+ */
+const EXIT_CODES = {
+  general: 1,
+  usage: 2,
+  parse: 3,
+  notConnected: 4,
+  auth: 5,
+  server: 6,
+  writeConflict: 7,
+  timeout: 8,
+};
+
+const CODE_NAMES = {
+  general: 'Error',
+  usage: 'UsageError',
+  parse: 'ParseError',
+  notConnected: 'NotConnected',
+  auth: 'AuthenticationFailed',
+  server: 'ServerError',
+  writeConflict: 'WriteConflict',
+  timeout: 'Timeout',
+};
+
+const DEFAULT_HINTS = {
+  usage: 'Run the command with --help for its arguments and flags',
+  notConnected: 'Run "mongosh-clone-js connect <uri>" first',
+  auth: 'Check the username, password and authSource in the connection string',
+  timeout: 'Check that the server is running and reachable, or raise maxTimeMS',
+};
+
+const AUTH_CODES = new Set([13, 18]); // Unauthorized, AuthenticationFailed
+const WRITE_CONFLICT_CODES = new Set([11000, 11001, 112]); // DuplicateKey, WriteConflict
+const TIMEOUT_CODES = new Set([50, 89, 262]); // MaxTimeMSExpired, NetworkTimeout, ExceededTimeLimit
+
+/**
+ * A failure the CLI detects itself, with its category and an optional
+ * hint. A driver error in `cause` takes precedence when it has a category.
+ */
+class CliError extends Error {
+  constructor(message, category, { hint, cause } = {}) {
+    super(message, { cause });
+    this.name = 'CliError';
+    this.category = category;
+    this.hint = hint;
+  }
+}
+
+function categorizeMongoError(error) {
+  if (error instanceof MongoInvalidArgumentError) {
+    return 'usage';
+  }
+
+  if (error instanceof MongoMissingCredentialsError) {
+    return 'auth';
+  }
+
+  if (error instanceof MongoServerSelectionError || error instanceof MongoNetworkTimeoutError) {
+    return 'timeout';
+  }
+
+  if (error instanceof MongoNetworkError) {
+    return 'notConnected';
+  }
+
+  if (AUTH_CODES.has(error.code)) {
+    return 'auth';
+  }
+
+  if (WRITE_CONFLICT_CODES.has(error.code)) {
+    return 'writeConflict';
+  }
+
+  if (TIMEOUT_CODES.has(error.code)) {
+    return 'timeout';
+  }
+
+  return error instanceof MongoServerError ? 'server' : 'general';
+}
+
+function categorize(error) {
+  // Thrown by both the driver and mongodb-connection-string-url
+  if (error?.name === 'MongoParseError') {
+    return 'usage';
+  }
+
+  if (error instanceof MongoError) {
+    return categorizeMongoError(error);
+  }
+
+  if (error?.cause !== undefined) {
+    const category = categorize(error.cause);
+    if (category !== 'general') {
+      return category;
+    }
+  }
+
+  if (error instanceof CliError) {
+    return error.category;
+  }
+
+  return error?.oclif?.exit === EXIT_CODES.usage ? 'usage' : 'general';
+}
+
+function hintFor(error, category) {
+  if (error instanceof CliError && (error.hint || error.cause !== undefined)) {
+    return error.hint ?? hintFor(error.cause, category);
+  }
+
+  if (category === 'writeConflict') {
+    return error?.code === 11000 ?
+      'A document with the same value for a unique index already exists' :
+      'Another operation changed the same document; retry the write';
+  }
+
+  return DEFAULT_HINTS[category];
+}
+
+/**
+ * The `--json` error envelope for a failed command; `code` is the exit code.
+ * Credentials in connection strings are redacted.
+ */
+function describeError(error, operation) {
+  const category = categorize(error);
+  return {
+    code: EXIT_CODES[category],
+    codeName: CODE_NAMES[category],
+    message: redactCredentials(typeof error?.message === 'string' ? error.message : String(error)),
+    operation: redactCredentials(operation),
+    hint: hintFor(error, category) ?? null,
+  };
+}
+
+module.exports = { CliError, EXIT_CODES, categorize, describeError };
@@ -0,0 +1,107 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const chalk = require('chalk');
+const CONFIG = require('../../config/commands.json');
+
+const LOG_LEVELS = ['error', 'warn', 'info', 'debug', 'trace'];
+
+const DEFAULT_SETTINGS = {
+  level: 'info',
+  destination: 'console',
+  file: '~/.mongosh-clone.log',
+  includeTimestamp: true,
+  includeMetadata: true,
+  commandMonitoring: false,
+};
+
+// User info in a connection string, `scheme://user:password@`
+const URI_USERINFO = /(mongodb(?:\+srv)?:\/\/)[^/@\s]+@/g;
+
+/**
+ * `text` with the user info of any connection strings in it replaced by
+ * `<credentials>`, as mongosh shows them
+ */
+function redactCredentials(text) {
+  return text.replace(URI_USERINFO, '$1<credentials>@');
+}
+
+const LEVEL_COLORS = {
+  error: chalk.red,
+  warn: chalk.yellow,
+  info: chalk.blue,
+  debug: chalk.gray,
+  trace: chalk.gray,
+};
+
+/**
+ * Leveled diagnostics driven by the `logging` section of
+ * config/commands.json. Console logs go to stderr so command output on
+ * stdout stays clean.
+ */
+class Logger {
+  constructor(settings = {}) {
+    this.settings = { ...DEFAULT_SETTINGS };
+    this.configure(settings);
+  }
+
+  configure(settings) {
+    const merged = { ...this.settings, ...settings };
+    if (!LOG_LEVELS.includes(merged.level)) {
+      throw new Error(`Invalid logging level "${merged.level}"; expected one of ${LOG_LEVELS.join(', ')}`);
+    }
+
+    if (merged.destination !== 'console' && merged.destination !== 'file') {
+      throw new Error(`Invalid logging destination "${merged.destination}"; expected console or file`);
+    }
+
+    this.settings = merged;
+  }
+
+  isEnabled(level) {
+    return LOG_LEVELS.indexOf(level) <= LOG_LEVELS.indexOf(this.settings.level);
+  }
+
+  format(level, message, metadata) {
+    const parts = [
+      ...(this.settings.includeTimestamp ? [new Date().toISOString()] : []),
+      level.toUpperCase().padEnd(5),
+      message,
+    ];
+    if (this.settings.includeMetadata && metadata && Object.keys(metadata).length > 0) {
+      parts.push(JSON.stringify(metadata));
+    }
+
+    return redactCredentials(parts.join(' '));
+  }
+
+  log(level, message, metadata) {
+    if (!this.isEnabled(level)) {
+      return;
+    }
+
+    const line = this.format(level, message, metadata);
+    if (this.settings.destination === 'file') {
+      const file = this.settings.file.replace(/^~(?=$|\/)/, os.homedir());
+      try {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.appendFileSync(file, `${line}\n`);
+        return;
+      } catch (error) {
+        process.stderr.write(`${chalk.yellow(`Cannot write log file ${file}: ${error.message}`)}\n`);
+      }
+    }
+
+    process.stderr.write(`${LEVEL_COLORS[level](line)}\n`);
+  }
+}
+
+for (const level of LOG_LEVELS) {
+  Logger.prototype[level] = function (message, metadata) {
+    this.log(level, message, metadata);
+  };
+}
+
+const logger = new Logger(CONFIG.logging);
+
+module.exports = { logger, Logger, LOG_LEVELS, redactCredentials };
@@ -0,0 +1,459 @@
+const acorn = require('acorn');
+
+const CLOSING_BRACKETS = { '(': ')', '{': '}', '[': ']' };
+
+// A `/` after one of these starts a regex literal rather than a division
+const REGEX_PRECEDERS = new Set(['(', ',', '[', '{', ':', '!', '&', '|', '?', '=', ';']);
+
+/**
+ * Parses `collection.method(args)` operations.
+ *
+ * The outer structure is split by a small tokenizer; the argument list is
+ * parsed as a JavaScript expression so that queries copied from mongosh or
+ * Compass (unquoted keys, single quotes, trailing commas, comments, hex and
+ * negative numbers) work without re-quoting.
+ */
+class OperationParser {
+  static SUPPORTED_METHODS = [
+    'insertOne',
+    'insertMany',
+    'find',
+    'findOne',
+    'updateOne',
+    'updateMany',
+    'deleteOne',
+    'deleteMany',
+    'countDocuments',
+    'drop',
+    'aggregate',
+    'findOneAndUpdate',
+    'findOneAndReplace',
+    'findOneAndDelete',
+    'replaceOne',
+    'distinct',
+    'count',
+    'estimatedDocumentCount',
+    'bulkWrite',
+  ];
+
+  // Options accepted as the second argument of `aggregate`
+  static AGGREGATE_OPTIONS = [
+    'allowDiskUse',
+    'maxTimeMS',
+    'collation',
+    'let',
+    'batchSize',
+    'comment',
+    'hint',
+    'bypassDocumentValidation',
+    'readConcern',
+    'writeConcern',
+  ];
+
+  // Position and accepted keys of the options document, per method
+  static METHOD_OPTIONS = {
+    findOneAndUpdate: {
+      index: 2,
+      options: [
+        'returnDocument', 'returnNewDocument', 'upsert', 'arrayFilters', 'sort', 'projection',
+        'collation', 'hint', 'maxTimeMS', 'bypassDocumentValidation', 'writeConcern', 'let', 'comment',
+      ],
+    },
+    findOneAndReplace: {
+      index: 2,
+      options: [
+        'returnDocument', 'returnNewDocument', 'upsert', 'sort', 'projection',
+        'collation', 'hint', 'maxTimeMS', 'bypassDocumentValidation', 'writeConcern', 'let', 'comment',
+      ],
+    },
+    findOneAndDelete: {
+      index: 1,
+      options: ['sort', 'projection', 'collation', 'hint', 'maxTimeMS', 'writeConcern', 'let', 'comment'],
+    },
+    replaceOne: {
+      index: 2,
+      options: ['upsert', 'collation', 'hint', 'bypassDocumentValidation', 'writeConcern', 'let', 'comment'],
+    },
+    distinct: { index: 2, options: ['collation', 'maxTimeMS', 'readConcern', 'comment'] },
+    count: { index: 1, options: ['limit', 'skip', 'hint', 'maxTimeMS', 'collation', 'readConcern'] },
+    estimatedDocumentCount: { index: 0, options: ['maxTimeMS', 'comment'] },
+    bulkWrite: { index: 1, options: ['ordered', 'bypassDocumentValidation', 'writeConcern', 'let', 'comment'] },
+  };
+
+  // Write models accepted inside `bulkWrite([...])`
+  static BULK_OPERATIONS = ['insertOne', 'updateOne', 'updateMany', 'replaceOne', 'deleteOne', 'deleteMany'];
+
+  static parse(operation) {
+    const cleanOp = this.cleanOperation(operation);
+    const tokens = this.tokenize(cleanOp);
+    return this.parseTokens(tokens);
+  }
+
+  /**
+   * Strips one layer of quotes left over from shell quoting
+   */
+  static cleanOperation(operation) {
+    let clean = operation.trim();
+    const quoteChars = ["'", '"', '`'];
+    for (const quote of quoteChars) {
+      if (clean.startsWith(quote) && clean.endsWith(quote) && clean.length > 1) {
+        clean = clean.slice(1, -1);
+        break;
+      }
+    }
+
+    return clean.trim();
+  }
+
+  /**
+   * Splits the operation into identifier, `.`, `(`, argument-text and `)`
+   * tokens in a single pass. Argument text is skipped with `scanArguments`,
+   * so every character is visited once regardless of payload size.
+   */
+  static tokenize(operation) {
+    const tokens = [];
+    let current = '';
+
+    const pushCurrent = () => {
+      if (current.trim()) {
+        tokens.push(current.trim());
+      }
+
+      current = '';
+    };
+
+    for (let i = 0; i < operation.length; i++) {
+      const char = operation[i];
+
+      if (char === '/' && (operation[i + 1] === '/' || operation[i + 1] === '*')) {
+        pushCurrent();
+        i = this.skipComment(operation, i) - 1;
+      } else if (char === '.') {
+        pushCurrent();
+        tokens.push('.');
+      } else if (char === '(') {
+        pushCurrent();
+        const close = this.scanArguments(operation, i);
+        tokens.push('(', operation.slice(i + 1, close), ')');
+        i = close;
+      } else {
+        current += char;
+      }
+    }
+
+    pushCurrent();
+
+    // Don't filter out empty tokens as they might be empty argument lists
+    return tokens;
+  }
+
+  /**
+   * Returns the index of the `)` matching the `(` at `openPos`. Tracks
+   * string, escape, comment, regex-literal and bracket state as it goes.
+   */
+  static scanArguments(text, openPos) {
+    const stack = [{ char: '(', position: openPos }];
+    let lastSignificant = '(';
+    let i = openPos + 1;
+
+    while (i < text.length) {
+      const char = text[i];
+      const nextChar = text[i + 1];
+
+      if (char === '"' || char === '\'' || char === '`') {
+        i = this.skipString(text, i);
+      } else if (char === '/' && (nextChar === '/' || nextChar === '*')) {
+        i = this.skipComment(text, i);
+        continue;
+      } else if (char === '/' && REGEX_PRECEDERS.has(lastSignificant)) {
+        i = this.skipRegex(text, i);
+      } else if (char in CLOSING_BRACKETS) {
+        stack.push({ char, position: i });
+      } else if (char === ')' || char === '}' || char === ']') {
+        const open = stack.pop();
+        if (CLOSING_BRACKETS[open.char] !== char) {
+          throw new Error(`Unexpected '${char}' at position ${i}, expected '${CLOSING_BRACKETS[open.char]}' to close '${open.char}' at position ${open.position}`);
+        }
+
+        if (stack.length === 0) {
+          return i;
+        }
+      }
+
+      if (!/\s/.test(char)) {
+        lastSignificant = text[i];
+      }
+
+      i++;
+    }
+
+    const open = stack[stack.length - 1];
+    throw new Error(`Unclosed '${open.char}' at position ${open.position}`);
+  }
+
+  static skipComment(text, start) {
+    if (text[start + 1] === '/') {
+      const newline = text.indexOf('\n', start);
+      return newline === -1 ? text.length : newline;
+    }
+
+    const close = text.indexOf('*/', start + 2);
+    if (close === -1) {
+      throw new Error(`Unterminated comment at position ${start}`);
+    }
+
+    return close + 2;
+  }
+
+  static skipString(text, start) {
+    const quote = text[start];
+    for (let i = start + 1; i < text.length; i++) {
+      if (text[i] === '\\') {
+        i++;
+      } else if (text[i] === quote) {
+        return i;
+      } else if (text[i] === '\n' && quote !== '`') {
+        break;
+      }
+    }
+
+    throw new Error(`Unterminated string at position ${start}`);
+  }
+
+  static skipRegex(text, start) {
+    let inClass = false;
+    for (let i = start + 1; i < text.length; i++) {
+      const char = text[i];
+      if (char === '\\') {
+        i++;
+      } else if (char === '[') {
+        inClass = true;
+      } else if (char === ']') {
+        inClass = false;
+      } else if (char === '/' && !inClass) {
+        while (/[a-z]/i.test(text[i + 1] || '')) {
+          i++;
+        }
+
+        return i;
+      } else if (char === '\n') {
+        break;
+      }
+    }
+
+    throw new Error(`Unterminated regular expression at position ${start}`);
+  }
+
+  static parseTokens(tokens) {
+    // Dotted collection names such as system.profile come as several
+    // tokens before the method call
+    const nameTokens = tokens.slice(0, -5);
+    if (nameTokens.length % 2 === 0 || nameTokens.some((token, i) => (token === '.') !== (i % 2 === 1))) {
+      throw new Error(`Invalid operation format. Expected: collection.method(args). Got ${tokens.length} tokens: ${JSON.stringify(tokens)}`);
+    }
+
+    const collection = nameTokens.join('');
+    const [dot1, method, openParen, argsString, closeParen] = tokens.slice(-5);
+
+    if (dot1 !== '.' || openParen !== '(' || closeParen !== ')') {
+      throw new Error('Invalid syntax. Use: collection.method(args)');
+    }
+
+    if (!this.isValidIdentifier(collection)) {
+      throw new Error(`Invalid collection name: "${collection}"`);
+    }
+
+    if (!this.isValidIdentifier(method)) {
+      throw new Error(`Invalid method name: "${method}"`);
+    }
+
+    const args = this.parseArguments(argsString);
+
+    return {
+      collection,
+      method,
+      arguments: args,
+    };
+  }
+
+  static isValidIdentifier(name) {
+    return /^[a-zA-Z_][a-zA-Z0-9_.-]*$/.test(name);
+  }
+
+  /**
+   * Parses an argument list such as `{age: {$gte: 18}}, {name: 1}`.
+   * The list is wrapped in brackets and parsed as an array expression;
+   * the trailing newline keeps a final `//` comment from swallowing the `]`.
+   */
+  static parseArguments(argsString) {
+    if (!argsString.trim()) {
+      return [];
+    }
+
+    let ast;
+    try {
+      ast = acorn.parse(`[${argsString}\n]`, { ecmaVersion: 2020 });
+    } catch (error) {
+      const message = error.message.replace(/\s*\(\d+:\d+\)$/, '');
+      throw new Error(`Invalid argument syntax: ${message} in "${argsString.trim()}"`);
+    }
+
+    if (ast.body.length !== 1 || ast.body[0].type !== 'ExpressionStatement' ||
+        ast.body[0].expression.type !== 'ArrayExpression') {
+      throw new Error(`Invalid argument syntax in "${argsString.trim()}"`);
+    }
+
+    return ast.body[0].expression.elements.map((element) => {
+      if (!element) {
+        throw new Error(`Empty argument in "${argsString.trim()}"`);
+      }
+
+      return this.extractValue(element);
+    });
+  }
+
+  /**
+   * Converts a literal AST node into a plain value. Anything that would
+   * need evaluation (calls, variables, operators) is rejected.
+   */
+  static extractValue(node) {
+    switch (node.type) {
+      case 'Literal':
+        return node.value;
+
+      case 'TemplateLiteral':
+        if (node.expressions.length > 0) {
+          throw new Error('Template literals with ${} expressions are not supported');
+        }
+
+        return node.quasis[0].value.cooked;
+
+      case 'ObjectExpression': {
+        const obj = {};
+        for (const prop of node.properties) {
+          if (prop.type !== 'Property' || prop.kind !== 'init' || prop.method || prop.shorthand) {
+            throw new Error('Unsupported object property');
+          }
+
+          if (prop.computed) {
+            throw new Error('Computed property names are not supported');
+          }
+
+          const key = prop.key.type === 'Identifier' ? prop.key.name : String(prop.key.value);
+          // A plain assignment would treat `__proto__` as the prototype
+          Object.defineProperty(obj, key, { value: this.extractValue(prop.value), enumerable: true, writable: true, configurable: true });
+        }
+
+        return obj;
+      }
+
+      case 'ArrayExpression':
+        return node.elements.map((element) => {
+          if (!element) {
+            throw new Error('Empty array elements are not supported');
+          }
+
+          return this.extractValue(element);
+        });
+
+      case 'UnaryExpression': {
+        const value = this.extractValue(node.argument);
+        if (typeof value === 'number' || typeof value === 'bigint') {
+          if (node.operator === '-') {
+            return -value;
+          }
+
+          if (node.operator === '+') {
+            return value;
+          }
+        }
+
+        throw new Error(`Unsupported unary operator "${node.operator}"`);
+      }
+
+      case 'Identifier':
+        switch (node.name) {
+          case 'undefined':
+            return undefined;
+          case 'NaN':
+            return Number.NaN;
+          case 'Infinity':
+            return Number.POSITIVE_INFINITY;
+          default:
+            throw new Error(`Unknown identifier "${node.name}"`);
+        }
+
+      default:
+        throw new Error(`Unsupported expression: ${node.type}`);
+    }
+  }
+
+  static validate(parsed) {
+    if (!this.SUPPORTED_METHODS.includes(parsed.method)) {
+      throw new Error(`Unsupported operation: ${parsed.method}. Supported: ${this.SUPPORTED_METHODS.join(', ')}`);
+    }
+
+    if (parsed.method === 'aggregate') {
+      this.validateAggregate(parsed.arguments);
+    }
+
+    if (parsed.method === 'bulkWrite') {
+      this.validateBulkWrite(parsed.arguments);
+    }
+
+    const methodOptions = this.METHOD_OPTIONS[parsed.method];
+    const options = methodOptions && parsed.arguments[methodOptions.index];
+    if (options !== undefined) {
+      if (!options || typeof options !== 'object' || Array.isArray(options)) {
+        throw new Error(`${parsed.method} options must be a document`);
+      }
+
+      const unknown = Object.keys(options).filter(key => !methodOptions.options.includes(key));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown ${parsed.method} option '${unknown[0]}'. Supported: ${methodOptions.options.join(', ')}`);
+      }
+    }
+  }
+
+  static validateBulkWrite(args) {
+    const [operations] = args;
+    if (!Array.isArray(operations) || operations.length === 0) {
+      throw new Error('bulkWrite expects a non-empty array of write operations');
+    }
+
+    operations.forEach((operation, index) => {
+      const keys = operation && typeof operation === 'object' ? Object.keys(operation) : [];
+      if (keys.length !== 1 || !this.BULK_OPERATIONS.includes(keys[0])) {
+        throw new Error(`bulkWrite operation ${index} must be one of ${this.BULK_OPERATIONS.join(', ')}, e.g. {insertOne: {document: {...}}}`);
+      }
+    });
+  }
+
+  static validateAggregate(args) {
+    const [pipeline, options, ...rest] = args;
+    if (!Array.isArray(pipeline) || rest.length > 0) {
+      throw new Error('aggregate expects a pipeline array and an optional options document');
+    }
+
+    pipeline.forEach((stage, index) => {
+      if (!stage || typeof stage !== 'object' || Object.keys(stage).length !== 1) {
+        throw new Error(`Pipeline stage ${index} must be a document with exactly one stage operator`);
+      }
+    });
+
+    if (options === undefined) {
+      return;
+    }
+
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+      throw new Error('aggregate options must be a document');
+    }
+
+    const unknown = Object.keys(options).filter(key => !this.AGGREGATE_OPTIONS.includes(key));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown aggregate option '${unknown[0]}'. Supported: ${this.AGGREGATE_OPTIONS.join(', ')}`);
+    }
+  }
+}
+
+module.exports = { OperationParser };
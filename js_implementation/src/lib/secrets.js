@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CliError } = require('./errors');
+
+const SECRETS_FILE = path.join(os.homedir(), '.mongosh-clone-js-secrets.json');
+const KEY_FILE = path.join(os.homedir(), '.mongosh-clone-js.key');
+
+/**
+ * When set, secrets are encrypted with a key derived from this passphrase
+ * instead of the key file
+ */
+const PASSPHRASE_VARIABLE = 'MONGOSH_CLONE_PASSPHRASE';
+
+// `scheme://`, user name and password of a connection string
+const URI_USERINFO = /^(mongodb(?:\+srv)?:\/\/)([^:/@]*)(?::([^/@]*))?@/;
+
+/**
+ * Splits the password, still percent-encoded, off a connection string so
+ * the rest can be saved in plain text
+ */
+function splitPassword(connectionString) {
+  const match = URI_USERINFO.exec(connectionString);
+  if (!match || match[3] === undefined) {
+    return { uri: connectionString };
+  }
+
+  return { uri: `${match[1]}${match[2]}@${connectionString.slice(match[0].length)}`, password: match[3] };
+}
+
+/**
+ * Puts a percent-encoded password back into a connection string with a
+ * user name
+ */
+function withPassword(connectionString, password) {
+  const match = URI_USERINFO.exec(connectionString);
+  if (!match) {
+    return connectionString;
+  }
+
+  return `${match[1]}${match[2]}:${password}@${connectionString.slice(match[0].length)}`;
+}
+
+/**
+ * Passwords kept out of the config file, encrypted with AES-256-GCM using
+ * a random key in `~/.mongosh-clone-js.key` or a passphrase from
+ * MONGOSH_CLONE_PASSPHRASE, in the same format as the TypeScript CLI's
+ * store. Both files are readable only by their owner.
+ */
+class SecretStore {
+  constructor(file = SECRETS_FILE, keyFile = KEY_FILE) {
+    this.file = file;
+    this.keyFile = keyFile;
+  }
+
+  get(name) {
+    const secrets = this.read();
+    return Object.prototype.hasOwnProperty.call(secrets, name) ? secrets[name] : undefined;
+  }
+
+  /**
+   * Stores `value` as `name`, or forgets it when given undefined
+   */
+  set(name, value) {
+    if (value === undefined && !fs.existsSync(this.file)) {
+      return;
+    }
+
+    const secrets = this.read();
+    if (value === undefined) {
+      if (!Object.prototype.hasOwnProperty.call(secrets, name)) {
+        return;
+      }
+
+      delete secrets[name];
+    } else {
+      secrets[name] = value;
+    }
+
+    this.write(secrets);
+  }
+
+  read() {
+    if (!fs.existsSync(this.file)) {
+      return {};
+    }
+
+    let stored;
+    try {
+      stored = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    } catch (error) {
+      throw new CliError(`Invalid secrets file ${this.file}: ${error.message}`, 'auth', {
+        hint: 'Delete it and connect again to store your password anew',
+      });
+    }
+
+    const key = this.key(stored.key, stored.salt === undefined ? undefined : Buffer.from(stored.salt, 'base64'), false);
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(stored.iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(stored.tag, 'base64'));
+      const data = Buffer.concat([decipher.update(Buffer.from(stored.data, 'base64')), decipher.final()]);
+      return JSON.parse(data.toString('utf8'));
+    } catch {
+      const cause = stored.key === 'passphrase' ? `Check ${PASSPHRASE_VARIABLE}` : `It was encrypted with a different ${this.keyFile}`;
+      throw new CliError(`Cannot decrypt ${this.file}`, 'auth', {
+        hint: `${cause}, or delete it to forget the stored password`,
+      });
+    }
+  }
+
+  /**
+   * Encrypts with a fresh IV, and salt for passphrases, on every write
+   */
+  write(secrets) {
+    const source = process.env[PASSPHRASE_VARIABLE] ? 'passphrase' : 'keyfile';
+    const salt = source === 'passphrase' ? crypto.randomBytes(16) : undefined;
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.key(source, salt, true), iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(secrets), 'utf8'), cipher.final()]);
+
+    const stored = {
+      version: 1,
+      key: source,
+      ...(salt ? { salt: salt.toString('base64') } : {}),
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64'),
+    };
+    fs.writeFileSync(this.file, JSON.stringify(stored, null, 2), { mode: 0o600 });
+  }
+
+  /**
+   * The 256-bit key. A missing key file is only created when writing; when
+   * reading, a new key could not decrypt anything.
+   */
+  key(source, salt, create) {
+    if (source === 'passphrase') {
+      const passphrase = process.env[PASSPHRASE_VARIABLE];
+      if (!passphrase) {
+        throw new CliError(`${this.file} is encrypted with a passphrase`, 'auth', { hint: `Set ${PASSPHRASE_VARIABLE} to it` });
+      }
+
+      return crypto.scryptSync(passphrase, salt ?? Buffer.alloc(0), 32);
+    }
+
+    if (!fs.existsSync(this.keyFile)) {
+      if (!create) {
+        throw new CliError(`Missing key file ${this.keyFile}`, 'auth', {
+          hint: `Delete ${this.file} and connect again to store your password anew`,
+        });
+      }
+
+      fs.writeFileSync(this.keyFile, crypto.randomBytes(32).toString('base64'), { mode: 0o600 });
+    }
+
+    const key = Buffer.from(fs.readFileSync(this.keyFile, 'utf8').trim(), 'base64');
+    if (key.length !== 32) {
+      throw new CliError(`Invalid key file ${this.keyFile}`, 'auth', { hint: 'It should hold 32 random bytes, base64 encoded' });
+    }
+
+    return key;
+  }
+}
+
+const secrets = new SecretStore();
+
+module.exports = { secrets, SecretStore, PASSPHRASE_VARIABLE, splitPassword, withPassword };
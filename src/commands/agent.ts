@@ -0,0 +1,13 @@
+import {BaseCommand} from '../lib/base-command'
+import {runAgent} from '../lib/agent'
+
+export default class Agent extends BaseCommand {
+  static description = 'Run the background connection agent; started by connect';
+
+  static hidden = true;
+
+  async run(): Promise<void> {
+    await runAgent()
+    this.exit(0)
+  }
+}
@@ -0,0 +1,110 @@
+import {Flags} from '@oclif/core'
+import {agent} from '../lib/agent'
+import {BaseCommand} from '../lib/base-command'
+import {complete, Completion, matching} from '../lib/completion'
+import {logger} from '../lib/logger'
+import {loadProfiles} from '../lib/profiles'
+import {completionSource} from '../lib/schema-cache'
+
+/**
+ * Flags whose value is a profile name
+ */
+const PROFILE_FLAGS = new Set(['--profile', '-p'])
+
+export default class Complete extends BaseCommand {
+  static description = 'Print completions for the words typed so far; used by shell tab completion';
+
+  static hidden = true;
+
+  static examples = [
+    '<%= config.bin %> <%= command.id %> db users.fi',
+    "complete -o nospace -C '<%= config.bin %> <%= command.id %> --bash --' <%= config.bin %>",
+  ];
+
+  static flags = {
+    bash: Flags.boolean({
+      description: 'read the line from COMP_LINE and COMP_POINT, as "complete -C" in bash sets them',
+    }),
+  };
+
+  static strict = false;
+
+  async run(): Promise<void> {
+    const {flags, ...parsed} = await this.parse(Complete)
+    const argv = parsed.argv as string[]
+
+    let words: string[]
+    let current: string
+    if (flags.bash) {
+      const line = (process.env.COMP_LINE ?? '').slice(0, Number(process.env.COMP_POINT ?? Number.POSITIVE_INFINITY))
+      words = line.split(/\s+/).slice(1)
+      // bash passes the command name, then the word under the cursor as it
+      // splits words, e.g. after a "(" or ":"
+      current = argv[1] ?? words[words.length - 1] ?? ''
+    } else {
+      words = argv.length > 0 ? argv : ['']
+      current = words[words.length - 1]
+    }
+
+    let completion: Completion
+    try {
+      completion = await this.completeWords(words)
+    } catch (error) {
+      // Tab must never print an error into the command line
+      logger.debug('Completion failed', {error: (error as Error).message})
+      return
+    }
+
+    for (const candidate of completion.candidates) {
+      if (!flags.bash) {
+        console.log(candidate)
+      } else if (current.endsWith(completion.fragment)) {
+        console.log(current.slice(0, current.length - completion.fragment.length) + candidate)
+      }
+    }
+  }
+
+  /**
+   * Completes the last of `words`, the command line after the binary
+   * @param words the words typed so far, the last one possibly empty
+   * @returns the candidates for the last word
+   */
+  private async completeWords(words: string[]): Promise<Completion> {
+    const fragment = words[words.length - 1]
+    const previous = words.slice(0, -1)
+    const [command, subcommand] = previous
+
+    if (PROFILE_FLAGS.has(previous[previous.length - 1]) ||
+      (command === 'profile' && (subcommand === 'use' || subcommand === 'remove') && previous.length === 2)) {
+      return matching(Object.keys(loadProfiles()), fragment)
+    }
+
+    if (fragment.startsWith('-')) {
+      return {candidates: [], fragment}
+    }
+
+    const ids = this.config.commands.filter(cmd => !cmd.hidden).map(cmd => cmd.id.split(':'))
+    if (previous.length === 0) {
+      return matching(ids.map(([first]) => first), fragment)
+    }
+
+    if (previous.length === 1 && ids.some(id => id[0] === command && id.length > 1)) {
+      return matching(ids.filter(id => id[0] === command && id.length > 1).map(id => id[1]), fragment)
+    }
+
+    if ((command === 'use' || command === 'show') && previous.length === 1) {
+      return this.completeLine(`${command} ${fragment}`)
+    }
+
+    if (command === 'db') {
+      // The operation is usually quoted as a whole
+      return this.completeLine(words.slice(1).join(' ').replace(/^["']/, ''))
+    }
+
+    return {candidates: [], fragment}
+  }
+
+  private async completeLine(line: string): Promise<Completion> {
+    return agent.isConfigured() ? agent.complete(line) : complete(line, completionSource())
+  }
+}
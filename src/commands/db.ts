@@ -1,9 +1,21 @@
-import { Args, Command } from '@oclif/core';
-import { connectionManager } from '../lib/connection';
-import { OperationParser } from '../lib/operation-parser';
-import chalk from 'chalk';
-
-export default class Db extends Command {
+import {Flags} from '@oclif/core'
+import {agent} from '../lib/agent'
+import {BaseCommand} from '../lib/base-command'
+import {formatChange} from '../lib/change-stream'
+import {connectionManager} from '../lib/connection'
+import {completeCredentials} from '../lib/credentials'
+import {CliError} from '../lib/errors'
+import {ExecuteOptions, OperationExecutor, PartialResultError} from '../lib/executor'
+import {formatDocument, isMachineFormat, OUTPUT_FORMATS, OutputFormat} from '../lib/formatters'
+import {OperationParser} from '../lib/operation-parser'
+import {logger} from '../lib/logger'
+import {getProfile, Profile} from '../lib/profiles'
+import {formatScriptError, runScript} from '../lib/script-runner'
+import {OutputOptions, printResult} from '../lib/output'
+import {loadSettings} from '../lib/settings'
+import chalk from 'chalk'
+
+export default class Db extends BaseCommand {
   static description = 'Execute database operations';
 
   static examples = [
@@ -11,138 +23,143 @@ export default class Db extends Command {
     '<%= config.bin %> <%= command.id %> movies.find({"year":1999})',
     '<%= config.bin %> <%= command.id %> users.updateOne({"name":"John"},{"$set":{"age":30}})',
     '<%= config.bin %> <%= command.id %> posts.deleteMany({"published":false})',
+    '<%= config.bin %> <%= command.id %> "users.find({age: {$gte: 18}, name: \'John\'})"',
+    '<%= config.bin %> <%= command.id %> "users.findOne({_id: ObjectId(\'65f1a2b3c4d5e6f708192a3b\')})"',
+    '<%= config.bin %> <%= command.id %> "users.find({}).sort({name: 1}).skip(20).limit(10)"',
+    '<%= config.bin %> <%= command.id %> "orders.aggregate([{$match: {status: \'A\'}}, {$group: {_id: \'$cust_id\', total: {$sum: \'$amount\'}}}], {allowDiskUse: true})"',
+    '<%= config.bin %> <%= command.id %> "counters.findOneAndUpdate({_id: \'orders\'}, {$inc: {seq: 1}}, {upsert: true, returnDocument: \'after\'})"',
+    '<%= config.bin %> <%= command.id %> "users.bulkWrite([{insertOne: {document: {name: \'Ann\'}}}, {deleteMany: {filter: {active: false}}}], {ordered: false})"',
+    '<%= config.bin %> <%= command.id %> "users.createIndex({email: 1}, {unique: true})"',
+    '<%= config.bin %> <%= command.id %> "sessions.createIndex({lastSeen: 1}, {expireAfterSeconds: 3600})"',
+    '<%= config.bin %> <%= command.id %> users.getIndexes()',
+    '<%= config.bin %> <%= command.id %> "orders.watch([{$match: {operationType: \'update\'}}], {fullDocument: \'updateLookup\'})"',
+    '<%= config.bin %> <%= command.id %> "users.find({active: true})" --output ndjson | jq .email',
+    '<%= config.bin %> <%= command.id %> "users.find({})" -o csv --fields name,address.city > users.csv',
+    '<%= config.bin %> <%= command.id %> "db.getCollectionNames()"',
+    '<%= config.bin %> <%= command.id %> "db.runCommand({ping: 1})"',
+    '<%= config.bin %> <%= command.id %> "orders.countDocuments({status: \'A\'})" --profile prod',
+    '<%= config.bin %> <%= command.id %> --eval "const users = await db.users.find({}).toArray(); users.forEach(u => print(u.name))"',
   ];
 
+  static flags = {
+    eval: Flags.string({
+      char: 'e',
+      description: 'evaluate a mongosh-style script instead of a single operation',
+    }),
+    output: Flags.string({
+      char: 'o',
+      description: 'output format; machine formats print banners on stderr',
+      options: [...OUTPUT_FORMATS],
+      default: 'text',
+    }),
+    fields: Flags.string({
+      description: 'comma-separated fields for table and csv output, e.g. name,address.city',
+    }),
+    profile: Flags.string({
+      char: 'p',
+      description: 'run against a saved profile for this command only, leaving the current connection as it is',
+    }),
+  };
+
   static strict = false;
 
   async run(): Promise<void> {
-    const { argv } = await this.parse(Db);
-    
+    const {argv, flags} = await this.parse(Db)
+    const profile = flags.profile === undefined ? undefined : getProfile(flags.profile)
+
+    if (flags.eval !== undefined) {
+      await this.evaluate(flags.eval, profile)
+      return
+    }
+
     if (argv.length === 0) {
-      console.error(chalk.red('Error: Please provide a database operation'));
-      console.log('Example: mongosh-clone db movies.find({"year": 1999})');
-      process.exit(1);
+      throw new CliError('Please provide a database operation', 'usage', {
+        hint: 'Example: mongosh-clone db movies.find({"year": 1999})',
+      })
+    }
+
+    const operation = argv.join(' ')
+    this.operation = operation
+    const output: OutputOptions = {
+      format: flags.output as OutputFormat,
+      fields: flags.fields?.split(',').map(field => field.trim()).filter(Boolean),
+      theme: loadSettings().ui.theme,
     }
 
-    const operation = argv.join(' ');
-    
     try {
-      // Ensure we're connected to MongoDB
-      await connectionManager.ensureConnected();
-      
-      // Parse and execute the operation
-      await this.executeOperation(operation);
+      await this.executeOperation(operation, output, profile)
     } catch (error) {
-      console.error(chalk.red(`Error: ${error}`));
-      process.exit(1);
+      // Show what was written before the failure
+      if (error instanceof PartialResultError && !this.jsonEnabled()) {
+        printResult(error.result, output)
+      }
+
+      throw error
     }
   }
 
-  private async executeOperation(operation: string): Promise<void> {
-    console.log(`Debug - Original operation: "${operation}"`);
-    
-    // Use the robust parser instead of regex
-    const parsed = OperationParser.parse(operation);
-    OperationParser.validate(parsed);
-    
-    console.log(`Debug - Parsed operation:`, parsed);
-    
-    const { collection: collectionName, method, arguments: args } = parsed;
-    
-    // Get the collection
-    const collection = connectionManager.getCollection(collectionName);
-
-    // Execute the operation based on the method
-    let result: any;
-    switch (method) {
-      case 'insertOne':
-        if (args.length !== 1) {
-          throw new Error('insertOne requires exactly one document argument');
-        }
-        result = await collection.insertOne(args[0]);
-        console.log(chalk.green('Document inserted successfully'));
-        console.log(JSON.stringify(result, null, 2));
-        break;
-
-      case 'insertMany':
-        if (args.length !== 1 || !Array.isArray(args[0])) {
-          throw new Error('insertMany requires exactly one array argument');
-        }
-        result = await collection.insertMany(args[0]);
-        console.log(chalk.green(`${result.insertedCount} documents inserted successfully`));
-        console.log(JSON.stringify(result, null, 2));
-        break;
-
-      case 'find':
-        const query = args[0] || {};
-        const projection = args[1] || undefined;
-        result = await collection.find(query, projection ? { projection } : {}).toArray();
-        console.log(chalk.green(`Found ${result.length} document(s):`));
-        console.log(JSON.stringify(result, null, 2));
-        break;
-
-      case 'findOne':
-        const findOneQuery = args[0] || {};
-        const findOneProjection = args[1] || undefined;
-        result = await collection.findOne(findOneQuery, findOneProjection ? { projection: findOneProjection } : {});
-        if (result) {
-          console.log(chalk.green('Document found:'));
-          console.log(JSON.stringify(result, null, 2));
-        } else {
-          console.log(chalk.yellow('No document found'));
-        }
-        break;
-
-      case 'updateOne':
-        if (args.length < 2) {
-          throw new Error('updateOne requires filter and update arguments');
-        }
-        result = await collection.updateOne(args[0], args[1], args[2] || {});
-        console.log(chalk.green(`Modified ${result.modifiedCount} document(s)`));
-        console.log(JSON.stringify(result, null, 2));
-        break;
-
-      case 'updateMany':
-        if (args.length < 2) {
-          throw new Error('updateMany requires filter and update arguments');
-        }
-        result = await collection.updateMany(args[0], args[1], args[2] || {});
-        console.log(chalk.green(`Modified ${result.modifiedCount} document(s)`));
-        console.log(JSON.stringify(result, null, 2));
-        break;
-
-      case 'deleteOne':
-        if (args.length < 1) {
-          throw new Error('deleteOne requires a filter argument');
-        }
-        result = await collection.deleteOne(args[0]);
-        console.log(chalk.green(`Deleted ${result.deletedCount} document(s)`));
-        console.log(JSON.stringify(result, null, 2));
-        break;
-
-      case 'deleteMany':
-        if (args.length < 1) {
-          throw new Error('deleteMany requires a filter argument');
-        }
-        result = await collection.deleteMany(args[0]);
-        console.log(chalk.green(`Deleted ${result.deletedCount} document(s)`));
-        console.log(JSON.stringify(result, null, 2));
-        break;
-
-      case 'countDocuments':
-        const countQuery = args[0] || {};
-        result = await collection.countDocuments(countQuery);
-        console.log(chalk.green(`Count: ${result}`));
-        break;
-
-      case 'drop':
-        result = await collection.drop();
-        console.log(chalk.green(`Collection '${collectionName}' dropped`));
-        break;
-
-      default:
-        throw new Error(`Unsupported operation: ${method}`);
+  private async evaluate(script: string, profile?: Profile): Promise<void> {
+    this.operation = script
+    await this.connect(profile)
+    try {
+      await runScript(script)
+    } catch (error) {
+      throw new CliError(formatScriptError(error), 'general', {cause: error})
     }
   }
 
-} 
\ No newline at end of file
+  /**
+   * Opens a one-off connection for `--profile`, or the saved connection
+   * @param profile the profile given with `--profile`
+   * @returns once connected
+   */
+  private async connect(profile?: Profile): Promise<void> {
+    if (!profile) {
+      await connectionManager.ensureConnected()
+      return
+    }
+
+    const connectionString = await completeCredentials(profile.uri, profile.options)
+    await connectionManager.connectTransient(connectionString, profile.options, profile.database)
+  }
+
+  private async executeOperation(operation: string, output: OutputOptions, profile?: Profile): Promise<void> {
+    logger.debug(`Operation: ${operation}`)
+
+    // Use the robust parser instead of regex
+    const parsed = OperationParser.parse(operation)
+    OperationParser.validate(parsed)
+
+    logger.debug(`Parsed ${parsed.scope} operation ${parsed.method}`, {
+      collection: parsed.collection,
+      arguments: parsed.arguments,
+      chain: parsed.chain.map(call => ({method: call.method, arguments: call.arguments})),
+    })
+
+    const format = output.format ?? 'text'
+    const machine = isMachineFormat(format)
+    const options: ExecuteOptions = {
+      // Only formats without an enclosing array or header can print
+      // aggregation results as they arrive
+      onDocument: format === 'text' || format === 'ndjson' ?
+        doc => console.log(formatDocument(doc, format, {colors: chalk.level > 0, theme: output.theme})) :
+        undefined,
+      // Machine formats get every document so they can be piped; `it`
+      // cannot continue a cursor from a one-off profile connection
+      batchSize: machine || profile ? undefined : loadSettings().ui.cursorPagination.batchSize,
+      onChange: change => console.log(machine ? formatDocument(change, format) : formatChange(change)),
+    }
+
+    // watch runs until Ctrl-C, which has to close its change stream, so
+    // it stays in this process
+    if (!profile && agent.isConfigured() && parsed.method !== 'watch') {
+      printResult(await agent.execute(operation, options), output)
+      return
+    }
+
+    // Connect only once the operation is known to be valid, so a typo
+    // fails as a parse error even when the server is down
+    await this.connect(profile)
+    printResult(await OperationExecutor.execute(parsed, options), output)
+  }
+}
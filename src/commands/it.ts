@@ -0,0 +1,49 @@
+import {Flags} from '@oclif/core'
+import {agent} from '../lib/agent'
+import {BaseCommand} from '../lib/base-command'
+import {connectionManager} from '../lib/connection'
+import {CursorPager} from '../lib/cursor-pager'
+import {OUTPUT_FORMATS, OutputFormat} from '../lib/formatters'
+import {printResult} from '../lib/output'
+import {loadSettings} from '../lib/settings'
+
+export default class It extends BaseCommand {
+  static description = 'Show the next batch of results from the last find';
+
+  static examples = [
+    '<%= config.bin %> db "movies.find({year: {$gte: 2000}})"',
+    '<%= config.bin %> <%= command.id %>',
+    '<%= config.bin %> <%= command.id %> --output table',
+  ];
+
+  static flags = {
+    output: Flags.string({
+      char: 'o',
+      description: 'output format; machine formats print banners on stderr',
+      options: [...OUTPUT_FORMATS],
+      default: 'text',
+    }),
+    fields: Flags.string({
+      description: 'comma-separated fields for table and csv output, e.g. name,address.city',
+    }),
+  };
+
+  async run(): Promise<void> {
+    const {flags} = await this.parse(It)
+
+    let result
+    if (agent.isConfigured()) {
+      result = await agent.nextBatch()
+    } else {
+      // Ensure we're connected to MongoDB
+      await connectionManager.ensureConnected()
+      result = await CursorPager.nextBatch()
+    }
+
+    printResult(result, {
+      format: flags.output as OutputFormat,
+      fields: flags.fields?.split(',').map(field => field.trim()).filter(Boolean),
+      theme: loadSettings().ui.theme,
+    })
+  }
+}
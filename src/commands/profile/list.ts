@@ -0,0 +1,34 @@
+import {BaseCommand} from '../../lib/base-command'
+import {connectionManager} from '../../lib/connection'
+import {redactCredentials} from '../../lib/logger'
+import {loadProfiles} from '../../lib/profiles'
+import chalk from 'chalk'
+
+export default class ProfileList extends BaseCommand {
+  static description = 'List saved connection profiles; the current one is marked with *';
+
+  static examples = [
+    '<%= config.bin %> <%= command.id %>',
+  ];
+
+  async run(): Promise<void> {
+    await this.parse(ProfileList)
+    const profiles = Object.entries(loadProfiles())
+    if (profiles.length === 0) {
+      console.log(chalk.gray('No profiles saved. Add one with "mongosh-clone profile add <name> <connection string>"'))
+      return
+    }
+
+    const current = connectionManager.getProfileName()
+    const width = Math.max(...profiles.map(([name]) => name.length))
+    for (const [name, profile] of profiles.sort(([a], [b]) => a.localeCompare(b))) {
+      const details = [
+        redactCredentials(profile.uri),
+        ...(profile.database ? [`database: ${profile.database}`] : []),
+        ...Object.entries(profile.options ?? {}).map(([key, value]) => `${key}=${value}`),
+      ]
+      const line = `${name === current ? '*' : ' '} ${name.padEnd(width)}  ${details.join('  ')}`
+      console.log(name === current ? chalk.green(line) : line)
+    }
+  }
+}
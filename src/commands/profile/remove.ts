@@ -0,0 +1,33 @@
+import {Args} from '@oclif/core'
+import {BaseCommand} from '../../lib/base-command'
+import {connectionManager} from '../../lib/connection'
+import {removeProfile} from '../../lib/profiles'
+import chalk from 'chalk'
+
+export default class ProfileRemove extends BaseCommand {
+  static description = 'Delete a saved connection profile';
+
+  static examples = [
+    '<%= config.bin %> <%= command.id %> staging',
+  ];
+
+  static args = {
+    name: Args.string({
+      description: 'profile name',
+      required: true,
+    }),
+  };
+
+  async run(): Promise<void> {
+    const {args} = await this.parse(ProfileRemove)
+    this.operation = `profile remove ${args.name}`
+
+    removeProfile(args.name)
+    // The open connection stays; it just no longer has a profile
+    if (connectionManager.getProfileName() === args.name) {
+      connectionManager.setProfileName()
+    }
+
+    console.log(chalk.green(`Removed profile "${args.name}"`))
+  }
+}
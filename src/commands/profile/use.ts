@@ -0,0 +1,31 @@
+import {Args, Flags} from '@oclif/core'
+import {BaseCommand} from '../../lib/base-command'
+
+export default class ProfileUse extends BaseCommand {
+  static description = 'Switch the current connection to a saved profile, like "connect --profile"';
+
+  static examples = [
+    '<%= config.bin %> <%= command.id %> staging',
+    '<%= config.bin %> <%= command.id %> local --no-agent',
+  ];
+
+  static args = {
+    name: Args.string({
+      description: 'profile name',
+      required: true,
+    }),
+  };
+
+  static flags = {
+    agent: Flags.boolean({
+      description: 'keep the connection open in a background agent that later commands reuse',
+      default: true,
+      allowNo: true,
+    }),
+  };
+
+  async run(): Promise<void> {
+    const {args, flags} = await this.parse(ProfileUse)
+    await this.config.runCommand('connect', ['--profile', args.name, ...(flags.agent ? [] : ['--no-agent'])])
+  }
+}
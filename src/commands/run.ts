@@ -0,0 +1,44 @@
+import {Args} from '@oclif/core'
+import * as fs from 'node:fs'
+import {BaseCommand} from '../lib/base-command'
+import {connectionManager} from '../lib/connection'
+import {CliError} from '../lib/errors'
+import {formatScriptError, runScript} from '../lib/script-runner'
+
+export default class Run extends BaseCommand {
+  static description = 'Run a mongosh-style JavaScript file against the current database';
+
+  static examples = [
+    '<%= config.bin %> <%= command.id %> cleanup.js',
+    '<%= config.bin %> <%= command.id %> scripts/seed-users.js',
+  ];
+
+  static args = {
+    file: Args.string({
+      description: 'script file to run',
+      required: true,
+    }),
+  };
+
+  async run(): Promise<void> {
+    const {args} = await this.parse(Run)
+
+    this.operation = `run ${args.file}`
+
+    let source: string
+    try {
+      source = fs.readFileSync(args.file, 'utf8')
+    } catch (error) {
+      throw new CliError(`Cannot read script ${args.file}: ${(error as Error).message}`, 'usage')
+    }
+
+    // Ensure we're connected to MongoDB
+    await connectionManager.ensureConnected()
+
+    try {
+      await runScript(source, {filename: args.file})
+    } catch (error) {
+      throw new CliError(formatScriptError(error, args.file), 'general', {cause: error})
+    }
+  }
+}
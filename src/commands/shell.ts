@@ -0,0 +1,29 @@
+import {agent} from '../lib/agent'
+import {BaseCommand} from '../lib/base-command'
+import {connectionManager} from '../lib/connection'
+import {redactCredentials} from '../lib/logger'
+import {runShell} from '../lib/shell'
+import chalk from 'chalk'
+
+export default class Shell extends BaseCommand {
+  static description = 'Open an interactive shell on the current connection; history is kept in ~/.mongosh-clone_history';
+
+  static examples = [
+    '<%= config.bin %> <%= command.id %>',
+  ];
+
+  async run(): Promise<void> {
+    await this.parse(Shell)
+
+    // Operations go to the agent when there is one; otherwise the shell
+    // keeps its own connection open
+    if (!agent.isConfigured()) {
+      await connectionManager.ensureConnected()
+    }
+
+    console.log(chalk.blue(`Connected to ${redactCredentials(connectionManager.getConnectionString() ?? '')}`))
+    console.log(chalk.gray('Type "help" for commands, "exit" or Ctrl-D to leave'))
+
+    await runShell()
+  }
+}
@@ -0,0 +1,62 @@
+import {Args, Flags} from '@oclif/core'
+import {agent} from '../lib/agent'
+import {BaseCommand} from '../lib/base-command'
+import {connectionManager} from '../lib/connection'
+import {OUTPUT_FORMATS, OutputFormat} from '../lib/formatters'
+import {printResult} from '../lib/output'
+import {loadSettings} from '../lib/settings'
+import {runShow, SHOW_TARGETS, ShowTarget} from '../lib/show'
+
+export default class Show extends BaseCommand {
+  static description = 'List databases with their sizes, collections with document counts, users, roles or recent profiler entries';
+
+  static examples = [
+    '<%= config.bin %> <%= command.id %> dbs',
+    '<%= config.bin %> <%= command.id %> collections',
+    '<%= config.bin %> <%= command.id %> users',
+    '<%= config.bin %> <%= command.id %> roles',
+    '<%= config.bin %> <%= command.id %> profile',
+    '<%= config.bin %> <%= command.id %> collections -o json | jq -r ".[].name"',
+  ];
+
+  static args = {
+    target: Args.string({
+      description: 'what to list; everything but databases comes from the current database',
+      required: true,
+      options: [...SHOW_TARGETS],
+    }),
+  };
+
+  static flags = {
+    output: Flags.string({
+      char: 'o',
+      description: 'output format; machine formats print banners on stderr',
+      options: [...OUTPUT_FORMATS],
+      default: 'text',
+    }),
+    fields: Flags.string({
+      description: 'comma-separated fields for table and csv output, e.g. name,count',
+    }),
+  };
+
+  async run(): Promise<void> {
+    const {args, flags} = await this.parse(Show)
+    const target = args.target as ShowTarget
+    this.operation = `show ${target}`
+
+    let result
+    if (agent.isConfigured()) {
+      result = await agent.show(target)
+    } else {
+      // Ensure we're connected to MongoDB
+      await connectionManager.ensureConnected()
+      result = await runShow(connectionManager.getClient(), target, connectionManager.getCurrentDatabase())
+    }
+
+    printResult(result, {
+      format: flags.output as OutputFormat,
+      fields: flags.fields?.split(',').map(field => field.trim()).filter(Boolean),
+      theme: loadSettings().ui.theme,
+    })
+  }
+}
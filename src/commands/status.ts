@@ -1,49 +1,172 @@
-import { Command } from '@oclif/core';
-import { connectionManager } from '../lib/connection';
-import chalk from 'chalk';
+import {Flags} from '@oclif/core'
+import {agent, AgentStatus} from '../lib/agent'
+import {BaseCommand} from '../lib/base-command'
+import {connectionManager} from '../lib/connection'
+import {CliError, describeError, ErrorEnvelope} from '../lib/errors'
+import {redactCredentials} from '../lib/logger'
+import {ClientOptions} from '../lib/profiles'
+import {collectServerInfo, DRIVER_VERSION, ServerInfo, Topology} from '../lib/server-info'
+import chalk from 'chalk'
 
-export default class Status extends Command {
-  static description = 'Show current connection status and database information';
+/**
+ * What `status --json` prints
+ */
+interface StatusReport {
+  /** Whether the server answered; `error` says why not */
+  ok: boolean;
+  connectionString: string | null;
+  options: ClientOptions;
+  profile: string | null;
+  database: string | null;
+  agent: AgentStatus | null;
+  server: ServerInfo | null;
+  driverVersion: string;
+  error: ErrorEnvelope | null;
+}
+
+export default class Status extends BaseCommand {
+  static description = 'Show the connection, the server behind it and its topology; exits with the error\'s code when the server cannot be reached';
 
   static examples = [
     '<%= config.bin %> <%= command.id %>',
+    '<%= config.bin %> <%= command.id %> --json | jq .server.topology',
   ];
 
+  // Status prints its whole report as JSON, not only failures
+  static baseFlags = {
+    ...BaseCommand.baseFlags,
+    json: Flags.boolean({
+      description: 'print the full status report as JSON, for health checks; failures are reported in its error field',
+    }),
+  };
+
   async run(): Promise<void> {
+    await this.parse(Status)
+    const report = await this.collect()
+
+    if (this.jsonEnabled()) {
+      console.log(JSON.stringify(report, null, 2))
+    } else {
+      this.print(report)
+    }
+
+    if (report.error) {
+      this.exit(report.error.code)
+    }
+  }
+
+  private async collect(): Promise<StatusReport> {
+    const connectionString = connectionManager.getConnectionString()
+    const report: StatusReport = {
+      ok: false,
+      connectionString: connectionString ? redactCredentials(connectionString) : null,
+      options: connectionManager.getConnectionOptions(),
+      profile: connectionManager.getProfileName() ?? null,
+      database: connectionManager.getCurrentDatabase() ?? null,
+      agent: null,
+      server: null,
+      driverVersion: DRIVER_VERSION,
+      error: null,
+    }
+
     try {
-      const isConnected = connectionManager.isConnected();
-      const currentDb = connectionManager.getCurrentDatabase();
-      const connectionString = connectionManager.getConnectionString();
-      
-      console.log(chalk.blue('=== MongoDB Connection Status ==='));
-      
-      if (isConnected) {
-        console.log(chalk.green('✓ Connected to MongoDB'));
+      if (!connectionString) {
+        throw new CliError('Not connected to MongoDB', 'notConnected', {hint: 'Run "mongosh-clone connect <connection string>" first'})
+      }
+
+      if (agent.isConfigured()) {
+        report.agent = await agent.status()
+        report.server = await agent.serverInfo()
       } else {
-        console.log(chalk.red('✗ Not connected to MongoDB'));
+        await connectionManager.ensureConnected()
+        report.server = await collectServerInfo(connectionManager.getClient())
       }
-      
-      if (connectionString) {
-        console.log(chalk.blue(`Connection String: ${connectionString}`));
+
+      report.ok = true
+    } catch (error) {
+      report.error = describeError(error, 'status')
+    }
+
+    return report
+  }
+
+  private print(report: StatusReport): void {
+    console.log(chalk.blue('=== MongoDB Connection Status ==='))
+
+    if (report.ok) {
+      console.log(chalk.green('✓ Connected to MongoDB'))
+    } else {
+      console.log(chalk.red(`✗ ${report.error?.message}`))
+      if (report.error?.hint) {
+        console.log(chalk.yellow(report.error.hint))
       }
-      
-      if (currentDb) {
-        console.log(chalk.yellow(`Current Database: ${currentDb}`));
-      } else {
-        console.log(chalk.gray('No database selected'));
+    }
+
+    if (report.connectionString) {
+      console.log(chalk.blue(`Connection String: ${report.connectionString}`))
+      const options = Object.entries(report.options)
+      if (options.length > 0) {
+        console.log(chalk.blue(`Options: ${options.map(([name, value]) => `${name}=${value}`).join(', ')}`))
       }
-      
-      if (!isConnected) {
-        console.log(chalk.yellow('\\nUse "mongosh-clone connect" to connect to MongoDB'));
+
+      if (report.profile) {
+        console.log(chalk.blue(`Profile: ${report.profile}`))
       }
-      
-      if (isConnected && !currentDb) {
-        console.log(chalk.yellow('\\nUse "mongosh-clone use <database_name>" to select a database'));
+
+      console.log(report.database ? chalk.yellow(`Current Database: ${report.database}`) : chalk.gray('No database selected'))
+      if (report.agent) {
+        const {pid, startedAt, idleTimeoutMinutes} = report.agent
+        const idle = idleTimeoutMinutes > 0 ? `stops after ${idleTimeoutMinutes} idle minute(s)` : 'no idle timeout'
+        console.log(chalk.blue(`Agent: running (pid ${pid}, since ${startedAt}, ${idle})`))
+      } else if (!agent.isConfigured()) {
+        console.log(chalk.gray('Agent: not used; each command connects on its own'))
       }
-      
-    } catch (error) {
-      console.error(chalk.red(`Error getting status: ${error}`));
-      process.exit(1);
     }
+
+    if (report.server) {
+      this.printServer(report.server)
+    }
+
+    console.log(chalk.gray(`Driver: mongodb ${report.driverVersion}`))
+
+    if (report.ok && !report.database) {
+      console.log(chalk.yellow('\nUse "mongosh-clone use <database_name>" to select a database'))
+    }
+  }
+
+  private printServer(server: ServerInfo): void {
+    const engine = server.storageEngine ? ` (${server.storageEngine})` : ''
+    console.log(chalk.blue(`Server: MongoDB ${server.version}${engine}`))
+    console.log(chalk.blue(`Topology: ${describeTopology(server.topology)}`))
+
+    const width = Math.max(0, ...server.topology.members.map(member => member.name.length))
+    for (const member of server.topology.members) {
+      const notes = [...(member.self ? ['this node'] : []), ...(member.healthy === false ? ['unreachable'] : [])]
+      const line = `  ${member.name.padEnd(width)}  ${member.state}${notes.length > 0 ? ` (${notes.join(', ')})` : ''}`
+      if (member.healthy === false) {
+        console.log(chalk.red(line))
+      } else {
+        console.log(member.state === 'PRIMARY' ? chalk.green(line) : line)
+      }
+    }
+
+    console.log(chalk.blue(`Latency: ${server.latencyMs} ms`))
+
+    const users = server.users.map(({user, db}) => `${user}@${db}`)
+    const roles = server.roles.map(({role, db}) => `${role}@${db}`)
+    console.log(chalk.blue(users.length > 0 ?
+      `User: ${users.join(', ')}${roles.length > 0 ? ` (roles: ${roles.join(', ')})` : ''}` :
+      'User: not authenticated'))
+  }
+}
+
+function describeTopology(topology: Topology): string {
+  switch (topology.type) {
+  case 'replicaSet':
+    return `replica set ${topology.setName}, primary ${topology.primary ?? 'none'}`
+  case 'sharded':
+    return 'sharded cluster (through mongos)'
+  default:
+    return 'standalone'
   }
-} 
\ No newline at end of file
+}
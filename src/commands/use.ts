@@ -1,8 +1,11 @@
-import { Args, Command } from '@oclif/core';
-import { connectionManager } from '../lib/connection';
-import chalk from 'chalk';
+import {Args} from '@oclif/core'
+import {agent} from '../lib/agent'
+import {BaseCommand} from '../lib/base-command'
+import {connectionManager} from '../lib/connection'
+import {checkDatabase, DatabaseCheck, databaseWarnings} from '../lib/show'
+import chalk from 'chalk'
 
-export default class Use extends Command {
+export default class Use extends BaseCommand {
   static description = 'Switch to a database';
 
   static examples = [
@@ -18,19 +21,24 @@ export default class Use extends Command {
   };
 
   async run(): Promise<void> {
-    const { args } = await this.parse(Use);
-    
-    try {
+    const {args} = await this.parse(Use)
+    this.operation = `use ${args.database}`
+
+    let check: DatabaseCheck | null
+    if (agent.isConfigured()) {
+      check = await agent.use(args.database)
+    } else {
       // Ensure we're connected to MongoDB
-      await connectionManager.ensureConnected();
-      
+      await connectionManager.ensureConnected()
+
       // Switch to the specified database
-      connectionManager.useDatabase(args.database);
-      
-      console.log(chalk.green(`switched to db ${args.database}`));
-    } catch (error) {
-      console.error(chalk.red(`Error: ${error}`));
-      process.exit(1);
+      connectionManager.useDatabase(args.database)
+      check = await checkDatabase(connectionManager.getClient(), args.database)
+    }
+
+    console.log(chalk.green(`switched to db ${args.database}`))
+    for (const warning of databaseWarnings(args.database, check)) {
+      console.error(chalk.yellow(warning))
     }
   }
-} 
\ No newline at end of file
+}
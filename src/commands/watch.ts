@@ -0,0 +1,58 @@
+import {Args, Flags} from '@oclif/core'
+import {BaseCommand} from '../lib/base-command'
+import {formatChange, watchCollection} from '../lib/change-stream'
+import {connectionManager} from '../lib/connection'
+import {OperationParser} from '../lib/operation-parser'
+import chalk from 'chalk'
+
+export default class Watch extends BaseCommand {
+  static description = 'Stream changes made to a collection until interrupted with Ctrl-C';
+
+  static examples = [
+    '<%= config.bin %> <%= command.id %> orders',
+    '<%= config.bin %> <%= command.id %> orders "[{$match: {operationType: \'insert\'}}]"',
+    '<%= config.bin %> <%= command.id %> users --full-document updateLookup',
+    '<%= config.bin %> <%= command.id %> users --no-resume',
+  ];
+
+  static args = {
+    collection: Args.string({
+      description: 'collection to watch',
+      required: true,
+    }),
+    pipeline: Args.string({
+      description: 'pipeline filtering the change events, e.g. [{$match: {operationType: "delete"}}]',
+    }),
+  };
+
+  static flags = {
+    'full-document': Flags.string({
+      description: 'include the current document in update events (updateLookup) or require it',
+      options: OperationParser.FULL_DOCUMENT_MODES,
+    }),
+    resume: Flags.boolean({
+      description: 'continue after the last event seen by a previous watch on this collection',
+      default: true,
+      allowNo: true,
+    }),
+  };
+
+  async run(): Promise<void> {
+    const {args, flags} = await this.parse(Watch)
+
+    // Parsed as a db operation so the pipeline gets the same syntax and checks
+    const parsed = OperationParser.parse(`${args.collection}.watch(${args.pipeline ?? ''})`)
+    OperationParser.validate(parsed)
+
+    // Ensure we're connected to MongoDB
+    await connectionManager.ensureConnected()
+
+    console.log(chalk.blue(`Watching ${connectionManager.getCollection(args.collection).namespace} (Ctrl-C to stop)...`))
+    await watchCollection(args.collection, parsed.arguments[0] || [], {
+      ...(flags['full-document'] ? {fullDocument: flags['full-document']} : {}),
+      resume: flags.resume,
+      onChange: change => console.log(formatChange(change)),
+      onNotice: message => console.log(chalk.blue(message)),
+    })
+  }
+}
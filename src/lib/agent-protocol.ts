@@ -0,0 +1,263 @@
+import * as fs from 'node:fs'
+import * as net from 'node:net'
+import * as os from 'node:os'
+import * as path from 'node:path'
+import {BSON} from 'mongodb'
+import {categorize, CliError, describeError, ErrorCategory} from './errors'
+import {ExecutionResult, PartialResultError} from './executor'
+
+/**
+ * An error raised in the agent, as sent back to the CLI
+ */
+export interface RemoteError {
+  message: string;
+  category: ErrorCategory;
+  hint: string | null;
+  /** What a partly applied operation did, see PartialResultError */
+  result?: ExecutionResult;
+}
+
+/**
+ * Handles one request; `emit` streams events, such as aggregation results,
+ * to the CLI before the handler's return value is sent as the result
+ */
+export type AgentHandler = (params: any, emit: (event: string, data: unknown) => void) => Promise<unknown>;
+
+export interface AgentServerOptions {
+  socketPath: string;
+  /** Calls `onIdle` after this long without requests; 0 never does */
+  idleTimeoutMs: number;
+  onIdle: () => void;
+}
+
+/**
+ * Where the agent listens: a socket in the home directory, readable only
+ * by its owner, or a per-user named pipe on Windows
+ * @returns the socket or pipe path
+ */
+export function defaultSocketPath(): string {
+  return process.platform === 'win32' ?
+    `\\\\.\\pipe\\mongosh-clone-agent-${os.userInfo().username}` :
+    path.join(os.homedir(), '.mongosh-clone-agent.sock')
+}
+
+/**
+ * Messages are one line of canonical EJSON each, so BSON values such as
+ * ObjectId and Long survive the trip; numbers come back as JS numbers, as
+ * they do from the driver
+ * @param message a request, response or event
+ * @returns the line to write
+ */
+function encode(message: unknown): string {
+  return `${BSON.EJSON.stringify(message, {relaxed: false})}\n`
+}
+
+function decode(line: string): any {
+  return BSON.EJSON.parse(line, {relaxed: true})
+}
+
+/**
+ * Calls `listener` with each complete line received. Unlike readline,
+ * this leaves socket errors to the socket's own handler.
+ * @param socket the connection to read
+ * @param listener receives each line, without its newline
+ * @returns nothing
+ */
+function onLines(socket: net.Socket, listener: (line: string) => void): void {
+  let buffered = ''
+  socket.setEncoding('utf8')
+  socket.on('data', (chunk: string) => {
+    buffered += chunk
+    let end = buffered.indexOf('\n')
+    while (end >= 0) {
+      const line = buffered.slice(0, end)
+      buffered = buffered.slice(end + 1)
+      listener(line)
+      end = buffered.indexOf('\n')
+    }
+  })
+}
+
+export function toRemoteError(error: any): RemoteError {
+  return {
+    message: typeof error?.message === 'string' ? error.message : String(error),
+    category: categorize(error),
+    hint: describeError(error, '').hint,
+    ...(error instanceof PartialResultError ? {result: error.result} : {}),
+  }
+}
+
+/**
+ * Rebuilds an agent error so it is reported, and exits, like a local one
+ * @param remote the error as the agent sent it
+ * @returns the error to throw
+ */
+export function fromRemoteError(remote: RemoteError): Error {
+  const error = new CliError(remote.message, remote.category, {hint: remote.hint ?? undefined})
+  return remote.result ? new PartialResultError(remote.message, remote.result, error) : error
+}
+
+/**
+ * The agent's end of the socket. Each connection carries one request,
+ * `{method, params}`, answered by any number of `{event, data}` lines and
+ * then `{result}` or `{error}`.
+ */
+export class AgentServer {
+  private readonly server = net.createServer(socket => this.serve(socket));
+  private active = 0;
+  private idleTimer?: NodeJS.Timeout;
+  private readonly handlers: Record<string, AgentHandler>;
+  private readonly options: AgentServerOptions;
+
+  constructor(handlers: Record<string, AgentHandler>, options: AgentServerOptions) {
+    this.handlers = handlers
+    this.options = options
+  }
+
+  async listen(): Promise<void> {
+    await this.removeStaleSocket()
+    await new Promise<void>((resolve, reject) => {
+      this.server.once('error', reject)
+      this.server.listen(this.options.socketPath, () => {
+        this.server.off('error', reject)
+        resolve()
+      })
+    })
+
+    if (process.platform !== 'win32') {
+      // The socket hands out an authenticated connection
+      fs.chmodSync(this.options.socketPath, 0o600)
+    }
+
+    this.resetIdleTimer()
+  }
+
+  /**
+   * Stops accepting requests and waits for running ones to finish
+   * @returns once the server is closed
+   */
+  close(): Promise<void> {
+    if (this.idleTimer) {
+      clearTimeout(this.idleTimer)
+    }
+
+    return new Promise(resolve => {
+      this.server.close(() => resolve())
+    })
+  }
+
+  private serve(socket: net.Socket): void {
+    socket.on('error', () => {
+      // The CLI may go away mid-request, e.g. on Ctrl-C
+    })
+    const write = (message: unknown) => {
+      if (!socket.destroyed) {
+        socket.write(encode(message))
+      }
+    }
+
+    let received = false
+    onLines(socket, async line => {
+      // One request per connection
+      if (received) {
+        return
+      }
+
+      received = true
+      this.active++
+      if (this.idleTimer) {
+        clearTimeout(this.idleTimer)
+      }
+
+      try {
+        const {method, params} = decode(line)
+        const handler = Object.prototype.hasOwnProperty.call(this.handlers, method) ? this.handlers[method] : undefined
+        if (!handler) {
+          throw new Error(`Unknown agent request "${method}"`)
+        }
+
+        write({result: await handler(params ?? {}, (event, data) => write({event, data}))})
+      } catch (error) {
+        write({error: toRemoteError(error)})
+      } finally {
+        socket.end()
+        this.active--
+        this.resetIdleTimer()
+      }
+    })
+  }
+
+  private resetIdleTimer(): void {
+    if (this.active === 0 && this.options.idleTimeoutMs > 0) {
+      this.idleTimer = setTimeout(this.options.onIdle, this.options.idleTimeoutMs)
+    }
+  }
+
+  /**
+   * A socket file left by an agent that crashed blocks listen(); remove
+   * it unless an agent still answers on it
+   * @returns once the path is free, unless an agent answers on it
+   */
+  private async removeStaleSocket(): Promise<void> {
+    if (process.platform === 'win32' || !fs.existsSync(this.options.socketPath)) {
+      return
+    }
+
+    const live = await new Promise<boolean>(resolve => {
+      const probe = net.createConnection(this.options.socketPath)
+      probe.once('connect', () => {
+        probe.destroy()
+        resolve(true)
+      })
+      probe.once('error', () => resolve(false))
+    })
+    if (live) {
+      throw new Error(`Another agent is already listening on ${this.options.socketPath}`)
+    }
+
+    fs.unlinkSync(this.options.socketPath)
+  }
+}
+
+/**
+ * Sends one request to the agent and resolves with its result. Socket
+ * errors, such as ECONNREFUSED when no agent is listening, are passed on
+ * as they are.
+ * @param socketPath where the agent listens
+ * @param method the request's method
+ * @param params the request's parameters
+ * @param onEvent receives the events sent before the result
+ * @returns the result
+ */
+export function sendRequest<T = unknown>(
+  socketPath: string,
+  method: string,
+  params?: Record<string, unknown>,
+  onEvent?: (event: string, data: any) => void,
+): Promise<T> {
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection(socketPath)
+    let settled = false
+    const settle = (finish: () => void) => {
+      if (!settled) {
+        settled = true
+        socket.destroy()
+        finish()
+      }
+    }
+
+    socket.once('connect', () => socket.write(encode({method, params})))
+    socket.on('error', error => settle(() => reject(error)))
+    socket.once('close', () => settle(() => reject(new CliError('The connection agent closed the connection without replying', 'notConnected'))))
+    onLines(socket, line => {
+      const reply = decode(line)
+      if (reply.error) {
+        settle(() => reject(fromRemoteError(reply.error)))
+      } else if (reply.event) {
+        onEvent?.(reply.event, reply.data)
+      } else {
+        settle(() => resolve(reply.result))
+      }
+    })
+  })
+}
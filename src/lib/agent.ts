@@ -0,0 +1,290 @@
+import {spawn} from 'node:child_process'
+import * as fs from 'node:fs'
+import * as os from 'node:os'
+import * as path from 'node:path'
+import {Document} from 'mongodb'
+import {AgentServer, defaultSocketPath, fromRemoteError, sendRequest, toRemoteError} from './agent-protocol'
+import {complete, Completion} from './completion'
+import {AgentState, connectionManager} from './connection'
+import {CursorPager} from './cursor-pager'
+import {CliError} from './errors'
+import {ExecutionResult, OperationExecutor} from './executor'
+import {logger} from './logger'
+import {OperationParser} from './operation-parser'
+import {ClientOptions} from './profiles'
+import {completionSource} from './schema-cache'
+import {collectServerInfo, ServerInfo} from './server-info'
+import {loadSettings} from './settings'
+import {checkDatabase, DatabaseCheck, runShow, ShowTarget} from './show'
+
+/**
+ * The agent's stdout and stderr, kept for when it dies unexpectedly
+ */
+export const AGENT_LOG = path.join(os.homedir(), '.mongosh-clone-agent.log')
+
+export interface AgentStatus {
+  pid: number;
+  startedAt: string;
+  lastRequestAt: string;
+  idleTimeoutMinutes: number;
+  database?: string;
+}
+
+/**
+ * CLI side of the background agent: starts and stops it, and forwards
+ * operations to it. The agent owns the MongoClient, so commands skip the
+ * connection handshake and find cursors live on between commands.
+ */
+class AgentClient {
+  /**
+   * Whether `connect` started an agent, which may since have died
+   * @returns whether an agent was started
+   */
+  isConfigured(): boolean {
+    return connectionManager.getAgent() !== undefined
+  }
+
+  /**
+   * Starts an agent connected to `connectionString`, replacing any running
+   * one, and waits until it is connected and listening. The connection
+   * string goes over IPC rather than the command line, where `ps` would
+   * show it.
+   * @param connectionString where to connect
+   * @param options the client options, such as TLS files
+   * @returns once the agent is listening
+   */
+  async start(connectionString: string, options: ClientOptions = {}): Promise<void> {
+    await this.stop()
+
+    const log = fs.openSync(AGENT_LOG, 'a')
+    const child = spawn(process.execPath, [...process.execArgv, process.argv[1], 'agent'], {
+      detached: true,
+      stdio: ['ignore', log, log, 'ipc'],
+    })
+    fs.closeSync(log)
+
+    try {
+      await new Promise<void>((resolve, reject) => {
+        child.once('message', (message: any) => (message.error ? reject(fromRemoteError(message.error)) : resolve()))
+        child.once('error', reject)
+        child.once('exit', code => reject(new CliError(`The connection agent exited with code ${code} while starting`, 'general', {
+          hint: `Its output is in ${AGENT_LOG}`,
+        })))
+        child.send({connectionString, options})
+      })
+    } finally {
+      child.removeAllListeners()
+      if (child.connected) {
+        child.disconnect()
+      }
+
+      child.unref()
+    }
+
+    // The agent saved the connection and itself
+    connectionManager.reload()
+    logger.debug(`Connection agent started with pid ${child.pid}`)
+  }
+
+  /**
+   * Shuts the agent down, if one was started, and forgets it
+   * @returns once the agent has acknowledged the shutdown
+   */
+  async stop(): Promise<void> {
+    const state = connectionManager.getAgent()
+    if (!state) {
+      return
+    }
+
+    try {
+      await sendRequest(state.socket, 'shutdown')
+      logger.debug(`Connection agent ${state.pid} stopped`)
+    } catch (error) {
+      logger.debug(`Connection agent ${state.pid} was not running`, {error: (error as Error).message})
+    }
+
+    connectionManager.saveAgent()
+  }
+
+  async request<T>(method: string, params?: Record<string, unknown>, onEvent?: (event: string, data: any) => void): Promise<T> {
+    const state = connectionManager.getAgent()
+    if (!state) {
+      throw new CliError('No connection agent is running', 'notConnected', {hint: 'Run "mongosh-clone connect <connection string>" first'})
+    }
+
+    try {
+      return await sendRequest<T>(state.socket, method, params, onEvent)
+    } catch (error) {
+      const code = (error as NodeJS.ErrnoException).code
+      if (code === 'ENOENT' || code === 'ECONNREFUSED') {
+        throw this.unavailable(state)
+      }
+
+      throw error
+    }
+  }
+
+  /**
+   * Runs a `db` operation in the agent. Documents passed to `onDocument`
+   * are streamed back as they arrive.
+   * @param operation the operation, as typed
+   * @param options the `find` batch size and the aggregation callback
+   * @returns the result
+   */
+  execute(operation: string, options: { batchSize?: number; onDocument?: (doc: Document) => void }): Promise<ExecutionResult> {
+    const {batchSize, onDocument} = options
+    // EJSON would turn an undefined batchSize into null
+    const params = {operation, stream: Boolean(onDocument), ...(batchSize === undefined ? {} : {batchSize})}
+    return this.request<ExecutionResult>('execute', params, (event, data) => {
+      if (event === 'document') {
+        onDocument?.(data)
+      }
+    })
+  }
+
+  nextBatch(): Promise<ExecutionResult> {
+    return this.request<ExecutionResult>('nextBatch')
+  }
+
+  /**
+   * Switches the agent's database, reporting whether it exists
+   * @param database the database to switch to
+   * @returns what `checkDatabase` found
+   */
+  use(database: string): Promise<DatabaseCheck | null> {
+    return this.request<DatabaseCheck | null>('use', {database})
+  }
+
+  show(target: ShowTarget): Promise<ExecutionResult> {
+    return this.request<ExecutionResult>('show', {target})
+  }
+
+  /**
+   * Completes the operation typed so far with the agent's database
+   * @param line the text up to the cursor
+   * @returns the candidates
+   */
+  complete(line: string): Promise<Completion> {
+    return this.request<Completion>('complete', {line})
+  }
+
+  status(): Promise<AgentStatus> {
+    return this.request<AgentStatus>('status')
+  }
+
+  serverInfo(): Promise<ServerInfo> {
+    return this.request<ServerInfo>('serverInfo')
+  }
+
+  private unavailable(state: AgentState): CliError {
+    if (state.stoppedAt) {
+      return new CliError(`The connection agent stopped after ${state.idleTimeoutMinutes} idle minute(s)`, 'notConnected', {
+        hint: 'Run "mongosh-clone connect <connection string>" to start a new one',
+      })
+    }
+
+    return new CliError(`The connection agent (pid ${state.pid}) is no longer running`, 'notConnected', {
+      hint: `Run "mongosh-clone connect <connection string>" to start a new one; its output is in ${AGENT_LOG}`,
+    })
+  }
+}
+
+export const agent = new AgentClient()
+
+/**
+ * Body of the agent process, started by AgentClient.start(). Connects with
+ * the connection string received over IPC, reports success or the error,
+ * then serves requests until shut down or idle.
+ * @returns once the agent has shut down
+ */
+export async function runAgent(): Promise<void> {
+  if (!process.send) {
+    throw new CliError('The agent is started by "mongosh-clone connect" and cannot be run directly', 'usage')
+  }
+
+  const {connectionString, options} = await new Promise<any>(resolve => {
+    process.once('message', resolve)
+  })
+  const idleTimeoutMinutes = loadSettings().agent.idleTimeoutMinutes
+  const startedAt = new Date().toISOString()
+  let lastRequestAt = startedAt
+  let stopped: () => void
+  const done = new Promise<void>(resolve => {
+    stopped = resolve
+  })
+
+  const shutdown = async () => {
+    await server.close()
+    await connectionManager.disconnect({keepConfig: true})
+    stopped()
+  }
+
+  const request = (handler: (params: any, emit: (event: string, data: unknown) => void) => Promise<unknown>) =>
+    (params: any, emit: (event: string, data: unknown) => void) => {
+      lastRequestAt = new Date().toISOString()
+      // Other invocations may have changed the database or cursor
+      connectionManager.reload()
+      return handler(params, emit)
+    }
+
+  const server: AgentServer = new AgentServer({
+    execute: request(async ({operation, batchSize, stream}, emit) => {
+      const parsed = OperationParser.parse(operation)
+      OperationParser.validate(parsed)
+      return OperationExecutor.execute(parsed, {
+        batchSize,
+        onDocument: stream ? doc => emit('document', doc) : undefined,
+      })
+    }),
+    nextBatch: request(() => CursorPager.nextBatch()),
+    use: request(async ({database}) => {
+      connectionManager.useDatabase(database)
+      return checkDatabase(connectionManager.getClient(), database)
+    }),
+    show: request(({target}) => runShow(connectionManager.getClient(), target, connectionManager.getCurrentDatabase())),
+    status: request(async () => ({
+      pid: process.pid,
+      startedAt,
+      lastRequestAt,
+      idleTimeoutMinutes,
+      database: connectionManager.getCurrentDatabase(),
+    })),
+    serverInfo: request(() => collectServerInfo(connectionManager.getClient())),
+    complete: request(({line}) => complete(line, completionSource())),
+    shutdown: async () => {
+      // Answer first; closing waits for this connection to end
+      setImmediate(shutdown)
+    },
+  }, {
+    socketPath: defaultSocketPath(),
+    idleTimeoutMs: idleTimeoutMinutes * 60 * 1000,
+    onIdle: () => {
+      logger.info(`Stopping after ${idleTimeoutMinutes} idle minute(s)`)
+      connectionManager.reload()
+      const state = connectionManager.getAgent()
+      // A newer agent may have replaced this one
+      if (state?.pid === process.pid) {
+        connectionManager.saveAgent({...state, stoppedAt: new Date().toISOString()})
+      }
+
+      shutdown()
+    },
+  })
+
+  try {
+    await connectionManager.connect(connectionString, options)
+    await server.listen()
+    connectionManager.saveAgent({pid: process.pid, socket: defaultSocketPath(), startedAt, idleTimeoutMinutes})
+  } catch (error) {
+    await connectionManager.disconnect({keepConfig: true})
+    await new Promise(resolve => {
+      process.send!({error: toRemoteError(error)}, resolve)
+    })
+    return
+  }
+
+  logger.info(`Agent ${process.pid} listening on ${defaultSocketPath()}`)
+  process.send({ready: true})
+  process.disconnect()
+  await done
+}
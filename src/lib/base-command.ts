@@ -0,0 +1,82 @@
+import {Command, Errors, Flags} from '@oclif/core'
+import chalk from 'chalk'
+import {connectionManager} from './connection'
+import {describeError} from './errors'
+import {logger} from './logger'
+import {printError} from './output'
+import {colorsAllowed} from './pretty-printer'
+import {loadSettings} from './settings'
+
+/**
+ * Base class of every command. Adds `--verbose`, `--quiet` and `--json`,
+ * sets up the logger from the `logging` settings and turns colors off
+ * when `ui.colorOutput` or `NO_COLOR` say so, before the command runs.
+ * Commands throw on failure; `catch` reports the error and exits with
+ * its code from EXIT_CODES. The MongoClient is closed once the command
+ * ends, since its monitoring sockets would keep the process alive.
+ */
+export abstract class BaseCommand extends Command {
+  // Lets jsonEnabled() see --json even when parsing the other flags fails
+  static enableJsonFlag = true;
+
+  static baseFlags = {
+    json: Flags.boolean({
+      description: 'on failure, print a JSON object with code, codeName, message, operation and hint',
+    }),
+    verbose: Flags.boolean({
+      char: 'v',
+      description: 'log debug details, including driver commands when logging.commandMonitoring is on',
+      exclusive: ['quiet'],
+    }),
+    quiet: Flags.boolean({
+      char: 'q',
+      description: 'log errors only',
+      exclusive: ['verbose'],
+    }),
+  };
+
+  /** What was being run, for error output; defaults to the command id */
+  protected operation?: string;
+
+  async init(): Promise<void> {
+    await super.init()
+    const {flags} = await this.parse(this.ctor)
+
+    const settings = loadSettings()
+    logger.configure(settings.logging)
+    if (!colorsAllowed(settings.ui.colorOutput)) {
+      chalk.level = 0
+    }
+
+    if (flags.verbose) {
+      logger.configure({level: 'debug'})
+    } else if (flags.quiet) {
+      logger.configure({level: 'error'})
+    }
+
+    logger.debug(`Running ${this.id}`, {argv: this.argv})
+  }
+
+  async finally(error: Error | undefined): Promise<any> {
+    await connectionManager.disconnect({keepConfig: true})
+    return super.finally(error)
+  }
+
+  async catch(error: Error & { exitCode?: number }): Promise<any> {
+    // this.exit() ends a command through an error too
+    if (error instanceof Errors.ExitError) {
+      throw error
+    }
+
+    const envelope = describeError(error, this.operation ?? this.id ?? '')
+    if (this.jsonEnabled()) {
+      console.log(JSON.stringify(envelope, null, 2))
+    } else {
+      printError(error, envelope)
+    }
+
+    // Exits through oclif, which runs `finally` first and lets tests
+    // assert the code
+    this.exit(envelope.code)
+  }
+}
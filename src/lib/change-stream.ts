@@ -0,0 +1,227 @@
+import {BSON, ChangeStream, ChangeStreamDocument, ChangeStreamOptions, Document, MongoServerError} from 'mongodb'
+import * as fs from 'node:fs'
+import * as os from 'node:os'
+import * as path from 'node:path'
+import {connectionManager} from './connection'
+
+const RESUME_TOKENS_FILE = path.join(os.homedir(), '.mongosh-clone-resume-tokens.json')
+
+/**
+ * Server errors meaning a saved token can no longer be resumed from,
+ * usually because the oplog has rolled past it
+ */
+const UNRESUMABLE_TOKEN_CODES = new Set([260, 280, 286])
+
+/** Busy streams save their resume token at most this often, in milliseconds */
+const TOKEN_SAVE_INTERVAL = 1000
+
+export interface WatchOptions extends ChangeStreamOptions {
+  /** Continue after the token saved by the last watch on this namespace (default true) */
+  resume?: boolean;
+  /** Receives each change event */
+  onChange: (change: ChangeStreamDocument) => void;
+  /** Receives status messages such as "Resuming after saved token" */
+  onNotice?: (message: string) => void;
+}
+
+function readTokens(file: string): Record<string, Document> {
+  try {
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {}
+  } catch {
+    return {}
+  }
+}
+
+function writeTokens(tokens: Record<string, Document>, file: string): void {
+  fs.writeFileSync(file, JSON.stringify(tokens, null, 2), {mode: 0o600})
+}
+
+/**
+ * Resume token saved by the last watch on `database.collection`, if any
+ * @param namespace the watched `database.collection`
+ * @param file where tokens are kept
+ * @returns the token
+ */
+export function loadResumeToken(namespace: string, file = RESUME_TOKENS_FILE): Document | undefined {
+  const token = readTokens(file)[namespace]
+  return token ? BSON.EJSON.deserialize(token, {relaxed: false}) : undefined
+}
+
+/**
+ * Saves the token a later watch on `namespace` resumes after, or forgets
+ * it when given undefined
+ * @param namespace the watched `database.collection`
+ * @param token the `_id` of the last event
+ * @param file where tokens are kept
+ * @returns nothing
+ */
+export function saveResumeToken(namespace: string, token?: unknown, file = RESUME_TOKENS_FILE): void {
+  const tokens = readTokens(file)
+  if (token) {
+    tokens[namespace] = BSON.EJSON.serialize(token, {relaxed: false})
+  } else {
+    delete tokens[namespace]
+  }
+
+  writeTokens(tokens, file)
+}
+
+/**
+ * Saves the resume tokens of a stream without rewriting the file on every
+ * event: the first token is saved at once, later ones at most once per
+ * `interval`, and `flush` saves the one still waiting.
+ * @param namespace the watched `database.collection`
+ * @param interval the shortest time between two saves, in milliseconds
+ * @param file where tokens are kept
+ * @returns `save` for each new token and `flush` for when the stream stops
+ */
+export function throttleTokenSaves(namespace: string, interval = TOKEN_SAVE_INTERVAL, file = RESUME_TOKENS_FILE): {
+  save: (token: unknown) => void;
+  flush: () => void;
+} {
+  let pending: unknown
+  let timer: NodeJS.Timeout | undefined
+
+  const flush = () => {
+    if (timer) {
+      clearTimeout(timer)
+      timer = undefined
+    }
+
+    if (pending) {
+      saveResumeToken(namespace, pending, file)
+      pending = undefined
+    }
+  }
+
+  const save = (token: unknown) => {
+    pending = token
+    if (timer) {
+      return
+    }
+
+    flush()
+    // Later tokens wait for the timer; it must not keep the process alive
+    timer = setTimeout(flush, interval)
+    timer.unref()
+  }
+
+  return {save, flush}
+}
+
+/**
+ * One line describing the event, followed by the document or update it
+ * carries
+ * @param change the change event
+ * @returns the lines to print
+ */
+export function formatChange(change: ChangeStreamDocument): string {
+  const event = change as Document
+  const namespace = event.ns ? [event.ns.db, event.ns.coll].filter(Boolean).join('.') : ''
+  const key = event.documentKey ? ` ${BSON.EJSON.stringify(event.documentKey._id ?? event.documentKey)}` : ''
+  const header = `${change.operationType} ${namespace}${key}`.trimEnd()
+
+  let body: Document | undefined
+  switch (change.operationType) {
+  case 'insert':
+  case 'replace':
+    body = event.fullDocument
+    break
+  case 'update':
+    body = event.fullDocument ?
+      {updateDescription: event.updateDescription, fullDocument: event.fullDocument} :
+      event.updateDescription
+    break
+  case 'delete':
+    body = event.fullDocumentBeforeChange
+    break
+  }
+
+  return body ? `${header}\n${JSON.stringify(body, null, 2)}` : header
+}
+
+/**
+ * Tails a change stream on `collectionName` until it is closed by the
+ * server or interrupted with Ctrl-C.
+ *
+ * The resume token is saved to disk as events arrive, at most once a
+ * second and always when the stream stops, so a restarted
+ * watch on the same namespace continues where the last one stopped
+ * instead of missing the changes made in between. On Ctrl-C the stream is
+ * closed and the client disconnected; the saved connection is kept.
+ * @param collectionName the collection in the current database
+ * @param pipeline stages filtering or reshaping the events
+ * @param options the change stream options and where events go
+ * @returns once the stream is closed
+ */
+export async function watchCollection(collectionName: string, pipeline: Document[], options: WatchOptions): Promise<void> {
+  const {resume = true, onChange, onNotice, ...streamOptions} = options
+  const collection = connectionManager.getCollection(collectionName)
+  const namespace = `${collection.dbName}.${collection.collectionName}`
+
+  const explicitStart = streamOptions.resumeAfter || streamOptions.startAfter || streamOptions.startAtOperationTime
+  let savedToken = resume && !explicitStart ? loadResumeToken(namespace) : undefined
+
+  let stream: ChangeStream | undefined
+  const tokens = throttleTokenSaves(namespace)
+  let interrupted = false
+  const stop = () => {
+    interrupted = true
+    closeQuietly(stream)
+  }
+
+  process.once('SIGINT', stop)
+  try {
+    // eslint-disable-next-line no-unmodified-loop-condition -- stop() sets it on SIGINT
+    while (!interrupted) {
+      if (savedToken) {
+        onNotice?.(`Resuming after the token saved for ${namespace}`)
+      }
+
+      stream = collection.watch(pipeline, savedToken ? {...streamOptions, resumeAfter: savedToken} : streamOptions)
+      try {
+        // eslint-disable-next-line no-await-in-loop -- the loop only starts the next stream once this one failed
+        for await (const change of stream) {
+          onChange(change)
+          tokens.save(stream.resumeToken)
+        }
+
+        return
+      } catch (error) {
+        if (interrupted) {
+          return
+        }
+
+        if (savedToken && error instanceof MongoServerError && UNRESUMABLE_TOKEN_CODES.has(Number(error.code))) {
+          onNotice?.(`The saved token for ${namespace} can no longer be resumed (${error.message}); watching from now`)
+          tokens.flush()
+          saveResumeToken(namespace)
+          savedToken = undefined
+          continue
+        }
+
+        throw error
+      }
+    }
+  } finally {
+    process.removeListener('SIGINT', stop)
+    await closeQuietly(stream)
+    tokens.flush()
+    if (interrupted) {
+      await connectionManager.disconnect({keepConfig: true})
+    }
+  }
+}
+
+/**
+ * Closes `stream`, which may have failed or been closed already
+ * @param stream the stream, if it was opened
+ * @returns once the stream is closed
+ */
+async function closeQuietly(stream?: ChangeStream): Promise<void> {
+  try {
+    await stream?.close()
+  } catch {
+    // Nothing is left to report once the stream is done
+  }
+}
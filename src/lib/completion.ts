@@ -0,0 +1,282 @@
+import {OperationParser, ParseError, Token} from './operation-parser'
+import {AGGREGATION_STAGES, EXPRESSION_OPERATORS, QUERY_OPERATORS, UPDATE_OPERATORS} from './operators'
+import {SHOW_TARGETS} from './show'
+
+/**
+ * Where completion finds names that live on the server. Any of them may
+ * come back empty when the server cannot tell.
+ */
+export interface CompletionSource {
+  databases(): Promise<string[]>;
+  collections(): Promise<string[]>;
+  /** Dotted field paths seen in `collection` */
+  fields(collection: string): Promise<string[]>;
+}
+
+/**
+ * Candidates for the `fragment` at the end of the line, each starting with
+ * it, as readline expects
+ */
+export interface Completion {
+  candidates: string[];
+  fragment: string;
+}
+
+/**
+ * Words the shell understands on their own, besides collections
+ */
+const SHELL_KEYWORDS = ['db', 'exit', 'help', 'it', 'quit', 'show', 'use']
+
+const UPDATE_METHODS = new Set(['updateOne', 'updateMany', 'findOneAndUpdate', 'bulkWrite'])
+
+/**
+ * What the dot at the end of an operation is followed by
+ */
+type Target =
+  | { kind: 'database' }
+  | { kind: 'collection'; collection: string }
+  | { kind: 'cursor'; collection: string; method: string; terminal: boolean };
+
+/**
+ * Completes the operation typed so far: shell commands and collections,
+ * `db` and collection methods, cursor methods after `find` and
+ * `aggregate`, and operators and field paths inside the arguments.
+ * @param line the text up to the cursor
+ * @param source where server-side names come from
+ * @returns the candidates
+ */
+export async function complete(line: string, source: CompletionSource): Promise<Completion> {
+  const command = /^\s*(use|show)\s+(\S*)$/.exec(line)
+  if (command) {
+    const names = command[1] === 'use' ? await source.databases() : [...SHOW_TARGETS]
+    return matching(names, command[2])
+  }
+
+  let tokens: Token[]
+  try {
+    tokens = OperationParser.tokenize(line.trimStart(), true)
+  } catch (error) {
+    if (error instanceof ParseError) {
+      return {candidates: [], fragment: ''}
+    }
+
+    throw error
+  }
+
+  // An argument list that is still open ends the tokens with `(` and its text
+  if (tokens.length >= 3 && tokens[tokens.length - 2].value === '(' &&
+    tokens[tokens.length - 1].start === tokens[tokens.length - 2].end) {
+    return completeArguments(tokens, source)
+  }
+
+  const last = tokens[tokens.length - 1]
+  const fragment = last && /^[\w$-]+$/.test(last.value) && !/\s$/.test(line) ? last.value : ''
+  const before = fragment ? tokens.slice(0, -1) : tokens
+  if (before.length === 0) {
+    return matching([...SHELL_KEYWORDS, ...(await source.collections()).filter(name => isPlainName(name))], fragment)
+  }
+
+  const target = resolveTarget(before)
+  switch (target?.kind) {
+  case 'database':
+    return matching([
+      ...Object.keys(OperationParser.DATABASE_METHODS),
+      'getCollection',
+      ...(await source.collections()).filter(name => isPlainName(name)),
+    ], fragment)
+  case 'collection':
+    return matching(OperationParser.SUPPORTED_METHODS, fragment)
+  case 'cursor':
+    return matching(target.terminal || !OperationParser.CHAINABLE_OPERATIONS.includes(target.method) ?
+      [] :
+      Object.entries(OperationParser.CURSOR_METHODS)
+      .filter(([, cursorMethod]) => cursorMethod.appliesTo.includes(target.method))
+      .map(([name]) => name), fragment)
+  default:
+    return {candidates: [], fragment}
+  }
+}
+
+/**
+ * Operators for a `$` key and field paths for other keys, in the open
+ * argument list of the method before the last `(`. A quoted `'$` in value
+ * position, as aggregation expressions use, completes to field references.
+ * @param tokens the tokens of the line, ending with `(` and the arguments
+ * @param source where field paths come from
+ * @returns the candidates
+ */
+async function completeArguments(tokens: Token[], source: CompletionSource): Promise<Completion> {
+  const args = tokens[tokens.length - 1].value
+  const method = tokens[tokens.length - 3].value
+  const [, quote, word] = /(["']?)([\w$.]*)$/.exec(args)!
+  const fragment = quote + word
+  const beforeFragment = args.slice(0, args.length - fragment.length)
+
+  const target = resolveTarget(tokens.slice(0, -3))
+  const collection = target && target.kind !== 'database' ? target.collection : undefined
+  const baseMethod = target?.kind === 'cursor' ? target.method : method
+
+  if (target?.kind === 'database' && method === 'getCollection' && !beforeFragment.trim()) {
+    return matching((await source.collections()).map(name => `${quote || "'"}${name}${quote || "'"}`), fragment)
+  }
+
+  if (isKeyPosition(beforeFragment)) {
+    if (word.startsWith('$')) {
+      return matching(operatorsFor(baseMethod).map(operator => quote + operator + quote), fragment)
+    }
+
+    const fields = collection ? await source.fields(collection) : []
+    return matching(quote ?
+      fields.map(field => quote + field + quote) :
+      fields.filter(field => /^[$A-Z_a-z][\w$]*$/.test(field)), fragment)
+  }
+
+  if (quote && word.startsWith('$') && collection) {
+    return matching((await source.fields(collection)).map(field => `${quote}$${field}${quote}`), fragment)
+  }
+
+  return {candidates: [], fragment}
+}
+
+/**
+ * Follows the tokens before a trailing `.`: `db.`, `coll.`, `db.coll.`,
+ * `db.getCollection('coll').` and calls chained onto them
+ * @param tokens the tokens up to and including the `.`
+ * @returns what the dot follows, or undefined when it is not understood
+ */
+function resolveTarget(tokens: Token[]): Target | undefined {
+  const values = tokens.map(token => token.value)
+  if (values.pop() !== '.') {
+    return undefined
+  }
+
+  let index: number
+  let collection: string
+  if (values[0] === 'db') {
+    if (values.length === 1) {
+      return {kind: 'database'}
+    }
+
+    if (values[1] !== '.') {
+      return undefined
+    }
+
+    if (values[2] === 'getCollection' && values[3] === '(') {
+      collection = /^\s*(["'])(.+)\1\s*$/.exec(values[4] ?? '')?.[2] ?? ''
+      index = 6
+    } else if (values[3] === '(') {
+      // db.method(...) results are not chained
+      return undefined
+    } else {
+      [collection, index] = dottedName(values, 2)
+    }
+  } else {
+    [collection, index] = dottedName(values, 0)
+  }
+
+  if (!collection || !OperationParser.isValidIdentifier(collection)) {
+    return undefined
+  }
+
+  if (index === values.length) {
+    return {kind: 'collection', collection}
+  }
+
+  if (values[index] !== '.') {
+    return undefined
+  }
+
+  // method(...) followed by .cursorMethod(...) calls
+  const calls: string[] = []
+  for (let i = index + 1; i < values.length; i += 5) {
+    if (values[i + 1] !== '(' || values[i + 3] !== ')' || (i + 4 < values.length && values[i + 4] !== '.')) {
+      return undefined
+    }
+
+    calls.push(values[i])
+  }
+
+  if (calls.length === 0) {
+    return undefined
+  }
+
+  const [method, ...chain] = calls
+  return {
+    kind: 'cursor',
+    collection,
+    method,
+    terminal: chain.some(name => OperationParser.CURSOR_METHODS[name]?.terminal),
+  }
+}
+
+/**
+ * The collection name starting at `start`, dots included up to the method
+ * call, and the index after it
+ * @param values the token values
+ * @param start the index of the name's first part
+ * @returns the name and the index after it
+ */
+function dottedName(values: string[], start: number): [string, number] {
+  let name = values[start]
+  let index = start + 1
+  while (values[index] === '.' && values[index + 1] !== undefined && !['.', '(', ')'].includes(values[index + 1]) &&
+    values[index + 2] !== '(') {
+    name += `.${values[index + 1]}`
+    index += 2
+  }
+
+  return [name, index]
+}
+
+/**
+ * Whether the argument text ends where a key goes: straight after `{` or
+ * after a `,` inside braces
+ * @param text the argument text before the fragment
+ * @returns whether a key goes there
+ */
+function isKeyPosition(text: string): boolean {
+  const previous = text.trimEnd().slice(-1)
+  if (previous !== '{' && previous !== ',') {
+    return false
+  }
+
+  try {
+    OperationParser.scanArguments(`(${text}`, 0)
+  } catch (error) {
+    return error instanceof ParseError && error.endOfInput && error.expected === "'}'"
+  }
+
+  return false
+}
+
+function operatorsFor(method: string): string[] {
+  if (UPDATE_METHODS.has(method)) {
+    return [...UPDATE_OPERATORS, ...QUERY_OPERATORS]
+  }
+
+  if (method === 'aggregate') {
+    return [...AGGREGATION_STAGES, ...EXPRESSION_OPERATORS, ...QUERY_OPERATORS]
+  }
+
+  return QUERY_OPERATORS
+}
+
+/**
+ * Collection names that can be typed as they are, without getCollection
+ * @param name a collection name
+ * @returns whether it is a plain identifier
+ */
+function isPlainName(name: string): boolean {
+  return OperationParser.isValidIdentifier(name) && !name.includes('.')
+}
+
+/**
+ * The names starting with `fragment`, sorted and without duplicates
+ * @param names every possible name
+ * @param fragment the word being completed
+ * @returns the matching names
+ */
+export function matching(names: Iterable<string>, fragment: string): Completion {
+  const candidates = [...new Set(names)].filter(name => name.startsWith(fragment)).sort()
+  return {candidates, fragment}
+}
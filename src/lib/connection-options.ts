@@ -0,0 +1,217 @@
+import * as fs from 'node:fs'
+import {splitPassword, usernameOf, withPassword, withUsername} from './credentials'
+import {CliError} from './errors'
+import {ClientOptions} from './profiles'
+
+export const AUTH_MECHANISMS = ['SCRAM-SHA-1', 'SCRAM-SHA-256', 'MONGODB-X509', 'PLAIN'] as const
+
+export const READ_PREFERENCES = ['primary', 'primaryPreferred', 'secondary', 'secondaryPreferred', 'nearest'] as const
+
+/**
+ * The `connect` flags that become client options or user info, named as
+ * mongosh names them
+ */
+export interface ConnectionFlags {
+  tls?: boolean;
+  tlsCAFile?: string;
+  tlsCertificateKeyFile?: string;
+  tlsAllowInvalidCertificates?: boolean;
+  username?: string;
+  password?: string;
+  authenticationDatabase?: string;
+  authenticationMechanism?: string;
+  readPreference?: string;
+  appName?: string;
+  directConnection?: boolean;
+  connectTimeoutMS?: number;
+  serverSelectionTimeoutMS?: number;
+  socketTimeoutMS?: number;
+}
+
+/**
+ * Client option set by each flag, where the names differ
+ */
+const OPTION_NAMES: Partial<Record<keyof ConnectionFlags, string>> = {
+  authenticationDatabase: 'authSource',
+  authenticationMechanism: 'authMechanism',
+}
+
+/**
+ * Other connection string parameters that set the same option
+ */
+const PARAMETER_ALIASES: Record<string, string[]> = {
+  tls: ['ssl'],
+  tlsAllowInvalidCertificates: ['sslAllowInvalidCertificates'],
+}
+
+const TLS_FILE_FLAGS = ['tlsCAFile', 'tlsCertificateKeyFile'] as const
+
+/**
+ * Flags that become client options; the others go into the user info
+ */
+const OPTION_FLAGS: (keyof ConnectionFlags)[] = [
+  'tls',
+  'tlsCAFile',
+  'tlsCertificateKeyFile',
+  'tlsAllowInvalidCertificates',
+  'authenticationDatabase',
+  'authenticationMechanism',
+  'readPreference',
+  'appName',
+  'directConnection',
+  'connectTimeoutMS',
+  'serverSelectionTimeoutMS',
+  'socketTimeoutMS',
+]
+
+/**
+ * Parameters from the query of a connection string, by lowercase name as
+ * the driver matches them
+ * @param connectionString the connection string
+ * @returns the decoded values
+ */
+function uriParameters(connectionString: string): Map<string, string> {
+  const query = connectionString.split('?')[1] ?? ''
+  const parameters = new Map<string, string>()
+  for (const [name, value] of new URLSearchParams(query)) {
+    parameters.set(name.toLowerCase(), value)
+  }
+
+  return parameters
+}
+
+function sameValue(a: unknown, b: unknown): boolean {
+  return String(a).toLowerCase() === String(b).toLowerCase()
+}
+
+function conflict(flag: string, value: unknown, other: string): CliError {
+  return new CliError(`--${flag}${value === true ? '' : ` ${value}`} conflicts with ${other}`, 'usage', {hint: 'Remove one of them'})
+}
+
+/**
+ * Client options from the flags, keyed by flag name
+ * @param flags the parsed `connect` flags
+ * @returns the options the flags set
+ */
+function flagOptions(flags: ConnectionFlags): Map<keyof ConnectionFlags, string | number | boolean> {
+  const options = new Map<keyof ConnectionFlags, string | number | boolean>()
+  for (const flag of OPTION_FLAGS) {
+    const value = flags[flag]
+    if (value !== undefined && value !== false) {
+      options.set(flag, value)
+    }
+  }
+
+  // Certificate files only make sense over TLS
+  if (!options.has('tls') && (TLS_FILE_FLAGS.some(flag => options.has(flag)) || options.has('tlsAllowInvalidCertificates'))) {
+    options.set('tls', true)
+  }
+
+  return options
+}
+
+function checkFlags(flags: ConnectionFlags, connectionString: string, parameters: Map<string, string>): void {
+  for (const flag of TLS_FILE_FLAGS) {
+    const file = flags[flag]
+    if (file !== undefined && !fs.existsSync(file)) {
+      throw new CliError(`--${flag} file not found: ${file}`, 'usage')
+    }
+  }
+
+  const tlsFlag = [...TLS_FILE_FLAGS, 'tlsAllowInvalidCertificates' as const].find(flag => flags[flag])
+  const tlsOff = ['tls', 'ssl'].find(name => parameters.get(name) === 'false')
+  if (tlsFlag && tlsOff && flags.tls === undefined) {
+    throw new CliError(`--${tlsFlag} needs TLS, which ${tlsOff}=false in the connection string turns off`, 'usage')
+  }
+
+  const mechanism = flags.authenticationMechanism ?? parameters.get('authmechanism')
+  if (mechanism?.toUpperCase() === 'MONGODB-X509') {
+    if (flags.password !== undefined) {
+      throw new CliError('--password cannot be used with MONGODB-X509 authentication', 'usage', {
+        hint: 'X.509 authenticates with the client certificate',
+      })
+    }
+
+    if (!flags.tlsCertificateKeyFile && !parameters.has('tlscertificatekeyfile')) {
+      throw new CliError('MONGODB-X509 authentication needs a client certificate', 'usage', {
+        hint: 'Pass it with --tlsCertificateKeyFile',
+      })
+    }
+  }
+
+  if (flags.directConnection && connectionString.startsWith('mongodb+srv://')) {
+    throw new CliError('--directConnection cannot be used with a mongodb+srv:// connection string', 'usage', {
+      hint: 'SRV records list several hosts; use a mongodb:// string with one host instead',
+    })
+  }
+}
+
+/**
+ * Adds `--username` and `--password` to the user info of the connection
+ * string, refusing to replace different ones already in it
+ * @param connectionString the connection string
+ * @param flags the parsed `connect` flags
+ * @returns the connection string with the credentials
+ */
+function applyCredentials(connectionString: string, flags: ConnectionFlags): string {
+  let uri = connectionString
+  const user = usernameOf(uri)
+  if (flags.username !== undefined) {
+    if (user !== undefined && user !== flags.username) {
+      throw conflict('username', flags.username, `user "${user}" in the connection string`)
+    }
+
+    uri = withUsername(uri, flags.username)
+  } else if (flags.password !== undefined && user === undefined) {
+    throw new CliError('--password needs a user name', 'usage', {hint: 'Pass --username or put the user in the connection string'})
+  }
+
+  if (flags.password !== undefined) {
+    const {uri: bare, password} = splitPassword(uri)
+    const encoded = encodeURIComponent(flags.password)
+    if (password !== undefined && decodeURIComponent(password) !== flags.password) {
+      throw new CliError('--password conflicts with the password in the connection string', 'usage', {hint: 'Remove one of them'})
+    }
+
+    uri = withPassword(bare, encoded)
+  }
+
+  return uri
+}
+
+/**
+ * Applies the `connect` flags to a connection string and the client
+ * options it is used with, such as a profile's. A flag may repeat what the
+ * connection string or the options already say, but not contradict it.
+ * @param connectionString the connection string
+ * @param flags the parsed `connect` flags
+ * @param baseOptions the client options the flags add to
+ * @returns the connection string and options to connect with
+ */
+export function applyConnectionFlags(
+  connectionString: string,
+  flags: ConnectionFlags,
+  baseOptions: ClientOptions = {},
+): { connectionString: string; options: ClientOptions } {
+  const parameters = uriParameters(connectionString)
+  checkFlags(flags, connectionString, parameters)
+
+  const options: ClientOptions = {...baseOptions}
+  for (const [flag, value] of flagOptions(flags)) {
+    const name = OPTION_NAMES[flag] ?? flag
+    for (const parameter of [name, ...(PARAMETER_ALIASES[name] ?? [])]) {
+      const inUri = parameters.get(parameter.toLowerCase())
+      if (inUri !== undefined && !sameValue(inUri, value)) {
+        throw conflict(flag, value, `${parameter}=${inUri} in the connection string`)
+      }
+    }
+
+    if (baseOptions[name] !== undefined && !sameValue(baseOptions[name], value)) {
+      throw conflict(flag, value, `${name}=${baseOptions[name]} in the profile`)
+    }
+
+    options[name] = value
+  }
+
+  return {connectionString: applyCredentials(connectionString, flags), options}
+}
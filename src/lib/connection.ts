@@ -0,0 +1,393 @@
+import {MongoClient, Db, Collection, Document} from 'mongodb'
+import * as fs from 'node:fs'
+import * as os from 'node:os'
+import * as path from 'node:path'
+import {splitPassword, withPassword} from './credentials'
+import {CliError} from './errors'
+import {logger, redactCredentials} from './logger'
+import {ClientOptions} from './profiles'
+import {secrets} from './secrets'
+
+const CONFIG_FILE = path.join(os.homedir(), '.mongosh-clone-config.json')
+
+/** Name of the saved connection's password in the secret store */
+const CONNECTION_SECRET = 'connection'
+
+/**
+ * An open server cursor left by `find`, resumed by `it`
+ */
+export interface CursorState {
+  /** Server cursor id; a Long, kept as a decimal string */
+  id: string;
+  /** `database.collection` the cursor reads from */
+  namespace: string;
+  /** Hex id of the logical session that owns the cursor */
+  lsid: string;
+  batchSize: number;
+  /** Documents returned so far */
+  position: number;
+}
+
+/**
+ * The background agent started by `connect`, which keeps the client open
+ * between CLI invocations
+ */
+export interface AgentState {
+  pid: number;
+  /** Unix domain socket (or Windows named pipe) the agent listens on */
+  socket: string;
+  startedAt: string;
+  idleTimeoutMinutes: number;
+  /** Set by the agent when it exits after its idle timeout */
+  stoppedAt?: string;
+}
+
+interface Config {
+  currentDb?: string;
+  /** Without its password, which is kept in the secret store */
+  connectionString?: string;
+  /** MongoClient options from `connect` flags or the profile, passed again on reconnect */
+  connectionOptions?: ClientOptions;
+  /** Profile the connection was made with, for status and `profile list` */
+  profile?: string;
+  cursor?: CursorState;
+  agent?: AgentState;
+}
+
+/**
+ * Manages the MongoDB connection and the state that has to survive between
+ * CLI invocations (last connection string and selected database).
+ */
+class ConnectionManager {
+  private client: MongoClient | null = null;
+  private config: Config = {};
+  /** Set by connectTransient(); nothing is saved */
+  private transient = false;
+
+  constructor() {
+    this.loadConfig()
+  }
+
+  /**
+   * Re-reads the saved state. The agent outlives many CLI invocations, so
+   * it reloads before each request to see their changes.
+   * @returns nothing
+   */
+  reload(): void {
+    this.loadConfig()
+  }
+
+  private loadConfig(): void {
+    try {
+      if (fs.existsSync(CONFIG_FILE)) {
+        this.config = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'))
+      }
+    } catch (error) {
+      logger.warn(`Ignoring unreadable ${CONFIG_FILE}`, {error: (error as Error).message})
+      this.config = {}
+    }
+  }
+
+  /**
+   * Moves a password that older versions saved with the connection string
+   * into the secret store. When the store cannot be opened, e.g. without
+   * its passphrase, the password stays where it is for now.
+   * @returns nothing
+   */
+  private migratePassword(): void {
+    const {uri, password} = splitPassword(this.config.connectionString ?? '')
+    if (password === undefined || !this.storePassword(password)) {
+      return
+    }
+
+    this.config.connectionString = uri
+    this.saveConfig()
+  }
+
+  /**
+   * Saves the connection's password, or removes it when `password` is
+   * undefined. Failures are logged rather than thrown, since the
+   * connection itself works without the secret store.
+   * @param password the percent-encoded password
+   * @returns whether the store was updated
+   */
+  private storePassword(password?: string): boolean {
+    try {
+      secrets.set(CONNECTION_SECRET, password)
+      return true
+    } catch (error) {
+      logger.warn(`Cannot update the saved password: ${(error as Error).message}`, {hint: (error as CliError).hint})
+      return false
+    }
+  }
+
+  private saveConfig(): void {
+    if (this.transient) {
+      return
+    }
+
+    fs.writeFileSync(CONFIG_FILE, JSON.stringify(this.config, null, 2), {mode: 0o600})
+  }
+
+  async connect(connectionString: string, options: ClientOptions = {}): Promise<void> {
+    if (this.client) {
+      await this.client.close()
+      this.client = null
+    }
+
+    const client = await this.open(connectionString, options)
+    this.client = client
+    const {uri, password} = splitPassword(connectionString)
+    if (this.config.connectionString !== uri) {
+      // A cursor from another deployment cannot be resumed here
+      delete this.config.cursor
+    }
+
+    this.config.connectionString = uri
+    this.config.connectionOptions = options
+
+    // A database in the URI path becomes the current database
+    const uriDb = client.db().databaseName
+    if (uriDb && uriDb !== 'test') {
+      this.config.currentDb = uriDb
+    }
+
+    this.saveConfig()
+    if (!this.transient) {
+      this.storePassword(password)
+    }
+  }
+
+  /**
+   * A connected client for `connectionString`, checked with a ping
+   * @param connectionString the connection string, with its password
+   * @param options the client options
+   * @returns the client
+   */
+  private async open(connectionString: string, options: ClientOptions): Promise<MongoClient> {
+    const monitorCommands = logger.getSettings().commandMonitoring
+    const client = new MongoClient(connectionString, {...options, monitorCommands})
+    if (monitorCommands) {
+      this.monitorCommands(client)
+    }
+
+    logger.debug(`Connecting to ${redactCredentials(connectionString)}`)
+    const started = Date.now()
+    try {
+      await client.connect()
+      // Fail fast on bad hosts/credentials instead of on the first operation
+      await client.db('admin').command({ping: 1})
+    } catch (error) {
+      await client.close().catch(() => {
+        // The connection error is the one to report
+      })
+      logger.debug('Connection failed', {error: (error as Error).message})
+      throw new CliError(`Failed to connect: ${(error as Error).message}`, 'notConnected', {cause: error})
+    }
+
+    logger.debug(`Connected in ${Date.now() - started} ms`)
+    return client
+  }
+
+  /**
+   * Connects for this invocation only, leaving the saved connection,
+   * database and cursor as they are. Used by `db --profile`.
+   * @param connectionString the connection string, with its password
+   * @param options the client options
+   * @param database the database to use instead of the one in the string
+   * @returns once connected
+   */
+  async connectTransient(connectionString: string, options?: ClientOptions, database?: string): Promise<void> {
+    this.transient = true
+    this.config = {}
+    await this.connect(connectionString, options)
+    if (database) {
+      this.useDatabase(database)
+    }
+  }
+
+  /**
+   * Closes the client and forgets the saved connection. With `keepConfig`
+   * only the client is closed, for commands that shut down early, such as
+   * `watch` on Ctrl-C, without logging the user out.
+   * @param options whether to keep the saved connection
+   * @returns once the client is closed
+   */
+  async disconnect(options: { keepConfig?: boolean } = {}): Promise<void> {
+    if (this.client) {
+      await this.client.close()
+      this.client = null
+      logger.debug('Connection closed')
+    }
+
+    if (options.keepConfig) {
+      return
+    }
+
+    this.config = {}
+    if (fs.existsSync(CONFIG_FILE)) {
+      fs.unlinkSync(CONFIG_FILE)
+    }
+
+    this.storePassword()
+  }
+
+  /**
+   * Each CLI invocation is a new process, so a saved connection string
+   * counts as connected; the client itself is opened lazily.
+   * @returns whether there is a connection
+   */
+  isConnected(): boolean {
+    return this.client !== null || Boolean(this.config.connectionString)
+  }
+
+  async ensureConnected(): Promise<void> {
+    if (this.client) {
+      return
+    }
+
+    if (!this.config.connectionString) {
+      throw new CliError('Not connected to MongoDB', 'notConnected', {hint: 'Run "mongosh-clone connect <connection string>" first'})
+    }
+
+    this.migratePassword()
+    logger.debug('Reconnecting with the saved connection string')
+    const {connectionString, connectionOptions} = this.config
+    // A password that could not be migrated is still in the string
+    const password = splitPassword(connectionString).password === undefined ? secrets.get(CONNECTION_SECRET) : undefined
+    this.client = await this.open(password === undefined ? connectionString : withPassword(connectionString, password), connectionOptions ?? {})
+  }
+
+  /**
+   * The saved connection string, without its password
+   * @returns the connection string
+   */
+  getConnectionString(): string | undefined {
+    return this.config.connectionString
+  }
+
+  /**
+   * Client options the saved connection was made with, from flags or a
+   * profile
+   * @returns the client options
+   */
+  getConnectionOptions(): ClientOptions {
+    return this.config.connectionOptions ?? {}
+  }
+
+  getProfileName(): string | undefined {
+    return this.config.profile
+  }
+
+  /**
+   * Records the profile the saved connection came from, or that it came
+   * from a plain connection string when given undefined
+   * @param name the profile's name
+   * @returns nothing
+   */
+  setProfileName(name?: string): void {
+    if (name) {
+      this.config.profile = name
+    } else {
+      delete this.config.profile
+    }
+
+    this.saveConfig()
+  }
+
+  getCurrentDatabase(): string | undefined {
+    return this.config.currentDb
+  }
+
+  useDatabase(dbName: string): void {
+    if (!/^[^ "$*./:<>?\\|]+$/.test(dbName)) {
+      throw new CliError(`Invalid database name: "${dbName}"`, 'usage', {hint: 'Database names cannot contain /\\. "$*<>:|?'})
+    }
+
+    this.config.currentDb = dbName
+    this.saveConfig()
+    logger.debug(`Current database is now ${dbName}`)
+  }
+
+  /**
+   * Logs each command the driver sends and its outcome
+   * @param client the client to monitor
+   * @returns nothing
+   */
+  private monitorCommands(client: MongoClient): void {
+    client.on('commandStarted', event => {
+      logger.debug(`Command ${event.commandName} started on ${event.databaseName}`, {
+        requestId: event.requestId,
+        command: event.command,
+      })
+    })
+    client.on('commandSucceeded', event => {
+      logger.debug(`Command ${event.commandName} succeeded in ${event.duration} ms`, {requestId: event.requestId})
+    })
+    client.on('commandFailed', event => {
+      logger.warn(`Command ${event.commandName} failed in ${event.duration} ms: ${event.failure.message}`, {
+        requestId: event.requestId,
+      })
+    })
+  }
+
+  getAgent(): AgentState | undefined {
+    return this.config.agent
+  }
+
+  /**
+   * Records the running agent, or forgets it when given undefined
+   * @param agent the agent's pid and socket
+   * @returns nothing
+   */
+  saveAgent(agent?: AgentState): void {
+    if (agent) {
+      this.config.agent = agent
+    } else {
+      delete this.config.agent
+    }
+
+    this.saveConfig()
+  }
+
+  getCursor(): CursorState | undefined {
+    return this.config.cursor
+  }
+
+  /**
+   * Remembers the cursor for `it`, or forgets it when given undefined
+   * @param cursor the cursor's id, namespace, session and position
+   * @returns nothing
+   */
+  saveCursor(cursor?: CursorState): void {
+    if (cursor) {
+      this.config.cursor = cursor
+    } else {
+      delete this.config.cursor
+    }
+
+    this.saveConfig()
+  }
+
+  getClient(): MongoClient {
+    if (!this.client) {
+      throw new CliError('Not connected to MongoDB', 'notConnected', {hint: 'Run "mongosh-clone connect <connection string>" first'})
+    }
+
+    return this.client
+  }
+
+  getDatabase(): Db {
+    if (!this.config.currentDb) {
+      throw new CliError('No database selected', 'notConnected', {hint: 'Run "mongosh-clone use <database_name>" first'})
+    }
+
+    return this.getClient().db(this.config.currentDb)
+  }
+
+  getCollection<T extends Document = Document>(collectionName: string): Collection<T> {
+    return this.getDatabase().collection<T>(collectionName)
+  }
+}
+
+export const connectionManager = new ConnectionManager()
@@ -0,0 +1,112 @@
+import inquirer from 'inquirer'
+import {CliError} from './errors'
+import {ClientOptions} from './profiles'
+
+/**
+ * `scheme://`, user name and password of a connection string
+ */
+const URI_USERINFO = /^(mongodb(?:\+srv)?:\/\/)([^/:@]*)(?::([^/@]*))?@/
+
+/**
+ * Mechanisms that authenticate without a password
+ */
+const PASSWORDLESS_MECHANISMS = new Set(['MONGODB-X509', 'GSSAPI', 'MONGODB-AWS', 'MONGODB-OIDC'])
+
+/**
+ * Splits the password, still percent-encoded, off a connection string so
+ * the rest can be saved in plain text
+ * @param connectionString the connection string
+ * @returns the connection string without the password, and the password
+ */
+export function splitPassword(connectionString: string): { uri: string; password?: string } {
+  const match = URI_USERINFO.exec(connectionString)
+  if (!match || match[3] === undefined) {
+    return {uri: connectionString}
+  }
+
+  return {uri: `${match[1]}${match[2]}@${connectionString.slice(match[0].length)}`, password: match[3]}
+}
+
+/**
+ * Puts a percent-encoded password back into a connection string with a
+ * user name
+ * @param connectionString the connection string without a password
+ * @param password the percent-encoded password
+ * @returns the connection string with the password
+ */
+export function withPassword(connectionString: string, password: string): string {
+  const match = URI_USERINFO.exec(connectionString)
+  if (!match) {
+    return connectionString
+  }
+
+  return `${match[1]}${match[2]}:${password}@${connectionString.slice(match[0].length)}`
+}
+
+/**
+ * The decoded user name in a connection string, if it has one
+ * @param connectionString the connection string
+ * @returns the user name
+ */
+export function usernameOf(connectionString: string): string | undefined {
+  const match = URI_USERINFO.exec(connectionString)
+  return match?.[2] ? decodeURIComponent(match[2]) : undefined
+}
+
+/**
+ * Puts a user name, percent-encoding it, into a connection string without
+ * user info
+ * @param connectionString the connection string
+ * @param username the user name, not encoded
+ * @returns the connection string with the user name
+ */
+export function withUsername(connectionString: string, username: string): string {
+  const scheme = /^mongodb(?:\+srv)?:\/\//.exec(connectionString)
+  if (!scheme || URI_USERINFO.test(connectionString)) {
+    return connectionString
+  }
+
+  return `${scheme[0]}${encodeURIComponent(username)}@${connectionString.slice(scheme[0].length)}`
+}
+
+/**
+ * Whether the connection string names a user but not the password its
+ * authentication mechanism needs
+ * @param connectionString the connection string
+ * @param options client options that may set the mechanism
+ * @returns whether to ask for a password
+ */
+export function needsPassword(connectionString: string, options: ClientOptions = {}): boolean {
+  const match = URI_USERINFO.exec(connectionString)
+  if (!match || !match[2] || match[3] !== undefined) {
+    return false
+  }
+
+  const mechanism = options.authMechanism ?? /[&?]authmechanism=([^&]+)/i.exec(connectionString)?.[1]
+  return !PASSWORDLESS_MECHANISMS.has(String(mechanism).toUpperCase())
+}
+
+/**
+ * The connection string with its password, prompting for one when it is
+ * missing. Without a terminal to prompt on, this fails.
+ * @param connectionString the connection string
+ * @param options client options that may set the mechanism
+ * @returns the connection string to connect with
+ */
+export async function completeCredentials(connectionString: string, options: ClientOptions = {}): Promise<string> {
+  if (!needsPassword(connectionString, options)) {
+    return connectionString
+  }
+
+  const user = usernameOf(connectionString)
+  if (!process.stdin.isTTY) {
+    throw new CliError(`No password given for user "${user}"`, 'auth', {
+      hint: 'Run the command in a terminal to be prompted for it',
+    })
+  }
+
+  // On stderr, so it stays out of piped output
+  const prompt = inquirer.createPromptModule({output: process.stderr})
+  const {password} = await prompt([{type: 'password', name: 'password', message: `Password for ${user}:`, mask: '*'}])
+  return withPassword(connectionString, encodeURIComponent(password))
+}
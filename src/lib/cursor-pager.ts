@@ -0,0 +1,110 @@
+import {Binary, ClientSession, Document, FindCursor, Long, MongoServerError} from 'mongodb'
+import {connectionManager, CursorState} from './connection'
+import {ExecutionResult} from './executor'
+
+const CURSOR_NOT_FOUND = 43
+
+/**
+ * Pages through find results across CLI invocations. The find returns
+ * only its first batch; the server cursor id, namespace and owning
+ * session are saved so that `it`, run later from another process, can
+ * continue with getMore.
+ *
+ * The driver has no public way to run a command in a session it did not
+ * start: it sets `lsid` on every command from the session's
+ * `serverSession`. That and the session pool's handling of dirty sessions
+ * are internals, so the driver version is pinned in package.json, and
+ * test/lib/cursor-pager.test.ts runs against them to catch an upgrade
+ * that changes them.
+ */
+export class CursorPager {
+  static async firstBatch(cursor: FindCursor, session: ClientSession, batchSize: number): Promise<ExecutionResult> {
+    // hasNext() sends the find and buffers its first batch without a getMore
+    await cursor.hasNext()
+    const documents = cursor.readBufferedDocuments()
+    const id = cursor.id
+
+    if (!id || id.isZero()) {
+      connectionManager.saveCursor()
+      return {value: documents, message: `Found ${documents.length} document(s):`, display: 'json'}
+    }
+
+    connectionManager.saveCursor({
+      id: id.toString(),
+      namespace: cursor.namespace.toString(),
+      lsid: session.id!.id.toString('hex'),
+      batchSize,
+      position: documents.length,
+    })
+    // The cursor is deliberately left open, and so is its session on the
+    // server, which would kill the cursor with it
+    await this.detachSession(session)
+
+    return this.page(documents, 1, false)
+  }
+
+  static async nextBatch(): Promise<ExecutionResult> {
+    const state = connectionManager.getCursor()
+    if (!state) {
+      throw new Error('No cursor to iterate. Run a find first.')
+    }
+
+    const reply = await this.getMore(state)
+    const documents: Document[] = reply.cursor.nextBatch
+    const id = Long.fromValue(reply.cursor.id)
+    const exhausted = id.isZero()
+
+    connectionManager.saveCursor(exhausted ? undefined : {...state, id: id.toString(), position: state.position + documents.length})
+    return this.page(documents, state.position + 1, exhausted)
+  }
+
+  private static async getMore(state: CursorState): Promise<Document> {
+    const [dbName, ...collection] = state.namespace.split('.')
+    const client = connectionManager.getClient()
+
+    // The server only accepts getMore from the logical session that opened
+    // the cursor, so adopt that session's id
+    const session = client.startSession()
+    session.serverSession.id = {id: new Binary(Buffer.from(state.lsid, 'hex'), Binary.SUBTYPE_UUID)}
+
+    try {
+      return await client.db(dbName).command({
+        getMore: Long.fromString(state.id),
+        collection: collection.join('.'),
+        batchSize: state.batchSize,
+      }, {session})
+    } catch (error) {
+      if (error instanceof MongoServerError && error.code === CURSOR_NOT_FOUND) {
+        connectionManager.saveCursor()
+        throw new Error(`The cursor on ${state.namespace} timed out or was closed by the server. Run the find again.`)
+      }
+
+      throw error
+    } finally {
+      // The adopted id still owns the cursor, so it must not be ended
+      await this.detachSession(session)
+    }
+  }
+
+  /**
+   * Ends `session` in this process only. Closing the client sends
+   * endSessions for every pooled server session; a dirty one is dropped
+   * from the pool instead, so the server keeps it and its cursors.
+   * @param session the session the saved cursor belongs to
+   * @returns once the session is ended
+   */
+  private static async detachSession(session: ClientSession): Promise<void> {
+    session.serverSession.isDirty = true
+    await session.endSession()
+  }
+
+  private static page(documents: Document[], from: number, exhausted: boolean): ExecutionResult {
+    const to = from + documents.length - 1
+    return {
+      value: documents,
+      message: documents.length > 0 ? `Showing documents ${from}-${to}:` : 'No more documents',
+      display: documents.length > 0 ? 'json' : 'none',
+      footer: exhausted ? 'Cursor exhausted' : 'Type "it" for more',
+    }
+  }
+}
@@ -0,0 +1,200 @@
+import {
+  MongoError,
+  MongoInvalidArgumentError,
+  MongoMissingCredentialsError,
+  MongoNetworkError,
+  MongoNetworkTimeoutError,
+  MongoParseError,
+  MongoServerError,
+  MongoServerSelectionError,
+} from 'mongodb'
+import {redactCredentials} from './logger'
+import {ALL_OPERATORS, rejectedOperator} from './operators'
+import {ParseError} from './parse-error'
+import {closestMatch} from './suggestions'
+
+/**
+ * Process exit codes by kind of failure, so scripts can tell a typo from
+ * an outage without reading messages. 0 is success; anything unclassified
+ * exits with 1.
+ */
+export const EXIT_CODES = {
+  general: 1,
+  usage: 2,
+  parse: 3,
+  notConnected: 4,
+  auth: 5,
+  server: 6,
+  writeConflict: 7,
+  timeout: 8,
+} as const
+
+export type ErrorCategory = keyof typeof EXIT_CODES;
+
+/**
+ * `codeName` of each category in `--json` error output
+ */
+const CODE_NAMES: Record<ErrorCategory, string> = {
+  general: 'Error',
+  usage: 'UsageError',
+  parse: 'ParseError',
+  notConnected: 'NotConnected',
+  auth: 'AuthenticationFailed',
+  server: 'ServerError',
+  writeConflict: 'WriteConflict',
+  timeout: 'Timeout',
+}
+
+const DEFAULT_HINTS: Partial<Record<ErrorCategory, string>> = {
+  usage: 'Run the command with --help for its arguments and flags',
+  notConnected: 'Run "mongosh-clone connect <connection string>" first',
+  auth: 'Check the username, password and authSource in the connection string',
+  timeout: 'Check that the server is running and reachable, or raise maxTimeMS',
+}
+
+const AUTH_CODES = new Set([13, 18]) // Unauthorized, AuthenticationFailed
+const WRITE_CONFLICT_CODES = new Set([11_000, 11_001, 112]) // DuplicateKey, WriteConflict
+const TIMEOUT_CODES = new Set([50, 89, 262]) // MaxTimeMSExpired, NetworkTimeout, ExceededTimeLimit
+
+/**
+ * A failure the CLI detects itself, such as a missing connection, with
+ * its category and an optional hint. `cause` is the driver error behind
+ * it, if any; when that error has a category of its own, it wins.
+ */
+export class CliError extends Error {
+  readonly cause?: unknown;
+  readonly hint?: string;
+
+  constructor(message: string, public readonly category: ErrorCategory, options: { hint?: string; cause?: unknown } = {}) {
+    super(message)
+    this.name = 'CliError'
+    this.hint = options.hint
+    this.cause = options.cause
+  }
+}
+
+/**
+ * What `--json` prints when a command fails. `code` is the exit code.
+ */
+export interface ErrorEnvelope {
+  code: number;
+  codeName: string;
+  message: string;
+  operation: string;
+  hint: string | null;
+}
+
+function categorizeMongoError(error: MongoError): ErrorCategory {
+  if (error instanceof MongoParseError || error instanceof MongoInvalidArgumentError) {
+    return 'usage'
+  }
+
+  if (error instanceof MongoMissingCredentialsError) {
+    return 'auth'
+  }
+
+  if (error instanceof MongoServerSelectionError || error instanceof MongoNetworkTimeoutError) {
+    return 'timeout'
+  }
+
+  if (error instanceof MongoNetworkError) {
+    return 'notConnected'
+  }
+
+  const code = typeof error.code === 'number' ? error.code : undefined
+  if (code !== undefined && AUTH_CODES.has(code)) {
+    return 'auth'
+  }
+
+  if (code !== undefined && WRITE_CONFLICT_CODES.has(code)) {
+    return 'writeConflict'
+  }
+
+  if (code !== undefined && TIMEOUT_CODES.has(code)) {
+    return 'timeout'
+  }
+
+  return error instanceof MongoServerError ? 'server' : 'general'
+}
+
+/**
+ * The category of any error a command can end with, looking through
+ * wrapping errors to the driver error that caused them
+ * @param error what the command threw
+ * @returns the category, `unknown` for anything unrecognized
+ */
+export function categorize(error: any): ErrorCategory {
+  if (error instanceof ParseError) {
+    return 'parse'
+  }
+
+  // mongodb-connection-string-url throws its own MongoParseError, which
+  // is not a driver MongoError
+  if (error?.name === 'MongoParseError') {
+    return 'usage'
+  }
+
+  if (error instanceof MongoError) {
+    return categorizeMongoError(error)
+  }
+
+  if (error?.cause !== undefined) {
+    const category = categorize(error.cause)
+    if (category !== 'general') {
+      return category
+    }
+  }
+
+  if (error instanceof CliError) {
+    return error.category
+  }
+
+  // oclif marks bad flags and missing arguments with its usage exit code
+  return error?.oclif?.exit === EXIT_CODES.usage ? 'usage' : 'general'
+}
+
+function hintFor(error: any, category: ErrorCategory): string | undefined {
+  if (error instanceof CliError && (error.hint || error.cause !== undefined)) {
+    return error.hint ?? hintFor(error.cause, category)
+  }
+
+  if (error instanceof ParseError) {
+    return error.expected ? `Expected ${error.expected}` : undefined
+  }
+
+  if (category === 'writeConflict' && error?.code === 11_000) {
+    return 'A document with the same value for a unique index already exists'
+  }
+
+  if (category === 'writeConflict') {
+    return 'Another operation changed the same document; retry the write'
+  }
+
+  // Operators are left to the server, which knows its own version's; a
+  // misspelled one is suggested only once it has been rejected
+  const operator = category === 'server' ? rejectedOperator(String(error?.message)) : undefined
+  const suggestion = operator ? closestMatch(operator, ALL_OPERATORS) : undefined
+  if (suggestion && suggestion !== operator) {
+    return `Did you mean '${suggestion}'?`
+  }
+
+  return DEFAULT_HINTS[category]
+}
+
+/**
+ * Describes a failed command for `--json` output and picks its exit code.
+ * Credentials in connection strings are redacted.
+ * @param error what the command threw
+ * @param operation the operation that failed, as typed
+ * @returns the envelope, with its exit code
+ */
+export function describeError(error: any, operation: string): ErrorEnvelope {
+  const category = categorize(error)
+  return {
+    code: EXIT_CODES[category],
+    codeName: CODE_NAMES[category],
+    message: redactCredentials(typeof error?.message === 'string' ? error.message : String(error)),
+    operation: redactCredentials(operation),
+    hint: hintFor(error, category) ?? null,
+  }
+}
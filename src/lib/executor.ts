@@ -0,0 +1,750 @@
+import {
+  AggregationCursor,
+  AnyBulkWriteOperation,
+  BulkWriteResult,
+  ChangeStreamDocument,
+  Collection,
+  Document,
+  FindCursor,
+  MongoBulkWriteError,
+  WriteError,
+} from 'mongodb'
+import {watchCollection} from './change-stream'
+import {connectionManager} from './connection'
+import {CursorPager} from './cursor-pager'
+import {ChainedCall, ParsedOperation} from './operation-parser'
+import {formatBytes} from './table'
+
+/**
+ * Collection methods that manage indexes
+ */
+const INDEX_METHODS = new Set(['createIndex', 'createIndexes', 'getIndexes', 'dropIndex', 'dropIndexes', 'hideIndex', 'unhideIndex'])
+
+/**
+ * Collection methods that write documents, apart from bulkWrite and the
+ * find-and-modify family
+ */
+const WRITE_METHODS = new Set(['insertOne', 'insertMany', 'updateOne', 'updateMany', 'deleteOne', 'deleteMany', 'replaceOne'])
+
+/**
+ * Outcome of one operation. `value` is what a script sees; `message` and
+ * `display` tell the `db` command how to print it.
+ */
+export interface ExecutionResult {
+  value: any;
+  /** Banner printed above the value, e.g. "Found 3 document(s):" */
+  message?: string;
+  /** The banner reports that nothing matched rather than a success */
+  warning?: boolean;
+  /**
+   * Print the value as JSON, one array entry per line, as `table`, as an
+   * explain plan tree, or not at all
+   */
+  display: 'json' | 'lines' | 'table' | 'explain' | 'none';
+  table?: { columns: string[]; rows: string[][] };
+  /** Printed after the value, e.g. the hint to type "it" for more */
+  footer?: string;
+  /** The documents were already printed through `onDocument` */
+  streamed?: boolean;
+}
+
+export interface ExecuteOptions {
+  /**
+   * Receives aggregation results one at a time as they arrive from the
+   * server. Without it the results are collected into `value`.
+   */
+  onDocument?: (doc: Document) => void;
+  /**
+   * Return only the first batch of `find` results, of this size, and leave
+   * the cursor open for `it`. Without it every document is fetched.
+   */
+  batchSize?: number;
+  /**
+   * Receives change events from `watch`, which runs until interrupted.
+   * Without it `watch` is rejected, since nothing could be printed.
+   */
+  onChange?: (change: ChangeStreamDocument) => void;
+}
+
+/**
+ * Thrown when an operation fails after part of it was applied, e.g. a
+ * bulkWrite stopped by a duplicate key. `result` describes what was done
+ * so it can be shown alongside the error; `cause` is the driver error.
+ */
+export class PartialResultError extends Error {
+  constructor(message: string, public readonly result: ExecutionResult, public readonly cause?: unknown) {
+    super(message)
+    this.name = 'PartialResultError'
+  }
+}
+
+/**
+ * Runs parsed operations against the current connection. Shared by the
+ * `db` command and the script sandbox so both behave identically.
+ */
+export class OperationExecutor {
+  static async execute(parsed: ParsedOperation, options: ExecuteOptions = {}): Promise<ExecutionResult> {
+    if (parsed.scope === 'database') {
+      return this.executeDatabaseOperation(parsed.method, parsed.arguments)
+    }
+
+    const {collection: collectionName, method, arguments: args, chain} = parsed
+    const collection = connectionManager.getCollection(collectionName)
+
+    switch (method) {
+    case 'find':
+      return this.find(collection, args, chain, options)
+
+    case 'aggregate':
+      return this.aggregate(collection, args, chain, options)
+
+    case 'bulkWrite':
+      return this.bulkWrite(collection, args[0], args[1] || {})
+
+    case 'watch': {
+      if (!options.onChange) {
+        throw new Error('watch streams changes until interrupted and is only available from the db and watch commands')
+      }
+
+      await watchCollection(collectionName, args[0] || [], {...args[1], onChange: options.onChange})
+      return {value: undefined, message: 'Change stream closed', display: 'none'}
+    }
+
+    case 'findOneAndUpdate':
+    case 'findOneAndReplace':
+    case 'findOneAndDelete':
+      return this.findAndModify(collection, method, args)
+
+    default:
+      if (INDEX_METHODS.has(method)) {
+        return this.executeIndexOperation(collection, method, args)
+      }
+
+      return WRITE_METHODS.has(method) ? this.executeWrite(collection, method, args) : this.executeQuery(collection, method, args)
+    }
+  }
+
+  private static async find(collection: Collection, args: any[], chain: ChainedCall[], options: ExecuteOptions): Promise<ExecutionResult> {
+    const query = args[0] || {}
+    const projection = args[1] || undefined
+    // An explicit toArray() or explain() asks for everything at once
+    const paged = options.batchSize !== undefined && !chain.some(call => call.method === 'toArray' || call.method === 'explain')
+    const session = paged ? connectionManager.getClient().startSession() : undefined
+    try {
+      // eslint-disable-next-line unicorn/no-array-callback-reference, unicorn/no-array-method-this-argument -- Collection#find, not Array#find
+      const cursor = collection.find(query, {...(projection ? {projection} : {}), session})
+      if (paged) {
+        cursor.batchSize(options.batchSize!)
+      }
+
+      const explain = this.applyCursorChain(cursor, chain)
+      if (explain) {
+        const plan = await cursor.explain(explain.arguments[0])
+        return {value: plan, message: 'Query plan:', display: 'explain'}
+      }
+
+      if (session) {
+        const batchSize = chain.filter(call => call.method === 'batchSize').pop()?.arguments[0] ?? options.batchSize
+        return await CursorPager.firstBatch(cursor, session, batchSize)
+      }
+
+      const documents = await cursor.toArray()
+      return {value: documents, message: `Found ${documents.length} document(s):`, display: 'json'}
+    } catch (error) {
+      // Without a saved cursor nothing needs the session any more
+      await session?.endSession()
+      throw error
+    }
+  }
+
+  private static async aggregate(collection: Collection, args: any[], chain: ChainedCall[], options: ExecuteOptions): Promise<ExecutionResult> {
+    const [pipeline, aggregateOptions = {}] = args
+    const cursor = collection.aggregate(pipeline, aggregateOptions)
+    const explain = this.applyCursorChain(cursor, chain)
+    if (explain) {
+      const plan = await cursor.explain(explain.arguments[0])
+      return {value: plan, message: 'Query plan:', display: 'explain'}
+    }
+
+    // Iterate rather than toArray() so the db command can print results as they arrive
+    const documents: Document[] = []
+    let count = 0
+    for await (const doc of cursor) {
+      count++
+      if (options.onDocument) {
+        options.onDocument(doc)
+      } else {
+        documents.push(doc)
+      }
+    }
+
+    const target = this.outputNamespace(pipeline, collection.dbName)
+    if (target) {
+      // The server does not report how many documents the stage wrote;
+      // $merge into a non-empty collection keeps what was there
+      const total = await connectionManager.getClient().db(target.db).collection(target.coll).estimatedDocumentCount()
+      return {
+        value: {namespace: `${target.db}.${target.coll}`, collectionCount: total},
+        message: `Aggregation results written to ${target.db}.${target.coll}, which now holds ${total} document(s)`,
+        display: 'none',
+      }
+    }
+
+    if (options.onDocument) {
+      return {value: count, message: `Aggregation returned ${count} document(s)`, display: 'none', streamed: true}
+    }
+
+    return {value: documents, message: `Aggregation returned ${documents.length} document(s):`, display: 'json'}
+  }
+
+  private static async findAndModify(collection: Collection, method: string, args: any[]): Promise<ExecutionResult> {
+    let result: any
+    switch (method) {
+    case 'findOneAndUpdate':
+    case 'findOneAndReplace': {
+      if (args.length < 2) {
+        throw new Error(`${method} requires filter and ${method === 'findOneAndUpdate' ? 'update' : 'replacement'} arguments`)
+      }
+
+      const modifyOptions = this.findAndModifyOptions(args[2])
+      result = method === 'findOneAndUpdate' ?
+        await collection.findOneAndUpdate(args[0], args[1], {...modifyOptions, includeResultMetadata: false}) :
+        await collection.findOneAndReplace(args[0], args[1], {...modifyOptions, includeResultMetadata: false})
+      if (!result && modifyOptions.upsert) {
+        // returnDocument "before" has nothing to return for an upsert
+        return {value: null, message: 'No document matched; a new one was upserted', display: 'none'}
+      }
+
+      if (!result) {
+        return {value: null, message: 'No document matched', warning: true, display: 'none'}
+      }
+
+      const action = method === 'findOneAndUpdate' ? 'update' : 'replacement'
+      return {value: result, message: `Document ${modifyOptions.returnDocument === 'after' ? 'after' : 'before'} ${action}:`, display: 'json'}
+    }
+
+    case 'findOneAndDelete':
+      if (args.length === 0) {
+        throw new Error('findOneAndDelete requires a filter argument')
+      }
+
+      result = await collection.findOneAndDelete(args[0], {...args[1], includeResultMetadata: false})
+      if (!result) {
+        return {value: null, message: 'No document matched', warning: true, display: 'none'}
+      }
+
+      return {value: result, message: 'Deleted document:', display: 'json'}
+
+    default:
+      throw new Error(`Unsupported operation: ${method}`)
+    }
+  }
+
+  private static async executeWrite(collection: Collection, method: string, args: any[]): Promise<ExecutionResult> {
+    let result: any
+    switch (method) {
+    case 'insertOne':
+      if (args.length !== 1) {
+        throw new Error('insertOne requires exactly one document argument')
+      }
+
+      result = await collection.insertOne(args[0])
+      return {value: result, message: 'Document inserted successfully', display: 'json'}
+
+    case 'insertMany':
+      if (args.length !== 1 || !Array.isArray(args[0])) {
+        throw new Error('insertMany requires exactly one array argument')
+      }
+
+      result = await collection.insertMany(args[0])
+      return {value: result, message: `${result.insertedCount} documents inserted successfully`, display: 'json'}
+
+    case 'updateOne':
+      if (args.length < 2) {
+        throw new Error('updateOne requires filter and update arguments')
+      }
+
+      result = await collection.updateOne(args[0], args[1], args[2] || {})
+      return {value: result, message: `Modified ${result.modifiedCount} document(s)`, display: 'json'}
+
+    case 'updateMany':
+      if (args.length < 2) {
+        throw new Error('updateMany requires filter and update arguments')
+      }
+
+      result = await collection.updateMany(args[0], args[1], args[2] || {})
+      return {value: result, message: `Modified ${result.modifiedCount} document(s)`, display: 'json'}
+
+    case 'deleteOne':
+      if (args.length === 0) {
+        throw new Error('deleteOne requires a filter argument')
+      }
+
+      result = await collection.deleteOne(args[0])
+      return {value: result, message: `Deleted ${result.deletedCount} document(s)`, display: 'json'}
+
+    case 'deleteMany':
+      if (args.length === 0) {
+        throw new Error('deleteMany requires a filter argument')
+      }
+
+      result = await collection.deleteMany(args[0])
+      return {value: result, message: `Deleted ${result.deletedCount} document(s)`, display: 'json'}
+
+    case 'replaceOne':
+      if (args.length < 2) {
+        throw new Error('replaceOne requires filter and replacement arguments')
+      }
+
+      result = await collection.replaceOne(args[0], args[1], args[2] || {})
+      return {value: result, message: `Replaced ${result.modifiedCount} document(s)`, display: 'json'}
+
+    case 'drop':
+      result = await collection.drop()
+      return {value: result, message: `Collection '${collection.collectionName}' dropped`, display: 'none'}
+
+    default:
+      throw new Error(`Unsupported operation: ${method}`)
+    }
+  }
+
+  private static async executeQuery(collection: Collection, method: string, args: any[]): Promise<ExecutionResult> {
+    let result: any
+    switch (method) {
+    case 'findOne': {
+      const query = args[0] || {}
+      const projection = args[1] || undefined
+      result = await collection.findOne(query, projection ? {projection} : {})
+      if (!result) {
+        return {value: null, message: 'No document found', warning: true, display: 'none'}
+      }
+
+      return {value: result, message: 'Document found:', display: 'json'}
+    }
+
+    case 'countDocuments':
+      result = await collection.countDocuments(args[0] || {})
+      return {value: result, message: `Count: ${result}`, display: 'none'}
+
+    case 'distinct':
+      if (typeof args[0] !== 'string' || !args[0]) {
+        throw new Error('distinct requires a field name')
+      }
+
+      result = await collection.distinct(args[0], args[1] || {}, args[2] || {})
+      return {value: result, message: `${result.length} distinct value(s) for '${args[0]}':`, display: 'json'}
+
+    case 'count':
+      result = await collection.count(args[0] || {}, args[1] || {})
+      return {value: result, message: `Count: ${result}`, display: 'none'}
+
+    case 'estimatedDocumentCount':
+      result = await collection.estimatedDocumentCount(args[0] || {})
+      return {value: result, message: `Estimated count: ${result}`, display: 'none'}
+
+    default:
+      throw new Error(`Unsupported operation: ${method}`)
+    }
+  }
+
+  private static async executeIndexOperation(collection: Collection, method: string, args: any[]): Promise<ExecutionResult> {
+    const collectionName = collection.collectionName
+    switch (method) {
+    case 'createIndex': {
+      const name = await collection.createIndex(args[0], args[1] || {})
+      return {value: name, message: `Index '${name}' created on ${collectionName}`, display: 'none'}
+    }
+
+    case 'createIndexes': {
+      const [patterns, indexOptions = {}] = args
+      const names = await collection.createIndexes(patterns.map((key: Document) => ({key, ...indexOptions})))
+      return {value: names, message: `${names.length} index(es) created on ${collectionName}:`, display: 'lines'}
+    }
+
+    case 'getIndexes': {
+      const indexes = await collection.indexes()
+      const stats = await this.indexStatistics(collection)
+      const rows = indexes.map(index => [
+        index.name,
+        this.describeKeys(index),
+        this.describeIndexProperties(index).join(', '),
+        stats.sizes[index.name] === undefined ? '-' : formatBytes(stats.sizes[index.name]),
+        stats.accesses[index.name] === undefined ? '-' : String(stats.accesses[index.name]),
+      ])
+      return {
+        value: indexes,
+        message: `${indexes.length} index(es) on ${collectionName}:`,
+        display: 'table',
+        table: {columns: ['Name', 'Keys', 'Properties', 'Size', 'Accesses'], rows},
+      }
+    }
+
+    case 'dropIndex': {
+      const name = await this.resolveIndexName(collection, method, args[0])
+      await collection.dropIndex(name)
+      return {value: name, message: `Index '${name}' dropped from ${collectionName}`, display: 'none'}
+    }
+
+    case 'dropIndexes': {
+      if (args[0] === undefined || args[0] === '*') {
+        await collection.dropIndexes()
+        return {value: true, message: `All indexes except _id_ dropped from ${collectionName}`, display: 'none'}
+      }
+
+      const names: string[] = []
+      for (const target of Array.isArray(args[0]) ? args[0] : [args[0]]) {
+        // eslint-disable-next-line no-await-in-loop -- drops in the order given, stopping at the first that fails
+        const name = await this.resolveIndexName(collection, method, target)
+        // eslint-disable-next-line no-await-in-loop -- the next index is resolved after this one is gone
+        await collection.dropIndex(name)
+        names.push(name)
+      }
+
+      return {value: names, message: `${names.length} index(es) dropped from ${collectionName}:`, display: 'lines'}
+    }
+
+    case 'hideIndex':
+    case 'unhideIndex': {
+      const name = await this.resolveIndexName(collection, method, args[0])
+      const hidden = method === 'hideIndex'
+      const result = await connectionManager.getDatabase().command({collMod: collectionName, index: {name, hidden}})
+      return {value: result, message: `Index '${name}' ${hidden ? 'hidden' : 'unhidden'}`, display: 'none'}
+    }
+
+    default:
+      throw new Error(`Unsupported operation: ${method}`)
+    }
+  }
+
+  /**
+   * mongosh's legacy `returnNewDocument` flag maps onto the driver's
+   * `returnDocument`
+   * @param options the options as typed
+   * @returns the options for the driver
+   */
+  private static findAndModifyOptions(options: Document = {}): Document {
+    const {returnNewDocument, ...rest} = options
+    if (returnNewDocument !== undefined && rest.returnDocument === undefined) {
+      rest.returnDocument = returnNewDocument ? 'after' : 'before'
+    }
+
+    return rest
+  }
+
+  /**
+   * Runs a bulkWrite and reports the outcome of every operation: inserted
+   * or upserted ids, the error for failed ones and, for ordered writes,
+   * which operations never ran after the first failure.
+   * @param collection the collection to write to
+   * @param operations the write operations
+   * @param options the bulkWrite options, such as `ordered`
+   * @returns the result
+   */
+  private static async bulkWrite(collection: Collection, operations: Document[], options: Document): Promise<ExecutionResult> {
+    let bulk: BulkWriteResult
+    let errors: WriteError[] = []
+    let failure: MongoBulkWriteError | undefined
+    try {
+      bulk = await collection.bulkWrite(operations as AnyBulkWriteOperation[], options)
+    } catch (error) {
+      if (!(error instanceof MongoBulkWriteError)) {
+        throw error
+      }
+
+      failure = error
+      bulk = error.result
+      errors = Array.isArray(error.writeErrors) ? error.writeErrors : [error.writeErrors]
+    }
+
+    const ordered = options.ordered !== false
+    const firstError = errors.length > 0 ? Math.min(...errors.map(error => error.index)) : Number.POSITIVE_INFINITY
+    const rows = operations.map((operation, index) => {
+      const type = Object.keys(operation)[0]
+      const error = errors.find(writeError => writeError.index === index)
+      let outcome = 'ok'
+      if (error) {
+        outcome = `failed: ${error.errmsg} (code ${error.code})`
+      } else if (ordered && index > firstError) {
+        outcome = 'not executed'
+      } else if (type === 'insertOne' && bulk.insertedIds[index] !== undefined) {
+        outcome = `inserted ${bulk.insertedIds[index]}`
+      } else if (bulk.upsertedIds[index] !== undefined) {
+        outcome = `upserted ${bulk.upsertedIds[index]}`
+      }
+
+      return [String(index), type, outcome]
+    })
+
+    const result: ExecutionResult = {
+      value: bulk,
+      message: `Inserted ${bulk.insertedCount}, matched ${bulk.matchedCount}, modified ${bulk.modifiedCount}, ` +
+        `deleted ${bulk.deletedCount}, upserted ${bulk.upsertedCount}`,
+      display: 'table',
+      table: {columns: ['#', 'Operation', 'Result'], rows},
+    }
+
+    if (failure) {
+      const count = errors.length > 0 ? `${errors.length} operation(s) failed` : failure.message
+      throw new PartialResultError(`bulkWrite failed: ${count}`, {...result, warning: true}, failure)
+    }
+
+    return result
+  }
+
+  /**
+   * Index operations take either an index name or its key pattern;
+   * key patterns are matched in field order, as the server does
+   * @param collection the collection with the index
+   * @param method the operation, for error messages
+   * @param target the index name or key pattern
+   * @returns the index name
+   */
+  private static async resolveIndexName(collection: Collection, method: string, target: any): Promise<string> {
+    if (typeof target === 'string' && target) {
+      return target
+    }
+
+    if (!target || typeof target !== 'object' || Array.isArray(target)) {
+      throw new Error(`${method} requires an index name or key pattern`)
+    }
+
+    const pattern = JSON.stringify(target)
+    const match = (await collection.indexes()).find(index => JSON.stringify(index.key) === pattern)
+    if (!match) {
+      throw new Error(`No index with key ${pattern} on ${collection.collectionName}`)
+    }
+
+    return match.name
+  }
+
+  /**
+   * Index sizes from `$collStats` and access counts from `$indexStats`.
+   * Either may be refused (missing privileges, views, older servers), in
+   * which case that column is left empty.
+   * @param collection the collection with the indexes
+   * @returns the sizes and access counts by index name
+   */
+  private static async indexStatistics(collection: Collection): Promise<{
+    sizes: Record<string, number>;
+    accesses: Record<string, number>;
+  }> {
+    const sizes: Record<string, number> = {}
+    const accesses: Record<string, number> = {}
+
+    try {
+      const [stats] = await collection.aggregate([{$collStats: {storageStats: {}}}]).toArray()
+      for (const [name, size] of Object.entries(stats?.storageStats?.indexSizes ?? {})) {
+        sizes[name] = Number(size)
+      }
+    } catch {
+      // sizes stay unknown
+    }
+
+    try {
+      for (const usage of await collection.aggregate([{$indexStats: {}}]).toArray()) {
+        accesses[usage.name] = Number(usage.accesses?.ops ?? 0)
+      }
+    } catch {
+      // access counts stay unknown
+    }
+
+    return {sizes, accesses}
+  }
+
+  private static describeKeys(index: Document): string {
+    // Text indexes store their fields in `weights` behind an internal key
+    if (index.key._fts === 'text') {
+      return `text(${Object.keys(index.weights ?? {}).join(', ')})`
+    }
+
+    return Object.entries(index.key).map(([field, type]) => `${field}: ${type}`).join(', ')
+  }
+
+  private static describeIndexProperties(index: Document): string[] {
+    const properties: string[] = []
+    if (index.unique) {
+      properties.push('unique')
+    }
+
+    if (index.sparse) {
+      properties.push('sparse')
+    }
+
+    if (index.hidden) {
+      properties.push('hidden')
+    }
+
+    if (index.expireAfterSeconds !== undefined) {
+      properties.push(`TTL ${index.expireAfterSeconds}s`)
+    }
+
+    if (index.partialFilterExpression) {
+      properties.push(`partial ${JSON.stringify(index.partialFilterExpression)}`)
+    }
+
+    if (index.collation) {
+      properties.push(`collation ${index.collation.locale}`)
+    }
+
+    return properties
+  }
+
+  private static async executeDatabaseOperation(method: string, args: any[]): Promise<ExecutionResult> {
+    // adminCommand is the only database operation that works without `use`
+    if (method === 'adminCommand') {
+      const result = await connectionManager.getClient().db('admin').command(this.toCommand(method, args[0]))
+      return {value: result, display: 'json'}
+    }
+
+    const db = connectionManager.getDatabase()
+
+    switch (method) {
+    case 'getName':
+      return {value: db.databaseName, display: 'lines'}
+
+    case 'getCollectionNames': {
+      const collections = await db.listCollections({}, {nameOnly: true}).toArray()
+      const names = collections.map(info => info.name).sort()
+      return {value: names, message: `${names.length} collection(s) in '${db.databaseName}':`, display: 'lines'}
+    }
+
+    case 'getCollectionInfos': {
+      const result = await db.listCollections(args[0] || {}, args[1] || {}).toArray()
+      return {value: result, display: 'json'}
+    }
+
+    case 'createCollection':
+      if (typeof args[0] !== 'string' || !args[0]) {
+        throw new Error('createCollection requires a collection name')
+      }
+
+      await db.createCollection(args[0], args[1] || {})
+      return {value: {ok: 1}, message: `Collection '${args[0]}' created`, display: 'none'}
+
+    case 'dropDatabase': {
+      const result = await db.dropDatabase(args[0] || {})
+      return {value: result, message: `Database '${db.databaseName}' dropped`, display: 'none'}
+    }
+
+    case 'stats': {
+      // mongosh accepts either stats(1024) or stats({scale: 1024})
+      const scale = typeof args[0] === 'number' ? args[0] : args[0]?.scale
+      const result = await db.command(scale ? {dbStats: 1, scale} : {dbStats: 1})
+      return {value: result, display: 'json'}
+    }
+
+    case 'serverStatus': {
+      const result = await db.command({serverStatus: 1, ...args[0]})
+      return {value: result, display: 'json'}
+    }
+
+    case 'runCommand': {
+      const result = await db.command(this.toCommand(method, args[0]))
+      return {value: result, display: 'json'}
+    }
+
+    default:
+      throw new Error(`Unsupported database operation: ${method}`)
+    }
+  }
+
+  /**
+   * Target of a trailing `$out` or `$merge` stage, which may name the
+   * collection directly or as `{db, coll}`
+   * @param pipeline the aggregation pipeline
+   * @param defaultDb the database of the aggregated collection
+   * @returns the namespace, or undefined without such a stage
+   */
+  private static outputNamespace(pipeline: Document[], defaultDb: string): { db: string; coll: string } | undefined {
+    const last = pipeline[pipeline.length - 1]
+    const target = last?.$out ?? (typeof last?.$merge === 'object' ? last.$merge.into : last?.$merge)
+    if (!target) {
+      return undefined
+    }
+
+    if (typeof target === 'string') {
+      return {db: defaultDb, coll: target}
+    }
+
+    return {db: target.db ?? defaultDb, coll: target.coll}
+  }
+
+  /**
+   * runCommand("ping") is shorthand for runCommand({ping: 1})
+   * @param method the operation, for error messages
+   * @param command the command document or name
+   * @returns the command document
+   */
+  private static toCommand(method: string, command: any): Record<string, any> {
+    if (typeof command === 'string' && command) {
+      return {[command]: 1}
+    }
+
+    if (!command || typeof command !== 'object' || Array.isArray(command)) {
+      throw new Error(`${method} requires a command document`)
+    }
+
+    return command
+  }
+
+  /**
+   * Applies chained cursor modifiers in order; validateChain has already
+   * rejected find-only modifiers on aggregation cursors.
+   * @param cursor the find or aggregation cursor
+   * @param chain the calls chained onto the operation
+   * @returns the `explain` call if the chain ends with one, since that
+   * replaces fetching documents
+   */
+  private static applyCursorChain(cursor: FindCursor | AggregationCursor, chain: ChainedCall[]): ChainedCall | undefined {
+    for (const call of chain) {
+      const [arg] = call.arguments
+      switch (call.method) {
+      case 'sort':
+        cursor.sort(arg)
+        break
+      case 'limit':
+        cursor.limit(this.toCount(call.method, arg))
+        break
+      case 'skip':
+        cursor.skip(this.toCount(call.method, arg))
+        break
+      case 'hint':
+        (cursor as FindCursor).hint(arg)
+        break
+      case 'project':
+      case 'projection':
+        cursor.project(arg)
+        break
+      case 'collation':
+        (cursor as FindCursor).collation(arg)
+        break
+      case 'comment':
+        (cursor as FindCursor).comment(arg)
+        break
+      case 'batchSize':
+        cursor.batchSize(this.toCount(call.method, arg))
+        break
+      case 'maxTimeMS':
+        cursor.maxTimeMS(this.toCount(call.method, arg))
+        break
+      case 'explain':
+        return call
+      case 'pretty':
+      case 'toArray':
+        break
+      default:
+        throw new Error(`Unsupported cursor method: ${call.method}`)
+      }
+    }
+
+    return undefined
+  }
+
+  private static toCount(method: string, value: any): number {
+    if (typeof value !== 'number' || !Number.isInteger(value) || value < 0) {
+      throw new Error(`${method} requires a non-negative integer, got ${JSON.stringify(value)}`)
+    }
+
+    return value
+  }
+}
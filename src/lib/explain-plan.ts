@@ -0,0 +1,255 @@
+import {Document} from 'mongodb'
+
+/**
+ * Examined-to-returned ratio above which a plan is reported as unselective
+ */
+const POOR_SELECTIVITY_RATIO = 10
+
+/**
+ * Longest filter shown inline on a stage line
+ */
+const MAX_FILTER_LENGTH = 60
+
+export interface ExplainLine {
+  text: string;
+  /** The stage is a collection scan or an in-memory sort */
+  warning: boolean;
+}
+
+/**
+ * Terminal-friendly digest of `explain()` output
+ */
+export interface ExplainReport {
+  /** Totals from executionStats, absent for queryPlanner verbosity */
+  summary?: string;
+  /** Winning plan as an indented stage tree, root first */
+  stages: ExplainLine[];
+  warnings: string[];
+  /** One line per rejected plan */
+  rejectedPlans: string[];
+}
+
+interface PlanSection {
+  planner: Document;
+  stats?: Document;
+}
+
+function compact(value: unknown, maxLength = Number.POSITIVE_INFINITY): string {
+  const text = JSON.stringify(value)
+  return text.length > maxLength ? `${text.slice(0, maxLength - 3)}...` : text
+}
+
+/**
+ * Slot-based (SBE) plans wrap the familiar stage tree in `queryPlan`
+ * @param plan a winning or rejected plan
+ * @returns the stage tree
+ */
+function unwrapPlan(plan: Document): Document {
+  return plan?.queryPlan ?? plan
+}
+
+function childStages(node: Document): Document[] {
+  if (node.inputStage) {
+    return [node.inputStage]
+  }
+
+  if (Array.isArray(node.inputStages)) {
+    return node.inputStages
+  }
+
+  if (Array.isArray(node.shards)) {
+    return node.shards.map((shard: Document) => ({
+      ...unwrapPlan(shard.executionStages ?? shard.winningPlan),
+      shardName: shard.shardName,
+    }))
+  }
+
+  return []
+}
+
+function describeStage(node: Document): string {
+  const parts: string[] = [node.stage]
+  if (node.shardName) {
+    parts.push(`shard ${node.shardName}`)
+  }
+
+  if (node.indexName) {
+    parts.push(`index ${node.indexName} ${compact(node.keyPattern)}`)
+  }
+
+  if (node.sortPattern) {
+    parts.push(`by ${compact(node.sortPattern)}`)
+  }
+
+  if (node.limitAmount !== undefined) {
+    parts.push(`limit ${node.limitAmount}`)
+  }
+
+  if (node.skipAmount !== undefined) {
+    parts.push(`skip ${node.skipAmount}`)
+  }
+
+  if (node.filter) {
+    parts.push(`filter ${compact(node.filter, MAX_FILTER_LENGTH)}`)
+  }
+
+  parts.push(...describeStats(node))
+  return parts.join('  ')
+}
+
+function describeStats(node: Document): string[] {
+  const parts: string[] = []
+  if (node.nReturned !== undefined) {
+    parts.push(`returned ${node.nReturned}`)
+  }
+
+  if (node.keysExamined) {
+    parts.push(`keys ${node.keysExamined}`)
+  }
+
+  if (node.docsExamined) {
+    parts.push(`docs ${node.docsExamined}`)
+  }
+
+  if (node.executionTimeMillisEstimate !== undefined) {
+    parts.push(`${Number(node.executionTimeMillisEstimate)} ms`)
+  }
+
+  if (node.usedDisk) {
+    parts.push('spilled to disk')
+  }
+
+  return parts
+}
+
+/**
+ * One-line outline of a plan, e.g. `FETCH > IXSCAN status_1`
+ * @param node the root stage of the plan
+ * @returns the stages from the root down
+ */
+function outlinePlan(node: Document): string {
+  const self = node.indexName ? `${node.stage} ${node.indexName}` : node.stage
+  const children = childStages(node)
+  if (children.length === 0) {
+    return self
+  }
+
+  return children.length === 1 ? `${self} > ${outlinePlan(children[0])}` : `${self}(${children.map(child => outlinePlan(child)).join(', ')})`
+}
+
+/**
+ * Splits explain output into query planner sections: one for find, one
+ * per `$cursor` stage of an aggregation, and one per shard
+ * @param explain the explain output
+ * @param pipeline the aggregation pipeline, empty for find
+ * @returns the sections in output order
+ */
+function collectSections(explain: Document, pipeline: Document[]): PlanSection[] {
+  if (explain.queryPlanner) {
+    return [{planner: explain.queryPlanner, stats: explain.executionStats}]
+  }
+
+  if (Array.isArray(explain.stages)) {
+    const sections: PlanSection[] = []
+    for (const stage of explain.stages) {
+      if (stage.$cursor) {
+        sections.push(...collectSections(stage.$cursor, pipeline))
+      } else {
+        pipeline.push(stage)
+      }
+    }
+
+    return sections
+  }
+
+  if (explain.shards && typeof explain.shards === 'object') {
+    return Object.values(explain.shards).flatMap(shard => collectSections(shard as Document, pipeline))
+  }
+
+  return []
+}
+
+/**
+ * Digests find or aggregate explain output of any verbosity. Collection
+ * scans, in-memory sorts and plans that read far more than they return
+ * are flagged.
+ * @param explain the explain output
+ * @returns the stages, warnings and rejected plans to print
+ */
+export function describeExplain(explain: Document): ExplainReport {
+  const report: ExplainReport = {stages: [], warnings: [], rejectedPlans: []}
+  const warn = (message: string) => {
+    if (!report.warnings.includes(message)) {
+      report.warnings.push(message)
+    }
+  }
+
+  const addTree = (node: Document, prefix: string, childPrefix: string) => {
+    const collscan = node.stage === 'COLLSCAN'
+    const sort = node.stage === 'SORT'
+    if (collscan) {
+      warn('COLLSCAN: every document in the collection is read; an index on the filtered fields would avoid this')
+    }
+
+    if (sort) {
+      warn(`In-memory SORT: no index provides the requested order${node.usedDisk ? ', and the sort spilled to disk' : ''}`)
+    }
+
+    report.stages.push({text: `${prefix}${describeStage(node)}`, warning: collscan || sort})
+    const children = childStages(node)
+    for (const [index, child] of children.entries()) {
+      const last = index === children.length - 1
+      addTree(child, `${childPrefix}${last ? '└─ ' : '├─ '}`, `${childPrefix}${last ? '   ' : '│  '}`)
+    }
+  }
+
+  const pipeline: Document[] = []
+  const sections = collectSections(explain, pipeline)
+  const totals = {returned: 0, keys: 0, docs: 0, millis: 0}
+  let hasStats = false
+
+  for (const {planner, stats} of sections) {
+    const winningPlan = unwrapPlan(planner.winningPlan)
+    // Classic executionStages mirror the winning plan with per-stage
+    // counters; SBE ones are a different tree, so show the plan instead
+    const root = stats?.executionStages && !planner.winningPlan?.queryPlan ? stats.executionStages : winningPlan
+    if (root) {
+      addTree(root, '', '')
+    }
+
+    for (const plan of planner.rejectedPlans ?? []) {
+      report.rejectedPlans.push(outlinePlan(unwrapPlan(plan)))
+    }
+
+    if (stats) {
+      hasStats = true
+      totals.returned += Number(stats.nReturned ?? 0)
+      totals.keys += Number(stats.totalKeysExamined ?? 0)
+      totals.docs += Number(stats.totalDocsExamined ?? 0)
+      totals.millis += Number(stats.executionTimeMillis ?? 0)
+    }
+  }
+
+  for (const stage of pipeline) {
+    const name = Object.keys(stage).find(key => key.startsWith('$')) ?? '?'
+    const sort = name === '$sort'
+    if (sort) {
+      warn(`In-memory $sort in the pipeline${stage.usedDisk ? ', spilled to disk' : ''}; sorting before $group or $project lets an index provide the order`)
+    }
+
+    report.stages.push({text: [name, ...describeStats(stage)].join('  '), warning: sort})
+  }
+
+  if (hasStats) {
+    report.summary = `Returned ${totals.returned} document(s) in ${totals.millis} ms, ` +
+      `examined ${totals.keys} key(s) and ${totals.docs} document(s)`
+
+    const examined = Math.max(totals.keys, totals.docs)
+    const ratio = examined / Math.max(totals.returned, 1)
+    if (ratio > POOR_SELECTIVITY_RATIO) {
+      warn(`Examined ${Math.round(ratio)} keys or documents per document returned; an index that matches the filter more closely would read less`)
+    }
+  }
+
+  return report
+}
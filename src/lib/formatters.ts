@@ -0,0 +1,242 @@
+import {BSON} from 'mongodb'
+import {inspectValue, PrettyOptions} from './pretty-printer'
+import {renderTable} from './table'
+
+/**
+ * Values of the `db --output` flag. `text` is the default human output,
+ * printed the way mongosh shows documents;
+ * `table` is human output with documents laid out as a table. The others
+ * are machine formats, printed on stdout with banners on stderr.
+ */
+export const OUTPUT_FORMATS = ['text', 'json', 'ejson-canonical', 'ejson-relaxed', 'ndjson', 'table', 'csv', 'yaml'] as const
+
+export type OutputFormat = typeof OUTPUT_FORMATS[number];
+
+export interface FormatOptions {
+  /** Columns for `table` and `csv`, in order; dotted paths reach into subdocuments */
+  fields?: string[];
+  /** Longest table cell before it is truncated */
+  maxColumnWidth?: number;
+}
+
+const DEFAULT_MAX_COLUMN_WIDTH = 40
+
+/**
+ * Plain YAML scalars that would read back as something other than a string
+ */
+const YAML_RESERVED = /^(true|false|yes|no|on|off|null|~|[+-]?(\.?\d.*|\.inf|\.nan))$/i
+
+export function isMachineFormat(format: OutputFormat): boolean {
+  return format !== 'text' && format !== 'table'
+}
+
+/**
+ * Text for a BSON value or Date in a table cell, CSV field or YAML scalar
+ * @param value the value
+ * @returns the text
+ */
+function scalarText(value: any): string {
+  if (value instanceof Date) {
+    return value.toISOString()
+  }
+
+  switch (value?._bsontype) {
+  case 'ObjectId':
+  case 'ObjectID':
+    return value.toHexString()
+  case 'Binary':
+    return value.toString('base64')
+  case 'BSONRegExp':
+    return `/${value.pattern}/${value.options}`
+  case 'MinKey':
+  case 'MaxKey':
+    return value._bsontype
+  default:
+    return String(value)
+  }
+}
+
+function isPlainObject(value: any): boolean {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    !(value instanceof Date) && !(value instanceof RegExp) && !value._bsontype
+}
+
+/**
+ * Flattens subdocuments into dotted keys; arrays stay whole
+ * @param doc the document
+ * @param prefix the dotted path of `doc` in the top-level document
+ * @param into the flattened document being built
+ * @returns the flattened document
+ */
+function flatten(doc: any, prefix = '', into: Record<string, any> = {}): Record<string, any> {
+  for (const [key, value] of Object.entries(doc)) {
+    const path = prefix ? `${prefix}.${key}` : key
+    if (isPlainObject(value) && Object.keys(value as object).length > 0) {
+      flatten(value, path, into)
+    } else {
+      into[path] = value
+    }
+  }
+
+  return into
+}
+
+function cellText(value: any): string {
+  if (value === undefined) {
+    return ''
+  }
+
+  if (value === null) {
+    return 'null'
+  }
+
+  return Array.isArray(value) || isPlainObject(value) ? BSON.EJSON.stringify(value, {relaxed: true}) : scalarText(value)
+}
+
+/**
+ * Documents to lay out as rows: an array's entries, a single document, or
+ * a bare value such as a count under a `value` column
+ * @param value the operation result
+ * @returns the rows
+ */
+function toRows(value: any): Record<string, any>[] {
+  const items = Array.isArray(value) ? value : (value === undefined || value === null ? [] : [value])
+  return items.map(item => (isPlainObject(item) ? flatten(item) : {value: item}))
+}
+
+function columnsOf(rows: Record<string, any>[], fields?: string[]): string[] {
+  if (fields && fields.length > 0) {
+    return fields
+  }
+
+  const columns = new Set<string>()
+  for (const row of rows) {
+    for (const key of Object.keys(row)) {
+      columns.add(key)
+    }
+  }
+
+  return [...columns]
+}
+
+function formatTable(value: any, options: FormatOptions): string {
+  const rows = toRows(value)
+  const columns = columnsOf(rows, options.fields)
+  const maxWidth = options.maxColumnWidth ?? DEFAULT_MAX_COLUMN_WIDTH
+  const truncate = (text: string) => {
+    const line = text.replace(/\s+/g, ' ')
+    return line.length > maxWidth ? `${line.slice(0, maxWidth - 1)}…` : line
+  }
+
+  return renderTable(columns, rows.map(row => columns.map(column => truncate(cellText(row[column])))))
+}
+
+function csvField(text: string): string {
+  return /[\n\r",]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+function formatCsv(value: any, options: FormatOptions): string {
+  const rows = toRows(value)
+  const columns = columnsOf(rows, options.fields)
+  return [columns, ...rows.map(row => columns.map(column => cellText(row[column])))]
+  .map(cells => cells.map(cell => csvField(cell)).join(','))
+  .join('\n')
+}
+
+function yamlScalar(value: any): string {
+  if (value === null || value === undefined) {
+    return 'null'
+  }
+
+  if (typeof value === 'number' || typeof value === 'boolean') {
+    return String(value)
+  }
+
+  const text = typeof value === 'string' ? value : scalarText(value)
+  const plain = /^[\w$][\w $+./:@-]*$/.test(text) && !text.endsWith(' ') && !YAML_RESERVED.test(text)
+  return plain && typeof value === 'string' ? text : JSON.stringify(text)
+}
+
+function yamlLines(value: any, indent: string): string[] {
+  if (Array.isArray(value)) {
+    if (value.length === 0) {
+      return [`${indent}[]`]
+    }
+
+    return value.flatMap(item => {
+      const [first, ...rest] = yamlLines(item, `${indent}  `)
+      return [`${indent}- ${first.trimStart()}`, ...rest]
+    })
+  }
+
+  if (isPlainObject(value)) {
+    const entries = Object.entries(value)
+    if (entries.length === 0) {
+      return [`${indent}{}`]
+    }
+
+    return entries.flatMap(([key, item]) => {
+      const label = `${indent}${yamlScalar(key)}:`
+      const nested = (Array.isArray(item) && item.length > 0) || (isPlainObject(item) && Object.keys(item as object).length > 0)
+      return nested ? [label, ...yamlLines(item, `${indent}  `)] : [`${label} ${yamlLines(item, '')[0]}`]
+    })
+  }
+
+  return [`${indent}${yamlScalar(value)}`]
+}
+
+function formatYaml(value: any): string {
+  // Each document of an array becomes its own YAML document
+  const documents = Array.isArray(value) ? value : [value]
+  return documents.map(doc => yamlLines(doc, '').join('\n')).join('\n---\n')
+}
+
+/**
+ * Renders one streamed document or change event. Formats that need every
+ * row up front, like `table` and `csv`, fall back to NDJSON.
+ * @param doc the document or event
+ * @param format the output format
+ * @param pretty options for the `text` format
+ * @returns the text to print
+ */
+export function formatDocument(doc: any, format: OutputFormat, pretty: PrettyOptions = {}): string {
+  switch (format) {
+  case 'text':
+    return inspectValue(doc, pretty)
+  case 'json':
+    return JSON.stringify(doc, null, 2)
+  case 'ejson-canonical':
+  case 'ejson-relaxed':
+    return BSON.EJSON.stringify(doc, undefined, 2, {relaxed: format === 'ejson-relaxed'})
+  case 'yaml':
+    return `---\n${formatYaml(doc)}`
+  default:
+    return BSON.EJSON.stringify(doc, {relaxed: true})
+  }
+}
+
+/**
+ * Renders an operation result in the given format
+ * @param value the operation result
+ * @param format the output format
+ * @param options formatting options
+ * @returns the text to print
+ */
+export function formatOutput(value: any, format: OutputFormat, options: FormatOptions = {}): string {
+  switch (format) {
+  case 'ejson-canonical':
+    return BSON.EJSON.stringify(value, undefined, 2, {relaxed: false})
+  case 'ejson-relaxed':
+    return BSON.EJSON.stringify(value, undefined, 2, {relaxed: true})
+  case 'ndjson':
+    return (Array.isArray(value) ? value : [value]).map(doc => BSON.EJSON.stringify(doc, {relaxed: true})).join('\n')
+  case 'table':
+    return formatTable(value, options)
+  case 'csv':
+    return formatCsv(value, options)
+  case 'yaml':
+    return formatYaml(value)
+  default:
+    return JSON.stringify(value, null, 2)
+  }
+}
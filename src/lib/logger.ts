@@ -0,0 +1,155 @@
+import chalk from 'chalk'
+import * as fs from 'node:fs'
+import * as os from 'node:os'
+import * as path from 'node:path'
+
+export const LOG_LEVELS = ['error', 'warn', 'info', 'debug', 'trace'] as const
+
+export type LogLevel = typeof LOG_LEVELS[number];
+
+/**
+ * The `logging` section of the settings
+ */
+export interface LoggingSettings {
+  level: LogLevel;
+  /** `console` writes to stderr so results on stdout stay clean */
+  destination: 'console' | 'file';
+  /** Log file for the `file` destination; `~` is expanded */
+  file: string;
+  includeTimestamp: boolean;
+  /** Append structured details, such as the parsed operation, as JSON */
+  includeMetadata: boolean;
+  /** Log every command the driver sends, at debug level */
+  commandMonitoring: boolean;
+}
+
+const DEFAULT_SETTINGS: LoggingSettings = {
+  level: 'info',
+  destination: 'console',
+  file: '~/.mongosh-clone.log',
+  includeTimestamp: true,
+  includeMetadata: true,
+  commandMonitoring: false,
+}
+
+/**
+ * User info in a connection string, `scheme://user:password@`
+ */
+const URI_USERINFO = /(mongodb(?:\+srv)?:\/\/)[^\s/@]+@/g
+
+/**
+ * `text` with the user info of any connection strings in it replaced by
+ * `<credentials>`, as mongosh shows them
+ * @param text a message or metadata value
+ * @returns the redacted text
+ */
+export function redactCredentials(text: string): string {
+  return text.replace(URI_USERINFO, '$1<credentials>@')
+}
+
+const LEVEL_COLORS: Record<LogLevel, (text: string) => string> = {
+  error: chalk.red,
+  warn: chalk.yellow,
+  info: chalk.blue,
+  debug: chalk.gray,
+  trace: chalk.gray,
+}
+
+/**
+ * Leveled diagnostics for commands and the connection manager. Results
+ * and banners are output, not logs, and keep going to stdout.
+ */
+class Logger {
+  private settings: LoggingSettings = {...DEFAULT_SETTINGS};
+
+  /**
+   * Applies logging settings over the current ones, checking values that
+   * come from user-editable files
+   * @param settings the settings to change
+   * @returns nothing
+   */
+  configure(settings: Partial<LoggingSettings>): void {
+    const merged = {...this.settings, ...settings}
+    if (!LOG_LEVELS.includes(merged.level)) {
+      throw new Error(`Invalid logging level "${merged.level}"; expected one of ${LOG_LEVELS.join(', ')}`)
+    }
+
+    if (merged.destination !== 'console' && merged.destination !== 'file') {
+      throw new Error(`Invalid logging destination "${merged.destination}"; expected console or file`)
+    }
+
+    this.settings = merged
+  }
+
+  getSettings(): LoggingSettings {
+    return this.settings
+  }
+
+  isEnabled(level: LogLevel): boolean {
+    return LOG_LEVELS.indexOf(level) <= LOG_LEVELS.indexOf(this.settings.level)
+  }
+
+  error(message: string, metadata?: Record<string, unknown>): void {
+    this.log('error', message, metadata)
+  }
+
+  warn(message: string, metadata?: Record<string, unknown>): void {
+    this.log('warn', message, metadata)
+  }
+
+  info(message: string, metadata?: Record<string, unknown>): void {
+    this.log('info', message, metadata)
+  }
+
+  debug(message: string, metadata?: Record<string, unknown>): void {
+    this.log('debug', message, metadata)
+  }
+
+  trace(message: string, metadata?: Record<string, unknown>): void {
+    this.log('trace', message, metadata)
+  }
+
+  /**
+   * One log line: optional timestamp, level, message and metadata.
+   * Credentials in connection strings are redacted.
+   * @param level the severity
+   * @param message the message
+   * @param metadata extra fields, printed as JSON
+   * @returns the line, without a newline
+   */
+  format(level: LogLevel, message: string, metadata?: Record<string, unknown>): string {
+    const parts = [
+      ...(this.settings.includeTimestamp ? [new Date().toISOString()] : []),
+      level.toUpperCase().padEnd(5),
+      message,
+    ]
+    if (this.settings.includeMetadata && metadata && Object.keys(metadata).length > 0) {
+      parts.push(JSON.stringify(metadata))
+    }
+
+    return redactCredentials(parts.join(' '))
+  }
+
+  private log(level: LogLevel, message: string, metadata?: Record<string, unknown>): void {
+    if (!this.isEnabled(level)) {
+      return
+    }
+
+    const line = this.format(level, message, metadata)
+    if (this.settings.destination === 'file') {
+      const file = this.settings.file.replace(/^~(?=$|\/)/, os.homedir())
+      try {
+        fs.mkdirSync(path.dirname(file), {recursive: true})
+        fs.appendFileSync(file, `${line}\n`)
+        return
+      } catch (error) {
+        // Fall back to stderr rather than losing the message
+        process.stderr.write(`${chalk.yellow(`Cannot write log file ${file}: ${(error as Error).message}`)}\n`)
+      }
+    }
+
+    process.stderr.write(`${LEVEL_COLORS[level](line)}\n`)
+  }
+}
+
+export const logger = new Logger()
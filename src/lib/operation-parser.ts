@@ -0,0 +1,1177 @@
+import * as acorn from 'acorn'
+import {
+  SHELL_TYPE_CONSTANTS,
+  createRegExp,
+  SHELL_TYPE_CONSTRUCTORS,
+  createShellType,
+  fromExtendedJson,
+  isExtendedJsonWrapper,
+} from './shell-types'
+import {ParseError} from './parse-error'
+import {closestMatch} from './suggestions'
+
+export {ParseError}
+
+const CLOSING_BRACKETS: Record<string, string> = {'(': ')', '{': '}', '[': ']'}
+
+/**
+ * A `/` after one of these starts a regex literal rather than a division
+ */
+const REGEX_PRECEDERS = new Set(['(', ',', '[', '{', ':', '!', '&', '|', '?', '=', ';'])
+
+/**
+ * Sets `key` as an own property, so that a `__proto__` key is kept as data
+ * instead of replacing the object's prototype
+ * @param obj the object being built
+ * @param key the property name
+ * @param value the property value
+ * @returns nothing
+ */
+function defineProperty(obj: Record<string, any>, key: string, value: any): void {
+  Object.defineProperty(obj, key, {value, enumerable: true, writable: true, configurable: true})
+}
+
+/**
+ * Whether a token can be a name, that is, is not punctuation
+ * @param value a token's value
+ * @returns whether it can be a name
+ */
+function isIdentifier(value: string): boolean {
+  return !['.', '(', ')'].includes(value)
+}
+
+export interface Token {
+  value: string;
+  start: number;
+  end: number;
+}
+
+export interface ChainedCall {
+  method: string;
+  arguments: any[];
+  /** Offset of the method name in `ParsedOperation.input` */
+  position: number;
+}
+
+/**
+ * `collection` operations run against a collection; `database` operations
+ * (`db.stats()`, `db.runCommand(...)`) run against the current database.
+ */
+export type OperationScope = 'collection' | 'database';
+
+export interface ParsedOperation {
+  scope: OperationScope;
+  /** Empty for database-scope operations */
+  collection: string;
+  method: string;
+  arguments: any[];
+  chain: ChainedCall[];
+  /** The cleaned operation text that positions refer to */
+  input: string;
+  methodPosition: number;
+}
+
+interface MethodArity {
+  minArgs: number;
+  maxArgs: number;
+}
+
+interface CursorMethod {
+  minArgs: number;
+  maxArgs: number;
+  appliesTo: string[];
+  terminal?: boolean;
+}
+
+/**
+ * Parses `collection.method(args)` and `db.method(args)` operations.
+ *
+ * The outer structure is split by a small tokenizer; the argument list is
+ * parsed as a JavaScript expression so that queries copied from mongosh or
+ * Compass (unquoted keys, single quotes, trailing commas, comments, hex and
+ * negative numbers) work without re-quoting.
+ */
+export class OperationParser {
+  static readonly SUPPORTED_METHODS = [
+    'insertOne',
+    'insertMany',
+    'find',
+    'findOne',
+    'updateOne',
+    'updateMany',
+    'deleteOne',
+    'deleteMany',
+    'countDocuments',
+    'drop',
+    'aggregate',
+    'createIndex',
+    'createIndexes',
+    'getIndexes',
+    'dropIndex',
+    'dropIndexes',
+    'hideIndex',
+    'unhideIndex',
+    'findOneAndUpdate',
+    'findOneAndReplace',
+    'findOneAndDelete',
+    'replaceOne',
+    'distinct',
+    'count',
+    'estimatedDocumentCount',
+    'bulkWrite',
+    'watch',
+  ];
+
+  /**
+   * Methods callable on `db` itself
+   */
+  static readonly DATABASE_METHODS: Record<string, MethodArity> = {
+    getName: {minArgs: 0, maxArgs: 0},
+    getCollectionNames: {minArgs: 0, maxArgs: 0},
+    getCollectionInfos: {minArgs: 0, maxArgs: 2},
+    createCollection: {minArgs: 1, maxArgs: 2},
+    dropDatabase: {minArgs: 0, maxArgs: 1},
+    stats: {minArgs: 0, maxArgs: 1},
+    serverStatus: {minArgs: 0, maxArgs: 1},
+    runCommand: {minArgs: 1, maxArgs: 1},
+    adminCommand: {minArgs: 1, maxArgs: 1},
+  };
+
+  /**
+   * Operations that return a cursor and can be followed by cursor methods
+   */
+  static readonly CHAINABLE_OPERATIONS = ['find', 'aggregate'];
+
+  /**
+   * Cursor methods allowed after a chainable operation. Terminal methods
+   * end the chain.
+   */
+  static readonly CURSOR_METHODS: Record<string, CursorMethod> = {
+    sort: {minArgs: 1, maxArgs: 1, appliesTo: ['find']},
+    limit: {minArgs: 1, maxArgs: 1, appliesTo: ['find']},
+    skip: {minArgs: 1, maxArgs: 1, appliesTo: ['find']},
+    hint: {minArgs: 1, maxArgs: 1, appliesTo: ['find']},
+    project: {minArgs: 1, maxArgs: 1, appliesTo: ['find']},
+    projection: {minArgs: 1, maxArgs: 1, appliesTo: ['find']},
+    collation: {minArgs: 1, maxArgs: 1, appliesTo: ['find']},
+    comment: {minArgs: 1, maxArgs: 1, appliesTo: ['find']},
+    batchSize: {minArgs: 1, maxArgs: 1, appliesTo: ['find', 'aggregate']},
+    maxTimeMS: {minArgs: 1, maxArgs: 1, appliesTo: ['find', 'aggregate']},
+    pretty: {minArgs: 0, maxArgs: 0, appliesTo: ['find', 'aggregate']},
+    explain: {minArgs: 0, maxArgs: 1, appliesTo: ['find', 'aggregate'], terminal: true},
+    toArray: {minArgs: 0, maxArgs: 0, appliesTo: ['find', 'aggregate'], terminal: true},
+  };
+
+  /**
+   * Options accepted as the second argument of `aggregate`
+   */
+  static readonly AGGREGATE_OPTIONS = [
+    'allowDiskUse',
+    'maxTimeMS',
+    'collation',
+    'let',
+    'batchSize',
+    'comment',
+    'hint',
+    'bypassDocumentValidation',
+    'readConcern',
+    'writeConcern',
+  ];
+
+  /**
+   * Options accepted by `createIndex` and `createIndexes`
+   */
+  static readonly INDEX_OPTIONS = [
+    'name',
+    'unique',
+    'sparse',
+    'hidden',
+    'partialFilterExpression',
+    'expireAfterSeconds',
+    'collation',
+    'weights',
+    'default_language',
+    'language_override',
+    'textIndexVersion',
+    '2dsphereIndexVersion',
+    'wildcardProjection',
+    'bits',
+    'min',
+    'max',
+    'background',
+  ];
+
+  /**
+   * Position and accepted keys of the options document for methods whose
+   * options are checked before the operation is sent
+   */
+  static readonly METHOD_OPTIONS: Record<string, { index: number; options: string[] }> = {
+    findOneAndUpdate: {
+      index: 2,
+      options: [
+        'returnDocument',
+        'returnNewDocument',
+        'upsert',
+        'arrayFilters',
+        'sort',
+        'projection',
+        'collation',
+        'hint',
+        'maxTimeMS',
+        'bypassDocumentValidation',
+        'writeConcern',
+        'let',
+        'comment',
+      ],
+    },
+    findOneAndReplace: {
+      index: 2,
+      options: [
+        'returnDocument',
+        'returnNewDocument',
+        'upsert',
+        'sort',
+        'projection',
+        'collation',
+        'hint',
+        'maxTimeMS',
+        'bypassDocumentValidation',
+        'writeConcern',
+        'let',
+        'comment',
+      ],
+    },
+    findOneAndDelete: {
+      index: 1,
+      options: ['sort', 'projection', 'collation', 'hint', 'maxTimeMS', 'writeConcern', 'let', 'comment'],
+    },
+    replaceOne: {
+      index: 2,
+      options: ['upsert', 'collation', 'hint', 'bypassDocumentValidation', 'writeConcern', 'let', 'comment'],
+    },
+    distinct: {index: 2, options: ['collation', 'maxTimeMS', 'readConcern', 'comment']},
+    count: {index: 1, options: ['limit', 'skip', 'hint', 'maxTimeMS', 'collation', 'readConcern']},
+    estimatedDocumentCount: {index: 0, options: ['maxTimeMS', 'comment']},
+    bulkWrite: {index: 1, options: ['ordered', 'bypassDocumentValidation', 'writeConcern', 'let', 'comment']},
+    watch: {
+      index: 1,
+      options: [
+        'fullDocument',
+        'fullDocumentBeforeChange',
+        'resumeAfter',
+        'startAfter',
+        'startAtOperationTime',
+        'batchSize',
+        'maxAwaitTimeMS',
+        'collation',
+        'showExpandedEvents',
+        'comment',
+      ],
+    },
+  };
+
+  /**
+   * Values accepted for the `fullDocument` change stream option
+   */
+  static readonly FULL_DOCUMENT_MODES = ['default', 'updateLookup', 'whenAvailable', 'required'];
+
+  /**
+   * Write models accepted inside `bulkWrite([...])`
+   */
+  static readonly BULK_OPERATIONS = ['insertOne', 'updateOne', 'updateMany', 'replaceOne', 'deleteOne', 'deleteMany'];
+
+  /**
+   * Special index types usable as key values in place of 1 / -1
+   */
+  static readonly INDEX_TYPES = ['text', '2dsphere', '2d', 'hashed'];
+
+  static parse(operation: string): ParsedOperation {
+    const cleanOp = this.cleanOperation(operation)
+    try {
+      const tokens = this.tokenize(cleanOp)
+      return {...this.parseTokens(tokens), input: cleanOp}
+    } catch (error) {
+      if (error instanceof ParseError) {
+        error.input = cleanOp
+      }
+
+      throw error
+    }
+  }
+
+  /**
+   * Strips one layer of quotes left over from shell quoting
+   * @param operation the operation as received
+   * @returns the operation without the quotes
+   */
+  static cleanOperation(operation: string): string {
+    let clean = operation.trim()
+    const quoteChars = ["'", '"', '`']
+    for (const quote of quoteChars) {
+      if (clean.startsWith(quote) && clean.endsWith(quote) && clean.length > 1) {
+        clean = clean.slice(1, -1)
+        break
+      }
+    }
+
+    return clean.trim()
+  }
+
+  /**
+   * Splits the operation into identifier, `.`, `(`, argument-text and `)`
+   * tokens in a single pass. Argument text is skipped with `scanArguments`,
+   * so every character is visited once regardless of payload size.
+   *
+   * With `partial`, for completion of text typed so far, an argument list
+   * that is not closed ends the tokens with its `(` and argument text
+   * instead of failing.
+   * @param operation the operation
+   * @param partial whether the operation may be unfinished
+   * @returns the tokens
+   */
+  static tokenize(operation: string, partial = false): Token[] {
+    const tokens: Token[] = []
+    let current = ''
+    let currentStart = 0
+
+    const pushCurrent = () => {
+      const value = current.trimEnd()
+      if (value) {
+        tokens.push({value, start: currentStart, end: currentStart + value.length})
+      }
+
+      current = ''
+    }
+
+    for (let i = 0; i < operation.length; i++) {
+      const char = operation[i]
+
+      if (char === '/' && (operation[i + 1] === '/' || operation[i + 1] === '*')) {
+        pushCurrent()
+        i = this.skipComment(operation, i) - 1
+      } else if (char === '.') {
+        pushCurrent()
+        tokens.push({value: '.', start: i, end: i + 1})
+      } else if (char === '(') {
+        pushCurrent()
+        let close: number
+        try {
+          close = this.scanArguments(operation, i)
+        } catch (error) {
+          if (!partial || !(error instanceof ParseError)) {
+            throw error
+          }
+
+          tokens.push(
+            {value: '(', start: i, end: i + 1},
+            {value: operation.slice(i + 1), start: i + 1, end: operation.length},
+          )
+          return tokens
+        }
+
+        tokens.push(
+          {value: '(', start: i, end: i + 1},
+          {value: operation.slice(i + 1, close), start: i + 1, end: close},
+          {value: ')', start: close, end: close + 1},
+        )
+        i = close
+      } else if (current || !/\s/.test(char)) {
+        if (!current) {
+          currentStart = i
+        }
+
+        current += char
+      }
+    }
+
+    pushCurrent()
+
+    // Empty argument tokens are kept: they stand for empty argument lists
+    return tokens
+  }
+
+  /**
+   * Finds the `)` matching the `(` at `openPos`. Tracks string, escape,
+   * comment, regex-literal and bracket state as it goes and reports
+   * mismatched or unclosed brackets where they occur.
+   * @param text the operation
+   * @param openPos the index of the `(`
+   * @returns the index of the `)`
+   */
+  static scanArguments(text: string, openPos: number): number {
+    const stack: Array<{ char: string; position: number }> = [{char: '(', position: openPos}]
+    let lastSignificant = '('
+    let i = openPos + 1
+
+    while (i < text.length) {
+      const char = text[i]
+      const nextChar = text[i + 1]
+
+      if (char === '"' || char === "'" || char === '`') {
+        i = this.skipString(text, i)
+      } else if (char === '/' && (nextChar === '/' || nextChar === '*')) {
+        i = this.skipComment(text, i)
+        continue
+      } else if (char === '/' && REGEX_PRECEDERS.has(lastSignificant)) {
+        i = this.skipRegex(text, i)
+      } else if (char in CLOSING_BRACKETS) {
+        stack.push({char, position: i})
+      } else if (char === ')' || char === '}' || char === ']') {
+        const open = stack.pop()!
+        if (CLOSING_BRACKETS[open.char] !== char) {
+          throw new ParseError(`Unexpected '${char}'`, i, `'${CLOSING_BRACKETS[open.char]}' to close '${open.char}' at position ${open.position}`)
+        }
+
+        if (stack.length === 0) {
+          return i
+        }
+      }
+
+      if (!/\s/.test(char)) {
+        lastSignificant = text[i]
+      }
+
+      i++
+    }
+
+    const open = stack[stack.length - 1]
+    throw this.endOfInput(new ParseError(`Unclosed '${open.char}'`, open.position, `'${CLOSING_BRACKETS[open.char]}'`))
+  }
+
+  /**
+   * Whether the operation stops inside brackets, a template string or a
+   * block comment, so that an interactive shell should read another line
+   * @param operation the text read so far
+   * @returns whether to read another line
+   */
+  static isIncomplete(operation: string): boolean {
+    try {
+      this.tokenize(this.cleanOperation(operation))
+      return false
+    } catch (error) {
+      return error instanceof ParseError && error.endOfInput
+    }
+  }
+
+  private static endOfInput(error: ParseError): ParseError {
+    error.endOfInput = true
+    return error
+  }
+
+  /**
+   * Skips the `//` or `/* *\/` comment at `start`
+   * @param text the operation
+   * @param start the index of the comment's first `/`
+   * @returns the index just past the comment
+   */
+  private static skipComment(text: string, start: number): number {
+    if (text[start + 1] === '/') {
+      const newline = text.indexOf('\n', start)
+      return newline === -1 ? text.length : newline
+    }
+
+    const close = text.indexOf('*/', start + 2)
+    if (close === -1) {
+      throw this.endOfInput(new ParseError('Unterminated comment', start, "'*/'"))
+    }
+
+    return close + 2
+  }
+
+  /**
+   * Skips the string that starts at `start`
+   * @param text the operation
+   * @param start the index of the opening quote
+   * @returns the index of the closing quote
+   */
+  private static skipString(text: string, start: number): number {
+    const quote = text[start]
+    for (let i = start + 1; i < text.length; i++) {
+      if (text[i] === '\\') {
+        i++
+      } else if (text[i] === quote) {
+        return i
+      } else if (text[i] === '\n' && quote !== '`') {
+        break
+      }
+    }
+
+    // Only template strings may span lines
+    const error = new ParseError('Unterminated string', start, quote)
+    throw quote === '`' ? this.endOfInput(error) : error
+  }
+
+  /**
+   * Skips the regex literal at `start`
+   * @param text the operation
+   * @param start the index of the opening `/`
+   * @returns the index of the literal's last character, flags included
+   */
+  private static skipRegex(text: string, start: number): number {
+    let inClass = false
+    for (let i = start + 1; i < text.length && text[i] !== '\n'; i++) {
+      switch (text[i]) {
+      case '\\':
+        i++
+        break
+      case '[':
+        inClass = true
+        break
+      case ']':
+        inClass = false
+        break
+      case '/':
+        if (!inClass) {
+          while (/[a-z]/i.test(text[i + 1] || '')) {
+            i++
+          }
+
+          return i
+        }
+
+        break
+      }
+    }
+
+    throw new ParseError('Unterminated regular expression', start, "'/'")
+  }
+
+  /**
+   * Reads one of
+   *   collection.method(args)
+   *   db.collection.method(args)
+   *   db.getCollection("name").method(args)
+   *   db.method(args)
+   * followed by any number of `.method(args)` cursor calls.
+   * @param tokens the operation's tokens
+   * @returns the parsed operation
+   */
+  static parseTokens(tokens: Token[]): Omit<ParsedOperation, 'input'> {
+    let index = 0
+    const endPosition = tokens.length > 0 ? tokens[tokens.length - 1].end : 0
+
+    const next = (expected: string, accept: (value: string) => boolean): Token => {
+      const token = tokens[index]
+      if (!token) {
+        throw new ParseError('Invalid operation format: unexpected end of input', endPosition, expected)
+      }
+
+      if (!accept(token.value)) {
+        throw new ParseError(`Invalid operation format: unexpected "${token.value}"`, token.start, expected)
+      }
+
+      index++
+      return token
+    }
+
+    const readCall = (expected: string): ChainedCall => {
+      const name = next(expected, isIdentifier)
+      if (!/^[$A-Z_a-z][\w$]*$/.test(name.value)) {
+        throw new ParseError(`Invalid method name: "${name.value}"`, name.start, expected)
+      }
+
+      next(`'(' after ${name.value}`, value => value === '(')
+      const argsToken = tokens[index++]
+      next("')'", value => value === ')')
+
+      return {
+        method: name.value,
+        arguments: this.parseArguments(argsToken.value, argsToken.start),
+        position: name.start,
+      }
+    }
+
+    let scope: OperationScope = 'collection'
+    let collection: string | undefined
+    let first: ChainedCall | undefined
+
+    if (tokens[0]?.value === 'db' && tokens[1]?.value === '.') {
+      index = 2
+
+      // db.method(...) rather than db.collection.method(...)
+      if (tokens[index + 1]?.value === '(') {
+        const call = readCall('method name')
+        if (call.method === 'getCollection' && tokens[index]?.value === '.') {
+          if (call.arguments.length !== 1 || typeof call.arguments[0] !== 'string' || !call.arguments[0]) {
+            throw new ParseError('getCollection requires a collection name', call.position, 'a collection name string')
+          }
+
+          collection = call.arguments[0]
+          next("'.' after getCollection(...)", value => value === '.')
+        } else {
+          scope = 'database'
+          collection = ''
+          first = call
+        }
+      }
+    }
+
+    if (collection === undefined) {
+      // Dotted names such as system.profile run up to the `.` before the
+      // method name
+      const collectionToken = next('collection name', isIdentifier)
+      let name = collectionToken.value
+      const isName = (offset: number) => tokens[index + offset] !== undefined && isIdentifier(tokens[index + offset].value)
+      while (tokens[index]?.value === '.' && isName(1) && tokens[index + 2]?.value === '.' && isName(3)) {
+        name += `.${tokens[index + 1].value}`
+        index += 2
+      }
+
+      if (!this.isValidIdentifier(name)) {
+        throw new ParseError(`Invalid collection name: "${name}"`, collectionToken.start, 'collection name')
+      }
+
+      collection = name
+      next("'.' after collection name", value => value === '.')
+    }
+
+    if (!first) {
+      first = readCall('method name')
+    }
+
+    const chain: ChainedCall[] = []
+    while (index < tokens.length) {
+      next("'.' before cursor method", value => value === '.')
+      chain.push(readCall('cursor method name'))
+    }
+
+    return {
+      scope,
+      collection,
+      method: first.method,
+      arguments: first.arguments,
+      chain,
+      methodPosition: first.position,
+    }
+  }
+
+  static isValidIdentifier(name: string): boolean {
+    return /^[A-Z_a-z][\w.-]*$/.test(name)
+  }
+
+  /**
+   * Parses an argument list such as `{age: {$gte: 18}}, {name: 1}`.
+   * The list is wrapped in brackets and parsed as an array expression;
+   * the trailing newline keeps a final `//` comment from swallowing the `]`.
+   * @param argsString the text between the parentheses
+   * @param offset where the text starts in the whole operation, so error
+   * positions point into the original input
+   * @returns the argument values
+   */
+  static parseArguments(argsString: string, offset = 0): any[] {
+    if (!argsString.trim()) {
+      return []
+    }
+
+    // Positions in the wrapped source are one past the original text
+    const shift = offset - 1
+
+    let ast: any
+    try {
+      ast = acorn.parse(`[${argsString}\n]`, {ecmaVersion: 2020})
+    } catch (error) {
+      const message = (error as Error).message.replace(/\s*\(\d+:\d+\)$/, '')
+      const pos = Math.min((error as any).pos ?? 1, argsString.length + 1)
+      throw new ParseError(`Invalid argument syntax: ${message}`, pos + shift)
+    }
+
+    if (ast.body.length !== 1 || ast.body[0].type !== 'ExpressionStatement' ||
+        ast.body[0].expression.type !== 'ArrayExpression') {
+      throw new ParseError('Invalid argument syntax', offset, 'comma-separated arguments')
+    }
+
+    try {
+      return ast.body[0].expression.elements.map((element: any, index: number, elements: any[]) => {
+        if (!element) {
+          const previous = elements.slice(0, index).reverse().find(Boolean)
+          throw new ParseError('Empty argument', previous ? previous.end + 1 : 1, 'a value')
+        }
+
+        return this.extractValue(element)
+      })
+    } catch (error) {
+      if (error instanceof ParseError) {
+        error.position += shift
+      }
+
+      throw error
+    }
+  }
+
+  /**
+   * Converts a literal AST node into a value. mongosh type helpers such as
+   * `ObjectId("...")`, regex literals and Extended JSON wrappers become BSON
+   * values; anything else that would need evaluation is rejected.
+   * @param node the AST node
+   * @returns the value
+   */
+  static extractValue(node: any): any {
+    switch (node.type) {
+    case 'Literal':
+      if (node.regex) {
+        return createRegExp(node.regex.pattern, node.regex.flags)
+      }
+
+      return node.value
+
+    case 'TemplateLiteral':
+      if (node.expressions.length > 0) {
+        throw new ParseError('Template literals with ${} expressions are not supported', node.start)
+      }
+
+      return node.quasis[0].value.cooked
+
+    case 'ObjectExpression':
+      return this.extractObject(node)
+
+    case 'CallExpression':
+    case 'NewExpression':
+      return this.extractShellType(node)
+
+    case 'ArrayExpression':
+      return node.elements.map((element: any) => {
+        if (!element) {
+          throw new ParseError('Empty array elements are not supported', node.start, 'a value')
+        }
+
+        return this.extractValue(element)
+      })
+
+    case 'UnaryExpression':
+      return this.extractUnary(node)
+
+    case 'Identifier':
+      return this.extractIdentifier(node)
+
+    default:
+      throw new ParseError(`Unsupported expression: ${node.type}`, node.start)
+    }
+  }
+
+  private static extractObject(node: any): Record<string, any> {
+    const obj: Record<string, any> = {}
+    for (const prop of node.properties) {
+      if (prop.type !== 'Property' || prop.kind !== 'init' || prop.method || prop.shorthand) {
+        throw new ParseError('Unsupported object property', prop.start, 'key: value')
+      }
+
+      if (prop.computed) {
+        throw new ParseError('Computed property names are not supported', prop.start)
+      }
+
+      const key = prop.key.type === 'Identifier' ? prop.key.name : String(prop.key.value)
+      defineProperty(obj, key, this.extractValue(prop.value))
+    }
+
+    return isExtendedJsonWrapper(obj) ? fromExtendedJson(this.extractPlainValue(node)) : obj
+  }
+
+  /**
+   * `ObjectId(...)`, `new Date(...)` and the other shell type constructors
+   * @param node the call or `new` expression
+   * @returns the shell type value
+   */
+  private static extractShellType(node: any): any {
+    if (node.callee.type !== 'Identifier') {
+      throw new ParseError(`Unsupported expression: ${node.type}`, node.start)
+    }
+
+    if (!SHELL_TYPE_CONSTRUCTORS[node.callee.name]) {
+      const suggestion = closestMatch(node.callee.name, Object.keys(SHELL_TYPE_CONSTRUCTORS))
+      throw new ParseError(`Unknown function "${node.callee.name}"`, node.callee.start, undefined, suggestion)
+    }
+
+    try {
+      return createShellType(node.callee.name, node.arguments.map((arg: any) => this.extractValue(arg)))
+    } catch (error) {
+      throw error instanceof ParseError ? error : new ParseError((error as Error).message, node.start)
+    }
+  }
+
+  private static extractUnary(node: any): number | bigint {
+    const value = this.extractValue(node.argument)
+    if (typeof value === 'number' || typeof value === 'bigint') {
+      if (node.operator === '-') {
+        return -value
+      }
+
+      if (node.operator === '+') {
+        return value
+      }
+    }
+
+    throw new ParseError(`Unsupported unary operator "${node.operator}"`, node.start)
+  }
+
+  private static extractIdentifier(node: any): any {
+    switch (node.name) {
+    case 'undefined':
+      return undefined
+    case 'NaN':
+      return Number.NaN
+    case 'Infinity':
+      return Number.POSITIVE_INFINITY
+    default:
+      if (SHELL_TYPE_CONSTANTS[node.name]) {
+        return SHELL_TYPE_CONSTANTS[node.name]()
+      }
+
+      throw new ParseError(`Unknown identifier "${node.name}"`, node.start, 'a value')
+    }
+  }
+
+  /**
+   * Extended JSON wrappers can nest (`{$date: {$numberLong: "..."}}`), so
+   * their contents are handed to the EJSON parser without conversion.
+   * @param node the AST node
+   * @returns the value as plain JSON
+   */
+  private static extractPlainValue(node: any): any {
+    switch (node.type) {
+    case 'ObjectExpression': {
+      const obj: Record<string, any> = {}
+      for (const prop of node.properties) {
+        const key = prop.key.type === 'Identifier' ? prop.key.name : String(prop.key.value)
+        defineProperty(obj, key, this.extractPlainValue(prop.value))
+      }
+
+      return obj
+    }
+
+    case 'ArrayExpression':
+      return node.elements.map((element: any) => this.extractPlainValue(element))
+
+    default:
+      return this.extractValue(node)
+    }
+  }
+
+  static validate(parsed: ParsedOperation): void {
+    if (parsed.scope === 'database') {
+      this.validateDatabaseOperation(parsed)
+      return
+    }
+
+    if (!this.SUPPORTED_METHODS.includes(parsed.method)) {
+      const suggestion = closestMatch(parsed.method, this.SUPPORTED_METHODS)
+      throw this.locate(new ParseError(
+        `Unsupported operation: ${parsed.method}`,
+        parsed.methodPosition,
+        suggestion ? undefined : `one of ${this.SUPPORTED_METHODS.join(', ')}`,
+        suggestion,
+      ), parsed)
+    }
+
+    switch (parsed.method) {
+    case 'aggregate':
+      this.validateAggregate(parsed)
+      break
+    case 'createIndex':
+    case 'createIndexes':
+      this.validateIndexCreation(parsed)
+      break
+    case 'bulkWrite':
+      this.validateBulkWrite(parsed)
+      break
+    case 'watch':
+      this.validateWatch(parsed)
+      break
+    }
+
+    const methodOptions = this.METHOD_OPTIONS[parsed.method]
+    if (methodOptions) {
+      const options = parsed.arguments[methodOptions.index]
+      if (options !== undefined) {
+        if (!options || typeof options !== 'object' || Array.isArray(options)) {
+          throw this.locate(new ParseError(`${parsed.method} options must be a document`, parsed.methodPosition), parsed)
+        }
+
+        this.checkOptions(options, methodOptions.options, parsed.method, parsed)
+      }
+    }
+
+    this.validateChain(parsed)
+  }
+
+  static validateAggregate(parsed: ParsedOperation): void {
+    const [pipeline, options, ...rest] = parsed.arguments
+    if (!Array.isArray(pipeline) || rest.length > 0) {
+      throw this.locate(new ParseError(
+        'aggregate expects a pipeline array and an optional options document',
+        parsed.methodPosition,
+      ), parsed)
+    }
+
+    const badStage = pipeline.findIndex(stage => !stage || typeof stage !== 'object' || Object.keys(stage).length !== 1)
+    if (badStage !== -1) {
+      throw this.locate(new ParseError(
+        `Pipeline stage ${badStage} must be a document with exactly one stage operator`,
+        parsed.methodPosition,
+      ), parsed)
+    }
+
+    if (options === undefined) {
+      return
+    }
+
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+      throw this.locate(new ParseError('aggregate options must be a document', parsed.methodPosition), parsed)
+    }
+
+    this.checkOptions(options, this.AGGREGATE_OPTIONS, 'aggregate', parsed)
+  }
+
+  /**
+   * Checks key patterns and options of `createIndex(keys, options)` and
+   * `createIndexes([keys, ...], options)`. Finer constraints, such as which
+   * options combine with which index types, are left to the server.
+   * @param parsed the operation
+   * @returns nothing
+   */
+  static validateIndexCreation(parsed: ParsedOperation): void {
+    const {method, methodPosition} = parsed
+    const [keys, options, ...rest] = parsed.arguments
+    const patterns = method === 'createIndexes' ? keys : [keys]
+    if (!Array.isArray(patterns) || patterns.length === 0 || rest.length > 0) {
+      const expected = method === 'createIndexes' ? 'an array of key patterns' : 'a key pattern'
+      throw this.locate(new ParseError(
+        `${method} expects ${expected} and an optional options document`,
+        methodPosition,
+      ), parsed)
+    }
+
+    for (const pattern of patterns) {
+      this.validateKeyPattern(pattern, parsed)
+    }
+
+    if (options === undefined) {
+      return
+    }
+
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+      throw this.locate(new ParseError(`${method} options must be a document`, methodPosition), parsed)
+    }
+
+    this.checkOptions(options, this.INDEX_OPTIONS, 'index', parsed)
+    this.validateIndexOptions(options, patterns.length, parsed)
+  }
+
+  /**
+   * Checks the values of index options that the server would only reject
+   * after building part of the index.
+   * @param options the index options
+   * @param count how many indexes the options apply to
+   * @param parsed the operation
+   * @returns nothing
+   */
+  private static validateIndexOptions(options: Record<string, any>, count: number, parsed: ParsedOperation): void {
+    const {method, methodPosition} = parsed
+    // The options apply to every index, and names have to differ
+    if (options.name !== undefined && count > 1) {
+      throw this.locate(new ParseError(
+        `${method} cannot give several indexes the same name`,
+        methodPosition,
+        'createIndex once per named index',
+      ), parsed)
+    }
+
+    const ttl = options.expireAfterSeconds
+    if (ttl !== undefined && (typeof ttl !== 'number' || !Number.isInteger(ttl) || ttl < 0)) {
+      throw this.locate(new ParseError(
+        `expireAfterSeconds must be a non-negative integer, got ${JSON.stringify(ttl)}`,
+        methodPosition,
+      ), parsed)
+    }
+
+    const filter = options.partialFilterExpression
+    if (filter !== undefined && (!filter || typeof filter !== 'object' || Array.isArray(filter))) {
+      throw this.locate(new ParseError('partialFilterExpression must be a document', methodPosition), parsed)
+    }
+  }
+
+  static validateWatch(parsed: ParsedOperation): void {
+    const [pipeline = [], options, ...rest] = parsed.arguments
+    if (!Array.isArray(pipeline) || rest.length > 0) {
+      throw this.locate(new ParseError(
+        'watch expects an optional pipeline array and an optional options document',
+        parsed.methodPosition,
+      ), parsed)
+    }
+
+    const badStage = pipeline.findIndex(stage => !stage || typeof stage !== 'object' || Object.keys(stage).length !== 1)
+    if (badStage !== -1) {
+      throw this.locate(new ParseError(
+        `Pipeline stage ${badStage} must be a document with exactly one stage operator`,
+        parsed.methodPosition,
+      ), parsed)
+    }
+
+    const mode = options?.fullDocument
+    if (mode !== undefined && !this.FULL_DOCUMENT_MODES.includes(mode)) {
+      const suggestion = typeof mode === 'string' ? closestMatch(mode, this.FULL_DOCUMENT_MODES) : undefined
+      throw this.locate(new ParseError(
+        `Invalid fullDocument mode ${JSON.stringify(mode)}`,
+        parsed.methodPosition,
+        suggestion ? undefined : `one of ${this.FULL_DOCUMENT_MODES.join(', ')}`,
+        suggestion,
+      ), parsed)
+    }
+  }
+
+  static validateBulkWrite(parsed: ParsedOperation): void {
+    const [operations] = parsed.arguments
+    if (!Array.isArray(operations) || operations.length === 0) {
+      throw this.locate(new ParseError('bulkWrite expects a non-empty array of write operations', parsed.methodPosition), parsed)
+    }
+
+    for (const [index, operation] of operations.entries()) {
+      const keys = operation && typeof operation === 'object' ? Object.keys(operation) : []
+      if (keys.length !== 1) {
+        throw this.locate(new ParseError(
+          `bulkWrite operation ${index} must be a document with exactly one operation, e.g. {insertOne: {document: {...}}}`,
+          parsed.methodPosition,
+        ), parsed)
+      }
+
+      if (!this.BULK_OPERATIONS.includes(keys[0])) {
+        const suggestion = closestMatch(keys[0], this.BULK_OPERATIONS)
+        throw this.locate(new ParseError(
+          `Unknown bulkWrite operation '${keys[0]}' at index ${index}`,
+          parsed.methodPosition,
+          suggestion ? undefined : `one of ${this.BULK_OPERATIONS.join(', ')}`,
+          suggestion,
+        ), parsed)
+      }
+    }
+  }
+
+  private static validateKeyPattern(pattern: any, parsed: ParsedOperation): void {
+    if (!pattern || typeof pattern !== 'object' || Array.isArray(pattern) || Object.keys(pattern).length === 0) {
+      throw this.locate(new ParseError(
+        `Index key pattern must be a non-empty document such as {field: 1}, got ${JSON.stringify(pattern)}`,
+        parsed.methodPosition,
+      ), parsed)
+    }
+
+    for (const [field, type] of Object.entries(pattern)) {
+      if (typeof type === 'number' && type !== 0) {
+        continue
+      }
+
+      if (typeof type === 'string' && this.INDEX_TYPES.includes(type)) {
+        continue
+      }
+
+      const suggestion = typeof type === 'string' ? closestMatch(type, this.INDEX_TYPES) : undefined
+      throw this.locate(new ParseError(
+        `Invalid index type ${JSON.stringify(type)} for field '${field}'`,
+        parsed.methodPosition,
+        suggestion ? undefined : `1, -1 or one of ${this.INDEX_TYPES.join(', ')}`,
+        suggestion,
+      ), parsed)
+    }
+  }
+
+  private static checkOptions(options: Record<string, any>, allowed: string[], label: string, parsed: ParsedOperation): void {
+    for (const key of Object.keys(options)) {
+      if (!allowed.includes(key)) {
+        const suggestion = closestMatch(key, allowed)
+        throw this.locate(new ParseError(
+          `Unknown ${label} option '${key}'`,
+          parsed.methodPosition,
+          suggestion ? undefined : `one of ${allowed.join(', ')}`,
+          suggestion,
+        ), parsed)
+      }
+    }
+  }
+
+  static validateDatabaseOperation(parsed: ParsedOperation): void {
+    const {method, methodPosition, chain} = parsed
+    const arity = this.DATABASE_METHODS[method]
+    const names = Object.keys(this.DATABASE_METHODS)
+
+    if (!arity) {
+      const suggestion = closestMatch(method, names)
+      throw this.locate(new ParseError(
+        `Unsupported database operation: ${method}`,
+        methodPosition,
+        suggestion ? undefined : `one of ${names.join(', ')}`,
+        suggestion,
+      ), parsed)
+    }
+
+    if (chain.length > 0) {
+      throw this.locate(new ParseError(
+        `Cannot chain '${chain[0].method}' after 'db.${method}' - database operations cannot be chained`,
+        chain[0].position,
+      ), parsed)
+    }
+
+    const count = parsed.arguments.length
+    if (count < arity.minArgs || count > arity.maxArgs) {
+      const expected = arity.minArgs === arity.maxArgs ? `${arity.minArgs}` : `${arity.minArgs}-${arity.maxArgs}`
+      throw this.locate(new ParseError(
+        `db.${method} expects ${expected} argument(s), got ${count}`,
+        methodPosition,
+      ), parsed)
+    }
+  }
+
+  static validateChain(parsed: ParsedOperation): void {
+    const {method, chain} = parsed
+    if (chain.length === 0) {
+      return
+    }
+
+    if (!this.CHAINABLE_OPERATIONS.includes(method)) {
+      throw this.locate(new ParseError(
+        `Cannot chain '${chain[0].method}' after '${method}' - ${method} does not return a cursor`,
+        chain[0].position,
+      ), parsed)
+    }
+
+    for (const [index, call] of chain.entries()) {
+      const previous = index === 0 ? method : chain[index - 1].method
+      const cursorMethod = this.CURSOR_METHODS[call.method]
+
+      if (!cursorMethod) {
+        const valid = Object.keys(this.CURSOR_METHODS).filter(name => this.CURSOR_METHODS[name].appliesTo.includes(method))
+        const suggestion = closestMatch(call.method, valid)
+        throw this.locate(new ParseError(
+          `Invalid cursor method '${call.method}' after '${previous}'`,
+          call.position,
+          suggestion ? undefined : `one of ${valid.join(', ')}`,
+          suggestion,
+        ), parsed)
+      }
+
+      if (!cursorMethod.appliesTo.includes(method)) {
+        throw this.locate(new ParseError(`Cursor method '${call.method}' is not supported on ${method} cursors`, call.position), parsed)
+      }
+
+      if (index > 0 && this.CURSOR_METHODS[previous].terminal) {
+        throw this.locate(new ParseError(
+          `Cannot chain '${call.method}' after '${previous}' - ${previous} does not return a cursor`,
+          call.position,
+        ), parsed)
+      }
+
+      const count = call.arguments.length
+      if (count < cursorMethod.minArgs || count > cursorMethod.maxArgs) {
+        const expected = cursorMethod.minArgs === cursorMethod.maxArgs ?
+          `${cursorMethod.minArgs}` :
+          `${cursorMethod.minArgs}-${cursorMethod.maxArgs}`
+        throw this.locate(new ParseError(
+          `Cursor method '${call.method}' expects ${expected} argument(s), got ${count}`,
+          call.position,
+        ), parsed)
+      }
+    }
+  }
+
+  private static locate(error: ParseError, parsed: ParsedOperation): ParseError {
+    error.input = parsed.input
+    return error
+  }
+}
@@ -0,0 +1,302 @@
+/**
+ * Operator names, offered by Tab completion and suggested when the server
+ * rejects a misspelled one such as `$gtee`.
+ */
+export const QUERY_OPERATORS = [
+  '$eq',
+  '$ne',
+  '$gt',
+  '$gte',
+  '$lt',
+  '$lte',
+  '$in',
+  '$nin',
+  '$and',
+  '$or',
+  '$nor',
+  '$not',
+  '$exists',
+  '$type',
+  '$expr',
+  '$jsonSchema',
+  '$mod',
+  '$regex',
+  '$options',
+  '$text',
+  '$search',
+  '$language',
+  '$caseSensitive',
+  '$diacriticSensitive',
+  '$where',
+  '$geoIntersects',
+  '$geoWithin',
+  '$near',
+  '$nearSphere',
+  '$box',
+  '$center',
+  '$centerSphere',
+  '$geometry',
+  '$maxDistance',
+  '$minDistance',
+  '$polygon',
+  '$all',
+  '$elemMatch',
+  '$size',
+  '$bitsAllClear',
+  '$bitsAllSet',
+  '$bitsAnyClear',
+  '$bitsAnySet',
+  '$comment',
+  '$meta',
+  '$slice',
+]
+
+export const UPDATE_OPERATORS = [
+  '$currentDate',
+  '$inc',
+  '$min',
+  '$max',
+  '$mul',
+  '$rename',
+  '$set',
+  '$setOnInsert',
+  '$unset',
+  '$addToSet',
+  '$pop',
+  '$pull',
+  '$push',
+  '$pullAll',
+  '$each',
+  '$position',
+  '$sort',
+  '$bit',
+]
+
+export const AGGREGATION_STAGES = [
+  '$addFields',
+  '$bucket',
+  '$bucketAuto',
+  '$changeStream',
+  '$changeStreamSplitLargeEvent',
+  '$collStats',
+  '$count',
+  '$currentOp',
+  '$densify',
+  '$documents',
+  '$facet',
+  '$fill',
+  '$geoNear',
+  '$graphLookup',
+  '$group',
+  '$indexStats',
+  '$limit',
+  '$listLocalSessions',
+  '$listSampledQueries',
+  '$listSearchIndexes',
+  '$listSessions',
+  '$lookup',
+  '$match',
+  '$merge',
+  '$out',
+  '$planCacheStats',
+  '$project',
+  '$redact',
+  '$replaceRoot',
+  '$replaceWith',
+  '$sample',
+  '$search',
+  '$searchMeta',
+  '$set',
+  '$setWindowFields',
+  '$shardedDataDistribution',
+  '$skip',
+  '$sort',
+  '$sortByCount',
+  '$unionWith',
+  '$unset',
+  '$unwind',
+  '$vectorSearch',
+]
+
+export const EXPRESSION_OPERATORS = [
+  '$abs',
+  '$add',
+  '$ceil',
+  '$divide',
+  '$exp',
+  '$floor',
+  '$ln',
+  '$log',
+  '$log10',
+  '$multiply',
+  '$pow',
+  '$round',
+  '$sqrt',
+  '$subtract',
+  '$trunc',
+  '$sin',
+  '$cos',
+  '$tan',
+  '$asin',
+  '$acos',
+  '$atan',
+  '$atan2',
+  '$sinh',
+  '$cosh',
+  '$tanh',
+  '$asinh',
+  '$acosh',
+  '$atanh',
+  '$degreesToRadians',
+  '$radiansToDegrees',
+  '$bitAnd',
+  '$bitNot',
+  '$bitOr',
+  '$bitXor',
+  '$arrayElemAt',
+  '$arrayToObject',
+  '$concatArrays',
+  '$filter',
+  '$first',
+  '$firstN',
+  '$indexOfArray',
+  '$isArray',
+  '$last',
+  '$lastN',
+  '$map',
+  '$maxN',
+  '$minN',
+  '$objectToArray',
+  '$range',
+  '$reduce',
+  '$reverseArray',
+  '$sortArray',
+  '$zip',
+  '$cmp',
+  '$cond',
+  '$ifNull',
+  '$switch',
+  '$dateAdd',
+  '$dateDiff',
+  '$dateFromParts',
+  '$dateFromString',
+  '$dateSubtract',
+  '$dateToParts',
+  '$dateToString',
+  '$dateTrunc',
+  '$dayOfMonth',
+  '$dayOfWeek',
+  '$dayOfYear',
+  '$hour',
+  '$millisecond',
+  '$minute',
+  '$month',
+  '$second',
+  '$week',
+  '$year',
+  '$isoWeek',
+  '$isoWeekYear',
+  '$isoDayOfWeek',
+  '$literal',
+  '$mergeObjects',
+  '$getField',
+  '$setField',
+  '$unsetField',
+  '$let',
+  '$binarySize',
+  '$bsonSize',
+  '$tsIncrement',
+  '$tsSecond',
+  '$allElementsTrue',
+  '$anyElementTrue',
+  '$setDifference',
+  '$setEquals',
+  '$setIntersection',
+  '$setIsSubset',
+  '$setUnion',
+  '$concat',
+  '$indexOfBytes',
+  '$indexOfCP',
+  '$ltrim',
+  '$regexFind',
+  '$regexFindAll',
+  '$regexMatch',
+  '$replaceAll',
+  '$replaceOne',
+  '$rtrim',
+  '$split',
+  '$strLenBytes',
+  '$strLenCP',
+  '$strcasecmp',
+  '$substr',
+  '$substrBytes',
+  '$substrCP',
+  '$toLower',
+  '$toUpper',
+  '$trim',
+  '$convert',
+  '$toBool',
+  '$toDate',
+  '$toDecimal',
+  '$toDouble',
+  '$toInt',
+  '$toLong',
+  '$toObjectId',
+  '$toString',
+  '$isNumber',
+  '$accumulator',
+  '$avg',
+  '$bottom',
+  '$bottomN',
+  '$count',
+  '$function',
+  '$push',
+  '$stdDevPop',
+  '$stdDevSamp',
+  '$sum',
+  '$top',
+  '$topN',
+  '$rand',
+  '$sampleRate',
+  '$median',
+  '$percentile',
+  '$covariancePop',
+  '$covarianceSamp',
+  '$denseRank',
+  '$derivative',
+  '$documentNumber',
+  '$expMovingAvg',
+  '$integral',
+  '$linearFill',
+  '$locf',
+  '$rank',
+  '$shift',
+]
+
+/**
+ * Keys of a DBRef, `{$ref: 'users', $id: ..., $db: 'app'}`
+ */
+export const DBREF_KEYS = ['$ref', '$id', '$db']
+
+export const ALL_OPERATORS = new Set([
+  ...QUERY_OPERATORS,
+  ...UPDATE_OPERATORS,
+  ...AGGREGATION_STAGES,
+  ...EXPRESSION_OPERATORS,
+  ...DBREF_KEYS,
+])
+
+/**
+ * Server messages that name an operator it does not know
+ */
+const UNKNOWN_OPERATOR = /(?:unknown (?:top level |group )?operator|unknown modifier|unrecognized pipeline stage name|unrecognized expression)\W*(\$\w+)/i
+
+/**
+ * The operator a server error message rejects, e.g. `$gtee` in "unknown
+ * operator: $gtee"
+ * @param message the server error message
+ * @returns the operator, or undefined for other errors
+ */
+export function rejectedOperator(message: string): string | undefined {
+  return UNKNOWN_OPERATOR.exec(message)?.[1]
+}
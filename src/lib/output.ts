@@ -0,0 +1,110 @@
+import chalk from 'chalk'
+import {ErrorEnvelope} from './errors'
+import {ExecutionResult} from './executor'
+import {describeExplain} from './explain-plan'
+import {FormatOptions, formatOutput, isMachineFormat, OutputFormat} from './formatters'
+import {ParseError} from './parse-error'
+import {inspectValue} from './pretty-printer'
+import {renderTable} from './table'
+
+export interface OutputOptions extends FormatOptions {
+  format?: OutputFormat;
+  /** Color theme of the `text` format */
+  theme?: string;
+}
+
+/**
+ * Prints an operation result the way the `db` command shows it: banner,
+ * value, then footer. Machine formats print only the value on stdout,
+ * with the banner and footer on stderr, so the output can be piped.
+ * @param result what the operation returned
+ * @param options the output format, theme and formatting options
+ * @returns nothing
+ */
+export function printResult(result: ExecutionResult, options: OutputOptions = {}): void {
+  const format = options.format ?? 'text'
+  if (isMachineFormat(format)) {
+    printMachineResult(result, format, options)
+    return
+  }
+
+  if (result.message) {
+    console.log(result.warning ? chalk.yellow(result.message) : chalk.green(result.message))
+  }
+
+  if (result.display === 'json') {
+    console.log(format === 'table' ?
+      formatOutput(result.value, 'table', options) :
+      inspectValue(result.value, {colors: chalk.level > 0, theme: options.theme}))
+  } else if (result.display === 'lines') {
+    const lines = Array.isArray(result.value) ? result.value : [result.value]
+    for (const line of lines) {
+      console.log(line)
+    }
+  } else if (result.display === 'table' && result.table) {
+    console.log(renderTable(result.table.columns, result.table.rows))
+  } else if (result.display === 'explain') {
+    printExplain(result.value)
+  }
+
+  if (result.footer) {
+    console.log(chalk.blue(result.footer))
+  }
+}
+
+/**
+ * Prints a failure in red on stderr, with its hint. Parse errors show the
+ * offending line with a caret instead.
+ * @param error the error the command ended with
+ * @param envelope the error as `describeError` summarizes it
+ * @returns nothing
+ */
+export function printError(error: Error, envelope: ErrorEnvelope): void {
+  console.error(chalk.red(`Error: ${error instanceof ParseError ? error.format() : envelope.message}`))
+  // Parse errors and oclif's usage errors carry their own guidance
+  if (envelope.hint && !(error instanceof ParseError) && !('oclif' in error)) {
+    console.error(chalk.yellow(envelope.hint))
+  }
+}
+
+function printMachineResult(result: ExecutionResult, format: OutputFormat, options: FormatOptions): void {
+  if (result.message) {
+    console.error(result.warning ? chalk.yellow(result.message) : chalk.green(result.message))
+  }
+
+  if (result.value !== undefined && !result.streamed) {
+    console.log(formatOutput(result.value, format, options))
+  }
+
+  if (result.footer) {
+    console.error(chalk.blue(result.footer))
+  }
+}
+
+function printExplain(explain: any): void {
+  const report = describeExplain(explain)
+  if (report.stages.length === 0) {
+    // Unrecognized shape, e.g. from a newer server; show it as is
+    console.log(JSON.stringify(explain, null, 2))
+    return
+  }
+
+  if (report.summary) {
+    console.log(report.summary)
+  }
+
+  for (const stage of report.stages) {
+    console.log(stage.warning ? chalk.yellow(stage.text) : stage.text)
+  }
+
+  for (const warning of report.warnings) {
+    console.log(chalk.yellow(`Warning: ${warning}`))
+  }
+
+  if (report.rejectedPlans.length > 0) {
+    console.log(chalk.blue(`Rejected plans (${report.rejectedPlans.length}):`))
+    for (const [index, plan] of report.rejectedPlans.entries()) {
+      console.log(`  ${index + 1}. ${plan}`)
+    }
+  }
+}
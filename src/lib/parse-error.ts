@@ -0,0 +1,64 @@
+const MAX_SNIPPET_WIDTH = 80
+
+/**
+ * A syntax or validation error tied to a character offset in the operation
+ * text. `format()` renders the offending line with a caret under the
+ * error, which is what makes long one-liners debuggable.
+ */
+export class ParseError extends Error {
+  /** The operation text the position refers to; filled in by the parser */
+  input = '';
+
+  /** The text ended inside brackets, a template string or a comment */
+  endOfInput = false;
+
+  constructor(
+    message: string,
+    public position: number,
+    public readonly expected?: string,
+    public readonly suggestion?: string,
+  ) {
+    super(suggestion ? `${message}. Did you mean '${suggestion}'?` : message)
+    this.name = 'ParseError'
+  }
+
+  /**
+   * Line and column (both 1-based) of the error within the input
+   * @returns the line and column of `position`
+   */
+  location(): { line: number; column: number } {
+    const before = this.input.slice(0, this.position)
+    const lines = before.split('\n')
+    return {line: lines.length, column: lines[lines.length - 1].length + 1}
+  }
+
+  format(): string {
+    const details = []
+    if (this.expected) {
+      details.push(`expected ${this.expected}`)
+    }
+
+    if (!this.input) {
+      return details.length > 0 ? `${this.message} (${details.join(', ')})` : this.message
+    }
+
+    const {line, column} = this.location()
+    const location = this.input.includes('\n') ? `line ${line}, column ${column}` : `position ${this.position}`
+    details.unshift(location)
+
+    const lineText = this.input.split('\n')[line - 1]
+    let start = 0
+    let end = lineText.length
+    if (lineText.length > MAX_SNIPPET_WIDTH) {
+      start = Math.max(0, Math.min(column - 1 - (MAX_SNIPPET_WIDTH / 2), lineText.length - MAX_SNIPPET_WIDTH))
+      end = start + MAX_SNIPPET_WIDTH
+    }
+
+    const prefix = start > 0 ? '...' : ''
+    const suffix = end < lineText.length ? '...' : ''
+    const snippet = `${prefix}${lineText.slice(start, end)}${suffix}`
+    const caret = `${' '.repeat(prefix.length + column - 1 - start)}^`
+
+    return `${this.message} (${details.join(', ')})\n  ${snippet}\n  ${caret}`
+  }
+}
@@ -0,0 +1,197 @@
+import * as util from 'node:util'
+import {closestMatch} from './suggestions'
+
+type InspectStyle = 'special' | 'number' | 'bigint' | 'boolean' | 'undefined' | 'null' | 'string' | 'symbol' | 'date' | 'regexp';
+
+/**
+ * Color themes as `util.inspect` style colors. BSON wrappers such as
+ * ObjectId use `special`; dates use `date`; Decimal128 and Long use
+ * `number`.
+ */
+export const THEMES: Record<string, Record<InspectStyle, string>> = {
+  default: {
+    special: 'cyan',
+    number: 'yellow',
+    bigint: 'yellow',
+    boolean: 'yellow',
+    undefined: 'grey',
+    null: 'bold',
+    string: 'green',
+    symbol: 'green',
+    date: 'magenta',
+    regexp: 'red',
+  },
+  // Darker colors that stay readable on a light background
+  light: {
+    special: 'blue',
+    number: 'magenta',
+    bigint: 'magenta',
+    boolean: 'magenta',
+    undefined: 'grey',
+    null: 'bold',
+    string: 'green',
+    symbol: 'green',
+    date: 'red',
+    regexp: 'red',
+  },
+  monokai: {
+    special: 'cyanBright',
+    number: 'magentaBright',
+    bigint: 'magentaBright',
+    boolean: 'magentaBright',
+    undefined: 'gray',
+    null: 'redBright',
+    string: 'yellowBright',
+    symbol: 'yellowBright',
+    date: 'greenBright',
+    regexp: 'redBright',
+  },
+}
+
+export interface PrettyOptions {
+  colors?: boolean;
+  /** A key of THEMES */
+  theme?: string;
+  /** Line width before objects wrap; defaults to the terminal width */
+  breakLength?: number;
+}
+
+/**
+ * Whether output may be colored: `ui.colorOutput` is on and `NO_COLOR`
+ * is unset or empty (https://no-color.org)
+ * @param colorOutput the `ui.colorOutput` setting
+ * @param env the environment to read `NO_COLOR` from
+ * @returns whether to color
+ */
+export function colorsAllowed(colorOutput: boolean, env: NodeJS.ProcessEnv = process.env): boolean {
+  return colorOutput && !env.NO_COLOR
+}
+
+export function resolveTheme(name = 'default'): Record<InspectStyle, string> {
+  const theme = THEMES[name]
+  if (!theme) {
+    const suggestion = closestMatch(name, Object.keys(THEMES))
+    throw new Error(`Unknown theme '${name}' in ui.theme. ${suggestion ? `Did you mean '${suggestion}'?` : `Expected one of ${Object.keys(THEMES).join(', ')}`}`)
+  }
+
+  return theme
+}
+
+/**
+ * Renders as the given shell constructor, e.g. `ObjectId('...')`
+ */
+class ShellValue {
+  private readonly text: string;
+  private readonly style: InspectStyle;
+
+  constructor(text: string, style: InspectStyle) {
+    this.text = text
+    this.style = style
+  }
+
+  [util.inspect.custom](_depth: number, options: util.InspectOptionsStylized): string {
+    return options.stylize(this.text, this.style)
+  }
+}
+
+function quote(text: string): string {
+  return `'${text.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`
+}
+
+/**
+ * Replaces BSON values and dates with their mongosh spelling; plain
+ * objects and arrays are copied so their keys keep the original order
+ * @param value a document or any value in one
+ * @returns the value to inspect
+ */
+function toShellValues(value: any): any {
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? new ShellValue('Invalid Date', 'date') : new ShellValue(`ISODate(${quote(value.toISOString())})`, 'date')
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => toShellValues(item))
+  }
+
+  if (value === null || typeof value !== 'object') {
+    return value
+  }
+
+  if (value._bsontype !== undefined) {
+    return bsonShellValue(value)
+  }
+
+  const copy: Record<string, any> = {}
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] = toShellValues(item)
+  }
+
+  return copy
+}
+
+/**
+ * The mongosh spelling of a BSON value; types it has none for are kept
+ * @param value a value with a `_bsontype`
+ * @returns the shell type, or `value` itself
+ */
+function bsonShellValue(value: any): any {
+  switch (value._bsontype) {
+  case 'ObjectId':
+  case 'ObjectID':
+    return new ShellValue(`ObjectId(${quote(value.toHexString())})`, 'special')
+  case 'Decimal128':
+    return new ShellValue(`Decimal128(${quote(value.toString())})`, 'number')
+  case 'Long':
+    return new ShellValue(`Long(${quote(value.toString())})`, 'number')
+  case 'Int32':
+    return new ShellValue(`Int32(${value.valueOf()})`, 'number')
+  case 'Double':
+    return new ShellValue(`Double(${value.valueOf()})`, 'number')
+  case 'Binary':
+    return value.sub_type === 4 && value.length() === 16 ?
+      new ShellValue(`UUID(${quote(value.toUUID().toHexString())})`, 'special') :
+      new ShellValue(`Binary.createFromBase64(${quote(value.toString('base64'))}, ${value.sub_type})`, 'special')
+  case 'Timestamp':
+    return new ShellValue(`Timestamp({ t: ${value.getHighBits() >>> 0}, i: ${value.getLowBits() >>> 0} })`, 'special')
+  case 'BSONRegExp':
+    return new ShellValue(`BSONRegExp(${quote(value.pattern)}, ${quote(value.options)})`, 'regexp')
+  case 'MinKey':
+  case 'MaxKey':
+    return new ShellValue(`${value._bsontype}()`, 'special')
+  case 'Code':
+    return new ShellValue(`Code(${quote(value.code)})`, 'special')
+  case 'DBRef':
+    return new ShellValue(`DBRef(${quote(value.collection)}, ${util.inspect(toShellValues(value.oid))})`, 'special')
+  default:
+    return value
+  }
+}
+
+/**
+ * Formats documents and results the way mongosh prints them:
+ * `ObjectId('...')`, `ISODate('...')`, unquoted keys, single-quoted
+ * strings, with theme colors when `colors` is set
+ * @param value the document or result
+ * @param options colors, theme and line width
+ * @returns the formatted text
+ */
+export function inspectValue(value: any, options: PrettyOptions = {}): string {
+  const theme = resolveTheme(options.theme)
+  const inspectOptions: util.InspectOptions = {
+    colors: options.colors ?? false,
+    depth: Number.POSITIVE_INFINITY,
+    maxArrayLength: Number.POSITIVE_INFINITY,
+    breakLength: options.breakLength ?? process.stdout.columns ?? 80,
+  }
+
+  // util.inspect reads colors from the shared styles table; swap the
+  // theme in for this call only
+  const styles = util.inspect.styles as Record<string, string>
+  const saved = {...styles}
+  Object.assign(styles, theme)
+  try {
+    return util.inspect(toShellValues(value), inspectOptions)
+  } finally {
+    Object.assign(styles, saved)
+  }
+}
@@ -0,0 +1,154 @@
+import * as fs from 'node:fs'
+import * as os from 'node:os'
+import * as path from 'node:path'
+import {splitPassword, withPassword} from './credentials'
+import {CliError} from './errors'
+import {SecretStore, secrets} from './secrets'
+import {closestMatch} from './suggestions'
+
+const PROFILES_FILE = path.join(os.homedir(), '.mongosh-clone-profiles.json')
+
+const PROFILE_NAME = /^[\w.-]+$/
+
+/**
+ * MongoClient options kept with a profile, such as `readPreference` or
+ * `serverSelectionTimeoutMS`
+ */
+export type ClientOptions = Record<string, string | number | boolean>;
+
+/**
+ * A named connection: `connect --profile` and `db --profile` use its
+ * connection string, default database and client options
+ */
+export interface Profile {
+  uri: string;
+  database?: string;
+  options?: ClientOptions;
+}
+
+function secretName(profile: string): string {
+  return `profile:${profile}`
+}
+
+/**
+ * Saved profiles by name, from `~/.mongosh-clone-profiles.json`. Their
+ * connection strings have no passwords; getProfile() adds them back.
+ * @param file the profiles file
+ * @returns the profiles
+ */
+export function loadProfiles(file = PROFILES_FILE): Record<string, Profile> {
+  try {
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {}
+  } catch (error) {
+    throw new CliError(`Invalid profiles in ${file}: ${(error as Error).message}`, 'usage', {
+      hint: 'Fix the JSON or remove the file',
+    })
+  }
+}
+
+function saveProfiles(profiles: Record<string, Profile>, file: string): void {
+  fs.writeFileSync(file, JSON.stringify(profiles, null, 2), {mode: 0o600})
+}
+
+/**
+ * The profile called `name`, with its stored password, suggesting the
+ * closest saved name when there is none
+ * @param name the profile's name
+ * @param file the profiles file
+ * @param store where the password is kept
+ * @returns the profile
+ */
+export function getProfile(name: string, file = PROFILES_FILE, store: SecretStore = secrets): Profile {
+  const profiles = loadProfiles(file)
+  if (Object.prototype.hasOwnProperty.call(profiles, name)) {
+    const password = store.get(secretName(name))
+    const profile = profiles[name]
+    return password === undefined ? profile : {...profile, uri: withPassword(profile.uri, password)}
+  }
+
+  const suggestion = closestMatch(name, Object.keys(profiles))
+  throw new CliError(`No profile named "${name}"`, 'usage', {
+    hint: suggestion ? `Did you mean "${suggestion}"?` : 'Run "mongosh-clone profile list" to see the saved profiles',
+  })
+}
+
+export interface AddProfileOptions {
+  /** Replace a profile of the same name */
+  replace?: boolean;
+  file?: string;
+  store?: SecretStore;
+}
+
+/**
+ * Saves `profile` as `name`, moving any password in its connection string
+ * to the secret store. An existing profile is only replaced with `replace`.
+ * @param name the profile's name
+ * @param profile the connection string and client options
+ * @param options whether to replace, and where to save
+ * @returns nothing
+ */
+export function addProfile(name: string, profile: Profile, options: AddProfileOptions = {}): void {
+  const {replace = false, file = PROFILES_FILE, store = secrets} = options
+  if (!PROFILE_NAME.test(name)) {
+    throw new CliError(`Invalid profile name: "${name}"`, 'usage', {hint: 'Use letters, digits, "_", "-" and "."'})
+  }
+
+  if (!/^mongodb(\+srv)?:\/\//.test(profile.uri)) {
+    throw new CliError(`Invalid connection string: "${profile.uri}"`, 'usage', {
+      hint: 'Connection strings start with mongodb:// or mongodb+srv://',
+    })
+  }
+
+  const profiles = loadProfiles(file)
+  if (Object.prototype.hasOwnProperty.call(profiles, name) && !replace) {
+    throw new CliError(`Profile "${name}" already exists`, 'usage', {hint: 'Pass --force to replace it'})
+  }
+
+  const {uri, password} = splitPassword(profile.uri)
+  store.set(secretName(name), password)
+  profiles[name] = {...profile, uri}
+  saveProfiles(profiles, file)
+}
+
+/**
+ * Deletes the profile called `name`, which has to exist
+ * @param name the profile's name
+ * @param file the profiles file
+ * @param store where the password is kept
+ * @returns nothing
+ */
+export function removeProfile(name: string, file = PROFILES_FILE, store: SecretStore = secrets): void {
+  getProfile(name, file, store)
+  const profiles = loadProfiles(file)
+  delete profiles[name]
+  saveProfiles(profiles, file)
+  store.set(secretName(name))
+}
+
+function parseOptionValue(value: string): string | number | boolean {
+  if (value === 'true' || value === 'false') {
+    return value === 'true'
+  }
+
+  return /^-?\d+$/.test(value) ? Number(value) : value
+}
+
+/**
+ * Parses `key=value` pairs from `--option`. `true`, `false` and integers
+ * become booleans and numbers, as they would in a connection string.
+ * @param pairs the `--option` values
+ * @returns the client options
+ */
+export function parseClientOptions(pairs: string[]): ClientOptions {
+  const options: ClientOptions = {}
+  for (const pair of pairs) {
+    const separator = pair.indexOf('=')
+    if (separator <= 0) {
+      throw new CliError(`Invalid option "${pair}"`, 'usage', {hint: 'Options are key=value, e.g. readPreference=secondary'})
+    }
+
+    options[pair.slice(0, separator)] = parseOptionValue(pair.slice(separator + 1))
+  }
+
+  return options
+}
@@ -0,0 +1,161 @@
+import * as fs from 'node:fs'
+import * as os from 'node:os'
+import * as path from 'node:path'
+import {Document, MongoClient} from 'mongodb'
+import {CompletionSource} from './completion'
+import {connectionManager} from './connection'
+import {logger} from './logger'
+import {loadSettings} from './settings'
+
+const SCHEMA_CACHE_FILE = path.join(os.homedir(), '.mongosh-clone-schema-cache.json')
+
+/**
+ * Subdocuments are followed this deep for field paths
+ */
+const MAX_DEPTH = 4
+
+/**
+ * Bound on sampling, so a slow collection does not hold up completion
+ */
+const SAMPLE_MAX_TIME_MS = 2000
+
+interface CacheEntry {
+  names: string[];
+  fetchedAt: string;
+}
+
+/**
+ * Entries by deployment, then by `databases`, `collections:<db>` or
+ * `fields:<db>.<collection>`
+ */
+type CacheData = Record<string, Record<string, CacheEntry>>;
+
+function isSubdocument(value: unknown): value is Document {
+  return typeof value === 'object' && value !== null && !Array.isArray(value) &&
+    !('_bsontype' in value) && !(value instanceof Date) && !(value instanceof RegExp) && !Buffer.isBuffer(value)
+}
+
+/**
+ * Dotted paths of the fields in `documents`, sorted, including those of
+ * subdocuments in arrays, which dot notation reaches into
+ * @param documents the sampled documents
+ * @param maxDepth how many levels of subdocuments to follow
+ * @returns the field paths
+ */
+export function fieldPaths(documents: Document[], maxDepth = MAX_DEPTH): string[] {
+  const paths = new Set<string>()
+  const visit = (value: unknown, prefix: string, depth: number) => {
+    if (Array.isArray(value)) {
+      for (const item of value) {
+        visit(item, prefix, depth)
+      }
+
+      return
+    }
+
+    if (!isSubdocument(value) || depth > maxDepth) {
+      return
+    }
+
+    for (const [key, child] of Object.entries(value)) {
+      const fieldPath = prefix ? `${prefix}.${key}` : key
+      paths.add(fieldPath)
+      visit(child, fieldPath, depth + 1)
+    }
+  }
+
+  for (const document of documents) {
+    visit(document, '', 1)
+  }
+
+  return [...paths].sort()
+}
+
+/**
+ * Database and collection names and sampled field paths for completion,
+ * kept in `~/.mongosh-clone-schema-cache.json` for
+ * `completion.cacheMinutes` so that completing does not query the server
+ * on every Tab. The file is disposable; an unreadable one is ignored.
+ */
+export class SchemaCache {
+  private readonly file: string;
+
+  constructor(file = SCHEMA_CACHE_FILE) {
+    this.file = file
+  }
+
+  /**
+   * Completion candidates for `database` on `deployment`. `getClient` is
+   * only called when the cache has nothing fresh.
+   * @param deployment the saved connection string, which keys the cache
+   * @param database the current database, if any
+   * @param getClient connects to the deployment
+   * @returns the completion source
+   */
+  source(deployment: string, database: string | undefined, getClient: () => Promise<MongoClient>): CompletionSource {
+    return {
+      databases: () => this.lookup(deployment, 'databases', async () => {
+        const client = await getClient()
+        const result = await client.db('admin').command({listDatabases: 1, nameOnly: true, authorizedDatabases: true})
+        return result.databases.map((db: Document) => db.name).sort()
+      }),
+      collections: async () => database ? this.lookup(deployment, `collections:${database}`, async () => {
+        const client = await getClient()
+        const collections = await client.db(database).listCollections({}, {nameOnly: true}).toArray()
+        return collections.map(info => info.name).sort()
+      }) : [],
+      fields: async collection => database ? this.lookup(deployment, `fields:${database}.${collection}`, async () => {
+        const client = await getClient()
+        const sample = await client.db(database).collection(collection)
+        .aggregate([{$sample: {size: loadSettings().completion.sampleSize}}], {maxTimeMS: SAMPLE_MAX_TIME_MS})
+        .toArray()
+        return fieldPaths(sample)
+      }) : [],
+    }
+  }
+
+  private async lookup(deployment: string, key: string, fetch: () => Promise<string[]>): Promise<string[]> {
+    const entry = this.read()[deployment]?.[key]
+    const maxAge = loadSettings().completion.cacheMinutes * 60 * 1000
+    if (entry && Date.now() - Date.parse(entry.fetchedAt) < maxAge) {
+      return entry.names
+    }
+
+    let names: string[]
+    try {
+      names = await fetch()
+    } catch (error) {
+      // Completion goes on without what cannot be read, e.g. for lack of
+      // privileges
+      logger.debug(`Cannot fetch ${key} for completion`, {error: (error as Error).message})
+      return entry?.names ?? []
+    }
+
+    const data = this.read()
+    data[deployment] = {...data[deployment], [key]: {names, fetchedAt: new Date().toISOString()}}
+    fs.writeFileSync(this.file, JSON.stringify(data, null, 2), {mode: 0o600})
+    return names
+  }
+
+  private read(): CacheData {
+    try {
+      return fs.existsSync(this.file) ? JSON.parse(fs.readFileSync(this.file, 'utf8')) : {}
+    } catch {
+      return {}
+    }
+  }
+}
+
+export const schemaCache = new SchemaCache()
+
+/**
+ * Completion source for the saved connection and current database,
+ * connecting only when the cache cannot answer
+ * @returns the completion source
+ */
+export function completionSource(): CompletionSource {
+  return schemaCache.source(connectionManager.getConnectionString() ?? '', connectionManager.getCurrentDatabase(), async () => {
+    await connectionManager.ensureConnected()
+    return connectionManager.getClient()
+  })
+}
@@ -0,0 +1,226 @@
+import * as vm from 'node:vm'
+import {CliError} from './errors'
+import {ExecutionResult, OperationExecutor} from './executor'
+import {ChainedCall, OperationParser, ParseError, ParsedOperation} from './operation-parser'
+import {SHELL_TYPE_CONSTRUCTORS} from './shell-types'
+
+export type OperationRunner = (parsed: ParsedOperation) => Promise<ExecutionResult>;
+
+export interface ScriptOptions {
+  /** Shown in stack traces, e.g. the path given to `run` */
+  filename?: string;
+  /** Defaults to `OperationExecutor.execute`; replaced in tests */
+  execute?: OperationRunner;
+  /** Defaults to `console.log` */
+  print?: (line: string) => void;
+}
+
+/**
+ * Queues operations so they run in statement order even when the script
+ * does not await them, the way mongosh implicitly awaits each statement.
+ */
+class OperationQueue {
+  private tail: Promise<unknown> = Promise.resolve();
+  private readonly pending: Promise<unknown>[] = [];
+  private readonly execute: OperationRunner;
+
+  constructor(execute: OperationRunner) {
+    this.execute = execute
+  }
+
+  run(parsed: ParsedOperation): Promise<any> {
+    OperationParser.validate(parsed)
+    const result = this.tail.then(() => this.execute(parsed)).then(outcome => outcome.value)
+    this.tail = result
+    result.catch(() => {
+      // Rejections are reported by drain(); this keeps Node from flagging
+      // an unawaited failure as an unhandled rejection in the meantime
+    })
+    this.pending.push(result)
+    return result
+  }
+
+  async drain(): Promise<void> {
+    await Promise.all(this.pending)
+  }
+}
+
+/**
+ * Lazily built cursor returned by `find` and `aggregate`. Modifiers are
+ * recorded and the operation runs when the cursor is awaited or a
+ * terminal method is called.
+ */
+class ScriptCursor {
+  [method: string]: any;
+
+  private readonly chain: ChainedCall[] = [];
+
+  constructor(
+    private readonly queue: OperationQueue,
+    private readonly collection: string,
+    private readonly method: string,
+    private readonly args: any[],
+  ) {
+    for (const [name, cursorMethod] of Object.entries(OperationParser.CURSOR_METHODS)) {
+      this[name] = (...callArgs: any[]) => {
+        this.chain.push({method: name, arguments: callArgs, position: 0})
+        return cursorMethod.terminal ? this.execute() : this
+      }
+    }
+  }
+
+  async forEach(callback: (doc: any) => unknown): Promise<void> {
+    for (const doc of await this.toArray()) {
+      // eslint-disable-next-line no-await-in-loop -- one document at a time, as mongosh does
+      await callback(doc)
+    }
+  }
+
+  async map(callback: (doc: any) => unknown): Promise<any[]> {
+    return (await this.toArray()).map((doc: any) => callback(doc))
+  }
+
+  then(resolve: (docs: any) => unknown, reject?: (error: any) => unknown): Promise<unknown> {
+    return this.execute().then(resolve, reject)
+  }
+
+  private execute(): Promise<any> {
+    return this.queue.run({
+      scope: 'collection',
+      collection: this.collection,
+      method: this.method,
+      arguments: this.args,
+      chain: this.chain,
+      input: '',
+      methodPosition: 0,
+    })
+  }
+}
+
+function createCollectionProxy(queue: OperationQueue, name: string): any {
+  return new Proxy({}, {
+    get(_target, method) {
+      // Keep the proxy from looking like a thenable or a printable object
+      if (typeof method !== 'string' || method === 'then' || method === 'toJSON') {
+        return
+      }
+
+      return (...args: any[]) => {
+        if (OperationParser.CHAINABLE_OPERATIONS.includes(method)) {
+          return new ScriptCursor(queue, name, method, args)
+        }
+
+        return queue.run({
+          scope: 'collection',
+          collection: name,
+          method,
+          arguments: args,
+          chain: [],
+          input: '',
+          methodPosition: 0,
+        })
+      }
+    },
+  })
+}
+
+function createDbProxy(queue: OperationQueue): any {
+  return new Proxy({}, {
+    get(_target, property) {
+      if (typeof property !== 'string' || property === 'then' || property === 'toJSON') {
+        return
+      }
+
+      if (property === 'getCollection') {
+        return (name: string) => createCollectionProxy(queue, name)
+      }
+
+      if (property in OperationParser.DATABASE_METHODS) {
+        return (...args: any[]) => queue.run({
+          scope: 'database',
+          collection: '',
+          method: property,
+          arguments: args,
+          chain: [],
+          input: '',
+          methodPosition: 0,
+        })
+      }
+
+      return createCollectionProxy(queue, property)
+    },
+  })
+}
+
+function formatValue(value: any): string {
+  return typeof value === 'string' ? value : JSON.stringify(value, null, 2)
+}
+
+/**
+ * Evaluates a mongosh-style script in a `vm` sandbox. The script body is
+ * wrapped in an async function, so top-level `await` works and any
+ * operations left unawaited are finished before this resolves. Rejects
+ * with the first uncaught error.
+ * @param source the script
+ * @param options the file name for stack traces, how to run operations and print
+ * @returns once the script and its operations have finished
+ */
+export async function runScript(source: string, options: ScriptOptions = {}): Promise<void> {
+  const filename = options.filename ?? '<eval>'
+  const print = options.print ?? ((line: string) => console.log(line))
+  const queue = new OperationQueue(options.execute ?? (parsed => OperationExecutor.execute(parsed)))
+
+  const sandbox: Record<string, any> = {
+    db: createDbProxy(queue),
+    print: (...values: any[]) => print(values.map(value => formatValue(value)).join(' ')),
+    printjson: (value: any) => print(JSON.stringify(value, null, 2)),
+    sleep: (ms: number) => new Promise(resolve => {
+      setTimeout(resolve, ms)
+    }),
+    console: {
+      log: (...values: any[]) => print(values.map(value => formatValue(value)).join(' ')),
+      error: (...values: any[]) => console.error(values.map(value => formatValue(value)).join(' ')),
+    },
+  }
+
+  for (const [name, constructor] of Object.entries(SHELL_TYPE_CONSTRUCTORS)) {
+    // The sandbox has its own Date; the others are wrapped in a plain
+    // function so they also work with `new`
+    if (name !== 'Date') {
+      sandbox[name] = function (...args: any[]) {
+        return constructor(...args)
+      }
+    }
+  }
+
+  // lineOffset compensates for the wrapper line so stack traces point at
+  // the right line of the script
+  const script = new vm.Script(`(async () => {\n${source}\n})()`, {filename, lineOffset: -1})
+  await script.runInNewContext(sandbox)
+  await queue.drain()
+}
+
+/**
+ * Error message plus the script location it was thrown from, if known.
+ * Errors raised inside the sandbox come from another realm, so they are
+ * duck-typed rather than checked with `instanceof`.
+ * @param error what the script threw
+ * @param filename the script file, for locating the error
+ * @returns the message to print
+ */
+export function formatScriptError(error: any, filename = '<eval>'): string {
+  let message = String(error)
+  if (error instanceof ParseError) {
+    message = error.format()
+  } else if (error instanceof CliError) {
+    message = error.message
+  } else if (typeof error?.message === 'string') {
+    message = `${error.name}: ${error.message}`
+  }
+
+  const stack = typeof error?.stack === 'string' ? error.stack : ''
+  const escaped = filename.replace(/[$()*+.?[\\\]^{|}]/g, '\\$&')
+  const location = stack.match(new RegExp(`${escaped}:\\d+(:\\d+)?`))
+
+  return location ? `${message} (at ${location[0]})` : message
+}
@@ -0,0 +1,164 @@
+import * as crypto from 'node:crypto'
+import * as fs from 'node:fs'
+import * as os from 'node:os'
+import * as path from 'node:path'
+import {CliError} from './errors'
+
+const SECRETS_FILE = path.join(os.homedir(), '.mongosh-clone-secrets.json')
+const KEY_FILE = path.join(os.homedir(), '.mongosh-clone.key')
+
+/**
+ * When set, secrets are encrypted with a key derived from this passphrase
+ * instead of the key file
+ */
+export const PASSPHRASE_VARIABLE = 'MONGOSH_CLONE_PASSPHRASE'
+
+type KeySource = 'keyfile' | 'passphrase';
+
+/**
+ * The secrets file: a JSON object of secrets by name, encrypted with
+ * AES-256-GCM. Binary fields are base64.
+ */
+interface EncryptedSecrets {
+  version: 1;
+  key: KeySource;
+  /** scrypt salt, for passphrase keys */
+  salt?: string;
+  iv: string;
+  tag: string;
+  data: string;
+}
+
+/**
+ * Passwords kept out of the config and profiles files, encrypted with a
+ * random key in `~/.mongosh-clone.key` or with a passphrase from
+ * MONGOSH_CLONE_PASSPHRASE. Both files are readable only by their owner.
+ */
+export class SecretStore {
+  private readonly file: string;
+  private readonly keyFile: string;
+
+  constructor(file = SECRETS_FILE, keyFile = KEY_FILE) {
+    this.file = file
+    this.keyFile = keyFile
+  }
+
+  get(name: string): string | undefined {
+    const secrets = this.read()
+    return Object.prototype.hasOwnProperty.call(secrets, name) ? secrets[name] : undefined
+  }
+
+  /**
+   * Stores `value` as `name`, or forgets it when given undefined
+   * @param name the secret's name
+   * @param value the secret, or undefined to forget it
+   * @returns nothing
+   */
+  set(name: string, value?: string): void {
+    if (value === undefined && !fs.existsSync(this.file)) {
+      return
+    }
+
+    const secrets = this.read()
+    if (value === undefined) {
+      if (!Object.prototype.hasOwnProperty.call(secrets, name)) {
+        return
+      }
+
+      delete secrets[name]
+    } else {
+      secrets[name] = value
+    }
+
+    this.write(secrets)
+  }
+
+  private read(): Record<string, string> {
+    if (!fs.existsSync(this.file)) {
+      return {}
+    }
+
+    let stored: EncryptedSecrets
+    try {
+      stored = JSON.parse(fs.readFileSync(this.file, 'utf8'))
+    } catch (error) {
+      throw new CliError(`Invalid secrets file ${this.file}: ${(error as Error).message}`, 'auth', {
+        hint: 'Delete it and connect again to store your passwords anew',
+      })
+    }
+
+    const key = this.key(stored.key, stored.salt === undefined ? undefined : Buffer.from(stored.salt, 'base64'), false)
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(stored.iv, 'base64'))
+      decipher.setAuthTag(Buffer.from(stored.tag, 'base64'))
+      const data = Buffer.concat([decipher.update(Buffer.from(stored.data, 'base64')), decipher.final()])
+      return JSON.parse(data.toString('utf8'))
+    } catch {
+      const cause = stored.key === 'passphrase' ? `Check ${PASSPHRASE_VARIABLE}` : `It was encrypted with a different ${this.keyFile}`
+      throw new CliError(`Cannot decrypt ${this.file}`, 'auth', {
+        hint: `${cause}, or delete it to forget the stored passwords`,
+      })
+    }
+  }
+
+  /**
+   * Encrypts with a fresh IV, and salt for passphrases, on every write
+   * @param secrets every secret by name
+   * @returns nothing
+   */
+  private write(secrets: Record<string, string>): void {
+    const source: KeySource = process.env[PASSPHRASE_VARIABLE] ? 'passphrase' : 'keyfile'
+    const salt = source === 'passphrase' ? crypto.randomBytes(16) : undefined
+    const iv = crypto.randomBytes(12)
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.key(source, salt, true), iv)
+    const data = Buffer.concat([cipher.update(JSON.stringify(secrets), 'utf8'), cipher.final()])
+
+    const stored: EncryptedSecrets = {
+      version: 1,
+      key: source,
+      ...(salt ? {salt: salt.toString('base64')} : {}),
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64'),
+    }
+    fs.writeFileSync(this.file, JSON.stringify(stored, null, 2), {mode: 0o600})
+  }
+
+  /**
+   * The 256-bit key. A missing key file is only created when writing; when
+   * reading, a new key could not decrypt anything.
+   * @param source whether the key comes from the key file or the passphrase
+   * @param salt the salt to derive a passphrase key with
+   * @param create whether a missing key file may be created
+   * @returns the key
+   */
+  private key(source: KeySource, salt: Buffer | undefined, create: boolean): Buffer {
+    if (source === 'passphrase') {
+      const passphrase = process.env[PASSPHRASE_VARIABLE]
+      if (!passphrase) {
+        throw new CliError(`${this.file} is encrypted with a passphrase`, 'auth', {hint: `Set ${PASSPHRASE_VARIABLE} to it`})
+      }
+
+      return crypto.scryptSync(passphrase, salt ?? Buffer.alloc(0), 32)
+    }
+
+    if (!fs.existsSync(this.keyFile)) {
+      if (!create) {
+        throw new CliError(`Missing key file ${this.keyFile}`, 'auth', {
+          hint: `Delete ${this.file} and connect again to store your passwords anew`,
+        })
+      }
+
+      fs.writeFileSync(this.keyFile, crypto.randomBytes(32).toString('base64'), {mode: 0o600})
+    }
+
+    const key = Buffer.from(fs.readFileSync(this.keyFile, 'utf8').trim(), 'base64')
+    if (key.length !== 32) {
+      throw new CliError(`Invalid key file ${this.keyFile}`, 'auth', {hint: 'It should hold 32 random bytes, base64 encoded'})
+    }
+
+    return key
+  }
+}
+
+export const secrets = new SecretStore()
@@ -0,0 +1,122 @@
+import {Document, MongoClient, MongoServerError} from 'mongodb'
+import {version as DRIVER_VERSION} from 'mongodb/package.json'
+
+export {DRIVER_VERSION}
+
+export type TopologyType = 'standalone' | 'replicaSet' | 'sharded';
+
+export interface ReplicaSetMember {
+  /** `host:port` */
+  name: string;
+  /** PRIMARY, SECONDARY, ARBITER, ...; UNKNOWN without replSetGetStatus access */
+  state: string;
+  healthy: boolean | null;
+  /** The member this client is talking to */
+  self: boolean;
+}
+
+export interface Topology {
+  type: TopologyType;
+  setName: string | null;
+  primary: string | null;
+  members: ReplicaSetMember[];
+}
+
+export interface ServerInfo {
+  version: string;
+  /** null on mongos or without serverStatus access */
+  storageEngine: string | null;
+  topology: Topology;
+  /** Round trip of a ping over the open connection */
+  latencyMs: number;
+  users: { user: string; db: string }[];
+  roles: { role: string; db: string }[];
+}
+
+/**
+ * Runs a command that needs privileges the user may lack, such as
+ * clusterMonitor; undefined when the server refuses it
+ * @param client the connected client
+ * @param command the admin command
+ * @returns the reply
+ */
+async function optionalCommand(client: MongoClient, command: Document): Promise<Document | undefined> {
+  try {
+    return await client.db('admin').command(command)
+  } catch (error) {
+    if (error instanceof MongoServerError) {
+      return undefined
+    }
+
+    throw error
+  }
+}
+
+/**
+ * Topology from `hello`, with member states from `replSetGetStatus` when
+ * the user may run it
+ * @param hello the `hello` reply
+ * @param replSetStatus the `replSetGetStatus` reply
+ * @returns the topology
+ */
+export function describeTopology(hello: Document, replSetStatus?: Document): Topology {
+  if (hello.msg === 'isdbgrid') {
+    return {type: 'sharded', setName: null, primary: null, members: []}
+  }
+
+  if (!hello.setName) {
+    return {type: 'standalone', setName: null, primary: hello.me ?? null, members: []}
+  }
+
+  const members: ReplicaSetMember[] = replSetStatus?.members ?
+    replSetStatus.members.map((member: Document) => ({
+      name: member.name,
+      state: member.stateStr,
+      healthy: member.health === 1,
+      self: Boolean(member.self),
+    })) :
+    [...hello.hosts ?? [], ...hello.passives ?? [], ...hello.arbiters ?? []].map((name: string) => ({
+      name,
+      state: name === hello.primary ? 'PRIMARY' : (hello.arbiters?.includes(name) ? 'ARBITER' : 'UNKNOWN'),
+      healthy: null,
+      self: name === hello.me,
+    }))
+
+  return {type: 'replicaSet', setName: hello.setName, primary: hello.primary ?? null, members}
+}
+
+/**
+ * Round trip of a ping, in milliseconds to one decimal
+ * @param client the connected client
+ * @returns the latency
+ */
+async function measureLatency(client: MongoClient): Promise<number> {
+  const started = process.hrtime.bigint()
+  await client.db('admin').command({ping: 1})
+  return Math.round(Number(process.hrtime.bigint() - started) / 1e5) / 10
+}
+
+/**
+ * What `status` reports about the server behind `client`
+ * @param client the connected client
+ * @returns the server's version, topology, latency and more
+ */
+export async function collectServerInfo(client: MongoClient): Promise<ServerInfo> {
+  const admin = client.db('admin')
+  // After hello, so the ping does not pay for opening the connection
+  const hello = await admin.command({hello: 1})
+  const latencyMs = await measureLatency(client)
+  const buildInfo = await admin.command({buildInfo: 1})
+  const serverStatus = await optionalCommand(client, {serverStatus: 1, repl: 0, metrics: 0, locks: 0, opLatencies: 0})
+  const replSetStatus = hello.setName ? await optionalCommand(client, {replSetGetStatus: 1}) : undefined
+  const connectionStatus = await admin.command({connectionStatus: 1})
+
+  return {
+    version: buildInfo.version,
+    storageEngine: serverStatus?.storageEngine?.name ?? null,
+    topology: describeTopology(hello, replSetStatus),
+    latencyMs,
+    users: connectionStatus.authInfo?.authenticatedUsers ?? [],
+    roles: connectionStatus.authInfo?.authenticatedUserRoles ?? [],
+  }
+}
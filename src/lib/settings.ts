@@ -0,0 +1,64 @@
+import * as fs from 'node:fs'
+import * as os from 'node:os'
+import * as path from 'node:path'
+import {LoggingSettings} from './logger'
+
+// Shared with the JavaScript implementation, which reads its logging from it
+// eslint-disable-next-line unicorn/prefer-module -- compiled to CommonJS
+const DEFAULTS_FILE = path.join(__dirname, '../../js_implementation/config/commands.json')
+const USER_SETTINGS_FILE = path.join(os.homedir(), '.mongosh-clone-settings.json')
+
+export interface Settings {
+  ui: {
+    cursorPagination: {
+      batchSize: number;
+    };
+    /** Color banners and documents; `NO_COLOR` also turns this off */
+    colorOutput: boolean;
+    /** Pretty printer color theme, a key of THEMES */
+    theme: string;
+  };
+  agent: {
+    /** The background agent exits after this long without requests; 0 keeps it running */
+    idleTimeoutMinutes: number;
+  };
+  completion: {
+    /** Documents sampled per collection for field path completion */
+    sampleSize: number;
+    /** How long completion reuses names and field paths before asking the server again */
+    cacheMinutes: number;
+  };
+  logging: LoggingSettings;
+}
+
+function merge(base: any, override: any): any {
+  if (!override || typeof override !== 'object' || Array.isArray(override)) {
+    return override === undefined ? base : override
+  }
+
+  const merged = {...base}
+  for (const [key, value] of Object.entries(override)) {
+    merged[key] = merge(base?.[key], value)
+  }
+
+  return merged
+}
+
+function readJson(file: string): any {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {}
+}
+
+/**
+ * Packaged defaults from `js_implementation/config/commands.json`,
+ * overridden key by key by `~/.mongosh-clone-settings.json`
+ * @param userFile the user's settings file
+ * @returns the merged settings
+ */
+export function loadSettings(userFile = USER_SETTINGS_FILE): Settings {
+  const defaults = readJson(DEFAULTS_FILE)
+  try {
+    return merge(defaults, readJson(userFile))
+  } catch (error) {
+    throw new Error(`Invalid settings in ${userFile}: ${(error as Error).message}`)
+  }
+}
@@ -0,0 +1,103 @@
+import {BSON} from 'mongodb'
+
+const {
+  Binary,
+  BSONRegExp,
+  Decimal128,
+  EJSON,
+  Int32,
+  Long,
+  MaxKey,
+  MinKey,
+  ObjectId,
+  Timestamp,
+  UUID,
+} = BSON
+
+type ShellTypeConstructor = (...args: any[]) => any;
+
+function toDate(args: any[]): Date {
+  const date = args.length === 0 ? new Date() : new Date(...(args as [any]))
+  if (Number.isNaN(date.getTime())) {
+    throw new TypeError(`Invalid date: ${JSON.stringify(args[0])}`)
+  }
+
+  return date
+}
+
+/**
+ * mongosh helper functions that build BSON values, keyed by name.
+ * Each helper may be called with or without `new`.
+ */
+export const SHELL_TYPE_CONSTRUCTORS: Record<string, ShellTypeConstructor> = {
+  ObjectId: (hex?: string) => new ObjectId(hex),
+  ISODate: (...args: any[]) => toDate(args),
+  Date: (...args: any[]) => toDate(args),
+  NumberLong: (value: number | string = 0) => Long.fromString(String(value)),
+  NumberInt: (value: number | string = 0) => new Int32(Number(value)),
+  NumberDecimal: (value: number | string = 0) => Decimal128.fromString(String(value)),
+  UUID: (hex?: string) => new UUID(hex),
+  BinData: (subType: number, base64: string) => new Binary(Buffer.from(base64, 'base64'), subType),
+  Timestamp: (t: number | { t: number; i: number } = 0, i = 0) =>
+    new Timestamp(typeof t === 'object' ? t : {t, i}),
+  MinKey: () => new MinKey(),
+  MaxKey: () => new MaxKey(),
+}
+
+/**
+ * Helpers that mongosh also exposes as plain identifiers, e.g. `{$gt: MinKey}`
+ */
+export const SHELL_TYPE_CONSTANTS: Record<string, () => any> = {
+  MinKey: () => new MinKey(),
+  MaxKey: () => new MaxKey(),
+}
+
+const EXTENDED_JSON_KEYS = new Set([
+  '$oid',
+  '$date',
+  '$numberInt',
+  '$numberLong',
+  '$numberDouble',
+  '$numberDecimal',
+  '$binary',
+  '$uuid',
+  '$timestamp',
+  '$regularExpression',
+  '$minKey',
+  '$maxKey',
+])
+
+/**
+ * True for Extended JSON type wrappers such as `{$oid: "..."}` or `{$date: "..."}`
+ * @param obj a parsed object literal
+ * @returns whether `obj` has the single key of a wrapper
+ */
+export function isExtendedJsonWrapper(obj: Record<string, any>): boolean {
+  const keys = Object.keys(obj)
+  return keys.length === 1 && EXTENDED_JSON_KEYS.has(keys[0])
+}
+
+export function fromExtendedJson(obj: Record<string, any>): any {
+  return EJSON.deserialize(obj, {relaxed: false})
+}
+
+export function createShellType(name: string, args: any[]): any {
+  const constructor = SHELL_TYPE_CONSTRUCTORS[name]
+  if (!constructor) {
+    throw new Error(`Unknown function "${name}"`)
+  }
+
+  try {
+    return constructor(...args)
+  } catch (error) {
+    throw new Error(`Invalid ${name}(${args.map(arg => JSON.stringify(arg)).join(', ')}): ${(error as Error).message}`)
+  }
+}
+
+export function createRegExp(pattern: string, flags: string): InstanceType<typeof BSONRegExp> {
+  try {
+    return new BSONRegExp(pattern, flags)
+  } catch (error) {
+    throw new Error(`Invalid regular expression /${pattern}/${flags}: ${(error as Error).message}`)
+  }
+}
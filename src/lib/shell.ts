@@ -0,0 +1,249 @@
+import chalk from 'chalk'
+import {Document} from 'mongodb'
+import * as os from 'node:os'
+import * as path from 'node:path'
+import * as repl from 'node:repl'
+import {agent} from './agent'
+import {complete} from './completion'
+import {connectionManager} from './connection'
+import {CursorPager} from './cursor-pager'
+import {CliError, describeError} from './errors'
+import {ExecutionResult, OperationExecutor, PartialResultError} from './executor'
+import {formatDocument} from './formatters'
+import {logger} from './logger'
+import {OperationParser} from './operation-parser'
+import {OutputOptions, printError, printResult} from './output'
+import {completionSource} from './schema-cache'
+import {loadSettings} from './settings'
+import {checkDatabase, DatabaseCheck, databaseWarnings, runShow, SHOW_TARGETS, ShowTarget} from './show'
+import {closestMatch} from './suggestions'
+
+const HISTORY_FILE = path.join(os.homedir(), '.mongosh-clone_history')
+
+const HELP = `Commands:
+  <collection>.<method>(...)   run an operation, as with "mongosh-clone db"
+  db.<method>(...)             run a database operation
+  use <database>               switch database
+  show <${SHOW_TARGETS.join('|')}>
+  it                           show the next batch of the last find
+  help                         show this help
+  exit, quit or Ctrl-D         leave the shell
+
+Input continues on the next line until its brackets balance. Ctrl-R
+searches the history.`
+
+/**
+ * `profile:database> `, leaving out what is not set
+ * @param profile the active profile
+ * @param database the current database
+ * @returns the prompt
+ */
+export function shellPrompt(profile?: string, database?: string): string {
+  return `${[profile, database].filter(Boolean).join(':')}> `
+}
+
+/**
+ * Interactive shell over the saved connection. Reads operations with the
+ * `db` command's grammar plus `use`, `show` and `it`, one after another,
+ * until the user leaves. Like the commands, each runs in the background
+ * agent when `connect` started one, and in this process otherwise.
+ * @param historyFile where the history is kept between sessions
+ * @returns once the shell is closed and the last operation finished
+ */
+export async function runShell(historyFile = HISTORY_FILE): Promise<void> {
+  const output: OutputOptions = {format: 'text', theme: loadSettings().ui.theme}
+  const batchSize = loadSettings().ui.cursorPagination.batchSize
+
+  // The REPL hands over every line of pasted or piped text at once, and
+  // keeps its multi-line buffer until eval answers. So eval answers at
+  // once, and operations run in order on this queue, with the prompt held
+  // back until they are done.
+  let queue = Promise.resolve()
+  let pending = 0
+  let leaving = false
+
+  const server = repl.start({
+    prompt: currentPrompt(),
+    ignoreUndefined: true,
+    preview: false,
+    // Operations are not JavaScript in a context, so Node's completions
+    // of globals would mislead; these come from the operation grammar
+    completer: (line: string, callback: (error: Error | null, result: [string[], string]) => void) => {
+      (agent.isConfigured() ? agent.complete(line) : complete(line, completionSource()))
+      .then(({candidates, fragment}) => callback(null, [candidates, fragment]))
+      .catch(error => {
+        logger.debug('Completion failed', {error: error.message})
+        callback(null, [[], line])
+      })
+    },
+    eval: (input, _context, _file, callback) => {
+      if (OperationParser.isIncomplete(input)) {
+        // eslint-disable-next-line unicorn/no-useless-undefined -- the callback's type requires a result
+        callback(new repl.Recoverable(new Error('Incomplete input')), undefined)
+        return
+      }
+
+      collapseHistory((server as unknown as { history: string[] }).history, input)
+      pending++
+      queue = queue
+      .then(async () => {
+        // Lines after "exit" are dropped
+        if (!leaving) {
+          await evaluate(input.trim(), {output, batchSize, close})
+        }
+      })
+      .catch(error => printError(error, describeError(error, input.trim())))
+      .finally(() => {
+        pending--
+        server.setPrompt(currentPrompt())
+        server.displayPrompt()
+      })
+      // eslint-disable-next-line unicorn/no-useless-undefined -- the callback's type requires a result
+      callback(null, undefined)
+    },
+  })
+
+  const close = () => {
+    leaving = true
+    server.close()
+  }
+
+  const displayPrompt = server.displayPrompt.bind(server)
+  server.displayPrompt = (preserveCursor?: boolean) => {
+    if (pending === 0 && !leaving) {
+      displayPrompt(preserveCursor)
+    }
+  }
+
+  await new Promise<void>((resolve, reject) => {
+    server.setupHistory(historyFile, error => (error ? reject(error) : resolve()))
+  })
+
+  await new Promise<void>(resolve => {
+    server.once('exit', resolve)
+  })
+  await queue
+}
+
+/**
+ * Replaces the lines of a multi-line input, which the REPL records one by
+ * one newest first, by a single entry, so that the arrow keys and Ctrl-R
+ * bring back the whole operation
+ * @param history the REPL's history, newest first
+ * @param input the input just evaluated
+ * @returns nothing
+ */
+export function collapseHistory(history: string[], input: string): void {
+  const lines = input.split('\n').map(line => line.trim()).filter(Boolean)
+  if (lines.length < 2) {
+    return
+  }
+
+  const recorded = history.slice(0, lines.length).reverse().map(line => line.trim())
+  if (recorded.join('\n') === lines.join('\n')) {
+    history.splice(0, lines.length, lines.join(' '))
+  }
+}
+
+function currentPrompt(): string {
+  return shellPrompt(connectionManager.getProfileName(), connectionManager.getCurrentDatabase())
+}
+
+/**
+ * Runs one complete input of the shell and prints its result
+ * @param input the input, without surrounding whitespace
+ * @param options how to print, the `it` batch size and how to leave the shell
+ * @returns once the result is printed
+ */
+export async function evaluate(
+  input: string,
+  options: { output: OutputOptions; batchSize: number; close: () => void },
+): Promise<void> {
+  const [command, ...words] = input.split(/\s+/)
+  const argument = words.join(' ')
+
+  switch (command) {
+  case '':
+    return
+  case 'exit':
+  case 'quit':
+    options.close()
+    return
+  case 'help':
+    console.log(HELP)
+    return
+  case 'use':
+    await use(argument)
+    return
+  case 'show':
+    printResult(await show(argument), options.output)
+    return
+  case 'it':
+    printResult(await (agent.isConfigured() ? agent.nextBatch() : CursorPager.nextBatch()), options.output)
+    return
+  default:
+    printResult(await execute(input, options.batchSize, options.output), options.output)
+  }
+}
+
+async function use(database: string): Promise<void> {
+  if (!database) {
+    throw new CliError('use needs a database name', 'usage', {hint: 'Example: use sample_mflix'})
+  }
+
+  let check: DatabaseCheck | null
+  if (agent.isConfigured()) {
+    check = await agent.use(database)
+    // The agent saved the database; read it back for the prompt
+    connectionManager.reload()
+  } else {
+    connectionManager.useDatabase(database)
+    check = await checkDatabase(connectionManager.getClient(), database)
+  }
+
+  console.log(chalk.green(`switched to db ${database}`))
+  for (const warning of databaseWarnings(database, check)) {
+    console.error(chalk.yellow(warning))
+  }
+}
+
+function show(target: string): Promise<ExecutionResult> {
+  if (!(SHOW_TARGETS as readonly string[]).includes(target)) {
+    const suggestion = closestMatch(target, SHOW_TARGETS)
+    throw new CliError(target ? `Cannot show "${target}"` : 'show needs something to list', 'usage', {
+      hint: suggestion ? `Did you mean "show ${suggestion}"?` : `Expected one of ${SHOW_TARGETS.join(', ')}`,
+    })
+  }
+
+  return agent.isConfigured() ?
+    agent.show(target as ShowTarget) :
+    runShow(connectionManager.getClient(), target as ShowTarget, connectionManager.getCurrentDatabase())
+}
+
+async function execute(operation: string, batchSize: number, output: OutputOptions): Promise<ExecutionResult> {
+  const parsed = OperationParser.parse(operation)
+  OperationParser.validate(parsed)
+  logger.debug(`Parsed ${parsed.scope} operation ${parsed.method}`, {collection: parsed.collection})
+
+  // Ctrl-C belongs to the shell's prompt, so nothing could stop a stream
+  if (parsed.method === 'watch') {
+    throw new CliError('watch cannot run inside the shell', 'usage', {
+      hint: `Run "mongosh-clone watch ${parsed.collection || '<collection>'}" in another terminal`,
+    })
+  }
+
+  const options = {
+    onDocument: (doc: Document) => console.log(formatDocument(doc, 'text', {colors: chalk.level > 0, theme: output.theme})),
+    batchSize,
+  }
+  try {
+    return await (agent.isConfigured() ? agent.execute(operation, options) : OperationExecutor.execute(parsed, options))
+  } catch (error) {
+    // Show what was written before the failure
+    if (error instanceof PartialResultError) {
+      printResult(error.result, output)
+    }
+
+    throw error
+  }
+}
@@ -0,0 +1,230 @@
+import {Document, MongoClient, MongoServerError} from 'mongodb'
+import {CliError} from './errors'
+import {ExecutionResult} from './executor'
+import {closestMatch} from './suggestions'
+import {formatBytes} from './table'
+
+/**
+ * What `show` lists, with the aliases mongosh accepts
+ */
+export const SHOW_TARGETS = ['dbs', 'databases', 'collections', 'tables', 'users', 'roles', 'profile'] as const
+
+export type ShowTarget = typeof SHOW_TARGETS[number];
+
+/**
+ * Whether the database `use` switched to exists, and the closest existing
+ * name when it does not
+ */
+export interface DatabaseCheck {
+  exists: boolean;
+  suggestion?: string;
+}
+
+/**
+ * Profiler entries `show profile` lists, newest first, like mongosh
+ */
+const PROFILE_ENTRIES = 5
+
+/**
+ * Lists databases, collections, users, roles or profiler entries as a
+ * table. Everything but databases is read from `database`.
+ * @param client the connected client
+ * @param target what to list
+ * @param database the current database
+ * @returns the table to print
+ */
+export async function runShow(client: MongoClient, target: ShowTarget, database?: string): Promise<ExecutionResult> {
+  if (target === 'dbs' || target === 'databases') {
+    return showDatabases(client)
+  }
+
+  if (!database) {
+    throw new CliError('No database selected', 'notConnected', {hint: 'Run "mongosh-clone use <database_name>" first'})
+  }
+
+  switch (target) {
+  case 'collections':
+  case 'tables':
+    return showCollections(client, database)
+  case 'users':
+    return showUsers(client, database)
+  case 'roles':
+    return showRoles(client, database)
+  default:
+    return showProfile(client, database)
+  }
+}
+
+/**
+ * Checks that `database` exists, suggesting an existing name close to it.
+ * Null when the user may not list databases.
+ * @param client the connected client
+ * @param database the database to switch to
+ * @returns whether it exists, and the suggestion if not
+ */
+export async function checkDatabase(client: MongoClient, database: string): Promise<DatabaseCheck | null> {
+  let names: string[]
+  try {
+    const result = await client.db('admin').command({listDatabases: 1, nameOnly: true, authorizedDatabases: true})
+    names = result.databases.map((db: Document) => db.name)
+  } catch (error) {
+    if (error instanceof MongoServerError) {
+      return null
+    }
+
+    throw error
+  }
+
+  if (names.includes(database)) {
+    return {exists: true}
+  }
+
+  const suggestion = closestMatch(database, names)
+  return suggestion ? {exists: false, suggestion} : {exists: false}
+}
+
+/**
+ * What `use` warns about a database that `checkDatabase` did not find;
+ * switching still succeeds, since the first write creates it
+ * @param database the database switched to
+ * @param check what `checkDatabase` found
+ * @returns the warnings, if any
+ */
+export function databaseWarnings(database: string, check: DatabaseCheck | null): string[] {
+  if (!check || check.exists) {
+    return []
+  }
+
+  // The server refuses names that differ from an existing one only in case
+  const warnings = [check.suggestion?.toLowerCase() === database.toLowerCase() ?
+    `Warning: database "${database}" does not exist, and writes to it will fail since "${check.suggestion}" differs only in case` :
+    `Warning: database "${database}" does not exist yet; the first write creates it`]
+  if (check.suggestion) {
+    warnings.push(`Did you mean "${check.suggestion}"? Run "use ${check.suggestion}" to switch to it`)
+  }
+
+  return warnings
+}
+
+async function showDatabases(client: MongoClient): Promise<ExecutionResult> {
+  const result = await client.db('admin').command({listDatabases: 1, authorizedDatabases: true})
+  const databases = result.databases
+  .map(({name, sizeOnDisk, empty}: Document) => ({name, sizeOnDisk: Number(sizeOnDisk ?? 0), empty: Boolean(empty)}))
+  .sort((a: Document, b: Document) => a.name.localeCompare(b.name))
+
+  return {
+    value: databases,
+    message: `${databases.length} database(s), ${formatBytes(Number(result.totalSize ?? 0))} in total:`,
+    display: 'table',
+    table: {
+      columns: ['Database', 'Size'],
+      rows: databases.map((db: Document) => [db.name, db.empty ? '(empty)' : formatBytes(db.sizeOnDisk)]),
+    },
+  }
+}
+
+async function showCollections(client: MongoClient, database: string): Promise<ExecutionResult> {
+  const db = client.db(database)
+  const infos = await db.listCollections({}, {nameOnly: false}).toArray()
+  infos.sort((a, b) => a.name.localeCompare(b.name))
+  if (infos.length === 0) {
+    return {value: [], message: `No collections in '${database}'`, warning: true, display: 'none'}
+  }
+
+  // Counting a view would run its pipeline; collection counts come from
+  // metadata
+  const collections = await Promise.all(infos.map(async info => {
+    const type = info.type ?? 'collection'
+    const viewOn = (info as Document).options?.viewOn
+    const count = type === 'view' ? null : await db.collection(info.name).estimatedDocumentCount()
+    return {name: info.name, type, ...(viewOn ? {viewOn} : {}), count}
+  }))
+
+  return {
+    value: collections,
+    message: `${collections.length} collection(s) in '${database}':`,
+    display: 'table',
+    table: {
+      columns: ['Collection', 'Type', 'Documents'],
+      rows: collections.map(collection => [
+        collection.name,
+        collection.viewOn ? `view on ${collection.viewOn}` : collection.type,
+        collection.count === null ? '-' : String(collection.count),
+      ]),
+    },
+  }
+}
+
+async function showUsers(client: MongoClient, database: string): Promise<ExecutionResult> {
+  const result = await client.db(database).command({usersInfo: 1})
+  const users = result.users.map(({user, db, roles, mechanisms}: Document) => ({user, db, roles, mechanisms}))
+  if (users.length === 0) {
+    return {value: [], message: `No users defined in '${database}'`, warning: true, display: 'none'}
+  }
+
+  return {
+    value: users,
+    message: `${users.length} user(s) in '${database}':`,
+    display: 'table',
+    table: {
+      columns: ['User', 'Roles', 'Mechanisms'],
+      rows: users.map((user: Document) => [
+        user.user,
+        describeRoles(user.roles),
+        (user.mechanisms ?? []).join(', '),
+      ]),
+    },
+  }
+}
+
+async function showRoles(client: MongoClient, database: string): Promise<ExecutionResult> {
+  const result = await client.db(database).command({rolesInfo: 1, showBuiltinRoles: true})
+  const roles = result.roles
+  .map(({role, db, isBuiltin, roles: inherited}: Document) => ({role, db, isBuiltin: Boolean(isBuiltin), roles: inherited ?? []}))
+  .sort((a: Document, b: Document) => a.role.localeCompare(b.role))
+
+  return {
+    value: roles,
+    message: `${roles.length} role(s) in '${database}':`,
+    display: 'table',
+    table: {
+      columns: ['Role', 'Built in', 'Inherits'],
+      rows: roles.map((role: Document) => [role.role, role.isBuiltin ? 'yes' : 'no', describeRoles(role.roles)]),
+    },
+  }
+}
+
+async function showProfile(client: MongoClient, database: string): Promise<ExecutionResult> {
+  const entries = await client.db(database).collection('system.profile')
+  .find({millis: {$gt: 0}}, {sort: {$natural: -1}, limit: PROFILE_ENTRIES})
+  .toArray()
+  if (entries.length === 0) {
+    return {
+      value: [],
+      message: `No profiler entries in '${database}'`,
+      warning: true,
+      display: 'none',
+      footer: 'Turn the profiler on with: mongosh-clone db "db.runCommand({profile: 1, slowms: 100})"',
+    }
+  }
+
+  return {
+    value: entries,
+    message: `${entries.length} most recent profiled operation(s) in '${database}':`,
+    display: 'table',
+    table: {
+      columns: ['Time', 'Operation', 'Namespace', 'Millis', 'Plan'],
+      rows: entries.map(entry => [
+        entry.ts instanceof Date ? entry.ts.toISOString() : String(entry.ts ?? ''),
+        entry.op ?? '',
+        entry.ns ?? '',
+        String(entry.millis),
+        entry.planSummary ?? '',
+      ]),
+    },
+  }
+}
+
+function describeRoles(roles: Document[] = []): string {
+  return roles.map(({role, db}) => `${role}@${db}`).join(', ')
+}
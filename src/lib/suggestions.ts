@@ -0,0 +1,53 @@
+/**
+ * Edit distance between two strings, counting insertions, deletions,
+ * substitutions and swaps of adjacent characters (`srot` -> `sort`) as one
+ * @param a one string
+ * @param b the other string
+ * @returns the number of edits
+ */
+export function editDistance(a: string, b: string): number {
+  let beforePrevious: number[] = []
+  let previous = Array.from({length: b.length + 1}, (_, i) => i)
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i]
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost)
+
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1)
+      }
+    }
+
+    beforePrevious = previous
+    previous = current
+  }
+
+  return previous[b.length]
+}
+
+/**
+ * Returns the candidate closest to `name`, or undefined when nothing is
+ * close enough to be a plausible typo. Case differences count as a match.
+ * @param name what was typed
+ * @param candidates the names it may have been meant as
+ * @param maxDistance the most edits a typo may take
+ * @returns the candidate or undefined
+ */
+export function closestMatch(name: string, candidates: Iterable<string>, maxDistance = 2): string | undefined {
+  let best: string | undefined
+  let bestDistance = Number.POSITIVE_INFINITY
+  const lowerName = name.toLowerCase()
+
+  for (const candidate of candidates) {
+    const distance = candidate.toLowerCase() === lowerName ? 0 : editDistance(name, candidate)
+    if (distance < bestDistance) {
+      best = candidate
+      bestDistance = distance
+    }
+  }
+
+  const limit = Math.min(maxDistance, Math.max(1, Math.floor(name.length / 3)))
+  return bestDistance <= limit ? best : undefined
+}
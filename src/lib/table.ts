@@ -0,0 +1,27 @@
+/**
+ * Renders rows as a plain-text table under a header rule, padding each
+ * column to its widest cell.
+ * @param columns the header cells
+ * @param rows the cells of each row, in column order
+ * @returns the table, without a trailing newline
+ */
+export function renderTable(columns: string[], rows: string[][]): string {
+  const widths = columns.map((column, index) =>
+    Math.max(column.length, ...rows.map(row => (row[index] ?? '').length)))
+  const line = (cells: string[]) =>
+    cells.map((cell, index) => (cell ?? '').padEnd(widths[index])).join('  ').trimEnd()
+
+  return [line(columns), line(widths.map(width => '-'.repeat(width))), ...rows.map(row => line(row))].join('\n')
+}
+
+export function formatBytes(bytes: number): string {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB']
+  let value = bytes
+  let unit = 0
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024
+    unit++
+  }
+
+  return unit === 0 ? `${value} B` : `${value.toFixed(1)} ${units[unit]}`
+}
@@ -1,10 +1,60 @@
 import {expect, test} from '@oclif/test'
+import {MongoClient} from 'mongodb'
+import {agent} from '../../src/lib/agent'
+import {connectionManager} from '../../src/lib/connection'
+import {CliError} from '../../src/lib/errors'
+
+const client = {
+  db: () => ({command: async () => ({databases: [{name: 'admin'}, {name: 'test-db'}]})}),
+} as unknown as MongoClient
 
 describe('use', () => {
+  let switchedTo: string | undefined
+
   test
+  .stub(agent, 'isConfigured', () => false)
+  .stub(connectionManager, 'ensureConnected', async () => {
+    // Connected already
+  })
+  .stub(connectionManager, 'useDatabase', (...args: string[]) => {
+    switchedTo = args[0]
+  })
+  .stub(connectionManager, 'getClient', () => client)
   .stdout()
+  .stderr()
   .command(['use', 'test-db'])
-  .it('runs use command', ctx => {
-    expect(ctx.stdout).to.contain('test-db')
+  .it('switches database', ctx => {
+    expect(switchedTo).to.equal('test-db')
+    expect(ctx.stdout).to.contain('switched to db test-db')
+    expect(ctx.stderr).to.equal('')
+  })
+
+  test
+  .stub(agent, 'isConfigured', () => false)
+  .stub(connectionManager, 'ensureConnected', async () => {
+    // Connected already
+  })
+  .stub(connectionManager, 'useDatabase', (...args: string[]) => {
+    switchedTo = args[0]
   })
-}) 
\ No newline at end of file
+  .stub(connectionManager, 'getClient', () => client)
+  .stdout()
+  .stderr()
+  .command(['use', 'test_db'])
+  .it('still switches to a missing database and suggests an existing one', ctx => {
+    expect(switchedTo).to.equal('test_db')
+    expect(ctx.stdout).to.contain('switched to db test_db')
+    expect(ctx.stderr).to.contain('Did you mean "test-db"?')
+  })
+
+  test
+  .stub(agent, 'isConfigured', () => false)
+  .stub(connectionManager, 'ensureConnected', async () => {
+    throw new CliError('Not connected to MongoDB', 'notConnected')
+  })
+  .stdout()
+  .stderr()
+  .command(['use', 'test-db'])
+  .exit(4)
+  .it('exits with code 4 when not connected')
+})
@@ -0,0 +1,104 @@
+import {expect} from 'chai'
+import * as fs from 'node:fs'
+import * as os from 'node:os'
+import * as path from 'node:path'
+import {setTimeout as sleep} from 'node:timers/promises'
+import {ObjectId} from 'mongodb'
+import {AgentServer, sendRequest} from '../../src/lib/agent-protocol'
+import {CliError} from '../../src/lib/errors'
+import {PartialResultError} from '../../src/lib/executor'
+import {ParseError} from '../../src/lib/parse-error'
+
+/**
+ * onIdle for servers without an idle timeout, which never call it
+ * @returns never, since it throws
+ */
+function neverIdle(): void {
+  throw new Error('onIdle called without an idle timeout')
+}
+
+describe('agent protocol', () => {
+  const socketPath = path.join(os.tmpdir(), `mongosh-clone-agent-test-${process.pid}.sock`)
+  let server: AgentServer | undefined
+
+  const start = async (handlers: Record<string, any>, idle?: {idleTimeoutMs: number; onIdle: () => void}) => {
+    server = new AgentServer(handlers, {socketPath, ...(idle ?? {idleTimeoutMs: 0, onIdle: neverIdle})})
+    await server.listen()
+  }
+
+  afterEach(async () => {
+    await server?.close()
+    server = undefined
+    fs.rmSync(socketPath, {force: true})
+  })
+
+  it('round-trips BSON values and streams events before the result', async () => {
+    const id = new ObjectId()
+    await start({
+      find: async (params: any, emit: any) => {
+        emit('document', {_id: params.id, at: new Date(0)})
+        return {count: 1}
+      },
+    })
+
+    const events: any[] = []
+    const result = await sendRequest(socketPath, 'find', {id}, (event, data) => events.push({event, data}))
+    expect(result).to.deep.equal({count: 1})
+    expect(events).to.have.length(1)
+    expect(events[0].data._id).to.be.instanceOf(ObjectId)
+    expect(events[0].data._id.equals(id)).to.equal(true)
+    expect(events[0].data.at).to.deep.equal(new Date(0))
+  })
+
+  it('rejects with the category and hint of errors raised in the agent', async () => {
+    await start({
+      parse: async () => {
+        throw new ParseError('Unexpected token', 3, 'a value')
+      },
+      bulk: async () => {
+        throw new PartialResultError('bulkWrite failed: 1 operation(s) failed', {value: {insertedCount: 1}, display: 'none'})
+      },
+    })
+
+    const parseError = await sendRequest<any>(socketPath, 'parse').catch((error: any) => error)
+    expect(parseError).to.be.instanceOf(CliError)
+    expect(parseError).to.include({message: 'Unexpected token', category: 'parse', hint: 'Expected a value'})
+
+    const partial = await sendRequest<any>(socketPath, 'bulk').catch((error: any) => error)
+    expect(partial).to.be.instanceOf(PartialResultError)
+    expect(partial.result.value).to.deep.equal({insertedCount: 1})
+
+    const unknown = await sendRequest<any>(socketPath, 'nope').catch((error: any) => error)
+    expect(unknown.message).to.equal('Unknown agent request "nope"')
+  })
+
+  it('passes on socket errors when no agent is listening', async () => {
+    const error = await sendRequest<any>(socketPath, 'status').catch((error: any) => error)
+    expect(error.code).to.equal('ENOENT')
+  })
+
+  it('calls onIdle after the idle timeout, counting from the last request', async () => {
+    let idle = 0
+    await start({ping: async () => 'pong'}, {idleTimeoutMs: 50, onIdle: () => idle++})
+    await sleep(30)
+    expect(await sendRequest(socketPath, 'ping')).to.equal('pong')
+    await sleep(30)
+    expect(idle).to.equal(0)
+    await sleep(40)
+    expect(idle).to.equal(1)
+  })
+
+  it('replaces a stale socket file but not a live agent', async () => {
+    if (process.platform === 'win32') {
+      return
+    }
+
+    fs.writeFileSync(socketPath, '')
+    await start({ping: async () => 'pong'})
+    expect((fs.statSync(socketPath).mode & 0o777).toString(8)).to.equal('600')
+
+    const second = new AgentServer({}, {socketPath, idleTimeoutMs: 0, onIdle: neverIdle})
+    const error = await second.listen().catch((error: any) => error)
+    expect(error.message).to.match(/Another agent is already listening/)
+  })
+})
@@ -0,0 +1,69 @@
+import {expect} from 'chai'
+import {ChangeStreamDocument} from 'mongodb'
+import * as fs from 'node:fs'
+import * as os from 'node:os'
+import * as path from 'node:path'
+import {formatChange, loadResumeToken, throttleTokenSaves} from '../../src/lib/change-stream'
+
+const ns = {db: 'shop', coll: 'orders'}
+
+describe('formatChange', () => {
+  it('shows the inserted document under the event line', () => {
+    const change = {operationType: 'insert', ns, documentKey: {_id: 1}, fullDocument: {_id: 1, total: 5}}
+    expect(formatChange(change as unknown as ChangeStreamDocument)).to.equal(
+      'insert shop.orders 1\n{\n  "_id": 1,\n  "total": 5\n}',
+    )
+  })
+
+  it('shows the update description, with the looked-up document when present', () => {
+    const updateDescription = {updatedFields: {total: 7}, removedFields: []}
+    const change = {operationType: 'update', ns, documentKey: {_id: 1}, updateDescription}
+    expect(formatChange(change as unknown as ChangeStreamDocument)).to.equal(
+      `update shop.orders 1\n${JSON.stringify(updateDescription, null, 2)}`,
+    )
+
+    const looked = {...change, fullDocument: {_id: 1, total: 7}}
+    expect(JSON.parse(formatChange(looked as unknown as ChangeStreamDocument).split('\n').slice(1).join('\n')))
+    .to.deep.equal({updateDescription, fullDocument: {_id: 1, total: 7}})
+  })
+
+  it('prints only the event line for events without a document', () => {
+    expect(formatChange({operationType: 'drop', ns} as unknown as ChangeStreamDocument)).to.equal('drop shop.orders')
+  })
+})
+
+describe('throttleTokenSaves', () => {
+  const file = path.join(os.tmpdir(), `mongosh-clone-resume-tokens-${process.pid}.json`)
+
+  afterEach(() => {
+    fs.rmSync(file, {force: true})
+  })
+
+  it('saves the first token at once and holds later ones until flushed', () => {
+    const tokens = throttleTokenSaves('shop.orders', 60_000, file)
+    tokens.save({_data: 'a'})
+    expect(loadResumeToken('shop.orders', file)).to.deep.equal({_data: 'a'})
+
+    const written = fs.statSync(file).mtimeMs
+    tokens.save({_data: 'b'})
+    tokens.save({_data: 'c'})
+    expect(loadResumeToken('shop.orders', file)).to.deep.equal({_data: 'a'})
+    expect(fs.statSync(file).mtimeMs).to.equal(written)
+
+    tokens.flush()
+    expect(loadResumeToken('shop.orders', file)).to.deep.equal({_data: 'c'})
+    if (process.platform !== 'win32') {
+      expect((fs.statSync(file).mode & 0o777).toString(8)).to.equal('600')
+    }
+  })
+
+  it('saves the waiting token once the interval has passed', async () => {
+    const tokens = throttleTokenSaves('shop.orders', 10, file)
+    tokens.save({_data: 'a'})
+    tokens.save({_data: 'b'})
+    await new Promise(resolve => {
+      setTimeout(resolve, 50)
+    })
+    expect(loadResumeToken('shop.orders', file)).to.deep.equal({_data: 'b'})
+  })
+})
@@ -0,0 +1,72 @@
+import {expect} from 'chai'
+import {complete, CompletionSource} from '../../src/lib/completion'
+
+const source: CompletionSource = {
+  databases: async () => ['admin', 'sample_mflix', 'shop'],
+  collections: async () => ['orders', 'system.profile', 'users'],
+  fields: async collection => ({
+    users: ['_id', 'address', 'address.city', 'age', 'first-name', 'name'],
+    'system.profile': ['millis', 'op'],
+  })[collection] ?? [],
+}
+
+async function candidates(line: string): Promise<string[]> {
+  return (await complete(line, source)).candidates
+}
+
+describe('complete', () => {
+  it('completes databases after use and targets after show', async () => {
+    expect(await complete('use sa', source)).to.deep.equal({candidates: ['sample_mflix'], fragment: 'sa'})
+    expect(await candidates('use ')).to.deep.equal(['admin', 'sample_mflix', 'shop'])
+    expect(await candidates('show co')).to.deep.equal(['collections'])
+  })
+
+  it('completes shell commands and collections that can be typed as they are', async () => {
+    expect(await candidates('')).to.include.members(['db', 'it', 'orders', 'use', 'users'])
+    expect(await candidates('')).not.to.include('system.profile')
+    expect(await candidates('us')).to.deep.equal(['use', 'users'])
+  })
+
+  it('completes database methods and collections after db.', async () => {
+    expect(await candidates('db.')).to.include.members(['getCollection', 'runCommand', 'stats', 'users'])
+    expect(await candidates('db.getCollection(')).to.deep.equal(["'orders'", "'system.profile'", "'users'"])
+  })
+
+  it('completes collection methods', async () => {
+    expect(await complete('users.fi', source)).to.deep.equal({
+      candidates: ['find', 'findOne', 'findOneAndDelete', 'findOneAndReplace', 'findOneAndUpdate'],
+      fragment: 'fi',
+    })
+    expect(await candidates('db.users.dro')).to.deep.equal(['drop', 'dropIndex', 'dropIndexes'])
+    expect(await candidates('db.getCollection("users").count')).to.deep.equal(['count', 'countDocuments'])
+    expect(await candidates('db.system.profile.findOne')).to.deep.equal(['findOne', 'findOneAndDelete', 'findOneAndReplace', 'findOneAndUpdate'])
+  })
+
+  it('completes cursor methods that apply to the operation', async () => {
+    expect(await candidates('users.find({age: 1}).')).to.include.members(['limit', 'sort', 'toArray'])
+    expect(await candidates('users.aggregate([]).')).to.deep.equal(['batchSize', 'explain', 'maxTimeMS', 'pretty', 'toArray'])
+    expect(await candidates('users.find().limit(5).s')).to.deep.equal(['skip', 'sort'])
+    expect(await candidates('users.find().toArray().')).to.deep.equal([])
+    expect(await candidates('users.findOne().')).to.deep.equal([])
+  })
+
+  it('completes operators for the method in key position', async () => {
+    expect(await candidates('users.find({age: {$g')).to.deep.equal(['$geoIntersects', '$geoWithin', '$geometry', '$gt', '$gte'])
+    expect(await candidates('users.updateOne({}, {$se')).to.deep.equal(['$search', '$set', '$setOnInsert'])
+    expect(await candidates('users.aggregate([{$gr')).to.deep.equal(['$graphLookup', '$group'])
+    expect(await candidates('users.find({age: $g')).to.deep.equal([])
+  })
+
+  it('completes sampled field paths in key position', async () => {
+    expect(await candidates('users.find({a')).to.deep.equal(['address', 'age'])
+    expect(await candidates('users.find({name: "Ann", "address.')).to.deep.equal(['"address.city"'])
+    expect(await candidates("users.find({'f")).to.deep.equal(["'first-name'"])
+    expect(await candidates('users.find().sort({n')).to.deep.equal(['name'])
+    expect(await candidates('db.system.profile.find({m')).to.deep.equal(['millis'])
+    expect(await candidates('users.find({tags: [a')).to.deep.equal([])
+  })
+
+  it('completes field references in aggregation expressions', async () => {
+    expect(await candidates("users.aggregate([{$group: {_id: '$add")).to.deep.equal(["'$address'", "'$address.city'"])
+  })
+})
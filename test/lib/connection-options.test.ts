@@ -0,0 +1,74 @@
+import {expect} from 'chai'
+import * as fs from 'node:fs'
+import * as os from 'node:os'
+import * as path from 'node:path'
+import {applyConnectionFlags} from '../../src/lib/connection-options'
+import {CliError} from '../../src/lib/errors'
+
+describe('applyConnectionFlags', () => {
+  const caFile = path.join(os.tmpdir(), `mongosh-clone-ca-${process.pid}.pem`)
+
+  before(() => {
+    fs.writeFileSync(caFile, '')
+  })
+
+  after(() => {
+    fs.rmSync(caFile, {force: true})
+  })
+
+  it('turns flags into client options, with TLS implied by certificate flags', () => {
+    const {connectionString, options} = applyConnectionFlags('mongodb://db:27017/app', {
+      tlsCAFile: caFile,
+      authenticationDatabase: 'admin',
+      authenticationMechanism: 'SCRAM-SHA-256',
+      readPreference: 'secondary',
+      directConnection: true,
+      serverSelectionTimeoutMS: 5000,
+    })
+    expect(connectionString).to.equal('mongodb://db:27017/app')
+    expect(options).to.deep.equal({
+      tls: true,
+      tlsCAFile: caFile,
+      authSource: 'admin',
+      authMechanism: 'SCRAM-SHA-256',
+      readPreference: 'secondary',
+      directConnection: true,
+      serverSelectionTimeoutMS: 5000,
+    })
+  })
+
+  it('puts the user name and password into the connection string', () => {
+    expect(applyConnectionFlags('mongodb://db:27017', {username: 'ann@corp', password: 'p@ss'}).connectionString)
+    .to.equal('mongodb://ann%40corp:p%40ss@db:27017')
+    expect(applyConnectionFlags('mongodb://ann@db:27017', {password: 'pw'}).connectionString).to.equal('mongodb://ann:pw@db:27017')
+    expect(applyConnectionFlags('mongodb://ann:pw@db:27017', {username: 'ann'}).connectionString).to.equal('mongodb://ann:pw@db:27017')
+  })
+
+  it('allows flags that repeat the connection string or profile', () => {
+    const {options} = applyConnectionFlags('mongodb://db:27017/?ssl=true&readPreference=SECONDARY', {tls: true, readPreference: 'secondary'}, {appName: 'ops'})
+    expect(options).to.deep.equal({appName: 'ops', tls: true, readPreference: 'secondary'})
+  })
+
+  it('rejects flags that contradict the connection string or profile', () => {
+    expect(() => applyConnectionFlags('mongodb://db:27017/?readPreference=primary', {readPreference: 'secondary'}))
+    .to.throw(CliError, '--readPreference secondary conflicts with readPreference=primary in the connection string')
+    expect(() => applyConnectionFlags('mongodb://db:27017/?authSource=app', {authenticationDatabase: 'admin'}))
+    .to.throw(CliError, '--authenticationDatabase admin conflicts with authSource=app')
+    expect(() => applyConnectionFlags('mongodb://db:27017/?ssl=false', {tls: true})).to.throw(CliError, '--tls conflicts with ssl=false')
+    expect(() => applyConnectionFlags('mongodb://db:27017/?tls=false', {tlsCAFile: caFile})).to.throw(CliError, '--tlsCAFile needs TLS')
+    expect(() => applyConnectionFlags('mongodb://db:27017', {appName: 'cli'}, {appName: 'ops'})).to.throw(CliError, 'appName=ops in the profile')
+    expect(() => applyConnectionFlags('mongodb://bob@db:27017', {username: 'ann'})).to.throw(CliError, 'user "bob" in the connection string')
+    expect(() => applyConnectionFlags('mongodb://ann:one@db:27017', {password: 'two'})).to.throw(CliError, '--password conflicts')
+  })
+
+  it('rejects flag combinations that cannot work', () => {
+    expect(() => applyConnectionFlags('mongodb://db:27017', {password: 'pw'})).to.throw(CliError, '--password needs a user name')
+    expect(() => applyConnectionFlags('mongodb://db:27017', {tlsCAFile: '/nonexistent/ca.pem'})).to.throw(CliError, 'file not found')
+    expect(() => applyConnectionFlags('mongodb://db:27017', {authenticationMechanism: 'MONGODB-X509'}))
+    .to.throw(CliError, 'needs a client certificate')
+    expect(() => applyConnectionFlags('mongodb://ann@db:27017', {authenticationMechanism: 'MONGODB-X509', tlsCertificateKeyFile: caFile, password: 'pw'}))
+    .to.throw(CliError, 'cannot be used with MONGODB-X509')
+    expect(() => applyConnectionFlags('mongodb+srv://cluster.example.net', {directConnection: true}))
+    .to.throw(CliError).with.property('category', 'usage')
+  })
+})
@@ -0,0 +1,109 @@
+import {expect} from 'chai'
+import {Document, FindCursor, Long, MongoClient} from 'mongodb'
+import {connectionManager, CursorState} from '../../src/lib/connection'
+import {CursorPager} from '../../src/lib/cursor-pager'
+
+// Not part of the typed API; the driver version is pinned for CursorPager
+// eslint-disable-next-line unicorn/prefer-module -- no type declarations
+const {applySession} = require('mongodb/lib/sessions')
+
+const LSID = '0123456789abcdef0123456789abcdef'
+
+/**
+ * A client that is never connected: sessions and their pool work without
+ * a server, so these tests exercise the driver internals CursorPager
+ * relies on
+ * @returns the client
+ */
+function offlineClient(): MongoClient {
+  return new MongoClient('mongodb://localhost:27017')
+}
+
+/**
+ * Ids of the server sessions `client` would end with endSessions on close
+ * @param client the client
+ * @returns the ids, as hex
+ */
+function pooledSessionIds(client: MongoClient): string[] {
+  return [...(client as any).s.sessionPool.sessions].map(session => session.id.id.toString('hex'))
+}
+
+/**
+ * Runs `action` with the saved cursor kept in memory rather than in the
+ * config file
+ * @param initial the cursor saved beforehand
+ * @param action receives a function reading the saved cursor
+ * @returns what `action` returns
+ */
+async function withCursor<T>(initial: CursorState | undefined, action: (saved: () => CursorState | undefined) => Promise<T>) {
+  const {saveCursor, getCursor} = connectionManager
+  let state = initial
+  connectionManager.saveCursor = cursor => {
+    state = cursor
+  }
+
+  connectionManager.getCursor = () => state
+  try {
+    return await action(() => state)
+  } finally {
+    connectionManager.saveCursor = saveCursor
+    connectionManager.getCursor = getCursor
+  }
+}
+
+describe('CursorPager', () => {
+  it('keeps the session of an open cursor out of the endSessions sent on close', async () => {
+    const client = offlineClient()
+    const session = client.startSession()
+    const lsid = session.id!.id.toString('hex')
+    const cursor = {
+      id: Long.fromNumber(42),
+      namespace: {toString: () => 'shop.orders'},
+      hasNext: async () => true,
+      readBufferedDocuments: () => [{_id: 1}, {_id: 2}],
+    }
+
+    const result = await withCursor(undefined, async saved => {
+      const page = await CursorPager.firstBatch(cursor as unknown as FindCursor, session, 2)
+      expect(saved()).to.include({id: '42', namespace: 'shop.orders', lsid, position: 2})
+      return page
+    })
+
+    expect(result.footer).to.equal('Type "it" for more')
+    expect(session.hasEnded).to.equal(true)
+    expect(pooledSessionIds(client)).to.deep.equal([])
+  })
+
+  it('sends getMore in the saved session and keeps that session out of the endSessions sent on close', async () => {
+    const client = offlineClient()
+    let sent: Document | undefined
+    client.db = (() => ({
+      async command(command: Document, options: Document) {
+        // What the driver does to every command before sending it
+        applySession(options.session, command, {})
+        sent = command
+        return {cursor: {id: Long.fromNumber(42), nextBatch: [{_id: 3}]}}
+      },
+    })) as unknown as MongoClient['db']
+
+    const {getClient} = connectionManager
+    connectionManager.getClient = () => client
+    try {
+      const state = {id: '42', namespace: 'shop.orders', lsid: LSID, batchSize: 2, position: 2}
+      const result = await withCursor(state, async saved => {
+        const page = await CursorPager.nextBatch()
+        expect(saved()).to.include({position: 3})
+        return page
+      })
+
+      expect(result.message).to.equal('Showing documents 3-3:')
+    } finally {
+      connectionManager.getClient = getClient
+    }
+
+    expect(sent).to.include({collection: 'orders', batchSize: 2})
+    expect(sent!.getMore.toString()).to.equal('42')
+    expect(sent!.lsid.id.toString('hex')).to.equal(LSID)
+    expect(pooledSessionIds(client)).to.deep.equal([])
+  })
+})
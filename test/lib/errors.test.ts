@@ -0,0 +1,85 @@
+import {expect} from 'chai'
+import {MongoNetworkError, MongoServerError, MongoServerSelectionError} from 'mongodb'
+import {CliError, describeError, EXIT_CODES} from '../../src/lib/errors'
+import {OperationParser} from '../../src/lib/operation-parser'
+
+function serverError(code: number, codeName: string): MongoServerError {
+  return new MongoServerError({message: `${codeName} happened`, code, codeName})
+}
+
+function parseFailure(operation: string): unknown {
+  try {
+    OperationParser.validate(OperationParser.parse(operation))
+  } catch (error) {
+    return error
+  }
+
+  throw new Error(`${operation} parsed`)
+}
+
+function rejected(message: string): string | null {
+  return describeError(new MongoServerError({message, code: 2}), 'users.find({})').hint
+}
+
+describe('errors', () => {
+  it('describes parse errors with what was expected', () => {
+    const envelope = describeError(parseFailure('users.find({a: 1'), 'users.find({a: 1')
+    expect(envelope).to.include({code: EXIT_CODES.parse, codeName: 'ParseError', operation: 'users.find({a: 1'})
+    expect(envelope.hint).to.be.a('string')
+  })
+
+  it('maps server error codes to categories', () => {
+    expect(describeError(serverError(18, 'AuthenticationFailed'), 'connect')).to.include({code: EXIT_CODES.auth, codeName: 'AuthenticationFailed'})
+    expect(describeError(serverError(11_000, 'DuplicateKey'), 'users.insertOne({})')).to.include({
+      code: EXIT_CODES.writeConflict,
+      hint: 'A document with the same value for a unique index already exists',
+    })
+    expect(describeError(serverError(50, 'MaxTimeMSExpired'), 'users.find({})').code).to.equal(EXIT_CODES.timeout)
+    expect(describeError(serverError(26, 'NamespaceNotFound'), 'users.drop()')).to.include({code: EXIT_CODES.server, hint: null})
+  })
+
+  it('suggests the operator a server rejected', () => {
+    expect(rejected('unknown operator: $gtee')).to.equal("Did you mean '$gte'?")
+    expect(rejected('Unknown modifier: $sett. Expected a valid update modifier or pipeline-style update specified as an array')).to.equal("Did you mean '$set'?")
+    expect(rejected("Unrecognized pipeline stage name: '$matchh'")).to.equal("Did you mean '$match'?")
+    expect(rejected("Invalid $project :: caused by :: Unrecognized expression '$sinn'")).to.equal("Did you mean '$sin'?")
+    expect(rejected('unknown operator: $someFutureOperator')).to.equal(null)
+  })
+
+  it('classifies wrapped errors by their cause', () => {
+    const auth = new CliError('Failed to connect: bad auth', 'notConnected', {cause: serverError(18, 'AuthenticationFailed')})
+    expect(describeError(auth, 'connect')).to.include({
+      code: EXIT_CODES.auth,
+      message: 'Failed to connect: bad auth',
+      hint: 'Check the username, password and authSource in the connection string',
+    })
+
+    const refused = new CliError('Failed to connect: refused', 'notConnected', {cause: new MongoNetworkError('connect ECONNREFUSED')})
+    expect(describeError(refused, 'connect').code).to.equal(EXIT_CODES.notConnected)
+
+    const selection = new MongoServerSelectionError('Server selection timed out', {} as any)
+    expect(describeError(new CliError('Failed', 'notConnected', {cause: selection}), 'use app').code).to.equal(EXIT_CODES.timeout)
+
+    const script = new CliError('TypeError: x is not a function', 'general', {cause: new TypeError('x is not a function')})
+    expect(describeError(script, 'db.x()')).to.include({code: EXIT_CODES.general, codeName: 'Error', hint: null})
+  })
+
+  it('keeps the hint and category of CLI errors', () => {
+    const error = new CliError('No database selected', 'notConnected', {hint: 'Run "mongosh-clone use <database_name>" first'})
+    expect(describeError(error, 'users.find({})')).to.deep.equal({
+      code: EXIT_CODES.notConnected,
+      codeName: 'NotConnected',
+      message: 'No database selected',
+      operation: 'users.find({})',
+      hint: 'Run "mongosh-clone use <database_name>" first',
+    })
+  })
+
+  it('treats oclif argument errors and bad connection strings as usage errors', () => {
+    const missingArg = Object.assign(new Error('Missing 1 required arg'), {oclif: {exit: 2}})
+    expect(describeError(missingArg, 'use').code).to.equal(EXIT_CODES.usage)
+
+    const badUri = Object.assign(new Error('Invalid scheme'), {name: 'MongoParseError'})
+    expect(describeError(badUri, 'connect').code).to.equal(EXIT_CODES.usage)
+  })
+})
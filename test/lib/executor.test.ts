@@ -0,0 +1,102 @@
+import {expect} from 'chai'
+import {Collection, Document, MongoClient} from 'mongodb'
+import {connectionManager} from '../../src/lib/connection'
+import {OperationExecutor} from '../../src/lib/executor'
+import {OperationParser} from '../../src/lib/operation-parser'
+
+type Fake = Record<string, any>
+
+/**
+ * Runs `operation` with `collection` and `client` standing in for the
+ * current connection's
+ * @param operation the operation, as typed
+ * @param fakes the collection and client
+ * @param options the execute options
+ * @returns the result
+ */
+async function execute(operation: string, fakes: {collection?: Fake; client?: Fake}, options = {}) {
+  const {getCollection, getClient} = connectionManager
+  connectionManager.getCollection = (() => fakes.collection) as unknown as <T extends Document>(name: string) => Collection<T>
+  connectionManager.getClient = () => fakes.client as MongoClient
+  try {
+    return await OperationExecutor.execute(OperationParser.parse(operation), options)
+  } finally {
+    connectionManager.getCollection = getCollection
+    connectionManager.getClient = getClient
+  }
+}
+
+describe('OperationExecutor', () => {
+  describe('aggregate', () => {
+    it('reports the size of the $merge target, not a written count', async () => {
+      const collection = {
+        dbName: 'shop',
+        // $merge returns no documents
+        aggregate: () => [],
+      }
+      const client = {db: (name: string) => ({collection: (coll: string) => ({estimatedDocumentCount: async () => (name === 'shop' && coll === 'totals' ? 120 : 0)})})}
+
+      const result = await execute('orders.aggregate([{$group: {_id: "$sku"}}, {$merge: {into: "totals"}}])', {collection, client})
+      expect(result.value).to.deep.equal({namespace: 'shop.totals', collectionCount: 120})
+      expect(result.message).to.equal('Aggregation results written to shop.totals, which now holds 120 document(s)')
+    })
+  })
+
+  describe('find and modify', () => {
+    it('returns the document itself rather than the result metadata', async () => {
+      const calls: Document[] = []
+      const collection = {
+        async findOneAndUpdate(_filter: Document, _update: Document, options: Document) {
+          calls.push(options)
+          return {_id: 1, qty: 5}
+        },
+        async findOneAndReplace(_filter: Document, _replacement: Document, options: Document) {
+          calls.push(options)
+          return null
+        },
+        async findOneAndDelete(_filter: Document, options: Document) {
+          calls.push(options)
+          return {_id: 2}
+        },
+      }
+
+      const updated = await execute('items.findOneAndUpdate({_id: 1}, {$inc: {qty: 1}}, {returnDocument: "after"})', {collection})
+      expect(updated).to.include({message: 'Document after update:', display: 'json'})
+      expect(updated.value).to.deep.equal({_id: 1, qty: 5})
+
+      const replaced = await execute('items.findOneAndReplace({_id: 9}, {qty: 0})', {collection})
+      expect(replaced).to.include({value: null, message: 'No document matched', warning: true})
+
+      const deleted = await execute('items.findOneAndDelete({_id: 2})', {collection})
+      expect(deleted.value).to.deep.equal({_id: 2})
+
+      expect(calls.map(options => options.includeResultMetadata)).to.deep.equal([false, false, false])
+    })
+  })
+
+  describe('find', () => {
+    it('ends the paging session when a cursor modifier fails', async () => {
+      let ended = false
+      const cursor = {
+        batchSize: () => cursor,
+        sort() {
+          throw new Error('Invalid sort value')
+        },
+      }
+      const collection = {find: () => cursor}
+      const client = {startSession: () => ({endSession: async () => {
+        ended = true
+      }})}
+
+      let error: Error | undefined
+      try {
+        await execute('users.find({}).sort("name")', {collection, client}, {batchSize: 20})
+      } catch (error_) {
+        error = error_ as Error
+      }
+
+      expect(error?.message).to.equal('Invalid sort value')
+      expect(ended).to.equal(true)
+    })
+  })
+})
@@ -0,0 +1,85 @@
+import {expect} from 'chai'
+import {describeExplain} from '../../src/lib/explain-plan'
+
+const indexScan = {stage: 'IXSCAN', indexName: 'status_1', keyPattern: {status: 1}}
+
+describe('describeExplain', () => {
+  it('renders executionStats as a stage tree with per-stage counters', () => {
+    const report = describeExplain({
+      queryPlanner: {winningPlan: {stage: 'FETCH', inputStage: indexScan}, rejectedPlans: []},
+      executionStats: {
+        nReturned: 12,
+        executionTimeMillis: 3,
+        totalKeysExamined: 12,
+        totalDocsExamined: 12,
+        executionStages: {
+          stage: 'FETCH',
+          nReturned: 12,
+          docsExamined: 12,
+          executionTimeMillisEstimate: 2,
+          inputStage: {...indexScan, nReturned: 12, keysExamined: 12, executionTimeMillisEstimate: 1},
+        },
+      },
+    })
+
+    expect(report.summary).to.equal('Returned 12 document(s) in 3 ms, examined 12 key(s) and 12 document(s)')
+    expect(report.stages.map(stage => stage.text)).to.deep.equal([
+      'FETCH  returned 12  docs 12  2 ms',
+      '└─ IXSCAN  index status_1 {"status":1}  returned 12  keys 12  1 ms',
+    ])
+    expect(report.warnings).to.deep.equal([])
+  })
+
+  it('flags collection scans, in-memory sorts and unselective plans', () => {
+    const report = describeExplain({
+      queryPlanner: {winningPlan: {stage: 'SORT'}},
+      executionStats: {
+        nReturned: 2,
+        executionTimeMillis: 40,
+        totalKeysExamined: 0,
+        totalDocsExamined: 5000,
+        executionStages: {
+          stage: 'SORT',
+          sortPattern: {createdAt: -1},
+          nReturned: 2,
+          inputStage: {stage: 'COLLSCAN', filter: {name: {$eq: 'Ann'}}, nReturned: 2, docsExamined: 5000},
+        },
+      },
+    })
+
+    expect(report.stages.map(stage => stage.warning)).to.deep.equal([true, true])
+    expect(report.warnings).to.have.length(3)
+    expect(report.warnings[0]).to.match(/^In-memory SORT/)
+    expect(report.warnings[1]).to.match(/^COLLSCAN/)
+    expect(report.warnings[2]).to.match(/^Examined 2500 keys or documents per document returned/)
+  })
+
+  it('lists rejected plans on one line each', () => {
+    const report = describeExplain({
+      queryPlanner: {
+        winningPlan: {queryPlan: {stage: 'FETCH', inputStage: indexScan}},
+        rejectedPlans: [
+          {queryPlan: {stage: 'FETCH', inputStage: {stage: 'IXSCAN', indexName: 'status_1_created_1'}}},
+          {stage: 'OR', inputStages: [{stage: 'IXSCAN', indexName: 'a_1'}, {stage: 'IXSCAN', indexName: 'b_1'}]},
+        ],
+      },
+    })
+
+    expect(report.summary).to.equal(undefined)
+    expect(report.stages.map(stage => stage.text)).to.deep.equal(['FETCH', '└─ IXSCAN  index status_1 {"status":1}'])
+    expect(report.rejectedPlans).to.deep.equal(['FETCH > IXSCAN status_1_created_1', 'OR(IXSCAN a_1, IXSCAN b_1)'])
+  })
+
+  it('follows the $cursor stage and later stages of an aggregation', () => {
+    const report = describeExplain({
+      stages: [
+        {$cursor: {queryPlanner: {winningPlan: {stage: 'COLLSCAN'}}}},
+        {$group: {_id: '$status'}, nReturned: 3, executionTimeMillisEstimate: 4},
+        {$sort: {sortKey: {count: -1}}, nReturned: 3},
+      ],
+    })
+
+    expect(report.stages.map(stage => stage.text)).to.deep.equal(['COLLSCAN', '$group  returned 3  4 ms', '$sort  returned 3'])
+    expect(report.stages[2].warning).to.equal(true)
+  })
+})
@@ -0,0 +1,79 @@
+import {expect} from 'chai'
+import {BSON} from 'mongodb'
+import {formatDocument, formatOutput, isMachineFormat} from '../../src/lib/formatters'
+
+const id = new BSON.ObjectId('65f1a2b3c4d5e6f708192a3b')
+const docs = [
+  {_id: id, name: 'Ann', address: {city: 'Oslo', zip: '0150'}, tags: ['a', 'b'], joined: new Date('2024-01-02T00:00:00Z')},
+  {_id: 2, name: 'Bob, Jr.', total: BSON.Decimal128.fromString('19.99')},
+]
+
+describe('formatOutput', () => {
+  it('keeps BSON types in canonical and relaxed EJSON', () => {
+    const canonical = JSON.parse(formatOutput(docs, 'ejson-canonical'))
+    expect(canonical[0]._id).to.deep.equal({$oid: '65f1a2b3c4d5e6f708192a3b'})
+    expect(canonical[0].joined).to.deep.equal({$date: {$numberLong: '1704153600000'}})
+    expect(canonical[1]._id).to.deep.equal({$numberInt: '2'})
+
+    const relaxed = JSON.parse(formatOutput(docs, 'ejson-relaxed'))
+    expect(relaxed[0].joined).to.deep.equal({$date: '2024-01-02T00:00:00Z'})
+    expect(relaxed[1]._id).to.equal(2)
+  })
+
+  it('writes one relaxed EJSON document per line for ndjson', () => {
+    const lines = formatOutput(docs, 'ndjson').split('\n')
+    expect(lines).to.have.length(2)
+    expect(JSON.parse(lines[1])).to.deep.equal({_id: 2, name: 'Bob, Jr.', total: {$numberDecimal: '19.99'}})
+  })
+
+  it('flattens subdocuments into table columns and truncates long cells', () => {
+    const table = formatOutput(docs, 'table', {maxColumnWidth: 10}).split('\n')
+    expect(table[0].split(/\s+/)).to.deep.equal(['_id', 'name', 'address.city', 'address.zip', 'tags', 'joined', 'total'])
+    expect(table[2]).to.contain('65f1a2b3c…')
+    expect(table[2]).to.contain('Oslo')
+  })
+
+  it('writes CSV for the requested fields, quoting where needed', () => {
+    expect(formatOutput(docs, 'csv', {fields: ['name', 'address.city', 'tags']})).to.equal([
+      'name,address.city,tags',
+      'Ann,Oslo,"[""a"",""b""]"',
+      '"Bob, Jr.",,',
+    ].join('\n'))
+  })
+
+  it('writes each document as a YAML document', () => {
+    expect(formatOutput(docs, 'yaml')).to.equal([
+      '_id: "65f1a2b3c4d5e6f708192a3b"',
+      'name: Ann',
+      'address:',
+      '  city: Oslo',
+      '  zip: "0150"',
+      'tags:',
+      '  - a',
+      '  - b',
+      'joined: "2024-01-02T00:00:00.000Z"',
+      '---',
+      '_id: 2',
+      'name: "Bob, Jr."',
+      'total: "19.99"',
+    ].join('\n'))
+  })
+
+  it('lays out bare values under a value column', () => {
+    expect(formatOutput(42, 'csv')).to.equal('value\n42')
+  })
+})
+
+describe('formatDocument', () => {
+  it('prints streamed documents on one line unless the format is pretty-printed', () => {
+    expect(formatDocument({_id: 1}, 'ndjson')).to.equal('{"_id":1}')
+    expect(formatDocument({_id: 1}, 'csv')).to.equal('{"_id":1}')
+    expect(formatDocument({_id: 1}, 'json')).to.equal('{\n  "_id": 1\n}')
+  })
+})
+
+describe('isMachineFormat', () => {
+  it('treats text and table as human formats', () => {
+    expect(['text', 'table', 'json', 'csv'].map(format => isMachineFormat(format as any))).to.deep.equal([false, false, true, true])
+  })
+})
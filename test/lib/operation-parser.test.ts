@@ -0,0 +1,517 @@
+import {expect} from 'chai'
+import {BSON} from 'mongodb'
+import {OperationParser, ParseError} from '../../src/lib/operation-parser'
+
+function validate(operation: string) {
+  return () => OperationParser.validate(OperationParser.parse(operation))
+}
+
+function parseError(operation: string, andValidate = false): ParseError {
+  try {
+    const parsed = OperationParser.parse(operation)
+    if (andValidate) OperationParser.validate(parsed)
+  } catch (error) {
+    expect(error).to.be.instanceOf(ParseError)
+    return error as ParseError
+  }
+
+  throw new Error(`expected "${operation}" to fail`)
+}
+
+describe('OperationParser', () => {
+  describe('parse', () => {
+    it('parses empty argument lists', () => {
+      expect(OperationParser.parse('movies.find()')).to.deep.equal({
+        collection: 'movies',
+        method: 'find',
+        arguments: [],
+        scope: 'collection',
+        chain: [],
+        input: 'movies.find()',
+        methodPosition: 7,
+      })
+    })
+
+    it('still accepts strict JSON arguments', () => {
+      const parsed = OperationParser.parse('users.updateOne({"name": "John"}, {"$set": {"age": 30}})')
+      expect(parsed.arguments).to.deep.equal([{name: 'John'}, {$set: {age: 30}}])
+    })
+
+    it('accepts unquoted keys and operators', () => {
+      const parsed = OperationParser.parse('users.find({age: {$gte: 18}})')
+      expect(parsed.arguments).to.deep.equal([{age: {$gte: 18}}])
+    })
+
+    it('accepts single and double quoted strings', () => {
+      const parsed = OperationParser.parse('users.find({name: \'O"Brien\', city: "Rome"})')
+      expect(parsed.arguments).to.deep.equal([{name: 'O"Brien', city: 'Rome'}])
+    })
+
+    it('accepts trailing commas', () => {
+      const parsed = OperationParser.parse('users.find({a: 1, b: [1, 2,],}, {name: 1},)')
+      expect(parsed.arguments).to.deep.equal([{a: 1, b: [1, 2]}, {name: 1}])
+    })
+
+    it('accepts block and line comments', () => {
+      const parsed = OperationParser.parse('users.find({/* adults */ age: 18} // only\n)')
+      expect(parsed.arguments).to.deep.equal([{age: 18}])
+    })
+
+    it('accepts negative and hex numbers', () => {
+      const parsed = OperationParser.parse('users.find({score: -1.5, flags: 0xff, n: +3})')
+      expect(parsed.arguments).to.deep.equal([{score: -1.5, flags: 255, n: 3}])
+    })
+
+    it('parses dotted collection names', () => {
+      const parsed = OperationParser.parse('db.system.profile.find({millis: {$gt: 100}}).limit(5)')
+      expect(parsed.collection).to.equal('system.profile')
+      expect(parsed.method).to.equal('find')
+      expect(parsed.chain.map(call => call.method)).to.deep.equal(['limit'])
+      expect(OperationParser.parse('app.events.countDocuments()').collection).to.equal('app.events')
+      expect(OperationParser.parse("db.getCollection('app.events').find()").collection).to.equal('app.events')
+    })
+
+    it('strips surrounding shell quotes', () => {
+      expect(OperationParser.parse("'logs.countDocuments({})'").method).to.equal('countDocuments')
+    })
+  })
+
+  describe('tokenize', () => {
+    it('ignores parentheses and dots inside strings, comments and regex literals', () => {
+      const parsed = OperationParser.parse(
+        'logs.find({msg: "a) b.c", note: \'(\', /* ) */ re: /\\)[)]/i}) // trailing )',
+      )
+      expect(parsed.chain).to.have.length(0)
+      expect(parsed.arguments[0].msg).to.equal('a) b.c')
+      expect(parsed.arguments[0].re.pattern).to.equal('\\)[)]')
+    })
+
+    it('reports mismatched brackets where they occur', () => {
+      expect(() => OperationParser.parse('users.find({tags: [1, 2})')).to.throw(ParseError, "Unexpected '}'")
+    })
+
+    it('reports unterminated strings', () => {
+      expect(() => OperationParser.parse('users.find({name: "John})')).to.throw(ParseError, 'Unterminated string')
+    })
+
+    it('tells input that ended early from input that is wrong', () => {
+      expect(OperationParser.isIncomplete('users.find({\n  name: "Ann",')).to.equal(true)
+      expect(OperationParser.isIncomplete('users.find({note: `line one\nline two')).to.equal(true)
+      expect(OperationParser.isIncomplete('users.find({}) /* still')).to.equal(true)
+      expect(OperationParser.isIncomplete('users.find({name: "Ann"})')).to.equal(false)
+      expect(OperationParser.isIncomplete('users.find({tags: [1, 2})')).to.equal(false)
+      expect(OperationParser.isIncomplete('users.find({name: "Ann')).to.equal(false)
+    })
+
+    it('ends partial input with the argument list that is still open', () => {
+      const tokens = OperationParser.tokenize('users.find({age: 1}).sort({na', true)
+      expect(tokens.map(token => token.value)).to.deep.equal(['users', '.', 'find', '(', '{age: 1}', ')', '.', 'sort', '(', '{na'])
+      expect(() => OperationParser.tokenize('users.sort({na')).to.throw(ParseError, "Unclosed '{'")
+    })
+
+    it('tokenizes large payloads in linear time', () => {
+      const docs = Array.from({length: 2000}, (_, i) => `{name: "user (${i})", tags: ["a.b", 'c,d'], n: ${i}}`)
+      const operation = `users.insertMany([${docs.join(', ')}])`
+      expect(operation.length).to.be.greaterThan(100_000)
+
+      const started = Date.now()
+      const parsed = OperationParser.parse(operation)
+      expect(parsed.arguments[0]).to.have.length(2000)
+      expect(Date.now() - started).to.be.lessThan(2000)
+    })
+  })
+
+  describe('parseArguments', () => {
+    it('keeps __proto__ keys as data', () => {
+      const [doc] = OperationParser.parseArguments('{__proto__: 5, "__proto__x": 1}')
+      expect(Object.keys(doc)).to.deep.equal(['__proto__', '__proto__x'])
+      expect(Object.getOwnPropertyDescriptor(doc, '__proto__')?.value).to.equal(5)
+      expect(Object.getPrototypeOf(doc)).to.equal(Object.prototype)
+    })
+
+    it('rejects syntax errors', () => {
+      expect(() => OperationParser.parseArguments('{a: }')).to.throw(/Invalid argument syntax/)
+    })
+
+    it('rejects unknown identifiers', () => {
+      expect(() => OperationParser.parseArguments('{a: someVar}')).to.throw(/Unknown identifier "someVar"/)
+    })
+
+    it('rejects unknown functions', () => {
+      expect(() => OperationParser.parseArguments('{a: f()}')).to.throw(/Unknown function "f"/)
+    })
+
+    it('rejects method calls', () => {
+      expect(() => OperationParser.parseArguments('{a: Math.max(1, 2)}')).to.throw(/Unsupported expression: CallExpression/)
+    })
+
+    it('rejects empty arguments', () => {
+      expect(() => OperationParser.parseArguments('{}, , {}')).to.throw(/Empty argument/)
+    })
+  })
+
+  describe('BSON types', () => {
+    const [doc] = OperationParser.parseArguments(`{
+      _id: ObjectId('65f1a2b3c4d5e6f708192a3b'),
+      created: ISODate('2024-01-02T03:04:05Z'),
+      updated: new Date(0),
+      big: NumberLong('9007199254740993'),
+      small: NumberInt(7),
+      price: NumberDecimal('19.99'),
+      uid: UUID('0e3bbb2c-4d8f-4b0c-9b0d-6c1f2c9a7b11'),
+      bin: BinData(0, 'aGVsbG8='),
+      ts: Timestamp(1700000000, 1),
+      lo: MinKey(),
+      hi: MaxKey,
+      name: /^jo/i,
+    }`)
+
+    it('maps shell helpers to driver BSON values', () => {
+      expect(doc._id).to.be.instanceOf(BSON.ObjectId)
+      expect(doc._id.toHexString()).to.equal('65f1a2b3c4d5e6f708192a3b')
+      expect(doc.created).to.be.instanceOf(Date)
+      expect(doc.created.toISOString()).to.equal('2024-01-02T03:04:05.000Z')
+      expect(doc.updated.getTime()).to.equal(0)
+      expect(doc.big.toString()).to.equal('9007199254740993')
+      expect(doc.small).to.be.instanceOf(BSON.Int32)
+      expect(doc.price.toString()).to.equal('19.99')
+      expect(doc.uid.toHexString()).to.equal('0e3bbb2c-4d8f-4b0c-9b0d-6c1f2c9a7b11')
+      expect(doc.bin.buffer.toString()).to.equal('hello')
+      expect(doc.ts).to.be.instanceOf(BSON.Timestamp)
+      expect(doc.lo).to.be.instanceOf(BSON.MinKey)
+      expect(doc.hi).to.be.instanceOf(BSON.MaxKey)
+      expect(doc.name).to.be.instanceOf(BSON.BSONRegExp)
+      expect(doc.name.options).to.equal('i')
+    })
+
+    it('accepts Extended JSON wrappers', () => {
+      const [filter] = OperationParser.parseArguments(
+        '{_id: {"$oid": "65f1a2b3c4d5e6f708192a3b"}, at: {$date: {$numberLong: "1000"}}, day: {$date: "2024-01-01T00:00:00Z"}}',
+      )
+      expect(filter._id).to.be.instanceOf(BSON.ObjectId)
+      expect(filter.at.getTime()).to.equal(1000)
+      expect(filter.day.toISOString()).to.equal('2024-01-01T00:00:00.000Z')
+    })
+
+    it('leaves query operators alone', () => {
+      const [filter] = OperationParser.parseArguments('{name: {$regex: "^jo", $options: "i"}}')
+      expect(filter).to.deep.equal({name: {$regex: '^jo', $options: 'i'}})
+    })
+
+    it('reports invalid helper arguments', () => {
+      expect(() => OperationParser.parseArguments('ObjectId("nope")')).to.throw(/Invalid ObjectId\("nope"\)/)
+      expect(() => OperationParser.parseArguments('ISODate("not a date")')).to.throw(/Invalid date/)
+      expect(() => OperationParser.parseArguments('/a/g')).to.throw(/Invalid regular expression/)
+    })
+  })
+
+  describe('cursor chaining', () => {
+    it('parses chained cursor methods in order', () => {
+      const parsed = OperationParser.parse('users.find({age: {$gte: 18}}).sort({name: 1, age: -1}).skip(20).limit(10)')
+      expect(parsed.arguments).to.deep.equal([{age: {$gte: 18}}])
+      expect(parsed.chain.map(({method, arguments: args}) => ({method, args}))).to.deep.equal([
+        {method: 'sort', args: [{name: 1, age: -1}]},
+        {method: 'skip', args: [20]},
+        {method: 'limit', args: [10]},
+      ])
+      expect(() => OperationParser.validate(parsed)).not.to.throw()
+    })
+
+    it('accepts hint followed by explain', () => {
+      const parsed = OperationParser.parse('logs.find({}).hint({timestamp: -1}).explain("executionStats")')
+      expect(() => OperationParser.validate(parsed)).not.to.throw()
+      expect(parsed.chain[1]).to.include({method: 'explain', position: 36})
+      expect(parsed.chain[1].arguments).to.deep.equal(['executionStats'])
+    })
+
+    it('rejects chains on operations that do not return a cursor', () => {
+      const parsed = OperationParser.parse('users.insertOne({}).sort({name: 1})')
+      expect(() => OperationParser.validate(parsed)).to.throw(/Cannot chain 'sort' after 'insertOne'/)
+    })
+
+    it('rejects collection methods used as cursor methods', () => {
+      const parsed = OperationParser.parse('users.find({}).insertOne({})')
+      expect(() => OperationParser.validate(parsed)).to.throw(/Invalid cursor method 'insertOne'/)
+    })
+
+    it('rejects chaining after a terminal method', () => {
+      const parsed = OperationParser.parse('users.find({}).explain().limit(1)')
+      expect(() => OperationParser.validate(parsed)).to.throw(/Cannot chain 'limit' after 'explain'/)
+    })
+
+    it('checks cursor method arity', () => {
+      const parsed = OperationParser.parse('users.find({}).limit()')
+      expect(() => OperationParser.validate(parsed)).to.throw(/'limit' expects 1 argument/)
+    })
+
+    it('rejects incomplete chains', () => {
+      expect(() => OperationParser.parse('users.find({}).sort')).to.throw(/Invalid operation format/)
+    })
+  })
+
+  describe('aggregate', () => {
+    it('accepts a pipeline with options', () => {
+      const parsed = OperationParser.parse(
+        'orders.aggregate([{$match: {status: "A"}}, {$group: {_id: "$cust_id", total: {$sum: "$amount"}}}], {allowDiskUse: true, maxTimeMS: 5000, let: {min: 10}})',
+      )
+      expect(() => OperationParser.validate(parsed)).not.to.throw()
+      expect(parsed.arguments[0]).to.have.length(2)
+      expect(parsed.arguments[1]).to.deep.equal({allowDiskUse: true, maxTimeMS: 5000, let: {min: 10}})
+    })
+
+    it('requires a pipeline array', () => {
+      const parsed = OperationParser.parse('orders.aggregate({$match: {}})')
+      expect(() => OperationParser.validate(parsed)).to.throw(/expects a pipeline array/)
+    })
+
+    it('rejects stages with more than one operator', () => {
+      const parsed = OperationParser.parse('orders.aggregate([{$match: {}, $limit: 5}])')
+      expect(() => OperationParser.validate(parsed)).to.throw(/Pipeline stage 0 must be a document with exactly one stage operator/)
+    })
+
+    it('suggests misspelled options', () => {
+      const parsed = OperationParser.parse('orders.aggregate([], {allowDiskuse: true})')
+      expect(() => OperationParser.validate(parsed)).to.throw("Unknown aggregate option 'allowDiskuse'. Did you mean 'allowDiskUse'?")
+    })
+
+    it('allows only aggregate cursor methods', () => {
+      expect(() => OperationParser.validate(OperationParser.parse('orders.aggregate([]).batchSize(100)'))).not.to.throw()
+      expect(() => OperationParser.validate(OperationParser.parse('orders.aggregate([]).sort({a: 1})')))
+      .to.throw(/'sort' is not supported on aggregate cursors/)
+    })
+  })
+
+  describe('index management', () => {
+    it('accepts compound, unique, partial, TTL, text, 2dsphere and wildcard indexes', () => {
+      expect(validate('users.createIndex({lastName: 1, firstName: -1}, {unique: true, name: "by_name"})')).not.to.throw()
+      expect(validate('orders.createIndex({status: 1}, {partialFilterExpression: {qty: {$gt: 10}}})')).not.to.throw()
+      expect(validate('sessions.createIndex({lastSeen: 1}, {expireAfterSeconds: 3600})')).not.to.throw()
+      expect(validate('posts.createIndex({title: "text", body: "text"}, {weights: {title: 10}})')).not.to.throw()
+      expect(validate('places.createIndex({location: "2dsphere"})')).not.to.throw()
+      expect(validate('events.createIndex({"$**": 1}, {wildcardProjection: {payload: 1}})')).not.to.throw()
+      expect(validate('events.createIndex({"attributes.$**": 1})')).not.to.throw()
+    })
+
+    it('accepts several key patterns in createIndexes', () => {
+      expect(validate('users.createIndexes([{email: 1}, {createdAt: -1}], {sparse: true})')).not.to.throw()
+      expect(validate('users.createIndexes({email: 1})')).to.throw(/createIndexes expects an array of key patterns/)
+      expect(validate("users.createIndexes([{email: 1}, {createdAt: -1}], {name: 'x'})"))
+      .to.throw(/cannot give several indexes the same name/)
+      expect(validate("users.createIndexes([{email: 1}], {name: 'by_email'})")).not.to.throw()
+    })
+
+    it('rejects empty key patterns and unknown index types', () => {
+      expect(validate('users.createIndex({})')).to.throw(/Index key pattern must be a non-empty document/)
+      expect(validate('posts.createIndex({title: "txt"})')).to.throw("Invalid index type \"txt\" for field 'title'. Did you mean 'text'?")
+      expect(validate('posts.createIndex({title: 0})')).to.throw(ParseError).with.property('expected', '1, -1 or one of text, 2dsphere, 2d, hashed')
+    })
+
+    it('checks index options', () => {
+      expect(validate('users.createIndex({email: 1}, {uniqe: true})')).to.throw("Unknown index option 'uniqe'. Did you mean 'unique'?")
+      expect(validate('sessions.createIndex({at: 1}, {expireAfterSeconds: -5})')).to.throw(/expireAfterSeconds must be a non-negative integer/)
+      expect(validate('orders.createIndex({a: 1}, {partialFilterExpression: "a"})')).to.throw(/partialFilterExpression must be a document/)
+    })
+
+    it('accepts the index maintenance methods', () => {
+      for (const operation of [
+        'users.getIndexes()',
+        'users.dropIndex("email_1")',
+        'users.dropIndex({email: 1})',
+        'users.dropIndexes()',
+        'users.dropIndexes(["a_1", "b_1"])',
+        'users.hideIndex("email_1")',
+        'users.unhideIndex({email: 1})',
+      ]) {
+        expect(validate(operation)).not.to.throw()
+      }
+    })
+  })
+
+  describe('extended operations', () => {
+    it('accepts find-and-modify options', () => {
+      expect(validate(
+        'counters.findOneAndUpdate({_id: "orders"}, {$inc: {seq: 1}}, {upsert: true, returnDocument: "after", sort: {_id: 1}})',
+      )).not.to.throw()
+      expect(validate(
+        'carts.findOneAndUpdate({_id: 1}, {$set: {"items.$[i].qty": 0}}, {arrayFilters: [{"i.sku": "A"}], returnNewDocument: true})',
+      )).not.to.throw()
+      expect(validate('users.findOneAndReplace({_id: 1}, {name: "Ann"}, {upsert: true})')).not.to.throw()
+      expect(validate('jobs.findOneAndDelete({state: "done"}, {sort: {finishedAt: 1}})')).not.to.throw()
+    })
+
+    it('rejects options that do not apply to the method', () => {
+      expect(validate('users.findOneAndDelete({}, {upsert: true})')).to.throw(/Unknown findOneAndDelete option 'upsert'/)
+      expect(validate('users.findOneAndUpdate({}, {$set: {a: 1}}, {returnDocumnet: "after"})'))
+      .to.throw("Unknown findOneAndUpdate option 'returnDocumnet'. Did you mean 'returnDocument'?")
+      expect(validate('users.replaceOne({}, {a: 1}, "upsert")')).to.throw(/replaceOne options must be a document/)
+    })
+
+    it('accepts distinct, count and estimatedDocumentCount', () => {
+      expect(validate('users.distinct("city", {active: true})')).not.to.throw()
+      expect(validate('users.count({active: true}, {limit: 100})')).not.to.throw()
+      expect(validate('users.estimatedDocumentCount({maxTimeMS: 1000})')).not.to.throw()
+    })
+
+    it('checks bulkWrite operations', () => {
+      expect(validate(
+        'users.bulkWrite([{insertOne: {document: {a: 1}}}, {updateOne: {filter: {a: 1}, update: {$set: {b: 2}}, upsert: true}}, {deleteMany: {filter: {}}}], {ordered: false})',
+      )).not.to.throw()
+      expect(validate('users.bulkWrite([])')).to.throw(/non-empty array of write operations/)
+      expect(validate('users.bulkWrite([{insertOne: {document: {}}, deleteOne: {filter: {}}}])')).to.throw(/operation 0 must be a document with exactly one operation/)
+      expect(validate('users.bulkWrite([{insrtOne: {document: {}}}])')).to.throw("Unknown bulkWrite operation 'insrtOne' at index 0. Did you mean 'insertOne'?")
+    })
+  })
+
+  describe('watch', () => {
+    it('accepts an optional filtering pipeline and change stream options', () => {
+      expect(validate('orders.watch()')).not.to.throw()
+      expect(validate('orders.watch([{$match: {operationType: "insert"}}])')).not.to.throw()
+      expect(validate('orders.watch([], {fullDocument: "updateLookup", maxAwaitTimeMS: 500})')).not.to.throw()
+    })
+
+    it('rejects malformed pipelines and options', () => {
+      expect(validate('orders.watch({operationType: "insert"})')).to.throw(/optional pipeline array/)
+      expect(validate('orders.watch([{$match: {}, $project: {}}])')).to.throw(/stage 0 must be a document/)
+      expect(validate('orders.watch([], {fullDocument: "updatelookup"})'))
+      .to.throw('Invalid fullDocument mode "updatelookup". Did you mean \'updateLookup\'?')
+      expect(validate('orders.watch([], {resumeToken: {}})')).to.throw(/Unknown watch option 'resumeToken'/)
+    })
+  })
+
+  describe('database scope', () => {
+    it('parses db.method(args) as a database operation', () => {
+      const parsed = OperationParser.parse('db.createCollection("events", {capped: true, size: 1e5})')
+      expect(parsed.scope).to.equal('database')
+      expect(parsed.collection).to.equal('')
+      expect(parsed.method).to.equal('createCollection')
+      expect(parsed.arguments).to.deep.equal(['events', {capped: true, size: 100_000}])
+      expect(() => OperationParser.validate(parsed)).not.to.throw()
+    })
+
+    it('accepts argument-less database methods', () => {
+      for (const operation of ['db.getCollectionNames()', 'db.dropDatabase()', 'db.stats()', 'db.getName()']) {
+        const parsed = OperationParser.parse(operation)
+        expect(parsed.scope).to.equal('database')
+        expect(() => OperationParser.validate(parsed)).not.to.throw()
+      }
+    })
+
+    it('parses runCommand and adminCommand documents', () => {
+      expect(OperationParser.parse('db.runCommand({collStats: "users"})').arguments).to.deep.equal([{collStats: 'users'}])
+      expect(OperationParser.parse('db.adminCommand({listDatabases: 1})').method).to.equal('adminCommand')
+    })
+
+    it('strips the db prefix from collection operations', () => {
+      const parsed = OperationParser.parse('db.users.find({age: 1}).limit(2)')
+      expect(parsed).to.include({scope: 'collection', collection: 'users', method: 'find'})
+      expect(parsed.chain).to.have.length(1)
+    })
+
+    it('resolves db.getCollection(name) to a collection operation', () => {
+      const parsed = OperationParser.parse('db.getCollection("audit log").countDocuments({})')
+      expect(parsed).to.include({scope: 'collection', collection: 'audit log', method: 'countDocuments'})
+    })
+
+    it('rejects unknown database methods with a suggestion', () => {
+      const parsed = OperationParser.parse('db.getCollectionName()')
+      expect(() => OperationParser.validate(parsed)).to.throw(/Did you mean 'getCollectionNames'/)
+    })
+
+    it('rejects chains on database operations', () => {
+      const parsed = OperationParser.parse('db.stats().limit(1)')
+      expect(() => OperationParser.validate(parsed)).to.throw(/database operations cannot be chained/)
+    })
+
+    it('checks database method arity', () => {
+      const parsed = OperationParser.parse('db.createCollection()')
+      expect(() => OperationParser.validate(parsed)).to.throw(/db.createCollection expects 1-2 argument/)
+    })
+  })
+
+  describe('diagnostics', () => {
+    it('points at syntax errors inside arguments', () => {
+      const error = parseError('users.find({age: {$gte: 18},, name: 1})')
+      expect(error.position).to.equal(28)
+      expect(error.format()).to.equal([
+        'Invalid argument syntax: Unexpected token (position 28)',
+        '  users.find({age: {$gte: 18},, name: 1})',
+        '                              ^',
+      ].join('\n'))
+    })
+
+    it('reports the expected token for structural errors', () => {
+      const error = parseError('users.find.({})')
+      expect(error.message).to.equal('Invalid operation format: unexpected "."')
+      expect(error.expected).to.equal("'(' after find")
+      expect(error.position).to.equal(10)
+    })
+
+    it('reports unclosed parentheses at the opening paren', () => {
+      const error = parseError('users.find({a: 1}')
+      expect(error.message).to.equal("Unclosed '('")
+      expect(error.position).to.equal(10)
+      expect(error.expected).to.equal("')'")
+    })
+
+    it('suggests the closest supported method', () => {
+      const error = parseError('users.fnd({})', true)
+      expect(error.message).to.equal("Unsupported operation: fnd. Did you mean 'find'?")
+      expect(error.position).to.equal(6)
+    })
+
+    it('lists supported methods when nothing is close', () => {
+      const error = parseError('users.frobnicate({})', true)
+      expect(error.expected).to.match(/^one of insertOne, /)
+    })
+
+    it('suggests cursor methods', () => {
+      const error = parseError('users.find({}).srot({a: 1})', true)
+      expect(error.message).to.match(/Did you mean 'sort'\?$/)
+      expect(error.position).to.equal(15)
+    })
+
+    it('leaves operators close to known ones to the server', () => {
+      const parsed = OperationParser.parse(
+        'shapes.aggregate([{$project: {s: {$sin: "$a"}, f: {$unsetField: {field: "x", input: "$$ROOT"}}, b: {$bitOr: ["$a", 1]}}}])',
+      )
+      expect(parsed.arguments[0][0].$project.s).to.deep.equal({$sin: '$a'})
+      expect(OperationParser.parse('orders.find({owner: {$ref: "users", $id: 1, $db: "app"}})').arguments[0].owner.$id).to.equal(1)
+      expect(OperationParser.parse('stats.aggregate([{$group: {_id: null, m: {$median: {input: "$t", method: "approximate"}}}}])').arguments).to.have.length(1)
+      expect(OperationParser.parse('users.find({age: {$gtee: 18}})').arguments).to.deep.equal([{age: {$gtee: 18}}])
+    })
+
+    it('suggests shell helpers', () => {
+      const error = parseError('users.find({_id: ObjectID("65f1a2b3c4d5e6f708192a3b")})')
+      expect(error.message).to.match(/Did you mean 'ObjectId'\?$/)
+    })
+
+    it('leaves unfamiliar operators to the server', () => {
+      expect(() => OperationParser.parse('users.find({$someFutureOperator: 1})')).not.to.throw()
+    })
+
+    it('shows line and column for multi-line input', () => {
+      const error = parseError('users.find({\n  age: 18,\n  name: ?\n})')
+      expect(error.format()).to.equal([
+        'Invalid argument syntax: Unexpected token (line 3, column 9)',
+        '    name: ?',
+        '          ^',
+      ].join('\n'))
+    })
+
+    it('windows long lines around the error', () => {
+      const filler = Array.from({length: 30}, (_, i) => `f${i}: ${i}`).join(', ')
+      const error = parseError(`users.find({${filler}, bad: ?})`)
+      const [, snippet, caret] = error.format().split('\n')
+      expect(snippet.startsWith('  ...')).to.equal(true)
+      expect(snippet.length).to.be.lessThan(100)
+      expect(snippet[caret.length - 1]).to.equal('?')
+    })
+  })
+
+  describe('validate', () => {
+    it('rejects unsupported methods', () => {
+      const parsed = OperationParser.parse('movies.invalidMethod({})')
+      expect(() => OperationParser.validate(parsed)).to.throw(/Unsupported operation: invalidMethod/)
+    })
+  })
+})
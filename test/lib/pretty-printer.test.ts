@@ -0,0 +1,52 @@
+import {expect} from 'chai'
+import {BSON} from 'mongodb'
+import {colorsAllowed, inspectValue} from '../../src/lib/pretty-printer'
+
+describe('inspectValue', () => {
+  it('spells BSON values the way mongosh does', () => {
+    const doc = {
+      _id: new BSON.ObjectId('65f1a2b3c4d5e6f708192a3b'),
+      joined: new Date('2024-01-02T00:00:00Z'),
+      total: BSON.Decimal128.fromString('19.99'),
+      views: BSON.Long.fromString('9007199254740993'),
+      avatar: new BSON.Binary(Buffer.from('hello'), 0),
+      token: new BSON.UUID('0e3bbb2c-6f1a-4b5e-9d1a-2b3c4d5e6f70'),
+    }
+
+    expect(inspectValue(doc)).to.equal([
+      '{',
+      "  _id: ObjectId('65f1a2b3c4d5e6f708192a3b'),",
+      "  joined: ISODate('2024-01-02T00:00:00.000Z'),",
+      "  total: Decimal128('19.99'),",
+      "  views: Long('9007199254740993'),",
+      "  avatar: Binary.createFromBase64('aGVsbG8=', 0),",
+      "  token: UUID('0e3bbb2c-6f1a-4b5e-9d1a-2b3c4d5e6f70')",
+      '}',
+    ].join('\n'))
+  })
+
+  it('keeps nested documents and arrays, quoting only unusual keys', () => {
+    expect(inspectValue([{'odd key': 'it\'s', tags: [[1, 2], [3]], at: {ts: new BSON.Timestamp({t: 5, i: 1})}}], {breakLength: 200}))
+    .to.equal("[ { 'odd key': \"it's\", tags: [ [ 1, 2 ], [ 3 ] ], at: { ts: Timestamp({ t: 5, i: 1 }) } } ]")
+  })
+
+  it('colors values with the chosen theme', () => {
+    const id = new BSON.ObjectId('65f1a2b3c4d5e6f708192a3b')
+    expect(inspectValue({_id: id}, {colors: true})).to.equal("{ _id: \u001B[36mObjectId('65f1a2b3c4d5e6f708192a3b')\u001B[39m }")
+    expect(inspectValue({_id: id}, {colors: true, theme: 'light'})).to.equal("{ _id: \u001B[34mObjectId('65f1a2b3c4d5e6f708192a3b')\u001B[39m }")
+    expect(inspectValue({_id: id})).not.to.contain('\u001B[')
+  })
+
+  it('rejects unknown themes with a suggestion', () => {
+    expect(() => inspectValue({}, {theme: 'monokia'})).to.throw("Unknown theme 'monokia' in ui.theme. Did you mean 'monokai'?")
+  })
+})
+
+describe('colorsAllowed', () => {
+  it('follows ui.colorOutput and a non-empty NO_COLOR', () => {
+    expect(colorsAllowed(true, {})).to.equal(true)
+    expect(colorsAllowed(false, {})).to.equal(false)
+    expect(colorsAllowed(true, {NO_COLOR: '1'})).to.equal(false)
+    expect(colorsAllowed(true, {NO_COLOR: ''})).to.equal(true)
+  })
+})
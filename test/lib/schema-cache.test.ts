@@ -0,0 +1,90 @@
+import {expect} from 'chai'
+import * as fs from 'node:fs'
+import * as os from 'node:os'
+import * as path from 'node:path'
+import {Document, Long, MongoClient, ObjectId} from 'mongodb'
+import {fieldPaths, SchemaCache} from '../../src/lib/schema-cache'
+
+describe('fieldPaths', () => {
+  it('lists nested paths, reaching into arrays of subdocuments', () => {
+    const paths = fieldPaths([
+      {_id: new ObjectId(), name: 'Ann', address: {city: 'Oslo', geo: {lat: 1}}},
+      {_id: new ObjectId(), orders: [{total: Long.fromNumber(3)}, {items: [{sku: 'a'}]}], born: new Date()},
+    ])
+    expect(paths).to.deep.equal([
+      '_id',
+      'address',
+      'address.city',
+      'address.geo',
+      'address.geo.lat',
+      'born',
+      'name',
+      'orders',
+      'orders.items',
+      'orders.items.sku',
+      'orders.total',
+    ])
+  })
+
+  it('stops at the maximum depth', () => {
+    expect(fieldPaths([{a: {b: {c: 1}}}], 2)).to.deep.equal(['a', 'a.b'])
+  })
+})
+
+describe('SchemaCache', () => {
+  const file = path.join(os.tmpdir(), `mongosh-clone-schema-cache-${process.pid}.json`)
+  let requests: string[]
+
+  function fakeClient(fail = false): MongoClient {
+    const db = () => ({
+      async command(cmd: Document) {
+        requests.push(Object.keys(cmd)[0])
+        if (fail) {
+          throw new Error('not authorized')
+        }
+
+        return {databases: [{name: 'shop'}, {name: 'admin'}]}
+      },
+      listCollections: () => ({toArray: async () => [{name: 'users'}]}),
+      collection: () => ({
+        aggregate(pipeline: Document[]) {
+          requests.push(Object.keys(pipeline[0])[0])
+          return {toArray: async () => [{name: 'Ann', address: {city: 'Oslo'}}]}
+        },
+      }),
+    })
+
+    return {db} as unknown as MongoClient
+  }
+
+  beforeEach(() => {
+    requests = []
+  })
+
+  afterEach(() => {
+    fs.rmSync(file, {force: true})
+  })
+
+  it('asks the server once and keeps the answer', async () => {
+    const source = new SchemaCache(file).source('mongodb://localhost', 'shop', async () => fakeClient())
+    expect(await source.databases()).to.deep.equal(['admin', 'shop'])
+    expect(await source.collections()).to.deep.equal(['users'])
+    expect(await source.fields('users')).to.deep.equal(['address', 'address.city', 'name'])
+
+    const cached = new SchemaCache(file).source('mongodb://localhost', 'shop', async () => fakeClient())
+    expect(await cached.databases()).to.deep.equal(['admin', 'shop'])
+    expect(await cached.fields('users')).to.deep.equal(['address', 'address.city', 'name'])
+    expect(requests).to.deep.equal(['listDatabases', '$sample'])
+
+    if (process.platform !== 'win32') {
+      expect((fs.statSync(file).mode & 0o777).toString(8)).to.equal('600')
+    }
+  })
+
+  it('completes without what the server refuses', async () => {
+    const source = new SchemaCache(file).source('mongodb://localhost', undefined, async () => fakeClient(true))
+    expect(await source.databases()).to.deep.equal([])
+    expect(await source.collections()).to.deep.equal([])
+    expect(fs.existsSync(file)).to.equal(false)
+  })
+})
@@ -0,0 +1,117 @@
+import {expect} from 'chai'
+import {BSON} from 'mongodb'
+import {ParsedOperation, ParseError} from '../../src/lib/operation-parser'
+import {formatScriptError, runScript} from '../../src/lib/script-runner'
+
+function recorder(results: Record<string, any> = {}) {
+  const operations: ParsedOperation[] = []
+  const lines: string[] = []
+  const options = {
+    print: (line: string) => lines.push(line),
+    execute: async (parsed: ParsedOperation) => {
+      operations.push(parsed)
+      return {value: results[parsed.method], display: 'json' as const}
+    },
+  }
+
+  return {operations, lines, options}
+}
+
+describe('runScript', () => {
+  it('evaluates variables and multiple statements', async () => {
+    const {operations, options} = recorder()
+    await runScript(
+      'const cutoff = new Date(Date.now() - 7*864e5); db.sessions.deleteMany({lastSeen: {$lt: cutoff}})',
+      options,
+    )
+
+    expect(operations).to.have.length(1)
+    expect(operations[0]).to.include({scope: 'collection', collection: 'sessions', method: 'deleteMany'})
+    expect(operations[0].arguments[0].lastSeen.$lt.getTime()).to.be.below(Date.now() - (6 * 864e5))
+  })
+
+  it('runs unawaited operations in statement order before resolving', async () => {
+    const {operations, options} = recorder()
+    await runScript('db.a.insertOne({n: 1}); db.b.deleteOne({n: 1}); db.getCollection("c").drop()', options)
+    expect(operations.map(op => `${op.collection}.${op.method}`)).to.deep.equal(['a.insertOne', 'b.deleteOne', 'c.drop'])
+  })
+
+  it('supports await, loops, print and printjson', async () => {
+    const {lines, options} = recorder({find: [{name: 'Ann'}, {name: 'Bob'}], countDocuments: 2})
+    await runScript([
+      'const users = await db.users.find({}).toArray()',
+      'for (const user of users) { print("user", user.name) }',
+      'printjson({total: await db.users.countDocuments({})})',
+    ].join('\n'), options)
+
+    expect(lines).to.deep.equal(['user Ann', 'user Bob', '{\n  "total": 2\n}'])
+  })
+
+  it('records cursor modifiers and runs the cursor when awaited', async () => {
+    const {operations, lines, options} = recorder({find: [{n: 1}]})
+    await runScript('const docs = await db.logs.find({}).sort({ts: -1}).limit(5); print(docs.length)', options)
+    expect(operations[0].chain.map(call => call.method)).to.deep.equal(['sort', 'limit'])
+    expect(operations[0].chain[1].arguments).to.deep.equal([5])
+    expect(lines).to.deep.equal(['1'])
+  })
+
+  it('routes db methods to database scope', async () => {
+    const {operations, lines, options} = recorder({getCollectionNames: ['logs', 'users']})
+    await runScript('print((await db.getCollectionNames()).join(","))', options)
+    expect(operations[0]).to.include({scope: 'database', method: 'getCollectionNames'})
+    expect(lines).to.deep.equal(['logs,users'])
+  })
+
+  it('exposes the shell type helpers with and without new', async () => {
+    const {operations, options} = recorder()
+    await runScript(
+      'db.users.insertOne({_id: new ObjectId("65f1a2b3c4d5e6f708192a3b"), n: NumberLong("9007199254740993")})',
+      options,
+    )
+    const [doc] = operations[0].arguments
+    expect(doc._id).to.be.instanceOf(BSON.ObjectId)
+    expect(doc.n.toString()).to.equal('9007199254740993')
+  })
+
+  it('rejects unsupported methods with a ParseError the script can catch', async () => {
+    const {lines, options} = recorder()
+    await runScript('try { db.users.fnd({}) } catch (e) { print(e.message) }', options)
+    expect(lines[0]).to.equal("Unsupported operation: fnd. Did you mean 'find'?")
+
+    try {
+      await runScript('db.users.fnd({})', options)
+      expect.fail('expected a ParseError')
+    } catch (error) {
+      expect(error).to.be.instanceOf(ParseError)
+    }
+  })
+
+  it('rejects with the first uncaught error, including unawaited failures', async () => {
+    const printed: string[] = []
+    const options = {
+      print: (line: string) => printed.push(line),
+      execute: async () => {
+        throw new Error('E11000 duplicate key')
+      },
+    }
+
+    try {
+      await runScript('db.users.insertOne({_id: 1})', options)
+      expect.fail('expected the script to fail')
+    } catch (error) {
+      expect((error as Error).message).to.equal('E11000 duplicate key')
+    }
+  })
+})
+
+describe('formatScriptError', () => {
+  it('points at the failing line of the script', async () => {
+    const {options} = recorder()
+    try {
+      await runScript('const a = 1\n\nthrow new TypeError("bad " + a)', {...options, filename: 'cleanup.js'})
+      expect.fail('expected the script to throw')
+    } catch (error) {
+      expect(formatScriptError(error, 'cleanup.js')).to.equal('TypeError: bad 1 (at cleanup.js:3:7)')
+    }
+  })
+})
@@ -0,0 +1,66 @@
+import {expect} from 'chai'
+import * as fs from 'node:fs'
+import * as os from 'node:os'
+import * as path from 'node:path'
+import {CliError} from '../../src/lib/errors'
+import {PASSPHRASE_VARIABLE, SecretStore} from '../../src/lib/secrets'
+
+describe('SecretStore', () => {
+  const file = path.join(os.tmpdir(), `mongosh-clone-secrets-${process.pid}.json`)
+  const keyFile = path.join(os.tmpdir(), `mongosh-clone-${process.pid}.key`)
+
+  afterEach(() => {
+    delete process.env[PASSPHRASE_VARIABLE]
+    fs.rmSync(file, {force: true})
+    fs.rmSync(keyFile, {force: true})
+  })
+
+  it('encrypts secrets with a key file it creates', () => {
+    const store = new SecretStore(file, keyFile)
+    store.set('connection', 's3cr%40t')
+    expect(store.get('connection')).to.equal('s3cr%40t')
+    expect(new SecretStore(file, keyFile).get('connection')).to.equal('s3cr%40t')
+
+    expect(fs.readFileSync(file, 'utf8')).not.to.include('s3cr')
+    if (process.platform !== 'win32') {
+      expect((fs.statSync(file).mode & 0o777).toString(8)).to.equal('600')
+      expect((fs.statSync(keyFile).mode & 0o777).toString(8)).to.equal('600')
+    }
+
+    store.set('connection')
+    expect(store.get('connection')).to.equal(undefined)
+  })
+
+  it('does not create files to forget a secret', () => {
+    new SecretStore(file, keyFile).set('connection')
+    expect(fs.existsSync(file)).to.equal(false)
+    expect(fs.existsSync(keyFile)).to.equal(false)
+  })
+
+  it('uses a passphrase instead when one is set', () => {
+    process.env[PASSPHRASE_VARIABLE] = 'correct horse'
+    const store = new SecretStore(file, keyFile)
+    store.set('profile:prod', 'hunter2')
+    expect(fs.existsSync(keyFile)).to.equal(false)
+    expect(store.get('profile:prod')).to.equal('hunter2')
+
+    process.env[PASSPHRASE_VARIABLE] = 'wrong horse'
+    expect(() => store.get('profile:prod')).to.throw(CliError, 'Cannot decrypt')
+
+    delete process.env[PASSPHRASE_VARIABLE]
+    expect(() => store.get('profile:prod')).to.throw(CliError).with.property('hint', `Set ${PASSPHRASE_VARIABLE} to it`)
+  })
+
+  it('reports a missing or different key file', () => {
+    const store = new SecretStore(file, keyFile)
+    store.set('connection', 'hunter2')
+
+    fs.rmSync(keyFile)
+    expect(() => store.get('connection')).to.throw(CliError, 'Missing key file')
+    // Rather than overwriting what it cannot read
+    expect(() => store.set('other', 'x')).to.throw(CliError, 'Missing key file')
+
+    fs.writeFileSync(keyFile, Buffer.alloc(32, 1).toString('base64'))
+    expect(() => store.get('connection')).to.throw(CliError, 'Cannot decrypt')
+  })
+})
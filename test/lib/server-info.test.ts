@@ -0,0 +1,93 @@
+import {expect} from 'chai'
+import {Document, MongoClient, MongoServerError} from 'mongodb'
+import {collectServerInfo, describeTopology} from '../../src/lib/server-info'
+
+/**
+ * A client whose admin database answers commands from `replies`, refusing
+ * the ones without a reply as an unprivileged user would be refused
+ * @param replies replies by command name
+ * @returns the client
+ */
+function fakeClient(replies: Record<string, Document>): MongoClient {
+  const command = async (cmd: Document) => {
+    const name = Object.keys(cmd)[0]
+    if (!replies[name]) {
+      throw new MongoServerError({message: `not authorized on admin to execute command { ${name}: 1 }`, code: 13})
+    }
+
+    return replies[name]
+  }
+
+  return {db: () => ({command})} as unknown as MongoClient
+}
+
+describe('describeTopology', () => {
+  it('recognizes standalone servers and mongos', () => {
+    expect(describeTopology({isWritablePrimary: true, me: 'localhost:27017'})).to.deep.equal({
+      type: 'standalone', setName: null, primary: 'localhost:27017', members: [],
+    })
+    expect(describeTopology({msg: 'isdbgrid'}).type).to.equal('sharded')
+  })
+
+  it('takes replica set member states from replSetGetStatus', () => {
+    const hello = {setName: 'rs0', primary: 'a:27017', me: 'b:27017', hosts: ['a:27017', 'b:27017']}
+    const status = {members: [
+      {name: 'a:27017', stateStr: 'PRIMARY', health: 1},
+      {name: 'b:27017', stateStr: 'SECONDARY', health: 1, self: true},
+      {name: 'c:27017', stateStr: '(not reachable/healthy)', health: 0},
+    ]}
+    expect(describeTopology(hello, status)).to.deep.equal({
+      type: 'replicaSet',
+      setName: 'rs0',
+      primary: 'a:27017',
+      members: [
+        {name: 'a:27017', state: 'PRIMARY', healthy: true, self: false},
+        {name: 'b:27017', state: 'SECONDARY', healthy: true, self: true},
+        {name: 'c:27017', state: '(not reachable/healthy)', healthy: false, self: false},
+      ],
+    })
+  })
+
+  it('falls back to the hosts in hello without replSetGetStatus', () => {
+    const hello = {setName: 'rs0', primary: 'a:27017', me: 'a:27017', hosts: ['a:27017', 'b:27017'], arbiters: ['c:27017']}
+    expect(describeTopology(hello).members).to.deep.equal([
+      {name: 'a:27017', state: 'PRIMARY', healthy: null, self: true},
+      {name: 'b:27017', state: 'UNKNOWN', healthy: null, self: false},
+      {name: 'c:27017', state: 'ARBITER', healthy: null, self: false},
+    ])
+  })
+})
+
+describe('collectServerInfo', () => {
+  it('reports version, engine, topology and the authenticated user', async () => {
+    const info = await collectServerInfo(fakeClient({
+      ping: {ok: 1},
+      hello: {setName: 'rs0', primary: 'a:27017', me: 'a:27017', hosts: ['a:27017']},
+      buildInfo: {version: '7.0.4'},
+      serverStatus: {storageEngine: {name: 'wiredTiger'}},
+      replSetGetStatus: {members: [{name: 'a:27017', stateStr: 'PRIMARY', health: 1, self: true}]},
+      connectionStatus: {authInfo: {
+        authenticatedUsers: [{user: 'ann', db: 'admin'}],
+        authenticatedUserRoles: [{role: 'clusterMonitor', db: 'admin'}],
+      }},
+    }))
+    expect(info.version).to.equal('7.0.4')
+    expect(info.storageEngine).to.equal('wiredTiger')
+    expect(info.topology.members).to.deep.equal([{name: 'a:27017', state: 'PRIMARY', healthy: true, self: true}])
+    expect(info.latencyMs).to.be.at.least(0)
+    expect(info.users).to.deep.equal([{user: 'ann', db: 'admin'}])
+    expect(info.roles).to.deep.equal([{role: 'clusterMonitor', db: 'admin'}])
+  })
+
+  it('leaves out what the user may not see', async () => {
+    const info = await collectServerInfo(fakeClient({
+      ping: {ok: 1},
+      hello: {setName: 'rs0', primary: 'a:27017', hosts: ['a:27017', 'b:27017']},
+      buildInfo: {version: '6.0.12'},
+      connectionStatus: {authInfo: {authenticatedUsers: [], authenticatedUserRoles: []}},
+    }))
+    expect(info.storageEngine).to.equal(null)
+    expect(info.topology.members.map(member => member.state)).to.deep.equal(['PRIMARY', 'UNKNOWN'])
+    expect(info.users).to.deep.equal([])
+  })
+})
@@ -0,0 +1,39 @@
+import {expect} from 'chai'
+import * as fs from 'node:fs'
+import * as os from 'node:os'
+import * as path from 'node:path'
+import {loadSettings} from '../../src/lib/settings'
+
+describe('loadSettings', () => {
+  const userFile = path.join(os.tmpdir(), `mongosh-clone-settings-${process.pid}.json`)
+
+  afterEach(() => {
+    if (fs.existsSync(userFile)) {
+      fs.unlinkSync(userFile)
+    }
+  })
+
+  it('uses the packaged defaults without a user file', () => {
+    expect(loadSettings(userFile).ui.cursorPagination.batchSize).to.equal(20)
+  })
+
+  it('shares its defaults with the JavaScript implementation', () => {
+    // eslint-disable-next-line unicorn/prefer-module -- run as CommonJS
+    const shared = JSON.parse(fs.readFileSync(path.join(__dirname, '../../js_implementation/config/commands.json'), 'utf8'))
+    const settings = loadSettings(userFile)
+    expect(settings.logging).to.deep.equal(shared.logging)
+    expect(settings).to.deep.include({agent: {idleTimeoutMinutes: 30}, completion: {sampleSize: 100, cacheMinutes: 10}})
+    expect(settings.ui.theme).to.equal('default')
+  })
+
+  it('overrides defaults key by key from the user file', () => {
+    fs.writeFileSync(userFile, JSON.stringify({ui: {cursorPagination: {batchSize: 50}}}))
+    const settings = loadSettings(userFile)
+    expect(settings.ui.cursorPagination.batchSize).to.equal(50)
+  })
+
+  it('reports malformed user files', () => {
+    fs.writeFileSync(userFile, '{ui: ')
+    expect(() => loadSettings(userFile)).to.throw(/Invalid settings in .*mongosh-clone-settings/)
+  })
+})
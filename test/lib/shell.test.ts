@@ -0,0 +1,71 @@
+import {expect} from 'chai'
+import {agent} from '../../src/lib/agent'
+import {connectionManager} from '../../src/lib/connection'
+import {ExecutionResult} from '../../src/lib/executor'
+import {collapseHistory, evaluate, shellPrompt} from '../../src/lib/shell'
+
+describe('shellPrompt', () => {
+  it('shows the profile and database that are set', () => {
+    expect(shellPrompt('prod', 'app')).to.equal('prod:app> ')
+    expect(shellPrompt(undefined, 'app')).to.equal('app> ')
+    expect(shellPrompt()).to.equal('> ')
+  })
+})
+
+describe('collapseHistory', () => {
+  it('keeps a multi-line operation as one entry', () => {
+    const history = ['})', '  name: "Ann"', 'users.find({', 'show dbs']
+    collapseHistory(history, 'users.find({\n  name: "Ann"\n})\n')
+    expect(history).to.deep.equal(['users.find({ name: "Ann" })', 'show dbs'])
+  })
+
+  it('leaves single lines and unrecognized history alone', () => {
+    const history = ['show dbs']
+    collapseHistory(history, 'show dbs\n')
+    collapseHistory(history, 'users.find({\n})\n')
+    expect(history).to.deep.equal(['show dbs'])
+  })
+})
+
+describe('evaluate', () => {
+  const options = {output: {format: 'text' as const}, batchSize: 20, close: () => calls.push(['close'])}
+  const {isConfigured, execute, use} = agent
+  const {reload} = connectionManager
+  const {log} = console
+  let calls: unknown[][]
+  let printed: unknown[]
+
+  beforeEach(() => {
+    calls = []
+    printed = []
+    agent.isConfigured = () => true
+    agent.execute = async (...args) => {
+      calls.push(['execute', args[0], args[1].batchSize])
+      return {value: null, message: 'done', display: 'none'} as ExecutionResult
+    }
+
+    agent.use = async database => {
+      calls.push(['use', database])
+      return {exists: true}
+    }
+
+    connectionManager.reload = () => {
+      calls.push(['reload'])
+    }
+
+    console.log = (...values: unknown[]) => printed.push(...values)
+  })
+
+  afterEach(() => {
+    Object.assign(agent, {isConfigured, execute, use})
+    connectionManager.reload = reload
+    console.log = log
+  })
+
+  it('runs operations and use in the agent when there is one', async () => {
+    await evaluate('users.find({})', options)
+    await evaluate('use app', options)
+    expect(calls).to.deep.equal([['execute', 'users.find({})', 20], ['use', 'app'], ['reload']])
+    expect(printed.join('\n')).to.include('switched to db app')
+  })
+})
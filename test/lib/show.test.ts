@@ -0,0 +1,104 @@
+import {expect} from 'chai'
+import {Document, MongoClient, MongoServerError} from 'mongodb'
+import {checkDatabase, runShow} from '../../src/lib/show'
+
+interface FakeServer {
+  commands?: Record<string, Document>
+  collections?: Document[]
+  counts?: Record<string, number>
+  profile?: Document[]
+}
+
+/**
+ * A client answering from `server`; commands without a reply are refused
+ * as an unprivileged user would be refused
+ * @param server what the server holds and answers
+ * @returns the client
+ */
+function fakeClient(server: FakeServer): MongoClient {
+  const db = () => ({
+    async command(cmd: Document) {
+      const name = Object.keys(cmd)[0]
+      if (!server.commands?.[name]) {
+        throw new MongoServerError({message: `not authorized to execute command { ${name}: 1 }`, code: 13})
+      }
+
+      return server.commands[name]
+    },
+    listCollections: () => ({toArray: async () => [...server.collections ?? []]}),
+    collection: (name: string) => ({
+      estimatedDocumentCount: async () => server.counts?.[name] ?? 0,
+      find: () => ({toArray: async () => server.profile ?? []}),
+    }),
+  })
+
+  return {db} as unknown as MongoClient
+}
+
+describe('runShow', () => {
+  it('lists databases with their sizes', async () => {
+    const client = fakeClient({commands: {listDatabases: {
+      databases: [{name: 'shop', sizeOnDisk: 3 * 1024 * 1024}, {name: 'admin', sizeOnDisk: 40_960}, {name: 'tmp', sizeOnDisk: 0, empty: true}],
+      totalSize: (3 * 1024 * 1024) + 40_960,
+    }}})
+    const result = await runShow(client, 'dbs')
+    expect(result.message).to.equal('3 database(s), 3.0 MB in total:')
+    expect(result.table?.rows).to.deep.equal([['admin', '40.0 KB'], ['shop', '3.0 MB'], ['tmp', '(empty)']])
+  })
+
+  it('lists collections with document counts and marks views', async () => {
+    const client = fakeClient({
+      collections: [
+        {name: 'orders', type: 'collection'},
+        {name: 'bigOrders', type: 'view', options: {viewOn: 'orders'}},
+      ],
+      counts: {orders: 42},
+    })
+    const result = await runShow(client, 'collections', 'shop')
+    expect(result.table?.rows).to.deep.equal([['bigOrders', 'view on orders', '-'], ['orders', 'collection', '42']])
+    expect(result.value).to.deep.equal([
+      {name: 'bigOrders', type: 'view', viewOn: 'orders', count: null},
+      {name: 'orders', type: 'collection', count: 42},
+    ])
+  })
+
+  it('lists users and roles with the roles they hold', async () => {
+    const client = fakeClient({commands: {
+      usersInfo: {users: [{_id: 'shop.ann', user: 'ann', db: 'shop', roles: [{role: 'readWrite', db: 'shop'}], mechanisms: ['SCRAM-SHA-256']}]},
+      rolesInfo: {roles: [{role: 'reporter', db: 'shop', isBuiltin: false, roles: [{role: 'read', db: 'shop'}]}, {role: 'read', db: 'shop', isBuiltin: true}]},
+    }})
+    expect((await runShow(client, 'users', 'shop')).table?.rows).to.deep.equal([['ann', 'readWrite@shop', 'SCRAM-SHA-256']])
+    expect((await runShow(client, 'roles', 'shop')).table?.rows).to.deep.equal([['read', 'yes', ''], ['reporter', 'no', 'read@shop']])
+  })
+
+  it('explains how to turn on the profiler when it recorded nothing', async () => {
+    const result = await runShow(fakeClient({}), 'profile', 'shop')
+    expect(result.warning).to.equal(true)
+    expect(result.footer).to.match(/profile: 1/)
+  })
+
+  it('needs a database for everything but databases', async () => {
+    let error: Error | undefined
+    try {
+      await runShow(fakeClient({}), 'collections')
+    } catch (error_) {
+      error = error_ as Error
+    }
+
+    expect(error?.message).to.equal('No database selected')
+  })
+})
+
+describe('checkDatabase', () => {
+  const client = fakeClient({commands: {listDatabases: {databases: [{name: 'admin'}, {name: 'sample_mflix'}]}}})
+
+  it('suggests the closest existing database', async () => {
+    expect(await checkDatabase(client, 'sample_mflix')).to.deep.equal({exists: true})
+    expect(await checkDatabase(client, 'sample_mflx')).to.deep.equal({exists: false, suggestion: 'sample_mflix'})
+    expect(await checkDatabase(client, 'reports')).to.deep.equal({exists: false})
+  })
+
+  it('gives up when the user may not list databases', async () => {
+    expect(await checkDatabase(fakeClient({}), 'shop')).to.equal(null)
+  })
+})
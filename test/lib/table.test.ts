@@ -0,0 +1,21 @@
+import {expect} from 'chai'
+import {formatBytes, renderTable} from '../../src/lib/table'
+
+describe('renderTable', () => {
+  it('pads columns to their widest cell', () => {
+    expect(renderTable(['Name', 'Keys'], [['_id_', '_id: 1'], ['email_1', 'email: 1']])).to.equal([
+      'Name     Keys',
+      '-------  --------',
+      '_id_     _id: 1',
+      'email_1  email: 1',
+    ].join('\n'))
+  })
+})
+
+describe('formatBytes', () => {
+  it('uses binary units', () => {
+    expect(formatBytes(512)).to.equal('512 B')
+    expect(formatBytes(20_480)).to.equal('20.0 KB')
+    expect(formatBytes(5 * 1024 * 1024)).to.equal('5.0 MB')
+  })
+})
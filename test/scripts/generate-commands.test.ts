@@ -0,0 +1,107 @@
+import {expect} from 'chai'
+import * as fs from 'node:fs'
+import {createRequire} from 'node:module'
+import * as os from 'node:os'
+import * as path from 'node:path'
+import * as vm from 'node:vm'
+
+// eslint-disable-next-line unicorn/prefer-module -- run as CommonJS
+const JS_ROOT = path.join(__dirname, '../../js_implementation')
+
+// The JavaScript implementation has no type declarations
+const requireJs = createRequire(path.join(JS_ROOT, 'package.json'))
+const generator = requireJs('./scripts/generate-commands')
+const {COLLECTION_OPERATIONS} = requireJs('./src/lib/command-factory')
+const {connectionManager} = requireJs('./src/lib/connection-manager')
+
+function captureLog(): {lines: string[]; restore: () => void} {
+  const {log} = console
+  const lines: string[] = []
+  console.log = (...args: unknown[]) => lines.push(args.join(' '))
+  return {lines, restore: () => {
+    console.log = log
+  }}
+}
+
+describe('generate-commands', () => {
+  it('generates valid JavaScript for every enabled operation', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mongosh-clone-generated-'))
+    const output = captureLog()
+    let files: string[]
+    try {
+      generator.generateAllCommands(dir)
+      files = fs.readdirSync(dir)
+      for (const file of files) {
+        expect(() => new vm.Script(fs.readFileSync(path.join(dir, file), 'utf8'), {filename: file})).not.to.throw()
+      }
+    } finally {
+      output.restore()
+      fs.rmSync(dir, {recursive: true, force: true})
+    }
+
+    expect(files).to.include.members(['db-aggregate.js', 'db-find.js', 'provision.js'])
+    expect(output.lines).to.include(`  • Total commands: ${files.length}`)
+  })
+
+  describe('aggregate', () => {
+    const source: string = generator.generateAggregateCommand(COLLECTION_OPERATIONS.aggregate)
+    // Written inside src, so its ../lib requires resolve
+    let dir: string
+    let DbAggregate: any
+
+    before(() => {
+      dir = fs.mkdtempSync(path.join(JS_ROOT, 'src', 'generated-test-'))
+      const file = path.join(dir, 'db-aggregate.js')
+      fs.writeFileSync(file, source)
+      DbAggregate = requireJs(file)
+    })
+
+    after(() => {
+      fs.rmSync(dir, {recursive: true, force: true})
+    })
+
+    it('is valid JavaScript that leaves exiting to the base command', () => {
+      expect(() => new vm.Script(source)).not.to.throw()
+      expect(source).not.to.include('process.exit')
+      expect(DbAggregate.name).to.equal('DbAggregate')
+    })
+
+    it('streams the results and reports $out targets as db does', async () => {
+      const counted: string[] = []
+      const collection = {
+        dbName: 'shop',
+        async * aggregate() {
+          yield {_id: 'paid', total: 5}
+        },
+      }
+      const client = {
+        db: (db: string) => ({
+          collection: (coll: string) => ({
+            estimatedDocumentCount: async () => {
+              counted.push(`${db}.${coll}`)
+              return 7
+            },
+          }),
+        }),
+      }
+      const {getCollection} = connectionManager
+      connectionManager.getCollection = () => collection
+      connectionManager.client = client
+      const output = captureLog()
+      try {
+        await DbAggregate.prototype.executeAggregate({
+          collection: 'orders',
+          arguments: [[{$group: {_id: '$status', total: {$sum: '$amount'}}}, {$out: 'totals'}]],
+        })
+      } finally {
+        output.restore()
+        connectionManager.getCollection = getCollection
+        connectionManager.client = null
+      }
+
+      expect(counted).to.deep.equal(['shop.totals'])
+      expect(output.lines[0]).to.include('"total": 5')
+      expect(output.lines[1]).to.include('Aggregation results written to shop.totals, which now holds 7 document(s)')
+    })
+  })
+})